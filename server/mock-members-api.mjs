@@ -0,0 +1,161 @@
+/**
+ * Local stand-in for members-api.parliament.uk, serving the member and
+ * portrait endpoints from the roster bundled in src/data so the app can be
+ * developed offline. Start it with `npm run mock-api` and point the app at it
+ * with VITE_MP_SOURCE=members-api and VITE_MEMBERS_API_URL=http://localhost:5174.
+ *
+ * Supported paths (case-insensitive, as on the real API):
+ *   GET /api/Members/Search?House=1&IsCurrentMember=true&Name=&skip=0&take=20
+ *   GET /api/Members/{id}
+ *   GET /api/Members/{id}/Portrait?cropType=ThreeFour
+ *   GET /api/Members/{id}/PortraitUrl
+ */
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+
+const PORT = Number(process.env.MOCK_API_PORT) || 5174;
+const MAX_PAGE_SIZE = 20;
+
+const roster = JSON.parse(readFileSync(new URL('../src/data/mp_portraits.json', import.meta.url), 'utf8'));
+
+const partyConfig = JSON.parse(readFileSync(new URL('../src/data/parties.json', import.meta.url), 'utf8'));
+
+// Portrait placeholder colours by party name and alias, as in the party registry
+const partyColours = new Map();
+partyConfig.parties.forEach(party => {
+  [party.name, ...party.aliases].forEach(name => partyColours.set(name.toLowerCase(), party.color));
+});
+
+const members = roster.map(entry => {
+  const id = Number(entry.person_id.split('/').pop());
+  return { id, entry, value: toMemberValue(id, entry) };
+});
+const membersById = new Map(members.map(member => [member.id, member]));
+
+/**
+ * Builds a member value in the shape returned by the real API
+ * @param {number} id - Member id
+ * @param {Object} entry - Roster entry
+ * @returns {Object} Member value
+ */
+function toMemberValue(id, entry) {
+  return {
+    id,
+    nameListAs: entry.name,
+    nameDisplayAs: entry.name,
+    nameFullTitle: entry.name,
+    latestParty: { name: entry.party_affiliation },
+    latestHouseMembership: {
+      membershipFrom: entry.constituency,
+      house: 1,
+      membershipEndDate: null
+    },
+    thumbnailUrl: `/api/Members/${id}/Thumbnail`
+  };
+}
+
+/**
+ * Renders a placeholder portrait: the member's initials on their party colour
+ * @param {Object} entry - Roster entry
+ * @returns {string} SVG document
+ */
+function renderPortrait(entry) {
+  const colour = partyColours.get(entry.party_affiliation.toLowerCase()) || partyConfig.fallback.color;
+  const initials = entry.name
+    .split(' ')
+    .filter(word => !/^(Mr|Mrs|Ms|Miss|Dr|Sir|Dame|Lord|Lady)$/.test(word))
+    .map(word => word[0])
+    .join('')
+    .slice(0, 3);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="300" height="400" viewBox="0 0 300 400">
+  <rect width="300" height="400" fill="${colour}"/>
+  <circle cx="150" cy="170" r="100" fill="rgba(255,255,255,0.7)"/>
+  <text x="150" y="170" font-family="Arial" font-size="72" font-weight="bold"
+    text-anchor="middle" dominant-baseline="middle">${initials}</text>
+</svg>`;
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {*} body - Body to serialize
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Handles GET /api/Members/Search
+ * @param {URLSearchParams} query - Request query
+ * @returns {Object} Paged search result
+ */
+function searchMembers(query) {
+  const name = (query.get('Name') || '').toLowerCase();
+  const house = query.get('House');
+  const skip = Math.max(0, Number(query.get('skip')) || 0);
+  const take = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(query.get('take')) || MAX_PAGE_SIZE));
+
+  // Everything in the roster is a current Commons member, so other houses are empty
+  const matches = house && house !== '1'
+    ? []
+    : members.filter(member => member.entry.name.toLowerCase().includes(name));
+
+  return {
+    items: matches.slice(skip, skip + take).map(member => ({ value: member.value, links: [] })),
+    totalResults: matches.length,
+    skip,
+    take,
+    links: []
+  };
+}
+
+const server = createServer((req, res) => {
+  // The app runs on the Vite dev server's origin
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, { 'Access-Control-Allow-Methods': 'GET' });
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const path = url.pathname.toLowerCase().replace(/\/$/, '');
+
+  if (path === '/api/members/search') {
+    sendJson(res, 200, searchMembers(url.searchParams));
+    return;
+  }
+
+  const match = path.match(/^\/api\/members\/(\d+)(?:\/(portrait|portraiturl|thumbnail))?$/);
+  const member = match && membersById.get(Number(match[1]));
+
+  if (!member) {
+    sendJson(res, 404, { error: `Not found: ${url.pathname}` });
+    return;
+  }
+
+  switch (match[2]) {
+    case undefined:
+      sendJson(res, 200, { value: member.value, links: [] });
+      break;
+    case 'portraiturl':
+      sendJson(res, 200, { value: `http://localhost:${PORT}/api/Members/${member.id}/Portrait?cropType=ThreeFour` });
+      break;
+    default:
+      res.writeHead(200, { 'Content-Type': 'image/svg+xml' });
+      res.end(renderPortrait(member.entry));
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Members API serving ${members.length} members at http://localhost:${PORT}`);
+});
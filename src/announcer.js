@@ -0,0 +1,51 @@
+/**
+ * Announcer: a visually hidden ARIA live region through which screen readers
+ * are told what changes on screen but not in focus, such as the MP selected
+ * in the 3D view or where the camera has gone.
+ */
+
+// Time between clearing the region and filling it, so that a repeated
+// message is still announced
+const ANNOUNCE_DELAY = 50;
+
+/**
+ * Creates the announcer and adds its live region to the page
+ * @returns {Object} Announcer with announce(message)
+ */
+export function createAnnouncer() {
+  const region = document.createElement('div');
+  region.id = 'announcer';
+  region.setAttribute('role', 'status');
+  region.setAttribute('aria-live', 'polite');
+  region.setAttribute('aria-atomic', 'true');
+
+  // Hidden from view but not from screen readers
+  Object.assign(region.style, {
+    position: 'absolute',
+    width: '1px',
+    height: '1px',
+    margin: '-1px',
+    padding: '0',
+    overflow: 'hidden',
+    clip: 'rect(0, 0, 0, 0)',
+    whiteSpace: 'nowrap',
+    border: '0'
+  });
+  document.body.appendChild(region);
+
+  let timer = null;
+
+  return {
+    /**
+     * Announces a message, replacing any still waiting to be read
+     * @param {string} message - Message to read out
+     */
+    announce(message) {
+      clearTimeout(timer);
+      region.textContent = '';
+      timer = setTimeout(() => {
+        region.textContent = message;
+      }, ANNOUNCE_DELAY);
+    }
+  };
+}
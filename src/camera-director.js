@@ -0,0 +1,313 @@
+import * as THREE from 'three';
+
+/**
+ * Camera director: while active, drives the camera like the parliamentary TV
+ * feed. With a subject (the MP speaking) it alternates between a shot of the
+ * subject (over the dispatch box for frontbenchers near the box, a close-up
+ * otherwise) and cutaways: a reaction shot of the opposite frontbench and a
+ * wide shot from the Speaker's chair. Without a subject it cycles through
+ * wide shots. A new subject is a hard cut; other changes ease between shots.
+ * Dragging or scrolling on the canvas, or moving the locked mouse, hands the
+ * camera back; the app calls release() for its movement actions (keys,
+ * sticks), which can be rebound.
+ */
+
+// How long each shot is held
+const SHOT_DURATION = 6;
+const WIDE_SHOT_DURATION = 10;
+
+// Length of an eased transition between shots
+const EASE_DURATION = 1.5;
+
+// Height of an MP's head above their anchor
+const HEAD_HEIGHT = 1.65;
+
+// Frontbenchers within this distance of the dispatch box get the over-the-box shot
+const DISPATCH_BOX_Z = -5;
+const DISPATCH_SHOT_RANGE = 4;
+
+// Viewpoints the director uses, by name
+const WIDE_VIEWPOINTS = ['Speaker\'s Chair', 'Public Gallery', 'Center of Chamber'];
+const FRONTBENCH_VIEWPOINTS = { government: 'Government Frontbench', opposition: 'Opposition Frontbench' };
+
+/**
+ * Creates the camera director
+ * @param {Object} options - Director options
+ * @param {THREE.Camera} options.camera - The main camera
+ * @param {Array} options.viewpoints - Named viewpoints ({ name, position, target })
+ * @param {Array} options.mps - Array of MP objects, for reaction shots
+ * @param {HTMLElement} options.domElement - The renderer's canvas, watched for user input
+ * @param {Function} [options.onRelease] - Called with the point the camera was
+ *   looking at when the user takes the camera back
+ * @returns {Object} Director with start(), stop(), release(), isActive(), setSubject(mp)
+ *   and update(delta), to be called every frame instead of the user's controls
+ */
+export function createCameraDirector(options) {
+  const { camera, viewpoints, mps, domElement } = options;
+
+  let active = false;
+  let subject = null;
+  let sequence = [];
+  let shotIndex = 0;
+  let shotTime = 0;
+
+  // Current framing, and the transition towards it
+  const position = new THREE.Vector3();
+  const target = new THREE.Vector3();
+  const fromPosition = new THREE.Vector3();
+  const fromTarget = new THREE.Vector3();
+  const toPosition = new THREE.Vector3();
+  const toTarget = new THREE.Vector3();
+  let easeTime = EASE_DURATION;
+
+  /**
+   * Frames a shot
+   * @param {Object} shot - Shot ({ type, mp?, viewpoint? })
+   * @param {THREE.Vector3} outPosition - Receives the camera position
+   * @param {THREE.Vector3} outTarget - Receives the point to look at
+   */
+  function frameShot(shot, outPosition, outTarget) {
+    if (shot.type === 'viewpoint') {
+      outPosition.copy(shot.viewpoint.position);
+      outTarget.copy(shot.viewpoint.target);
+      return;
+    }
+
+    const anchor = shot.mp.mesh;
+    getHead(shot.mp, outTarget);
+
+    if (shot.type === 'dispatch') {
+      // From behind the opposite dispatch box
+      outPosition.copy(shot.viewpoint.position);
+      return;
+    }
+
+    // Close-up (or a wider mid shot for reactions) from in front of the MP
+    const distance = shot.type === 'reaction' ? 3.5 : 2.2;
+    outPosition.set(
+      outTarget.x + Math.sin(anchor.rotation.y) * distance,
+      outTarget.y + 0.6,
+      outTarget.z + Math.cos(anchor.rotation.y) * distance
+    );
+  }
+
+  /**
+   * Builds the sequence of shots for the current subject
+   * @returns {Array<Object>} Shots
+   */
+  function buildSequence() {
+    const wide = WIDE_VIEWPOINTS.map(findViewpoint).filter(Boolean);
+
+    if (!subject) {
+      return wide.map(viewpoint => ({ type: 'viewpoint', viewpoint, duration: WIDE_SHOT_DURATION }));
+    }
+
+    const side = getSide(subject);
+    const shots = [];
+    const oppositeViewpoint = side ? findViewpoint(FRONTBENCH_VIEWPOINTS[side === 'government' ? 'opposition' : 'government']) : null;
+
+    if (oppositeViewpoint && isAtDispatchBox(subject)) {
+      shots.push({ type: 'dispatch', mp: subject, viewpoint: oppositeViewpoint, duration: SHOT_DURATION });
+    } else {
+      shots.push({ type: 'closeup', mp: subject, duration: SHOT_DURATION });
+    }
+
+    const reactor = side ? findReactor(side === 'government' ? 'opposition' : 'government') : null;
+    if (reactor) {
+      shots.push({ type: 'reaction', mp: reactor, duration: SHOT_DURATION / 2 });
+      shots.push(shots[0]);
+    }
+
+    if (wide.length > 0) {
+      shots.push({ type: 'viewpoint', viewpoint: wide[0], duration: SHOT_DURATION / 2 });
+    }
+
+    return shots;
+  }
+
+  /**
+   * Finds the frontbencher nearest the dispatch box on a side, for reaction shots
+   * @param {string} side - 'government' or 'opposition'
+   * @returns {Object|null} The MP object
+   */
+  function findReactor(side) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    mps.forEach(mp => {
+      if (!mp.mesh.visible || !mp.seat || mp.seat.side !== side || mp.seat.tier !== 0) return;
+      const distance = Math.abs(mp.mesh.position.z - DISPATCH_BOX_Z);
+      if (distance < bestDistance) {
+        best = mp;
+        bestDistance = distance;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Finds a viewpoint by name
+   * @param {string} name - Viewpoint name
+   * @returns {Object|undefined} Viewpoint
+   */
+  function findViewpoint(name) {
+    return viewpoints.find(viewpoint => viewpoint.name === name);
+  }
+
+  /**
+   * Moves to a shot in the sequence
+   * @param {number} index - Shot index
+   * @param {boolean} cut - Cut straight to the shot rather than easing
+   */
+  function goToShot(index, cut) {
+    shotIndex = index;
+    shotTime = 0;
+    if (sequence.length === 0) return;
+
+    fromPosition.copy(position);
+    fromTarget.copy(target);
+    frameShot(sequence[shotIndex], toPosition, toTarget);
+
+    if (cut) {
+      position.copy(toPosition);
+      target.copy(toTarget);
+      easeTime = EASE_DURATION;
+    } else {
+      easeTime = 0;
+    }
+  }
+
+  /**
+   * Points the camera along the current framing
+   */
+  function applyFraming() {
+    camera.position.copy(position);
+    camera.lookAt(target);
+  }
+
+  /**
+   * Hands the camera back to the user on any movement input
+   * @param {Event} event - Input event
+   */
+  function onUserInput(event) {
+    if (!active) return;
+
+    if (event.type === 'mousemove' && (!document.pointerLockElement || (!event.movementX && !event.movementY))) return;
+
+    director.release();
+  }
+
+  document.addEventListener('mousemove', onUserInput);
+  domElement.addEventListener('pointerdown', onUserInput);
+  domElement.addEventListener('wheel', onUserInput, { passive: true });
+
+  const director = {
+    /**
+     * Takes control of the camera, starting from where it is
+     */
+    start() {
+      if (active) return;
+      active = true;
+      position.copy(camera.position);
+      camera.getWorldDirection(target).multiplyScalar(10).add(camera.position);
+      sequence = buildSequence();
+      goToShot(0, false);
+    },
+
+    stop() {
+      active = false;
+    },
+
+    /**
+     * Hands the camera back to the user, as movement input does
+     */
+    release() {
+      if (!active) return;
+      director.stop();
+      if (options.onRelease) options.onRelease(target.clone());
+    },
+
+    isActive() {
+      return active;
+    },
+
+    /**
+     * Sets who the director follows; a new subject is a hard cut
+     * @param {Object|null} mp - The MP to follow, or null for wide shots
+     */
+    setSubject(mp) {
+      if (mp === subject) return;
+      subject = mp;
+      sequence = buildSequence();
+      if (active) goToShot(0, Boolean(mp));
+    },
+
+    /**
+     * Advances the current shot and moves the camera
+     * @param {number} delta - Seconds since the last frame
+     */
+    update(delta) {
+      if (!active || sequence.length === 0) return;
+
+      shotTime += delta;
+      if (shotTime >= sequence[shotIndex].duration) {
+        goToShot((shotIndex + 1) % sequence.length, false);
+      }
+
+      // Follow moving subjects
+      frameShot(sequence[shotIndex], toPosition, toTarget);
+
+      if (easeTime < EASE_DURATION) {
+        easeTime = Math.min(easeTime + delta, EASE_DURATION);
+        const t = easeInOut(easeTime / EASE_DURATION);
+        position.lerpVectors(fromPosition, toPosition, t);
+        target.lerpVectors(fromTarget, toTarget, t);
+      } else {
+        position.copy(toPosition);
+        target.copy(toTarget);
+      }
+
+      applyFraming();
+    }
+  };
+
+  return director;
+}
+
+/**
+ * Returns the position of an MP's head
+ * @param {Object} mp - MP object
+ * @param {THREE.Vector3} out - Receives the position
+ * @returns {THREE.Vector3} The position
+ */
+function getHead(mp, out) {
+  return out.copy(mp.mesh.position).setY(mp.mesh.position.y + HEAD_HEIGHT);
+}
+
+/**
+ * Returns the bench side an MP sits on
+ * @param {Object} mp - MP object
+ * @returns {string|null} 'government', 'opposition', or null for the chair and the Bar
+ */
+function getSide(mp) {
+  return mp.seat && (mp.seat.side === 'government' || mp.seat.side === 'opposition') ? mp.seat.side : null;
+}
+
+/**
+ * Checks whether an MP is on the front bench near the dispatch box
+ * @param {Object} mp - MP object
+ * @returns {boolean} True if they speak from the dispatch box
+ */
+function isAtDispatchBox(mp) {
+  return mp.seat.tier === 0 && Math.abs(mp.mesh.position.z - DISPATCH_BOX_Z) <= DISPATCH_SHOT_RANGE;
+}
+
+/**
+ * Smoothstep easing
+ * @param {number} t - Progress from 0 to 1
+ * @returns {number} Eased progress
+ */
+function easeInOut(t) {
+  return t * t * (3 - 2 * t);
+}
@@ -0,0 +1,516 @@
+import * as THREE from 'three';
+
+/**
+ * Collision world for the player: the chamber's collidable objects as
+ * oriented boxes (OBBs), in a bounding-volume hierarchy, tested against the
+ * player's capsule. The boxes and the hierarchy are built once, when the
+ * chamber has loaded; queries work in scratch objects, so moving the player
+ * allocates nothing per frame.
+ */
+
+// Most boxes in a leaf of the hierarchy
+const LEAF_SIZE = 4;
+
+// Passes of push-out per resolve, for corners where one push leads into another box
+const MAX_PASSES = 4;
+
+// Refinements of the closest points between the capsule's segment and a box
+const CLOSEST_POINT_STEPS = 3;
+
+// Contacts whose normal points this far up count as standing on something
+const GROUND_NORMAL_Y = 0.7;
+
+// A box is level if one of its axes is this close to vertical
+const LEVEL_AXIS_Y = 0.999;
+
+// Deepest the hierarchy can go while being queried
+const STACK_SIZE = 64;
+
+const EPSILON = 1e-6;
+
+// Scratch objects for queries
+const localStart = new THREE.Vector3();
+const localEnd = new THREE.Vector3();
+const segment = new THREE.Vector3();
+const closestOnSegment = new THREE.Vector3();
+const closestOnBox = new THREE.Vector3();
+const contactNormal = new THREE.Vector3();
+const queryBounds = new THREE.Box3();
+const localOrigin = new THREE.Vector3();
+const localDirection = new THREE.Vector3();
+const rayHit = { distance: 0, axis: 0, side: 0 };
+
+/**
+ * Creates the collision world
+ * @param {Array<THREE.Object3D>} objects - Collidable meshes (as from createHouseOfCommons)
+ * @returns {Object} World with resolveCapsule(capsule, result, options),
+ *   findGround(x, z, radius, top, bottom), raycast(ray, maxDistance, result),
+ *   queryBox(bounds, out), and its boxes
+ */
+export function createCollisionWorld(objects) {
+  const boxes = objects.map(createOrientedBox).filter(Boolean);
+  const nodes = buildHierarchy(boxes);
+
+  // Scratch for queries
+  const stack = new Int32Array(STACK_SIZE);
+  const candidates = [];
+
+  const world = {
+    boxes,
+
+    /**
+     * Collects the boxes whose bounds overlap a world box
+     * @param {THREE.Box3} bounds - Region to look in
+     * @param {Array} out - Receives the boxes; cleared first
+     * @returns {Array} out
+     */
+    queryBox(bounds, out) {
+      out.length = 0;
+      if (nodes.length === 0) return out;
+
+      let top = 0;
+      stack[top++] = 0;
+      while (top > 0) {
+        const node = nodes[stack[--top]];
+        if (!node.bounds.intersectsBox(bounds)) continue;
+
+        if (node.left === -1) {
+          for (let i = node.start; i < node.end; i++) {
+            if (boxes[i].bounds.intersectsBox(bounds)) {
+              out.push(boxes[i]);
+            }
+          }
+        } else if (top + 2 <= STACK_SIZE) {
+          stack[top++] = node.left;
+          stack[top++] = node.right;
+        }
+      }
+      return out;
+    },
+
+    /**
+     * Pushes a capsule out of the boxes it overlaps. Each push is along the
+     * contact normal, so movement into a surface is removed and movement
+     * along it is kept: the capsule slides.
+     * @param {Object} capsule - { start, end, radius }: the centres of the
+     *   bottom and top spheres and their radius; start and end are moved
+     * @param {Object} result - Receives the outcome: { hit, onGround,
+     *   normal (the last wall normal), offset (the total push) }
+     * @param {Object} [options] - Resolve options
+     * @param {boolean} [options.horizontal] - Push only across the floor, and
+     *   ignore contacts from below (things underfoot)
+     * @returns {Object} result
+     */
+    resolveCapsule(capsule, result, options = {}) {
+      result.hit = false;
+      result.onGround = false;
+      result.normal.set(0, 0, 0);
+      result.offset.set(0, 0, 0);
+
+      for (let pass = 0; pass < MAX_PASSES; pass++) {
+        getCapsuleBounds(capsule, queryBounds);
+        world.queryBox(queryBounds, candidates);
+
+        let pushed = false;
+        for (let i = 0; i < candidates.length; i++) {
+          const box = candidates[i];
+          let depth = intersectCapsuleBox(capsule, box, contactNormal);
+          if (depth <= 0) continue;
+
+          // Seats and the like can be walked into but never stood on
+          const horizontal = options.horizontal || !box.walkable;
+          if (horizontal) {
+            const across = Math.hypot(contactNormal.x, contactNormal.z);
+            if (across < 1 - GROUND_NORMAL_Y) continue;
+            depth *= across;
+            contactNormal.set(contactNormal.x / across, 0, contactNormal.z / across);
+          }
+
+          capsule.start.addScaledVector(contactNormal, depth);
+          capsule.end.addScaledVector(contactNormal, depth);
+          result.offset.addScaledVector(contactNormal, depth);
+          result.hit = true;
+          pushed = true;
+
+          if (contactNormal.y >= GROUND_NORMAL_Y) {
+            result.onGround = true;
+          } else {
+            result.normal.copy(contactNormal);
+          }
+        }
+
+        if (!pushed) break;
+      }
+
+      return result;
+    },
+
+    /**
+     * Finds the highest walkable surface under a disc of the floor plan,
+     * e.g. for the player to stand on
+     * @param {number} x - World x of the disc's centre
+     * @param {number} z - World z of the disc's centre
+     * @param {number} radius - Radius of the disc
+     * @param {number} top - Highest surface to consider
+     * @param {number} bottom - Lowest surface to consider
+     * @returns {number|null} Height of the surface, or null if there is none
+     */
+    findGround(x, z, radius, top, bottom) {
+      queryBounds.min.set(x - radius, bottom, z - radius);
+      queryBounds.max.set(x + radius, top, z + radius);
+      world.queryBox(queryBounds, candidates);
+
+      let ground = null;
+      for (let i = 0; i < candidates.length; i++) {
+        const box = candidates[i];
+        if (!box.walkable || box.top > top || box.top < bottom) continue;
+        if (ground !== null && box.top <= ground) continue;
+        if (coversPoint(box, x, z, radius)) {
+          ground = box.top;
+        }
+      }
+      return ground;
+    },
+
+    /**
+     * Finds the first box a ray hits, e.g. to aim a teleport
+     * @param {THREE.Ray} ray - Ray in world space; its direction must be normalised
+     * @param {number} maxDistance - Furthest hit to report
+     * @param {Object} result - Receives { box, distance, point, normal } of the hit
+     * @returns {Object|null} result, or null if the ray hits nothing in range
+     */
+    raycast(ray, maxDistance, result) {
+      if (nodes.length === 0) return null;
+
+      let nearest = maxDistance;
+      let hitBox = null;
+      let hitAxis = -1;
+      let hitSide = 0;
+
+      let top = 0;
+      stack[top++] = 0;
+      while (top > 0) {
+        const node = nodes[stack[--top]];
+        // Skip nodes entered beyond the nearest hit (from inside, intersectBox gives the exit)
+        if (!ray.intersectBox(node.bounds, closestOnBox)) continue;
+        if (!node.bounds.containsPoint(ray.origin) && ray.origin.distanceTo(closestOnBox) > nearest) continue;
+
+        if (node.left === -1) {
+          for (let i = node.start; i < node.end; i++) {
+            if (intersectRayBox(ray, boxes[i], rayHit) && rayHit.distance < nearest) {
+              nearest = rayHit.distance;
+              hitBox = boxes[i];
+              hitAxis = rayHit.axis;
+              hitSide = rayHit.side;
+            }
+          }
+        } else if (top + 2 <= STACK_SIZE) {
+          stack[top++] = node.left;
+          stack[top++] = node.right;
+        }
+      }
+
+      if (!hitBox) return null;
+      result.box = hitBox;
+      result.distance = nearest;
+      ray.at(nearest, result.point);
+      result.normal.copy(hitBox.axes[hitAxis]).multiplyScalar(hitSide);
+      return result;
+    }
+  };
+
+  return world;
+}
+
+/**
+ * Creates a result for raycast, to be reused from frame to frame
+ * @returns {Object} Result ({ box, distance, point, normal })
+ */
+export function createRaycastResult() {
+  return { box: null, distance: 0, point: new THREE.Vector3(), normal: new THREE.Vector3() };
+}
+
+/**
+ * Creates a capsule for the collision world
+ * @param {number} radius - Radius of the capsule
+ * @returns {Object} Capsule ({ start, end, radius })
+ */
+export function createCapsule(radius) {
+  return { start: new THREE.Vector3(), end: new THREE.Vector3(), radius };
+}
+
+/**
+ * Creates a result for resolveCapsule, to be reused from frame to frame
+ * @returns {Object} Result ({ hit, onGround, normal, offset })
+ */
+export function createCollisionResult() {
+  return { hit: false, onGround: false, normal: new THREE.Vector3(), offset: new THREE.Vector3() };
+}
+
+/**
+ * Builds the oriented box of a collidable mesh
+ * @param {THREE.Object3D} object - Collidable mesh
+ * @returns {Object|null} Box ({ center, axes, halfSize, bounds, walkable,
+ *   top, upAxis, object }), or null if the object has no geometry
+ */
+function createOrientedBox(object) {
+  const geometry = object.geometry;
+  if (!geometry || !geometry.attributes || !geometry.attributes.position) return null;
+
+  // From the vertices rather than geometry.boundingBox: the floor's holds a world box
+  const localBox = new THREE.Box3().setFromBufferAttribute(geometry.attributes.position);
+  object.updateWorldMatrix(true, false);
+  const matrix = object.matrixWorld;
+
+  const center = localBox.getCenter(new THREE.Vector3()).applyMatrix4(matrix);
+  const halfSize = localBox.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+  const axes = [0, 1, 2].map(i => {
+    const axis = new THREE.Vector3().setFromMatrixColumn(matrix, i);
+    const scale = axis.length();
+    halfSize.setComponent(i, halfSize.getComponent(i) * scale);
+    return axis.divideScalar(scale || 1);
+  });
+
+  // World bounds of the box, for the hierarchy
+  const extent = new THREE.Vector3();
+  for (let j = 0; j < 3; j++) {
+    extent.setComponent(j, axes.reduce((sum, axis, i) =>
+      sum + Math.abs(axis.getComponent(j)) * halfSize.getComponent(i), 0));
+  }
+  const bounds = new THREE.Box3(center.clone().sub(extent), center.clone().add(extent));
+
+  // A box can be stood on if it has a level top, unless it is a seat or is
+  // marked otherwise (userData.walkable = false)
+  const upAxis = axes.findIndex(axis => Math.abs(axis.y) > LEVEL_AXIS_Y);
+  const walkable = upAxis !== -1 && !object.userData.isSeat && object.userData.walkable !== false;
+
+  return {
+    center,
+    axes,
+    halfSize,
+    bounds,
+    walkable,
+    top: walkable ? center.y + halfSize.getComponent(upAxis) : null,
+    upAxis,
+    object
+  };
+}
+
+/**
+ * Builds the bounding-volume hierarchy, sorting the boxes so every leaf
+ * holds a run of them
+ * @param {Array} boxes - Oriented boxes; reordered in place
+ * @returns {Array} Nodes ({ bounds, left, right, start, end }); the root is first
+ */
+function buildHierarchy(boxes) {
+  const nodes = [];
+  const centre = new THREE.Vector3();
+  const centroidBounds = new THREE.Box3();
+  const size = new THREE.Vector3();
+
+  function build(start, end) {
+    const index = nodes.length;
+    const node = { bounds: new THREE.Box3(), left: -1, right: -1, start, end };
+    nodes.push(node);
+
+    centroidBounds.makeEmpty();
+    for (let i = start; i < end; i++) {
+      node.bounds.union(boxes[i].bounds);
+      centroidBounds.expandByPoint(boxes[i].bounds.getCenter(centre));
+    }
+    if (end - start <= LEAF_SIZE) return index;
+
+    // Split at the median along the axis the boxes are most spread over
+    centroidBounds.getSize(size);
+    const axis = size.x >= size.y && size.x >= size.z ? 'x' : (size.y >= size.z ? 'y' : 'z');
+    const run = boxes.slice(start, end).sort((a, b) =>
+      (a.bounds.min[axis] + a.bounds.max[axis]) - (b.bounds.min[axis] + b.bounds.max[axis]));
+    run.forEach((box, i) => {
+      boxes[start + i] = box;
+    });
+
+    const middle = (start + end) >> 1;
+    node.left = build(start, middle);
+    node.right = build(middle, end);
+    return index;
+  }
+
+  if (boxes.length > 0) {
+    build(0, boxes.length);
+  }
+  return nodes;
+}
+
+/**
+ * Finds how far a capsule overlaps an oriented box
+ * @param {Object} capsule - Capsule ({ start, end, radius })
+ * @param {Object} box - Oriented box
+ * @param {THREE.Vector3} normal - Receives the direction to push the capsule out, in world space
+ * @returns {number} Depth of the overlap, or 0 if they do not touch
+ */
+function intersectCapsuleBox(capsule, box, normal) {
+  toBoxSpace(capsule.start, box, localStart);
+  toBoxSpace(capsule.end, box, localEnd);
+  segment.subVectors(localEnd, localStart);
+  const lengthSq = segment.lengthSq();
+
+  // Alternate between the closest point on the segment and on the box;
+  // start from the point of the segment nearest the box's centre
+  let t = lengthSq > EPSILON ? THREE.MathUtils.clamp(-localStart.dot(segment) / lengthSq, 0, 1) : 0;
+  closestOnSegment.copy(localStart).addScaledVector(segment, t);
+  for (let step = 0; step < CLOSEST_POINT_STEPS; step++) {
+    clampToBox(closestOnSegment, box.halfSize, closestOnBox);
+    if (lengthSq <= EPSILON) break;
+    t = THREE.MathUtils.clamp((closestOnBox.dot(segment) - localStart.dot(segment)) / lengthSq, 0, 1);
+    closestOnSegment.copy(localStart).addScaledVector(segment, t);
+  }
+  clampToBox(closestOnSegment, box.halfSize, closestOnBox);
+
+  const distanceSq = closestOnSegment.distanceToSquared(closestOnBox);
+  if (distanceSq >= capsule.radius * capsule.radius) return 0;
+
+  let depth;
+  if (distanceSq > EPSILON) {
+    // Outside the box: push straight away from its nearest point
+    const distance = Math.sqrt(distanceSq);
+    normal.subVectors(closestOnSegment, closestOnBox).divideScalar(distance);
+    depth = capsule.radius - distance;
+  } else {
+    // The segment passes through the box: leave by its nearest face
+    let axis = 0;
+    let least = Infinity;
+    for (let i = 0; i < 3; i++) {
+      const gap = box.halfSize.getComponent(i) - Math.abs(closestOnSegment.getComponent(i));
+      if (gap < least) {
+        least = gap;
+        axis = i;
+      }
+    }
+    normal.set(0, 0, 0).setComponent(axis, closestOnSegment.getComponent(axis) < 0 ? -1 : 1);
+    depth = least + capsule.radius;
+  }
+
+  // Back to world space
+  const x = normal.x;
+  const y = normal.y;
+  const z = normal.z;
+  normal.copy(box.axes[0]).multiplyScalar(x)
+    .addScaledVector(box.axes[1], y)
+    .addScaledVector(box.axes[2], z);
+  return depth;
+}
+
+/**
+ * Intersects a ray with an oriented box, by slabs in the box's own axes
+ * @param {THREE.Ray} ray - Ray in world space
+ * @param {Object} box - Oriented box
+ * @param {Object} out - Receives { distance, axis, side } of the face entered
+ *   (side is 1 or -1 along the axis)
+ * @returns {boolean} Whether the ray hits the box; false if it starts inside
+ */
+function intersectRayBox(ray, box, out) {
+  toBoxSpace(ray.origin, box, localOrigin);
+  localDirection.set(
+    ray.direction.dot(box.axes[0]),
+    ray.direction.dot(box.axes[1]),
+    ray.direction.dot(box.axes[2])
+  );
+
+  let near = -Infinity;
+  let far = Infinity;
+  let axis = -1;
+  let side = 0;
+  for (let i = 0; i < 3; i++) {
+    const origin = localOrigin.getComponent(i);
+    const direction = localDirection.getComponent(i);
+    const half = box.halfSize.getComponent(i);
+
+    if (Math.abs(direction) < EPSILON) {
+      // Parallel to this slab: misses unless it runs inside it
+      if (Math.abs(origin) > half) return false;
+      continue;
+    }
+
+    // A ray heading down the axis enters by the face on the positive side
+    const entrySide = direction < 0 ? 1 : -1;
+    const enter = (entrySide * half - origin) / direction;
+    const leave = (-entrySide * half - origin) / direction;
+    if (enter > near) {
+      near = enter;
+      axis = i;
+      side = entrySide;
+    }
+    far = Math.min(far, leave);
+    if (near > far) return false;
+  }
+
+  if (axis === -1 || near < 0) return false;
+  out.distance = near;
+  out.axis = axis;
+  out.side = side;
+  return true;
+}
+
+/**
+ * Checks whether a level box's top reaches within a distance of a point of the floor plan
+ * @param {Object} box - Oriented box with a level top
+ * @param {number} x - World x
+ * @param {number} z - World z
+ * @param {number} radius - Distance allowed beyond the box's edges
+ * @returns {boolean} Whether it does
+ */
+function coversPoint(box, x, z, radius) {
+  const dx = x - box.center.x;
+  const dz = z - box.center.z;
+  for (let i = 0; i < 3; i++) {
+    if (i === box.upAxis) continue;
+    const along = dx * box.axes[i].x + dz * box.axes[i].z;
+    if (Math.abs(along) > box.halfSize.getComponent(i) + radius) return false;
+  }
+  return true;
+}
+
+/**
+ * Expresses a world point in a box's own axes, about its centre
+ * @param {THREE.Vector3} point - World point
+ * @param {Object} box - Oriented box
+ * @param {THREE.Vector3} out - Receives the point
+ * @returns {THREE.Vector3} out
+ */
+function toBoxSpace(point, box, out) {
+  const dx = point.x - box.center.x;
+  const dy = point.y - box.center.y;
+  const dz = point.z - box.center.z;
+  return out.set(
+    dx * box.axes[0].x + dy * box.axes[0].y + dz * box.axes[0].z,
+    dx * box.axes[1].x + dy * box.axes[1].y + dz * box.axes[1].z,
+    dx * box.axes[2].x + dy * box.axes[2].y + dz * box.axes[2].z
+  );
+}
+
+/**
+ * Clamps a point in a box's own axes to the box
+ * @param {THREE.Vector3} point - Point in box space
+ * @param {THREE.Vector3} halfSize - Half the box's size
+ * @param {THREE.Vector3} out - Receives the clamped point
+ * @returns {THREE.Vector3} out
+ */
+function clampToBox(point, halfSize, out) {
+  return out.set(
+    THREE.MathUtils.clamp(point.x, -halfSize.x, halfSize.x),
+    THREE.MathUtils.clamp(point.y, -halfSize.y, halfSize.y),
+    THREE.MathUtils.clamp(point.z, -halfSize.z, halfSize.z)
+  );
+}
+
+/**
+ * Finds the world bounds of a capsule
+ * @param {Object} capsule - Capsule ({ start, end, radius })
+ * @param {THREE.Box3} out - Receives the bounds
+ * @returns {THREE.Box3} out
+ */
+function getCapsuleBounds(capsule, out) {
+  out.min.copy(capsule.start).min(capsule.end).subScalar(capsule.radius);
+  out.max.copy(capsule.start).max(capsule.end).addScalar(capsule.radius);
+  return out;
+}
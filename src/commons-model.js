@@ -1,9 +1,23 @@
 import * as THREE from 'three';
+import { getParty, getGovernmentParty, getOfficialOpposition, getPartyColor } from './party-registry.js';
+import { createSeatRegistry } from './seat-registry.js';
+
+// Where the Speaker's figure stands, on the platform in front of the chair
+const SPEAKER_SEAT_POSITION = new THREE.Vector3(0, 0.5, -11.6);
+
+// The cross passage at the entrance end, between the ends of the benches and
+// the front wall; the doors to the division lobbies open onto it
+const CROSS_PASSAGE_Z = 13.4;
+
+// Side walls stop short of the front wall to leave the lobby doorways
+const DOORWAY_START_Z = 12.8;
 
 /**
  * Creates the House of Commons 3D environment
  * @param {THREE.Scene} scene - The Three.js scene
- * @returns {Promise<Array>} A promise that resolves with an array of collidable objects
+ * @returns {Promise<Object>} A promise that resolves with the chamber's
+ *   collidableObjects, its seatRegistry, its division lobbies and its
+ *   landmarks (objects by landmark name, e.g. landmarks.mace)
  */
 export function createHouseOfCommons(scene) {
   return new Promise((resolve) => {
@@ -21,6 +35,7 @@ export function createHouseOfCommons(scene) {
     floor.rotation.x = -Math.PI / 2;
     floor.receiveShadow = true;
     floor.userData.collidable = true;
+    floor.userData.mapFeature = 'floor';
     
     // Create a collision box for the floor
     const floorBox = new THREE.Box3();
@@ -67,8 +82,90 @@ export function createHouseOfCommons(scene) {
     // Create party areas markers
     createPartyAreaMarkers(scene);
     
-    resolve(collidableObjects);
+    // Create the Aye and No division lobbies
+    const lobbies = createDivisionLobbies(scene);
+    collidableObjects.push(...lobbies.collidableObjects);
+    
+    resolve({
+      collidableObjects,
+      seatRegistry: buildSeatRegistry(collidableObjects),
+      lobbies: { aye: lobbies.aye, no: lobbies.no },
+      landmarks: collectLandmarks(scene)
+    });
+  });
+}
+
+/**
+ * Collects the objects tagged as landmarks, for guided tours to point out
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @returns {Object} Arrays of objects keyed by landmark name
+ */
+function collectLandmarks(scene) {
+  const landmarks = {};
+  scene.traverse(object => {
+    const name = object.userData.landmark;
+    if (name) {
+      (landmarks[name] = landmarks[name] || []).push(object);
+    }
+  });
+  return landmarks;
+}
+
+/**
+ * Tags objects as parts of a landmark
+ * @param {Array<THREE.Object3D>} objects - Objects making up the landmark
+ * @param {string} name - Landmark name
+ */
+function markLandmark(objects, name) {
+  objects.forEach(object => {
+    object.userData.landmark = name;
+  });
+}
+
+/**
+ * Tags objects with the feature they are drawn as on the minimap
+ * @param {Array<THREE.Object3D>} objects - Objects
+ * @param {string} kind - Feature kind (floor, wall, tier, bench, table,
+ *   speaker, desk, lobby, party-area or red-line)
+ */
+function markMapFeature(objects, kind) {
+  objects.forEach(object => {
+    object.userData.mapFeature = kind;
+  });
+}
+
+/**
+ * Builds the seat registry from the seat colliders tagged by createTieredSide,
+ * plus the Speaker's chair
+ * @param {Array} collidableObjects - The chamber's collidable objects
+ * @returns {Object} Seat registry
+ */
+function buildSeatRegistry(collidableObjects) {
+  const seatRegistry = createSeatRegistry();
+  
+  collidableObjects
+    .filter(object => object.userData.isSeat)
+    .forEach(collider => {
+      seatRegistry.add({
+        ...collider.userData.seatInfo,
+        position: collider.userData.sitPosition,
+        rotationY: collider.userData.facing,
+        collider
+      });
+    });
+  
+  seatRegistry.add({
+    id: 'speaker-chair',
+    side: 'chair',
+    tier: 0,
+    row: 0,
+    seat: 0,
+    position: SPEAKER_SEAT_POSITION.clone(),
+    rotationY: 0,
+    collider: null
   });
+  
+  return seatRegistry;
 }
 
 /**
@@ -106,10 +203,14 @@ function createWalls(scene) {
   scene.add(frontWall);
   collidableObjects.push(frontWall);
   
+  // Side walls run from the back wall to the lobby doorways
+  const sideWallLength = DOORWAY_START_Z + 15;
+  const sideWallCenterZ = (DOORWAY_START_Z - 15) / 2;
+  
   // Left wall
-  const leftWallGeometry = new THREE.BoxGeometry(0.5, 10, 30);
+  const leftWallGeometry = new THREE.BoxGeometry(0.5, 10, sideWallLength);
   const leftWall = new THREE.Mesh(leftWallGeometry, wallMaterial);
-  leftWall.position.set(-15, 5, 0);
+  leftWall.position.set(-15, 5, sideWallCenterZ);
   leftWall.castShadow = true;
   leftWall.receiveShadow = true;
   leftWall.userData.collidable = true;
@@ -117,15 +218,17 @@ function createWalls(scene) {
   collidableObjects.push(leftWall);
   
   // Right wall
-  const rightWallGeometry = new THREE.BoxGeometry(0.5, 10, 30);
+  const rightWallGeometry = new THREE.BoxGeometry(0.5, 10, sideWallLength);
   const rightWall = new THREE.Mesh(rightWallGeometry, wallMaterial);
-  rightWall.position.set(15, 5, 0);
+  rightWall.position.set(15, 5, sideWallCenterZ);
   rightWall.castShadow = true;
   rightWall.receiveShadow = true;
   rightWall.userData.collidable = true;
   scene.add(rightWall);
   collidableObjects.push(rightWall);
   
+  markMapFeature(collidableObjects, 'wall');
+  
   // Add paneling to the walls
   addWoodPaneling(scene);
   
@@ -146,12 +249,16 @@ function addWoodPaneling(scene) {
     metalness: 0.3
   });
   
+  // Side paneling stops at the lobby doorways
+  const sidePanelLength = DOORWAY_START_Z + 14.5;
+  const sidePanelCenterZ = (DOORWAY_START_Z - 14.5) / 2;
+  
   // Add paneling to all walls
   const walls = [
     { pos: [0, 2.5, -14.7], rot: [0, 0, 0], size: [29, 5, 0.1] }, // Back wall
     { pos: [0, 2.5, 14.7], rot: [0, 0, 0], size: [29, 5, 0.1] },  // Front wall
-    { pos: [-14.7, 2.5, 0], rot: [0, Math.PI/2, 0], size: [29, 5, 0.1] }, // Left wall
-    { pos: [14.7, 2.5, 0], rot: [0, Math.PI/2, 0], size: [29, 5, 0.1] }   // Right wall
+    { pos: [-14.7, 2.5, sidePanelCenterZ], rot: [0, Math.PI/2, 0], size: [sidePanelLength, 5, 0.1] }, // Left wall
+    { pos: [14.7, 2.5, sidePanelCenterZ], rot: [0, Math.PI/2, 0], size: [sidePanelLength, 5, 0.1] }   // Right wall
   ];
   
   walls.forEach(wall => {
@@ -250,6 +357,9 @@ function createCentralAisle(scene) {
   rightRedLine.rotation.x = -Math.PI / 2;
   rightRedLine.position.set(2, 0.02, 0);
   scene.add(rightRedLine);
+  
+  markLandmark([leftRedLine, rightRedLine], 'red-lines');
+  markMapFeature([leftRedLine, rightRedLine], 'red-line');
 }
 
 /**
@@ -310,6 +420,8 @@ function createTieredSide(scene, side, benchMaterial, stepMaterial, seatCount) {
     tierMesh.receiveShadow = true;
     tierMesh.castShadow = true;
     tierMesh.userData.collidable = true;
+    tierMesh.userData.landmark = side === 1 ? 'government-benches' : 'opposition-benches';
+    tierMesh.userData.mapFeature = 'tier';
     scene.add(tierMesh);
     collidableObjects.push(tierMesh);
     
@@ -328,6 +440,8 @@ function createTieredSide(scene, side, benchMaterial, stepMaterial, seatCount) {
       bench.castShadow = true;
       bench.receiveShadow = true;
       bench.userData.collidable = true;
+      bench.userData.walkable = false;
+      bench.userData.mapFeature = 'bench';
       scene.add(bench);
       collidableObjects.push(bench);
       
@@ -350,6 +464,9 @@ function createTieredSide(scene, side, benchMaterial, stepMaterial, seatCount) {
           seat,
           side: side === 1 ? 'government' : 'opposition'
         };
+        // Where a seated MP stands (on the bench top), facing the aisle
+        seatCollision.userData.sitPosition = new THREE.Vector3(xBase, yBase + 0.55, seatPos);
+        seatCollision.userData.facing = -side * Math.PI / 2;
         scene.add(seatCollision);
         collidableObjects.push(seatCollision);
       }
@@ -361,6 +478,7 @@ function createTieredSide(scene, side, benchMaterial, stepMaterial, seatCount) {
       back.castShadow = true;
       back.receiveShadow = true;
       back.userData.collidable = true;
+      back.userData.walkable = false;
       scene.add(back);
       collidableObjects.push(back);
       
@@ -373,6 +491,7 @@ function createTieredSide(scene, side, benchMaterial, stepMaterial, seatCount) {
       frontArm.castShadow = true;
       frontArm.receiveShadow = true;
       frontArm.userData.collidable = true;
+      frontArm.userData.walkable = false;
       scene.add(frontArm);
       collidableObjects.push(frontArm);
       
@@ -382,6 +501,7 @@ function createTieredSide(scene, side, benchMaterial, stepMaterial, seatCount) {
       backArm.castShadow = true;
       backArm.receiveShadow = true;
       backArm.userData.collidable = true;
+      backArm.userData.walkable = false;
       scene.add(backArm);
       collidableObjects.push(backArm);
     }
@@ -408,6 +528,7 @@ function createSpeakersArea(scene) {
   platform.position.set(0, 0.25, -12);
   platform.receiveShadow = true;
   platform.userData.collidable = true;
+  platform.userData.mapFeature = 'speaker';
   scene.add(platform);
   collidableObjects.push(platform);
   
@@ -418,7 +539,9 @@ function createSpeakersArea(scene) {
     const step = new THREE.Mesh(stepGeometry, platformMaterial);
     step.position.set(0, 0.1 + (i * 0.2), -9 - (i * 1));
     step.receiveShadow = true;
+    step.userData.collidable = true;
     scene.add(step);
+    collidableObjects.push(step);
   }
   
   // Create Speaker's chair
@@ -555,6 +678,8 @@ function createSpeakersChair(scene) {
     post.castShadow = true;
     scene.add(post);
   });
+  
+  markLandmark([base, back, top, seat, leftArm, rightArm, canopy], 'speakers-chair');
 }
 
 /**
@@ -577,6 +702,9 @@ function createCentralTable(scene) {
   table.castShadow = true;
   table.receiveShadow = true;
   table.userData.collidable = true;
+  table.userData.walkable = false;
+  table.userData.landmark = 'table';
+  table.userData.mapFeature = 'table';
   scene.add(table);
   collidableObjects.push(table);
   
@@ -706,6 +834,8 @@ function createMace(scene) {
     decor.castShadow = true;
     scene.add(decor);
   }
+  
+  markLandmark([maceBody, maceHead, crown], 'mace');
 }
 
 /**
@@ -728,6 +858,8 @@ function createClerksTable(scene) {
   table.castShadow = true;
   table.receiveShadow = true;
   table.userData.collidable = true;
+  table.userData.walkable = false;
+  table.userData.mapFeature = 'table';
   scene.add(table);
   collidableObjects.push(table);
   
@@ -1061,17 +1193,105 @@ function addPortraits(scene) {
   });
 }
 
+/**
+ * Creates the division lobbies: the Aye lobby behind the government (right)
+ * side and the No lobby behind the opposition (left) side, each entered
+ * through a doorway at the entrance end of the chamber, with a tellers' desk
+ * towards the Speaker's end
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @returns {Object} Lobby descriptions (aye, no) and collidable objects
+ */
+function createDivisionLobbies(scene) {
+  const collidableObjects = [];
+  
+  const wallMaterial = new THREE.MeshStandardMaterial({
+    color: 0x5c4033, // Brown wood color
+    roughness: 0.7,
+    metalness: 0.2
+  });
+  
+  const deskMaterial = new THREE.MeshStandardMaterial({
+    color: 0x8B4513, // Dark wood
+    roughness: 0.7,
+    metalness: 0.3
+  });
+  
+  const addCollidable = (geometry, material, x, y, z) => {
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.set(x, y, z);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.userData.collidable = true;
+    scene.add(mesh);
+    collidableObjects.push(mesh);
+    return mesh;
+  };
+  
+  const createLobby = (name, side, color) => {
+    // Outer wall and end walls
+    markMapFeature([
+      addCollidable(new THREE.BoxGeometry(0.5, 4, 30.5), wallMaterial, side * 19.75, 2, 0),
+      addCollidable(new THREE.BoxGeometry(4.5, 4, 0.5), wallMaterial, side * 17.5, 2, -15),
+      addCollidable(new THREE.BoxGeometry(4.5, 4, 0.5), wallMaterial, side * 17.5, 2, 15)
+    ], 'wall');
+    
+    // Tellers' desk
+    addCollidable(new THREE.BoxGeometry(0.8, 0.8, 1.6), deskMaterial, side * 18.9, 0.4, -10)
+      .userData.mapFeature = 'desk';
+    
+    // Floor marker and label
+    const floorMaterial = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.15,
+      side: THREE.DoubleSide
+    });
+    const floorMarker = new THREE.Mesh(new THREE.PlaneGeometry(4.25, 29.5), floorMaterial);
+    floorMarker.rotation.x = -Math.PI / 2;
+    floorMarker.position.set(side * 17.5, 0.02, 0);
+    floorMarker.userData.landmark = `${name.toLowerCase()}-lobby`;
+    floorMarker.userData.mapFeature = 'lobby';
+    scene.add(floorMarker);
+    createTextPlane(scene, `${name} Lobby`, side * 17.5, 0.03, 0, color);
+    
+    return {
+      name,
+      side,
+      // Route from the chamber: along the cross passage, through the
+      // doorway and down the lobby to the tellers
+      passageZ: CROSS_PASSAGE_Z,
+      door: new THREE.Vector3(side * 15, 0, CROSS_PASSAGE_Z),
+      entry: new THREE.Vector3(side * 16.5, 0, CROSS_PASSAGE_Z),
+      tellerPoint: new THREE.Vector3(side * 16.5, 0, -10),
+      tellerPositions: [
+        new THREE.Vector3(side * 17.6, 0, -10.6),
+        new THREE.Vector3(side * 17.6, 0, -9.4)
+      ]
+    };
+  };
+  
+  return {
+    aye: createLobby('Aye', 1, 0x2E8B57),
+    no: createLobby('No', -1, 0xB22222),
+    collidableObjects
+  };
+}
+
 /**
  * Creates markers for party areas
  * @param {THREE.Scene} scene - The Three.js scene
  */
 function createPartyAreaMarkers(scene) {
   // Create subtle floor markers for different party areas
+  const government = getGovernmentParty();
+  const opposition = getOfficialOpposition();
+  const libDems = getParty('Liberal Democrats');
+  const snp = getParty('SNP');
   
   // Government side (right)
   const govAreaGeometry = new THREE.PlaneGeometry(12, 24);
   const govAreaMaterial = new THREE.MeshBasicMaterial({
-    color: 0xE4003B, // Labour red
+    color: getPartyColor(government.name),
     transparent: true,
     opacity: 0.05,
     side: THREE.DoubleSide
@@ -1084,7 +1304,7 @@ function createPartyAreaMarkers(scene) {
   // Opposition side (left)
   const oppAreaGeometry = new THREE.PlaneGeometry(12, 24);
   const oppAreaMaterial = new THREE.MeshBasicMaterial({
-    color: 0x0087DC, // Conservative blue
+    color: getPartyColor(opposition.name),
     transparent: true,
     opacity: 0.05,
     side: THREE.DoubleSide
@@ -1099,7 +1319,7 @@ function createPartyAreaMarkers(scene) {
   
   // Lib Dem area
   const libDemMaterial = new THREE.MeshBasicMaterial({
-    color: 0xFAA61A, // Lib Dem orange
+    color: getPartyColor(libDems.name),
     transparent: true,
     opacity: 0.05,
     side: THREE.DoubleSide
@@ -1111,7 +1331,7 @@ function createPartyAreaMarkers(scene) {
   
   // SNP area
   const snpMaterial = new THREE.MeshBasicMaterial({
-    color: 0xFFF95D, // SNP yellow
+    color: getPartyColor(snp.name),
     transparent: true,
     opacity: 0.05,
     side: THREE.DoubleSide
@@ -1121,6 +1341,14 @@ function createPartyAreaMarkers(scene) {
   snpArea.position.set(-12, 0.02, -10);
   scene.add(snpArea);
   
+  markMapFeature([govArea, oppArea, libDemArea, snpArea], 'party-area');
+  
+  // Remember whose colour each area takes, for updatePartyColors
+  govArea.userData.partyArea = government.name;
+  oppArea.userData.partyArea = opposition.name;
+  libDemArea.userData.partyArea = libDems.name;
+  snpArea.userData.partyArea = snp.name;
+  
   // Add text labels for party areas
   addPartyLabels(scene);
 }
@@ -1130,17 +1358,28 @@ function createPartyAreaMarkers(scene) {
  * @param {THREE.Scene} scene - The Three.js scene
  */
 function addPartyLabels(scene) {
+  const government = getGovernmentParty();
+  const opposition = getOfficialOpposition();
+  const libDems = getParty('Liberal Democrats');
+  const snp = getParty('SNP');
+  
+  // Labels in a party's colour remember the party, for updatePartyColors
+  const addLabel = (text, x, z, party) => {
+    const plane = createTextPlane(scene, text, x, 0.03, z, getPartyColor(party.name));
+    plane.userData.partyLabel = { text, party: party.name };
+  };
+  
   // Create canvas-based text labels for party areas
-  createTextPlane(scene, "Government", 9, 0.03, 12, 0xE4003B);
-  createTextPlane(scene, "Opposition", -9, 0.03, 12, 0x0087DC);
-  createTextPlane(scene, "Lib Dems", -12, 0.03, 10, 0xFAA61A);
-  createTextPlane(scene, "SNP", -12, 0.03, -10, 0xFFF95D);
+  addLabel("Government", 9, 12, government);
+  addLabel("Opposition", -9, 12, opposition);
+  addLabel(libDems.shortName, -12, 10, libDems);
+  addLabel(snp.shortName, -12, -10, snp);
   
   // Add frontbench/backbench labels
-  createTextPlane(scene, "Frontbench", 5, 0.03, 0, 0xE4003B);
-  createTextPlane(scene, "Backbench", 12, 0.03, 0, 0xE4003B);
-  createTextPlane(scene, "Frontbench", -5, 0.03, 0, 0x0087DC);
-  createTextPlane(scene, "Backbench", -12, 0.03, 0, 0x0087DC);
+  addLabel("Frontbench", 5, 0, government);
+  addLabel("Backbench", 12, 0, government);
+  addLabel("Frontbench", -5, 0, opposition);
+  addLabel("Backbench", -12, 0, opposition);
 }
 
 /**
@@ -1151,23 +1390,13 @@ function addPartyLabels(scene) {
  * @param {number} y - Y position
  * @param {number} z - Z position
  * @param {number} color - Text color
+ * @returns {THREE.Mesh} The plane
  */
 function createTextPlane(scene, text, x, y, z, color) {
   const canvas = document.createElement('canvas');
-  const context = canvas.getContext('2d');
   canvas.width = 256;
   canvas.height = 64;
-  
-  // Draw background
-  context.fillStyle = 'rgba(255, 255, 255, 0.1)';
-  context.fillRect(0, 0, canvas.width, canvas.height);
-  
-  // Draw text
-  context.font = 'bold 32px Arial';
-  context.fillStyle = '#' + new THREE.Color(color).getHexString();
-  context.textAlign = 'center';
-  context.textBaseline = 'middle';
-  context.fillText(text, canvas.width / 2, canvas.height / 2);
+  drawTextPlane(canvas, text, color);
   
   // Create texture and material
   const texture = new THREE.CanvasTexture(canvas);
@@ -1184,4 +1413,45 @@ function createTextPlane(scene, text, x, y, z, color) {
   plane.rotation.x = -Math.PI / 2;
   plane.position.set(x, y, z);
   scene.add(plane);
+  return plane;
+}
+
+/**
+ * Draws the text of a label plane
+ * @param {HTMLCanvasElement} canvas - The label's canvas
+ * @param {string} text - The text to display
+ * @param {number} color - Text color
+ */
+function drawTextPlane(canvas, text, color) {
+  const context = canvas.getContext('2d');
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  
+  // Draw background
+  context.fillStyle = 'rgba(255, 255, 255, 0.1)';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  
+  // Draw text
+  context.font = 'bold 32px Arial';
+  context.fillStyle = '#' + new THREE.Color(color).getHexString();
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(text, canvas.width / 2, canvas.height / 2);
+}
+
+/**
+ * Recolours the party floor markers and their labels in the current party
+ * palette (see party-registry.js)
+ * @param {THREE.Scene} scene - The scene holding the chamber
+ */
+export function updatePartyColors(scene) {
+  scene.traverse(object => {
+    const { partyArea, partyLabel } = object.userData;
+    if (partyArea) {
+      object.material.color.setHex(getPartyColor(partyArea));
+    }
+    if (partyLabel) {
+      drawTextPlane(object.material.map.image, partyLabel.text, getPartyColor(partyLabel.party));
+      object.material.map.needsUpdate = true;
+    }
+  });
 }
\ No newline at end of file
@@ -0,0 +1,299 @@
+import { INPUT_ACTIONS, AXIS_SOURCES, getSourceKind } from './input-actions.js';
+
+/**
+ * Creates the controls panel, where the input actions are rebound: each action
+ * lists its keys, buttons and sticks, with a button to add another (press the
+ * key or button to use) and one to remove each. Bindings can be reset to the
+ * defaults, saved as a JSON file and loaded from one.
+ * @param {Object} options - Panel options
+ * @param {Object} options.input - Input actions (see input-actions.js)
+ * @returns {Object} Panel with open(), close() and isOpen()
+ */
+export function createControlsPanel(options) {
+  const { input } = options;
+  const labels = new Map(INPUT_ACTIONS.map(action => [action.name, action.label]));
+  let open = false;
+
+  // Action waiting for a key or button to be pressed, if any
+  let capturingAction = null;
+
+  const buttonStyle = {
+    margin: '3px',
+    padding: '5px 8px',
+    backgroundColor: '#333',
+    color: 'white',
+    border: 'none',
+    borderRadius: '3px',
+    cursor: 'pointer'
+  };
+
+  const element = document.createElement('div');
+  element.id = 'controls-panel';
+  Object.assign(element.style, {
+    position: 'fixed',
+    bottom: '160px',
+    right: '20px',
+    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+    color: 'white',
+    padding: '10px',
+    borderRadius: '5px',
+    width: '360px',
+    maxHeight: '60vh',
+    overflowY: 'auto',
+    fontSize: '13px',
+    zIndex: '1000',
+    display: 'none'
+  });
+
+  const title = document.createElement('strong');
+  title.textContent = 'Controls';
+  element.appendChild(title);
+
+  const help = document.createElement('p');
+  help.style.margin = '5px 0';
+  help.textContent = 'Press + and then the key or button to use. Keys stay where they are on any keyboard layout.';
+  element.appendChild(help);
+
+  const table = document.createElement('table');
+  table.style.borderCollapse = 'collapse';
+  table.style.width = '100%';
+  element.appendChild(table);
+
+  const status = document.createElement('p');
+  status.style.margin = '5px 0';
+  status.style.minHeight = '1em';
+  element.appendChild(status);
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'application/json,.json';
+  fileInput.style.display = 'none';
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files.length > 0) loadBindings(fileInput.files[0]);
+    fileInput.value = '';
+  });
+  element.appendChild(fileInput);
+
+  const buttons = [
+    { label: 'Reset to defaults', action: () => {
+      input.resetBindings();
+      render();
+      setStatus('Default controls restored');
+    } },
+    { label: 'Save bindings', action: saveBindings },
+    { label: 'Load bindings', action: () => fileInput.click() },
+    { label: 'Close', action: () => panel.close() }
+  ];
+  buttons.forEach(({ label, action }) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    Object.assign(button.style, buttonStyle);
+    button.addEventListener('click', action);
+    element.appendChild(button);
+  });
+
+  document.body.appendChild(element);
+
+  /**
+   * Rebuilds the table of actions and their bindings
+   */
+  function render() {
+    table.innerHTML = '';
+    const bindings = input.getBindings();
+
+    INPUT_ACTIONS.forEach(action => {
+      const row = document.createElement('tr');
+      row.style.borderTop = '1px solid #444';
+
+      const name = document.createElement('td');
+      name.textContent = action.label;
+      name.style.padding = '4px 6px 4px 0';
+      name.style.whiteSpace = 'nowrap';
+      row.appendChild(name);
+
+      const cell = document.createElement('td');
+      cell.style.padding = '4px 0';
+      bindings[action.name].forEach(source => {
+        cell.appendChild(createChip(action, source));
+      });
+      cell.appendChild(action.type === 'axis' ? createAxisPicker(action, bindings[action.name]) : createAddButton(action));
+      row.appendChild(cell);
+
+      table.appendChild(row);
+    });
+  }
+
+  /**
+   * Builds the label of a bound source, with a button to unbind it
+   * @param {Object} action - The action
+   * @param {string} source - Source name
+   * @returns {HTMLElement} Chip
+   */
+  function createChip(action, source) {
+    const chip = document.createElement('span');
+    Object.assign(chip.style, {
+      display: 'inline-block',
+      margin: '2px',
+      padding: '2px 4px 2px 6px',
+      backgroundColor: '#555',
+      borderRadius: '3px',
+      whiteSpace: 'nowrap'
+    });
+    chip.textContent = input.describeSource(source);
+
+    const remove = document.createElement('button');
+    remove.textContent = '×';
+    remove.title = `Remove ${input.describeSource(source)}`;
+    Object.assign(remove.style, {
+      marginLeft: '4px',
+      padding: '0 3px',
+      backgroundColor: 'transparent',
+      color: 'white',
+      border: 'none',
+      cursor: 'pointer'
+    });
+    remove.addEventListener('click', () => {
+      input.removeBinding(action.name, source);
+      render();
+      setStatus('');
+    });
+    chip.appendChild(remove);
+    return chip;
+  }
+
+  /**
+   * Builds the button that binds the next key or button pressed to an action
+   * @param {Object} action - A button action
+   * @returns {HTMLElement} Button
+   */
+  function createAddButton(action) {
+    const add = document.createElement('button');
+    add.textContent = capturingAction === action.name ? 'Press a key or button...' : '+';
+    add.title = `Add a key or button to ${action.label.toLowerCase()}`;
+    Object.assign(add.style, buttonStyle, { padding: '2px 8px' });
+
+    add.addEventListener('click', () => {
+      input.cancelCapture();
+      capturingAction = action.name;
+
+      // Clicks on the panel itself are not captured, so they still work
+      input.captureNext(source => {
+        capturingAction = null;
+        if (source) bind(action, source);
+        else setStatus('');
+        render();
+      }, element);
+      render();
+      setStatus('Esc to cancel');
+    });
+    return add;
+  }
+
+  /**
+   * Builds the list of sticks and pointers that can be added to an axis action
+   * @param {Object} action - An axis action
+   * @param {Array} bound - Sources already bound to it
+   * @returns {HTMLElement} Select element
+   */
+  function createAxisPicker(action, bound) {
+    const select = document.createElement('select');
+    Object.assign(select.style, { margin: '2px', backgroundColor: '#333', color: 'white', border: 'none' });
+
+    const prompt = document.createElement('option');
+    prompt.textContent = 'Add...';
+    prompt.value = '';
+    select.appendChild(prompt);
+
+    AXIS_SOURCES
+      .filter(source => !bound.includes(source) && action.sources.includes(getSourceKind(source)))
+      .forEach(source => {
+        const option = document.createElement('option');
+        option.value = source;
+        option.textContent = input.describeSource(source);
+        select.appendChild(option);
+      });
+
+    select.disabled = select.options.length === 1;
+    select.addEventListener('change', () => {
+      if (select.value) bind(action, select.value);
+      render();
+    });
+    return select;
+  }
+
+  /**
+   * Binds a source to an action and reports what it was taken from
+   * @param {Object} action - The action
+   * @param {string} source - Source name
+   */
+  function bind(action, source) {
+    try {
+      const takenFrom = input.addBinding(action.name, source);
+      setStatus(takenFrom.length > 0
+        ? `${input.describeSource(source)} moved from ${takenFrom.map(name => labels.get(name)).join(', ')}`
+        : `${input.describeSource(source)} added`);
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  /**
+   * Downloads the bindings as a JSON file
+   */
+  function saveBindings() {
+    const url = URL.createObjectURL(new Blob([input.exportBindings()], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'controls.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Loads a bindings file in place of the current bindings
+   * @param {File} file - The chosen file
+   */
+  function loadBindings(file) {
+    file.text()
+      .then(text => {
+        input.importBindings(text);
+        render();
+        setStatus(`Loaded ${file.name}`);
+      })
+      .catch(error => {
+        console.error('Error loading bindings:', error);
+        setStatus(error.message, true);
+      });
+  }
+
+  /**
+   * Shows a message on the panel's status line
+   * @param {string} message - Message
+   * @param {boolean} [isError] - Whether the message reports an error
+   */
+  function setStatus(message, isError = false) {
+    status.textContent = message;
+    status.style.color = isError ? '#ff8080' : 'white';
+  }
+
+  const panel = {
+    open() {
+      open = true;
+      element.style.display = 'block';
+      render();
+      setStatus('');
+    },
+
+    close() {
+      input.cancelCapture();
+      open = false;
+      element.style.display = 'none';
+    },
+
+    isOpen() {
+      return open;
+    }
+  };
+
+  return panel;
+}
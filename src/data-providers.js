@@ -0,0 +1,304 @@
+import rosterData from './data/mp_portraits.json';
+
+/**
+ * MP data providers.
+ *
+ * A provider is a plain object with a name, a source (where it reads from,
+ * e.g. the API origin) and two methods, both returning promises:
+ * - getRoster(): entries shaped like mp_portraits.json
+ *   ({ name, person_id, party_affiliation, constituency, portrait_URL })
+ * - getFeaturedMPs(): records shaped like mps.json (with position and bio)
+ *
+ * The loader only talks to this interface, so sources can be swapped through
+ * configuration without touching mp-loader.js.
+ */
+
+const MEMBERS_API_URL = 'https://members-api.parliament.uk';
+
+// The Members API returns at most 20 results per page
+const MEMBERS_API_PAGE_SIZE = 20;
+
+// House of Commons in the Members API's House enumeration
+const HOUSE_OF_COMMONS = 1;
+
+/**
+ * Reads the data source configuration from Vite env variables, allowing a
+ * `?source=` query parameter to override the provider type for quick swaps
+ * @returns {Object} Data source configuration
+ */
+export function readDataSourceConfig() {
+  const env = import.meta.env || {};
+  const params = new URLSearchParams(window.location.search);
+
+  return {
+    type: params.get('source') || env.VITE_MP_SOURCE || 'static',
+    apiUrl: env.VITE_MEMBERS_API_URL || MEMBERS_API_URL,
+    cache: (params.get('cache') || env.VITE_MP_CACHE) === 'true',
+    cacheMaxAge: Number(env.VITE_MP_CACHE_MAX_AGE) || 24 * 60 * 60 * 1000
+  };
+}
+
+/**
+ * Creates the provider described by a data source configuration
+ * @param {Object} [config] - Configuration from readDataSourceConfig
+ * @returns {Object} Data provider
+ */
+export function createDataProvider(config = readDataSourceConfig()) {
+  let provider;
+
+  switch (config.type) {
+    case 'static':
+      provider = createStaticProvider();
+      break;
+    case 'members-api':
+      provider = createMembersApiProvider({ baseUrl: config.apiUrl });
+      break;
+    default:
+      console.warn(`Unknown MP data source "${config.type}", using static data`);
+      provider = createStaticProvider();
+  }
+
+  if (config.cache) {
+    provider = createCachedProvider(provider, { maxAge: config.cacheMaxAge });
+  }
+
+  return provider;
+}
+
+/**
+ * Creates a provider serving the JSON files bundled with the app
+ * @param {Object} [options] - Provider options
+ * @param {Array} [options.roster] - Roster entries (defaults to mp_portraits.json)
+ * @param {string} [options.featuredPath] - Path of mps.json under the public dir
+ * @returns {Object} Data provider
+ */
+export function createStaticProvider(options = {}) {
+  const roster = options.roster || rosterData;
+  const featuredPath = options.featuredPath || '/data/mps.json';
+
+  return {
+    name: 'static',
+    source: featuredPath,
+    getRoster: () => Promise.resolve(roster),
+    getFeaturedMPs: () => fetchFeaturedMPs(featuredPath)
+  };
+}
+
+/**
+ * Creates a provider that reads the roster from a server speaking the
+ * members-api.parliament.uk REST paths: either the real API or the local
+ * stand-in in server/mock-members-api.mjs. The API has no biographies, so
+ * featured MPs still come from the static mps.json.
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.baseUrl] - API origin, without a trailing slash
+ * @returns {Object} Data provider
+ */
+export function createMembersApiProvider(options = {}) {
+  const baseUrl = (options.baseUrl || MEMBERS_API_URL).replace(/\/$/, '');
+  const featured = createStaticProvider();
+
+  return {
+    name: 'members-api',
+    source: baseUrl,
+    getRoster: () => fetchCurrentMembers(baseUrl),
+    getFeaturedMPs: () => featured.getFeaturedMPs()
+  };
+}
+
+/**
+ * Wraps a provider with an IndexedDB cache. Fresh entries are served from the
+ * cache; stale entries are refreshed, but still served if the source fails,
+ * which keeps the app usable offline after one successful load. Entries are
+ * keyed by the provider's source as well as its name, so pointing a provider
+ * at another server does not serve the old server's data. The database is
+ * opened once and shared by every read and write.
+ * @param {Object} provider - Provider to wrap
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.maxAge] - Age in milliseconds after which entries are refreshed
+ * @param {string} [options.dbName] - IndexedDB database name
+ * @returns {Object} Data provider
+ */
+export function createCachedProvider(provider, options = {}) {
+  const maxAge = options.maxAge ?? 24 * 60 * 60 * 1000;
+  const dbName = options.dbName || 'inside-parliament';
+  let database = null;
+
+  // Opens the database on first use; another tab upgrading it closes this
+  // connection, and the next read opens a new one
+  const getDatabase = () => {
+    if (!database) {
+      database = openCacheDatabase(dbName).then(db => {
+        if (db) {
+          db.onversionchange = () => {
+            db.close();
+            database = null;
+          };
+        }
+        return db;
+      });
+    }
+    return database;
+  };
+
+  const cached = method => () => {
+    const key = `${provider.name}:${provider.source}:${method}`;
+
+    return getDatabase().then(db => readCacheEntry(db, key)).then(entry => {
+      if (entry && Date.now() - entry.savedAt < maxAge) {
+        return entry.value;
+      }
+
+      return provider[method]()
+        .then(value => getDatabase().then(db => writeCacheEntry(db, key, value)).then(() => value))
+        .catch(error => {
+          if (!entry) throw error;
+          console.warn(`Using stale cached ${method} from ${provider.name}:`, error);
+          return entry.value;
+        });
+    });
+  };
+
+  return {
+    name: `cached-${provider.name}`,
+    source: provider.source,
+    getRoster: cached('getRoster'),
+    getFeaturedMPs: cached('getFeaturedMPs')
+  };
+}
+
+/**
+ * Fetches mps.json, resolving its path against the app's base URL
+ * @param {string} path - Path of the file under the public dir
+ * @returns {Promise<Array>} Promise resolving to the MP records
+ */
+function fetchFeaturedMPs(path) {
+  // Get the base URL for the current environment
+  const baseUrl = import.meta.env?.BASE_URL || '/';
+
+  // Ensure baseUrl starts with http/https for URL constructor
+  const fullBaseUrl = baseUrl.startsWith('http') ? baseUrl : window.location.origin + baseUrl;
+
+  // Construct the full path to mps.json
+  const dataPath = new URL(path, fullBaseUrl).pathname;
+
+  return fetch(dataPath)
+    .then(response => {
+      if (!response.ok) {
+        // Try fallback path if first attempt fails
+        return fetch(path).then(fallbackResponse => {
+          if (!fallbackResponse.ok) {
+            throw new Error('Failed to load MP data');
+          }
+          return fallbackResponse.json();
+        });
+      }
+      return response.json();
+    });
+}
+
+/**
+ * Fetches every current member of the Commons from the Members API search
+ * endpoint, one page at a time after the first reveals the total
+ * @param {string} baseUrl - API origin
+ * @returns {Promise<Array>} Promise resolving to roster entries
+ */
+function fetchCurrentMembers(baseUrl) {
+  const fetchPage = skip => {
+    const url = `${baseUrl}/api/Members/Search?House=${HOUSE_OF_COMMONS}` +
+      `&IsCurrentMember=true&skip=${skip}&take=${MEMBERS_API_PAGE_SIZE}`;
+
+    return fetch(url).then(response => {
+      if (!response.ok) {
+        throw new Error(`Members API request failed (${response.status}): ${url}`);
+      }
+      return response.json();
+    });
+  };
+
+  return fetchPage(0).then(first => {
+    const pages = [];
+    for (let skip = MEMBERS_API_PAGE_SIZE; skip < first.totalResults; skip += MEMBERS_API_PAGE_SIZE) {
+      pages.push(fetchPage(skip));
+    }
+
+    return Promise.all(pages).then(rest => [first, ...rest]
+      .flatMap(page => page.items)
+      .map(item => memberToRosterEntry(item.value, baseUrl)));
+  });
+}
+
+/**
+ * Converts a Members API member into a roster entry. In this dataset the
+ * Public Whip person number matches the Members API id.
+ * @param {Object} member - Member value from the API
+ * @param {string} baseUrl - API origin, used for the portrait URL
+ * @returns {Object} Roster entry
+ */
+function memberToRosterEntry(member, baseUrl) {
+  return {
+    name: member.nameDisplayAs,
+    person_id: `uk.org.publicwhip/person/${member.id}`,
+    party_affiliation: member.latestParty ? member.latestParty.name : 'Independent',
+    constituency: member.latestHouseMembership ? member.latestHouseMembership.membershipFrom : '',
+    portrait_URL: `${baseUrl}/api/Members/${member.id}/Portrait?cropType=ThreeFour`
+  };
+}
+
+/**
+ * Opens the cache database, creating its object store on first use
+ * @param {string} dbName - Database name
+ * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable
+ */
+function openCacheDatabase(dbName) {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  return new Promise(resolve => {
+    const request = indexedDB.open(dbName, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('responses', { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn('IndexedDB unavailable, MP data will not be cached:', request.error);
+      resolve(null);
+    };
+  });
+}
+
+/**
+ * Reads a cache entry
+ * @param {IDBDatabase|null} db - Cache database, null if IndexedDB is unavailable
+ * @param {string} key - Entry key
+ * @returns {Promise<Object|null>} The entry ({ key, savedAt, value }), or null
+ */
+function readCacheEntry(db, key) {
+  if (!db) return Promise.resolve(null);
+
+  return new Promise(resolve => {
+    const request = db.transaction('responses').objectStore('responses').get(key);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => resolve(null);
+  });
+}
+
+/**
+ * Writes a cache entry. Failures are logged rather than thrown, since the
+ * value has already been fetched successfully.
+ * @param {IDBDatabase|null} db - Cache database, null if IndexedDB is unavailable
+ * @param {string} key - Entry key
+ * @param {*} value - Value to store
+ * @returns {Promise<void>}
+ */
+function writeCacheEntry(db, key, value) {
+  if (!db) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const transaction = db.transaction('responses', 'readwrite');
+    transaction.objectStore('responses').put({ key, savedAt: Date.now(), value });
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => {
+      console.warn(`Failed to cache ${key}:`, transaction.error);
+      resolve();
+    };
+  });
+}
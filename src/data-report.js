@@ -0,0 +1,79 @@
+/**
+ * Shows an on-screen report of MP data problems found at load time
+ * @param {Object} report - Report from loadMPs' onDataErrors: either a
+ *   validation report ({ total, valid, invalid }) or { error } for data that
+ *   could not be loaded at all
+ */
+export function showDataReport(report) {
+  let overlay = document.getElementById('data-report');
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.id = 'data-report';
+    overlay.setAttribute('role', 'alert');
+    Object.assign(overlay.style, {
+      position: 'fixed',
+      top: '20px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      maxWidth: '500px',
+      maxHeight: '50vh',
+      overflowY: 'auto',
+      backgroundColor: 'rgba(80, 0, 0, 0.9)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '5px',
+      fontSize: '13px',
+      zIndex: '1100',
+      boxShadow: '0 0 10px rgba(0, 0, 0, 0.5)'
+    });
+    document.body.appendChild(overlay);
+  }
+
+  overlay.innerHTML = '';
+
+  const title = document.createElement('h3');
+  title.style.marginTop = '0';
+  overlay.appendChild(title);
+
+  const summary = document.createElement('p');
+  overlay.appendChild(summary);
+
+  if (report.error) {
+    title.textContent = 'MP data could not be loaded';
+    summary.textContent = `${report.error.message || report.error}. The chamber has no MPs.`;
+  } else {
+    title.textContent = 'Problems in MP data';
+    summary.textContent = `${report.invalid.length} of ${report.total} records were skipped; ` +
+      `the other ${report.valid.length} are shown.`;
+
+    // Record contents come from external files, so only ever set them as text
+    const list = document.createElement('ul');
+    list.style.paddingLeft = '20px';
+    report.invalid.forEach(entry => {
+      const item = document.createElement('li');
+      const label = document.createElement('strong');
+      label.textContent = entry.label;
+      item.appendChild(label);
+      item.appendChild(document.createTextNode(`: ${entry.problems.join('; ')}`));
+      list.appendChild(item);
+    });
+    overlay.appendChild(list);
+  }
+
+  const closeButton = document.createElement('button');
+  closeButton.textContent = 'Dismiss';
+  Object.assign(closeButton.style, {
+    background: '#333',
+    color: 'white',
+    border: 'none',
+    padding: '5px 10px',
+    cursor: 'pointer',
+    float: 'right'
+  });
+  closeButton.addEventListener('click', event => {
+    // Keep the click from locking the pointer controls
+    event.stopPropagation();
+    overlay.remove();
+  });
+  overlay.appendChild(closeButton);
+}
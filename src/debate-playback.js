@@ -0,0 +1,543 @@
+import { createHighlight } from './mp-highlight.js';
+
+/**
+ * Debate playback: plays a transcript back in the chamber. The MP speaking
+ * rises and is highlighted, a subtitle bar shows what they say, and the
+ * caller is told whenever the speaker changes (to move the info panel along).
+ *
+ * Transcript format, modelled on Hansard:
+ * {
+ *   "title": "Engagements",                      (optional)
+ *   "date": "2025-01-15",                        (optional)
+ *   "contributions": [
+ *     { "memberId": 4514, "timestamp": "12:00:09", "text": "..." },
+ *     ...
+ *   ]
+ * }
+ * Contributions are in order. Timestamps are times of day (HH:MM or
+ * HH:MM:SS) or ISO date-times; each contribution lasts until the next one
+ * starts. The Hansard API field names MemberId, Timecode, Value and
+ * AttributedTo are accepted too. A contribution whose member is not in the
+ * chamber is still subtitled, under its attributedTo name if it has one.
+ */
+
+// Reading pace used to time the last contribution
+const WORDS_PER_SECOND = 2.5;
+const MIN_LAST_DURATION = 3;
+
+// How far the speaking MP's figure rises
+const STAND_RISE = 0.25;
+
+const SPEED_OPTIONS = [0.5, 1, 1.5, 2, 4];
+
+/**
+ * Parses and checks a debate transcript
+ * @param {Object} data - Transcript, as in the format above
+ * @returns {Object} Transcript with title, date, duration (seconds) and
+ *   contributions, each as { memberId, name, text, start, end } in seconds
+ *   from the first contribution
+ * @throws {Error} If the transcript cannot be played
+ */
+export function parseTranscript(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.contributions)) {
+    throw new Error('Transcript needs a list of contributions');
+  }
+
+  if (data.contributions.length === 0) {
+    throw new Error('Transcript has no contributions');
+  }
+
+  let origin = null;
+  let previous = -Infinity;
+
+  const contributions = data.contributions.map((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`Contribution ${index + 1} is not an object`);
+    }
+
+    const memberId = entry.memberId ?? entry.MemberId;
+    const text = entry.text ?? entry.Value;
+    const time = readTimestamp(entry.timestamp ?? entry.Timecode);
+
+    if (typeof text !== 'string' || text.trim() === '') {
+      throw new Error(`Contribution ${index + 1} has no text`);
+    }
+    if (time === null) {
+      throw new Error(`Contribution ${index + 1} has no valid timestamp`);
+    }
+    if (time < previous) {
+      throw new Error(`Contribution ${index + 1} is out of order`);
+    }
+
+    previous = time;
+    if (origin === null) origin = time;
+
+    return {
+      memberId,
+      name: entry.attributedTo ?? entry.AttributedTo ?? '',
+      text: text.trim(),
+      start: time - origin,
+      end: 0
+    };
+  });
+
+  contributions.forEach((contribution, index) => {
+    const next = contributions[index + 1];
+    contribution.end = next
+      ? next.start
+      : contribution.start + Math.max(MIN_LAST_DURATION, contribution.text.split(/\s+/).length / WORDS_PER_SECOND);
+  });
+
+  return {
+    title: typeof data.title === 'string' ? data.title : '',
+    date: typeof data.date === 'string' ? data.date : '',
+    duration: contributions[contributions.length - 1].end,
+    contributions
+  };
+}
+
+/**
+ * Loads a transcript from a URL under the public dir
+ * @param {string} path - Path of the transcript, e.g. '/data/debates/sample-debate.json'
+ * @returns {Promise<Object>} Promise resolving to the parsed transcript
+ */
+export function loadTranscript(path) {
+  const baseUrl = import.meta.env?.BASE_URL || '/';
+  const fullBaseUrl = baseUrl.startsWith('http') ? baseUrl : window.location.origin + baseUrl;
+
+  return fetch(new URL(path.replace(/^\//, ''), fullBaseUrl).pathname)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to load transcript (${response.status})`);
+      }
+      return response.json();
+    })
+    .then(parseTranscript);
+}
+
+/**
+ * Creates the debate player, its control panel and subtitle bar
+ * @param {Object} options - Player options
+ * @param {Array} options.mps - Array of MP objects
+ * @param {THREE.Scene} options.scene - The Three.js scene, for the speaker highlight
+ * @param {Function} [options.onStart] - Called when a transcript is loaded, e.g. to stop a division
+ * @param {Function} [options.onSpeakerChange] - Called with (mp, contribution)
+ *   when someone new starts speaking; mp is null if they are not in the chamber
+ * @returns {Object} Player with open(), close(), isOpen(), load(transcript),
+ *   play(), pause(), seek(seconds), setSpeed(speed), isPlaying(),
+ *   getCurrentSpeaker() and update(delta), to be called every frame
+ */
+export function createDebatePlayback(options) {
+  const { mps, scene } = options;
+
+  const mpsById = new Map(mps.map(mp => [mp.data.id, mp]));
+
+  let open = false;
+  let transcript = null;
+  let time = 0;
+  let playing = false;
+  let speed = 1;
+  let currentIndex = -1;
+  let speaker = null; // MP currently standing
+
+  const highlight = createHighlight();
+  scene.add(highlight);
+
+  const panel = createPanel();
+  const subtitles = createSubtitleBar();
+
+  /**
+   * Loads a transcript and starts playing it from the beginning
+   * @param {Object} newTranscript - Parsed transcript
+   */
+  function load(newTranscript) {
+    if (options.onStart) options.onStart();
+
+    transcript = newTranscript;
+    currentIndex = -1;
+    seek(0);
+    play();
+
+    const missing = transcript.contributions.filter(contribution => !findMP(contribution.memberId)).length;
+    setStatus(missing > 0 ? `${missing} contributions are by members not in the chamber` : '');
+  }
+
+  function play() {
+    if (!transcript) return;
+    if (time >= transcript.duration) seek(0);
+    playing = true;
+    updatePanel();
+  }
+
+  function pause() {
+    playing = false;
+    updatePanel();
+  }
+
+  /**
+   * Jumps to a point in the transcript
+   * @param {number} seconds - Seconds from the start
+   */
+  function seek(seconds) {
+    if (!transcript) return;
+    time = Math.min(Math.max(seconds, 0), transcript.duration);
+    showContribution(findContributionIndex(time));
+    updatePanel();
+  }
+
+  /**
+   * Stops playback and sits the speaker back down
+   */
+  function unload() {
+    playing = false;
+    transcript = null;
+    currentIndex = -1;
+    setSpeaker(null);
+    subtitles.element.style.display = 'none';
+    updatePanel();
+  }
+
+  /**
+   * Advances playback
+   * @param {number} delta - Seconds since the last frame
+   */
+  function update(delta) {
+    if (!playing || !transcript) return;
+
+    time += Math.min(delta, 0.1) * speed;
+    if (time >= transcript.duration) {
+      time = transcript.duration;
+      playing = false;
+    }
+
+    const index = findContributionIndex(time);
+    if (index !== currentIndex) {
+      showContribution(index);
+    }
+    updatePanel();
+  }
+
+  /**
+   * Finds the contribution being spoken at a time
+   * @param {number} seconds - Seconds from the start
+   * @returns {number} Contribution index, or -1 once the transcript has ended
+   */
+  function findContributionIndex(seconds) {
+    const { contributions } = transcript;
+    if (seconds >= transcript.duration) return -1;
+
+    let index = 0;
+    while (index < contributions.length - 1 && contributions[index + 1].start <= seconds) {
+      index++;
+    }
+    return index;
+  }
+
+  /**
+   * Finds the MP for a member id, if they are in the chamber
+   * @param {number|string} memberId - Member id
+   * @returns {Object|null} The MP object
+   */
+  function findMP(memberId) {
+    const mp = mpsById.get(memberId) || mpsById.get(Number(memberId));
+    return mp && mp.mesh.visible ? mp : null;
+  }
+
+  /**
+   * Shows a contribution: stands its speaker and subtitles the text
+   * @param {number} index - Contribution index, or -1 for none
+   */
+  function showContribution(index) {
+    currentIndex = index;
+    const contribution = index >= 0 ? transcript.contributions[index] : null;
+
+    if (!contribution) {
+      setSpeaker(null);
+      subtitles.element.style.display = 'none';
+      return;
+    }
+
+    const mp = findMP(contribution.memberId);
+    const changed = mp !== speaker || !mp;
+    setSpeaker(mp);
+
+    subtitles.name.textContent = mp ? mp.data.name : (contribution.name || `Member ${contribution.memberId}`);
+    subtitles.text.textContent = contribution.text;
+    subtitles.element.style.display = 'block';
+
+    if (changed && options.onSpeakerChange) {
+      options.onSpeakerChange(mp, contribution);
+    }
+  }
+
+  /**
+   * Sits the current speaker down and stands a new one
+   * @param {Object|null} mp - The MP who is speaking
+   */
+  function setSpeaker(mp) {
+    if (speaker === mp) return;
+
+    if (speaker && speaker.placement) {
+      speaker.mesh.position.y = speaker.placement.position.y;
+    }
+
+    speaker = mp;
+    highlight.visible = Boolean(mp);
+
+    if (mp) {
+      mp.mesh.position.y = mp.placement.position.y + STAND_RISE;
+      highlight.position.copy(mp.mesh.position);
+    }
+  }
+
+  /**
+   * Chooses and loads a transcript file from disk
+   * @param {File} file - The chosen file
+   */
+  function loadFile(file) {
+    file.text()
+      .then(text => load(parseTranscript(JSON.parse(text))))
+      .catch(error => {
+        console.error('Error loading transcript:', error);
+        setStatus(error.message, true);
+      });
+  }
+
+  /**
+   * Builds the player's control panel
+   * @returns {Object} Panel elements
+   */
+  function createPanel() {
+    const element = document.createElement('div');
+    element.id = 'debate-panel';
+    Object.assign(element.style, {
+      position: 'fixed',
+      bottom: '160px',
+      right: '20px',
+      backgroundColor: 'rgba(0, 0, 0, 0.8)',
+      color: 'white',
+      padding: '10px',
+      borderRadius: '5px',
+      width: '260px',
+      fontSize: '13px',
+      zIndex: '1000',
+      display: 'none'
+    });
+
+    const title = document.createElement('strong');
+    title.textContent = 'Debate playback';
+    element.appendChild(title);
+
+    const heading = document.createElement('p');
+    heading.style.margin = '5px 0';
+    element.appendChild(heading);
+
+    const seekBar = document.createElement('input');
+    seekBar.type = 'range';
+    seekBar.min = '0';
+    seekBar.step = '0.1';
+    seekBar.style.width = '100%';
+    seekBar.addEventListener('input', () => seek(Number(seekBar.value)));
+    element.appendChild(seekBar);
+
+    const clock = document.createElement('p');
+    clock.style.margin = '5px 0';
+    clock.style.fontFamily = 'monospace';
+    element.appendChild(clock);
+
+    const status = document.createElement('p');
+    status.style.margin = '5px 0';
+    status.style.minHeight = '1em';
+    element.appendChild(status);
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) loadFile(fileInput.files[0]);
+      fileInput.value = '';
+    });
+    element.appendChild(fileInput);
+
+    const buttons = [
+      { label: 'Play', action: () => (playing ? pause() : play()) },
+      {
+        label: 'Sample debate',
+        action: () => loadTranscript('/data/debates/sample-debate.json')
+          .then(load)
+          .catch(error => {
+            console.error('Error loading transcript:', error);
+            setStatus(error.message, true);
+          })
+      },
+      { label: 'Load transcript', action: () => fileInput.click() },
+      { label: 'Close', action: () => player.close() }
+    ];
+
+    const buttonElements = buttons.map(({ label, action }) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      Object.assign(button.style, {
+        margin: '3px',
+        padding: '5px 8px',
+        backgroundColor: '#333',
+        color: 'white',
+        border: 'none',
+        borderRadius: '3px',
+        cursor: 'pointer'
+      });
+      button.addEventListener('click', action);
+      element.appendChild(button);
+      return button;
+    });
+
+    const speedSelect = document.createElement('select');
+    SPEED_OPTIONS.forEach(option => {
+      const item = document.createElement('option');
+      item.value = option;
+      item.textContent = `${option}x`;
+      item.selected = option === speed;
+      speedSelect.appendChild(item);
+    });
+    speedSelect.style.margin = '3px';
+    speedSelect.addEventListener('change', () => {
+      speed = Number(speedSelect.value);
+    });
+
+    const speedLabel = document.createElement('label');
+    speedLabel.textContent = 'Speed ';
+    speedLabel.appendChild(speedSelect);
+    element.appendChild(speedLabel);
+
+    document.body.appendChild(element);
+    return { element, heading, seekBar, clock, status, playButton: buttonElements[0], speedSelect };
+  }
+
+  /**
+   * Creates the subtitle bar
+   * @returns {Object} Subtitle bar element with its name and text parts
+   */
+  function createSubtitleBar() {
+    const element = document.createElement('div');
+    element.id = 'debate-subtitles';
+    Object.assign(element.style, {
+      position: 'fixed',
+      bottom: '20px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      backgroundColor: 'rgba(0, 0, 0, 0.8)',
+      color: 'white',
+      padding: '10px 20px',
+      borderRadius: '5px',
+      maxWidth: '50%',
+      textAlign: 'center',
+      fontSize: '16px',
+      zIndex: '1000',
+      display: 'none'
+    });
+
+    const name = document.createElement('strong');
+    name.style.display = 'block';
+    name.style.color = '#FFD700';
+    element.appendChild(name);
+
+    const text = document.createElement('span');
+    element.appendChild(text);
+
+    document.body.appendChild(element);
+    return { element, name, text };
+  }
+
+  /**
+   * Refreshes the panel from the playback state
+   */
+  function updatePanel() {
+    panel.heading.textContent = transcript
+      ? [transcript.title, transcript.date].filter(Boolean).join(' - ')
+      : 'Load a transcript to play a debate back.';
+    panel.seekBar.max = transcript ? String(transcript.duration) : '0';
+    panel.seekBar.value = String(time);
+    panel.seekBar.disabled = !transcript;
+    panel.clock.textContent = transcript ? `${formatTime(time)} / ${formatTime(transcript.duration)}` : '';
+    panel.playButton.textContent = playing ? 'Pause' : 'Play';
+    panel.playButton.disabled = !transcript;
+  }
+
+  /**
+   * Shows a message on the panel's status line
+   * @param {string} message - Message
+   * @param {boolean} [isError] - Whether the message reports an error
+   */
+  function setStatus(message, isError = false) {
+    panel.status.textContent = message;
+    panel.status.style.color = isError ? '#ff8080' : 'white';
+  }
+
+  const player = {
+    open() {
+      open = true;
+      panel.element.style.display = 'block';
+      updatePanel();
+    },
+
+    close() {
+      unload();
+      open = false;
+      panel.element.style.display = 'none';
+    },
+
+    isOpen() {
+      return open;
+    },
+
+    load,
+    play,
+    pause,
+    seek,
+    update,
+
+    setSpeed(newSpeed) {
+      speed = newSpeed;
+      panel.speedSelect.value = String(newSpeed);
+    },
+
+    isPlaying() {
+      return playing;
+    },
+
+    getCurrentSpeaker() {
+      return speaker;
+    }
+  };
+
+  updatePanel();
+  return player;
+}
+
+/**
+ * Reads a contribution timestamp
+ * @param {*} value - Time of day (HH:MM or HH:MM:SS) or ISO date-time
+ * @returns {number|null} Seconds, or null if the value is not a timestamp
+ */
+function readTimestamp(value) {
+  if (typeof value !== 'string') return null;
+
+  const clock = value.trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?$/);
+  if (clock) {
+    return Number(clock[1]) * 3600 + Number(clock[2]) * 60 + Number(clock[3] || 0);
+  }
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed / 1000;
+}
+
+/**
+ * Formats seconds as m:ss
+ * @param {number} seconds - Seconds
+ * @returns {string} Formatted time
+ */
+function formatTime(seconds) {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,151 @@
+import * as THREE from 'three';
+
+/**
+ * Deep links: the view (camera position and orientation, first-person or
+ * overview mode, the orbit target and the selected MP) encoded in the URL
+ * hash, so a view can be shared, e.g.
+ *   #mode=overview&pos=0.00,8.00,12.00&target=0.00,1.00,0.00&mp=4514
+ *   #mode=fp&pos=2.00,1.60,0.00&look=90.0,-10.0
+ * look is yaw and pitch in degrees. Fields that are missing or invalid are
+ * skipped, so a damaged link still restores whatever it can.
+ */
+
+// Positions in a link are kept within the model
+const BOUNDS = new THREE.Box3(new THREE.Vector3(-20, 0, -20), new THREE.Vector3(20, 30, 20));
+
+const MAX_PITCH = 89;
+
+/**
+ * Reads the view from a URL hash
+ * @param {string} hash - URL hash, with or without the leading #
+ * @returns {Object|null} View ({ mode, position, yaw, pitch, target, mpId },
+ *   any of which may be null), or null if the hash holds no view
+ */
+export function parseDeepLink(hash) {
+  const fields = new Map();
+  hash.replace(/^#/, '').split('&').forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator > 0) {
+      try {
+        fields.set(pair.slice(0, separator), decodeURIComponent(pair.slice(separator + 1)));
+      } catch (error) {
+        // Malformed escapes: skip the field
+      }
+    }
+  });
+
+  if (!['mode', 'pos', 'look', 'target', 'mp'].some(key => fields.has(key))) {
+    return null;
+  }
+
+  const position = readVector(fields.get('pos'));
+  const target = readVector(fields.get('target'));
+  const look = readNumbers(fields.get('look'), 2);
+  const mp = fields.get('mp');
+
+  return {
+    mode: fields.get('mode') === 'overview' ? 'overview' : 'first-person',
+    position: position && position.clamp(BOUNDS.min, BOUNDS.max),
+    target: target && target.clamp(BOUNDS.min, BOUNDS.max),
+    yaw: look ? THREE.MathUtils.degToRad(look[0]) : null,
+    pitch: look ? THREE.MathUtils.degToRad(THREE.MathUtils.clamp(look[1], -MAX_PITCH, MAX_PITCH)) : null,
+    mpId: mp ? (/^\d+$/.test(mp) ? Number(mp) : mp) : null
+  };
+}
+
+/**
+ * Writes a view as a URL hash
+ * @param {Object} view - View ({ mode, position, yaw, pitch, target, mpId })
+ * @returns {string} Hash, without the leading #
+ */
+export function formatDeepLink(view) {
+  const fields = [`mode=${view.mode === 'overview' ? 'overview' : 'fp'}`];
+
+  if (view.position) {
+    fields.push(`pos=${formatVector(view.position)}`);
+  }
+  if (view.mode === 'overview' && view.target) {
+    fields.push(`target=${formatVector(view.target)}`);
+  } else if (view.yaw !== null && view.yaw !== undefined) {
+    const yaw = THREE.MathUtils.radToDeg(view.yaw).toFixed(1);
+    const pitch = THREE.MathUtils.radToDeg(view.pitch || 0).toFixed(1);
+    fields.push(`look=${yaw},${pitch}`);
+  }
+  if (view.mpId !== null && view.mpId !== undefined) {
+    fields.push(`mp=${encodeURIComponent(view.mpId)}`);
+  }
+
+  return fields.join('&');
+}
+
+/**
+ * Creates an updater that keeps the URL hash in step with the view, writing
+ * it once the view has stopped changing for a moment
+ * @param {Function} getView - Returns the current view
+ * @param {Object} [options] - Updater options
+ * @param {number} [options.delay] - Milliseconds to wait after the last change
+ * @returns {Object} Updater with update(), to be called every frame
+ */
+export function createDeepLinkUpdater(getView, options = {}) {
+  const delay = options.delay ?? 500;
+  let written = window.location.hash.replace(/^#/, '');
+  let pending = null;
+  let timer = null;
+
+  return {
+    update() {
+      const hash = formatDeepLink(getView());
+      if (hash === written || hash === pending) return;
+
+      pending = hash;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        // Replace rather than push, so moving around does not fill the history
+        window.history.replaceState(null, '', `#${pending}`);
+        written = pending;
+        pending = null;
+      }, delay);
+    }
+  };
+}
+
+/**
+ * Reads the camera's yaw and pitch, as first-person controls use them
+ * @param {THREE.Camera} camera - Camera
+ * @returns {Object} { yaw, pitch } in radians
+ */
+export function getLookAngles(camera) {
+  const euler = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ');
+  return { yaw: euler.y, pitch: euler.x };
+}
+
+/**
+ * Reads comma-separated numbers
+ * @param {string|undefined} value - Field value
+ * @param {number} count - Number of values expected
+ * @returns {Array<number>|null} Numbers, or null if the field is not valid
+ */
+function readNumbers(value, count) {
+  if (typeof value !== 'string') return null;
+  const numbers = value.split(',').map(Number);
+  return numbers.length === count && numbers.every(Number.isFinite) ? numbers : null;
+}
+
+/**
+ * Reads a vector field
+ * @param {string|undefined} value - Field value ("x,y,z")
+ * @returns {THREE.Vector3|null} Vector, or null if the field is not valid
+ */
+function readVector(value) {
+  const numbers = readNumbers(value, 3);
+  return numbers ? new THREE.Vector3(...numbers) : null;
+}
+
+/**
+ * Writes a vector field
+ * @param {THREE.Vector3} vector - Vector
+ * @returns {string} "x,y,z" to the centimetre
+ */
+function formatVector(vector) {
+  return [vector.x, vector.y, vector.z].map(value => value.toFixed(2)).join(',');
+}
@@ -0,0 +1,830 @@
+import * as THREE from 'three';
+import { importPublicWhipDivision } from './publicwhip-import.js';
+
+/**
+ * Division (vote) simulation. When the House divides, MPs who vote walk out
+ * of the chamber through the cross passage into the Aye lobby (behind the
+ * government benches) or the No lobby (behind the opposition benches), are
+ * counted as they pass the tellers, and walk back to their seats. Once the
+ * count is complete the tellers report to the Table and the Speaker
+ * announces the result.
+ *
+ * Division record format:
+ * {
+ *   "question": "That the Bill be now read a Second time.",
+ *   "title": "Sample Bill: Second Reading",    (optional)
+ *   "date": "2025-01-15",                       (optional)
+ *   "aye": [172, 4514, ...],                    MP ids voting Aye
+ *   "no": [1523, ...],                          MP ids voting No
+ *   "notVoting": [...],                         (optional) MPs who stay seated
+ *   "tellers": { "aye": [id, id], "no": [id, id] }   (optional)
+ * }
+ * As in Hansard, tellers are not counted in the totals. If a record names no
+ * tellers for a lobby, the first two MPs in the chamber voting that way are
+ * drafted and their votes come off the count.
+ */
+
+// Walking speed of the figures, in metres per second
+const WALK_SPEED = 1.4;
+
+// Time between MPs setting off, so that the lobbies fill as a queue
+const DEPARTURE_INTERVAL = 0.04;
+
+// Head start for the tellers, so they are at their desks before the first voters arrive
+const TELLER_HEAD_START = 4;
+
+// How long each MP stops while the tellers count them
+const COUNT_PAUSE = 0.3;
+
+// How long the Speaker's announcement stays on screen
+const ANNOUNCEMENT_DURATION = 8;
+
+// Where a seated figure's feet are relative to the bench top it stands on
+const TIER_FLOOR_OFFSET = 0.45;
+
+// Distance from a bench to the walkway in front of it
+const WALKWAY_OFFSET = 1.0;
+
+// End of the tiers at the entrance end of the chamber
+const TIER_END_Z = 13;
+
+// Where the tellers line up to report, facing the Speaker across the Table
+const REPORT_POSITIONS = [-1.2, -0.4, 0.4, 1.2].map(x => new THREE.Vector3(x, 0, -0.5));
+
+const SPEED_OPTIONS = [1, 2, 4, 8];
+
+// Colours for colouring the chamber by vote, matching the lobby floors
+const VOTE_COLORS = {
+  aye: 0x2E8B57,
+  no: 0xB22222,
+  abstain: 0xDAA520,
+  none: 0x555555
+};
+
+const VOTE_LABELS = {
+  aye: 'Aye',
+  no: 'No',
+  abstain: 'Abstained (voted both ways)',
+  absent: 'Absent'
+};
+
+/**
+ * Returns the colour for a vote
+ * @param {Object|null} entry - Vote ({ vote, teller }), or null for no recorded vote
+ * @returns {number} Colour as a hex number
+ */
+export function getVoteColor(entry) {
+  return entry && VOTE_COLORS[entry.vote] !== undefined ? VOTE_COLORS[entry.vote] : VOTE_COLORS.none;
+}
+
+/**
+ * Returns the colour for a vote as a CSS colour string
+ * @param {Object|null} entry - Vote ({ vote, teller })
+ * @returns {string} CSS colour
+ */
+export function getVoteCss(entry) {
+  return '#' + getVoteColor(entry).toString(16).padStart(6, '0');
+}
+
+/**
+ * Describes a vote for display
+ * @param {Object|null} entry - Vote ({ vote, teller })
+ * @returns {string} Description, e.g. "Aye (teller)"
+ */
+export function describeVote(entry) {
+  if (!entry) return 'Did not vote';
+  const label = VOTE_LABELS[entry.vote] || entry.vote;
+  return entry.teller ? `${label} (teller)` : label;
+}
+
+/**
+ * Builds the votes of a division record, by MP id
+ * @param {Object} division - Parsed division
+ * @returns {Map} Map of MP id to { vote, teller }
+ */
+export function getDivisionVotes(division) {
+  const votes = new Map();
+  division.notVoting.forEach(id => votes.set(id, { vote: 'absent', teller: false }));
+  ['aye', 'no'].forEach(vote => {
+    division[vote].forEach(id => votes.set(id, { vote, teller: false }));
+    division.tellers[vote].forEach(id => votes.set(id, { vote, teller: true }));
+  });
+  return votes;
+}
+
+/**
+ * Parses and checks a division record
+ * @param {Object} data - Division record, as in the format above
+ * @returns {Object} Division with question, title, date, aye, no, notVoting
+ *   and tellers ({ aye, no })
+ * @throws {Error} If the record is not a usable division
+ */
+export function parseDivision(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Division record must be an object');
+  }
+
+  if (typeof data.question !== 'string' || data.question.trim() === '') {
+    throw new Error('Division record has no question');
+  }
+
+  const readIds = (value, field) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) {
+      throw new Error(`Division "${field}" must be an array of MP ids`);
+    }
+    value.forEach((id, index) => {
+      if (typeof id !== 'number' && typeof id !== 'string') {
+        throw new Error(`Division "${field}" entry ${index + 1} is not an MP id`);
+      }
+    });
+    return value;
+  };
+
+  if (!Array.isArray(data.aye) || !Array.isArray(data.no)) {
+    throw new Error('Division record needs "aye" and "no" lists');
+  }
+
+  const tellers = data.tellers || {};
+
+  return {
+    question: data.question,
+    title: typeof data.title === 'string' ? data.title : '',
+    date: typeof data.date === 'string' ? data.date : '',
+    aye: readIds(data.aye, 'aye'),
+    no: readIds(data.no, 'no'),
+    notVoting: readIds(data.notVoting, 'notVoting'),
+    tellers: {
+      aye: readIds(tellers.aye, 'tellers.aye'),
+      no: readIds(tellers.no, 'tellers.no')
+    }
+  };
+}
+
+/**
+ * Loads a division record from a URL under the public dir
+ * @param {string} path - Path of the division file, e.g. '/data/divisions/sample-division.json'
+ * @returns {Promise<Object>} Promise resolving to the parsed division
+ */
+export function loadDivision(path) {
+  const baseUrl = import.meta.env?.BASE_URL || '/';
+  const fullBaseUrl = baseUrl.startsWith('http') ? baseUrl : window.location.origin + baseUrl;
+
+  return fetch(new URL(path.replace(/^\//, ''), fullBaseUrl).pathname)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to load division (${response.status})`);
+      }
+      return response.json();
+    })
+    .then(parseDivision);
+}
+
+/**
+ * Creates the division simulation and its control panel
+ * @param {Object} options - Simulation options
+ * @param {Array} options.mps - Array of MP objects
+ * @param {Object} options.lobbies - Lobbies from createHouseOfCommons ({ aye, no })
+ * @param {Function} [options.onStart] - Called when a division starts, e.g. to close the seating editor
+ * @param {Function} [options.onVotesChange] - Called when votes are loaded or
+ *   cleared, or colouring by vote is switched, to recolour the chamber
+ * @param {Function} [options.onPhaseChange] - Called with the new phase (idle,
+ *   dividing, reporting, announcing or returning) as the division goes on
+ * @returns {Object} Simulation with open(), close(), isOpen(), start(division),
+ *   stop(), isRunning(), update(delta) (to be called every frame), and
+ *   getVote(mpId), hasVotes() and isColouringByVote() for the loaded votes
+ */
+export function createDivisionSimulation(options) {
+  const { mps, lobbies } = options;
+
+  const mpsById = new Map(mps.map(mp => [mp.data.id, mp]));
+  const speaker = mps.find(mp => mp.seat && mp.seat.id === 'speaker-chair') || null;
+
+  let open = false;
+  let phase = 'idle'; // idle, dividing, reporting, announcing, returning
+  let division = null;
+  let walkers = [];
+  let tellers = [];
+  let tally = { aye: 0, no: 0 };
+  let result = null;
+  let announcementTime = 0;
+  let speed = 2;
+  let votes = null;
+  let colourByVote = true;
+
+  const panel = createPanel();
+  const banner = createBanner();
+
+  /**
+   * Works out who walks where for a division
+   * @param {Object} record - Parsed division
+   * @returns {Object} Voters and tellers by lobby, official totals and ids
+   *   not found in the chamber
+   */
+  function resolveDivision(record) {
+    const missing = [];
+    const inChamber = id => {
+      const mp = mpsById.get(id);
+      // The Speaker does not vote
+      if (mp && mp === speaker) return null;
+      if (!mp || !mp.mesh.visible || !mp.placement || mp.placement.status === 'absent') {
+        missing.push(id);
+        return null;
+      }
+      return mp;
+    };
+
+    const resolved = { voters: { aye: [], no: [] }, tellers: { aye: [], no: [] }, totals: {}, missing };
+
+    ['aye', 'no'].forEach(lobby => {
+      const named = record.tellers[lobby].map(inChamber).filter(Boolean);
+      const voters = record[lobby].map(inChamber).filter(Boolean).filter(mp => !named.includes(mp));
+      let total = record[lobby].length;
+
+      // Draft tellers from the voters if the record names none
+      if (record.tellers[lobby].length === 0) {
+        named.push(...voters.splice(0, 2));
+        total -= named.length;
+      }
+
+      resolved.voters[lobby] = voters;
+      resolved.tellers[lobby] = named;
+      resolved.totals[lobby] = total;
+    });
+
+    return resolved;
+  }
+
+  /**
+   * Starts a division
+   * @param {Object} record - Parsed division
+   * @param {Map} [recordVotes] - Votes by MP id, if they carry more than the record
+   *   (defaults to the votes in the record)
+   */
+  function start(record, recordVotes = getDivisionVotes(record)) {
+    stop();
+    if (options.onStart) options.onStart();
+
+    division = record;
+    setVotes(recordVotes);
+    const resolved = resolveDivision(record);
+    tally = { aye: 0, no: 0 };
+    result = resolved.totals;
+    walkers = [];
+    tellers = [];
+
+    ['aye', 'no'].forEach(lobbyName => {
+      const lobby = lobbies[lobbyName];
+
+      // Tellers take their places at the lobby desk first
+      resolved.tellers[lobbyName].forEach((mp, index) => {
+        const post = lobby.tellerPositions[index % lobby.tellerPositions.length];
+        const walker = createWalker(mp, [
+          ...getRouteToLobby(mp, lobby),
+          { point: post, facing: -lobby.side * Math.PI / 2 }
+        ], 0);
+        walkers.push(walker);
+        tellers.push({ walker, lobby });
+      });
+
+      // Voters leave in order of distance from the exit, so the lobby fills as a queue
+      const voters = resolved.voters[lobbyName]
+        .map(mp => ({ mp, route: getRouteToLobby(mp, lobby) }))
+        .sort((a, b) => getRouteLength(a.mp, a.route) - getRouteLength(b.mp, b.route));
+
+      voters.forEach(({ mp, route }, index) => {
+        const back = [...route].reverse().map(waypoint => ({ point: waypoint.point }));
+        walkers.push(createWalker(mp, [
+          ...route,
+          { point: lobby.tellerPoint, event: lobbyName, pause: COUNT_PAUSE },
+          ...back,
+          { point: mp.placement.position, facing: mp.placement.rotationY }
+        ], TELLER_HEAD_START + index * DEPARTURE_INTERVAL));
+      });
+    });
+
+    setPhase('dividing');
+    banner.style.display = 'block';
+    banner.textContent = `Division! Clear the lobby. The question is: ${record.question}`;
+    setStatus(resolved.missing.length > 0
+      ? `${resolved.missing.length} MP ids in this division are not in the chamber`
+      : '');
+    updatePanel();
+  }
+
+  /**
+   * Stops the division and puts every MP back in their seat
+   */
+  function stop() {
+    walkers.forEach(walker => {
+      walker.mp.mesh.position.copy(walker.mp.placement.position);
+      walker.mp.mesh.rotation.y = walker.mp.placement.rotationY;
+    });
+    walkers = [];
+    tellers = [];
+    setPhase('idle');
+    banner.style.display = 'none';
+    updatePanel();
+  }
+
+  /**
+   * Advances the simulation
+   * @param {number} delta - Seconds since the last frame
+   */
+  function update(delta) {
+    if (phase === 'idle') return;
+
+    const frameTime = Math.min(delta, 0.1);
+    const dt = frameTime * speed;
+    walkers.forEach(walker => advanceWalker(walker, dt, onWalkerEvent));
+
+    const voters = walkers.filter(walker => !tellers.some(teller => teller.walker === walker));
+
+    if (phase === 'dividing' && voters.every(walker => walker.counted) && tellers.every(({ walker }) => walker.done)) {
+      // Count complete: the tellers come to the Table to report
+      setPhase('reporting');
+      banner.textContent = 'The tellers report the numbers to the Table.';
+      tellers.forEach(({ walker, lobby }, index) => {
+        setRoute(walker, [
+          { point: lobby.entry },
+          { point: lobby.door },
+          { point: new THREE.Vector3(REPORT_POSITIONS[index % REPORT_POSITIONS.length].x, 0, lobby.passageZ) },
+          { point: REPORT_POSITIONS[index % REPORT_POSITIONS.length], facing: Math.PI }
+        ]);
+      });
+    } else if (phase === 'reporting' && tellers.every(({ walker }) => walker.done)) {
+      setPhase('announcing');
+      announcementTime = 0;
+      banner.textContent = getAnnouncement();
+    } else if (phase === 'announcing') {
+      announcementTime += frameTime;
+      if (announcementTime >= ANNOUNCEMENT_DURATION) {
+        // Tellers go back to their seats
+        setPhase('returning');
+        tellers.forEach(({ walker, lobby }) => {
+          const route = getRouteToLobby(walker.mp, lobby).slice(0, -2).reverse();
+          setRoute(walker, [
+            { point: new THREE.Vector3(walker.mp.mesh.position.x, 0, lobby.passageZ) },
+            ...route.map(waypoint => ({ point: waypoint.point })),
+            { point: walker.mp.placement.position, facing: walker.mp.placement.rotationY }
+          ]);
+        });
+      }
+    } else if (phase === 'returning' && walkers.every(walker => walker.done)) {
+      stop();
+      return;
+    }
+
+    updatePanel();
+  }
+
+  /**
+   * Handles a walker reaching a waypoint with an event
+   * @param {Object} walker - Walker
+   * @param {string} event - Event name ('aye' or 'no' when counted)
+   */
+  function onWalkerEvent(walker, event) {
+    tally[event]++;
+    walker.counted = true;
+  }
+
+  /**
+   * Builds the Speaker's announcement of the result
+   * @returns {string} Announcement
+   */
+  function getAnnouncement() {
+    const speakerName = speaker ? speaker.data.name : 'The Speaker';
+    let outcome;
+
+    if (result.aye > result.no) {
+      outcome = 'So the Ayes have it, the Ayes have it.';
+    } else if (result.no > result.aye) {
+      outcome = 'So the Noes have it, the Noes have it.';
+    } else {
+      // By convention the Speaker's casting vote goes against the change
+      outcome = 'The numbers being equal, I cast my vote with the Noes. So the Noes have it.';
+    }
+
+    return `${speakerName}: The Ayes to the right, ${result.aye}. The Noes to the left, ${result.no}. ${outcome} Unlock.`;
+  }
+
+  /**
+   * Moves the division on to its next phase
+   * @param {string} newPhase - Phase
+   */
+  function setPhase(newPhase) {
+    if (phase === newPhase) return;
+    phase = newPhase;
+    if (options.onPhaseChange) options.onPhaseChange(phase);
+  }
+
+  /**
+   * Replaces the loaded votes
+   * @param {Map|null} newVotes - Votes by MP id, or null to clear them
+   */
+  function setVotes(newVotes) {
+    votes = newVotes;
+    if (options.onVotesChange) options.onVotesChange();
+  }
+
+  /**
+   * Imports a Public Whip division export from disk and starts it
+   * @param {File} file - The chosen CSV or XML file
+   */
+  function importFile(file) {
+    file.text()
+      .then(text => {
+        const imported = importPublicWhipDivision(text, mps, file.name);
+        start(parseDivision(imported.division), imported.votes);
+
+        if (imported.unmatched.length > 0) {
+          console.warn('Public Whip person ids not matched to a loaded MP:', imported.unmatched);
+          const examples = imported.unmatched.slice(0, 3)
+            .map(entry => entry.name ? `${entry.name} (${entry.personId})` : entry.personId)
+            .join(', ');
+          setStatus(`${imported.votes.size} votes imported; ${imported.unmatched.length} person ids not matched: ` +
+            examples + (imported.unmatched.length > 3 ? ', ...' : ''), true);
+        } else {
+          setStatus(`${imported.votes.size} votes imported`);
+        }
+      })
+      .catch(error => {
+        console.error('Error importing division:', error);
+        setStatus(error.message, true);
+      });
+  }
+
+  /**
+   * Chooses and starts a division file from disk
+   * @param {File} file - The chosen file
+   */
+  function loadFile(file) {
+    file.text()
+      .then(text => start(parseDivision(JSON.parse(text))))
+      .catch(error => {
+        console.error('Error loading division:', error);
+        setStatus(error.message, true);
+      });
+  }
+
+  /**
+   * Builds the simulation's control panel
+   * @returns {Object} Panel element, tally, status line and stop button
+   */
+  function createPanel() {
+    const element = document.createElement('div');
+    element.id = 'division-panel';
+    Object.assign(element.style, {
+      position: 'fixed',
+      bottom: '160px',
+      right: '20px',
+      backgroundColor: 'rgba(0, 0, 0, 0.8)',
+      color: 'white',
+      padding: '10px',
+      borderRadius: '5px',
+      maxWidth: '260px',
+      fontSize: '13px',
+      zIndex: '1000',
+      display: 'none'
+    });
+
+    const title = document.createElement('strong');
+    title.textContent = 'Division';
+    element.appendChild(title);
+
+    const question = document.createElement('p');
+    question.style.margin = '5px 0';
+    element.appendChild(question);
+
+    const tallyLine = document.createElement('p');
+    tallyLine.style.margin = '5px 0';
+    tallyLine.style.fontFamily = 'monospace';
+    element.appendChild(tallyLine);
+
+    const status = document.createElement('p');
+    status.style.margin = '5px 0';
+    status.style.minHeight = '1em';
+    element.appendChild(status);
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) loadFile(fileInput.files[0]);
+      fileInput.value = '';
+    });
+    element.appendChild(fileInput);
+
+    const importInput = document.createElement('input');
+    importInput.type = 'file';
+    importInput.accept = '.csv,.xml,text/csv,application/xml,text/xml';
+    importInput.style.display = 'none';
+    importInput.addEventListener('change', () => {
+      if (importInput.files.length > 0) importFile(importInput.files[0]);
+      importInput.value = '';
+    });
+    element.appendChild(importInput);
+
+    const speedSelect = document.createElement('select');
+    SPEED_OPTIONS.forEach(option => {
+      const item = document.createElement('option');
+      item.value = option;
+      item.textContent = `${option}x`;
+      item.selected = option === speed;
+      speedSelect.appendChild(item);
+    });
+    speedSelect.style.margin = '3px';
+    speedSelect.addEventListener('change', () => {
+      speed = Number(speedSelect.value);
+    });
+
+    const buttons = [
+      {
+        label: 'Sample division',
+        action: () => loadDivision('/data/divisions/sample-division.json')
+          .then(start)
+          .catch(error => {
+            console.error('Error loading division:', error);
+            setStatus(error.message, true);
+          })
+      },
+      { label: 'Load division', action: () => fileInput.click() },
+      { label: 'Import Public Whip', action: () => importInput.click() },
+      { label: 'Stop', action: stop },
+      {
+        label: 'Clear votes',
+        action: () => {
+          stop();
+          division = null;
+          setVotes(null);
+          setStatus('');
+        }
+      },
+      { label: 'Close', action: () => simulation.close() }
+    ];
+
+    const buttonElements = buttons.map(({ label, action }) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      Object.assign(button.style, {
+        margin: '3px',
+        padding: '5px 8px',
+        backgroundColor: '#333',
+        color: 'white',
+        border: 'none',
+        borderRadius: '3px',
+        cursor: 'pointer'
+      });
+      button.addEventListener('click', action);
+      element.appendChild(button);
+      return button;
+    });
+
+    const speedLabel = document.createElement('label');
+    speedLabel.textContent = 'Speed ';
+    speedLabel.appendChild(speedSelect);
+    element.appendChild(speedLabel);
+
+    const colourCheckbox = document.createElement('input');
+    colourCheckbox.type = 'checkbox';
+    colourCheckbox.checked = colourByVote;
+    colourCheckbox.addEventListener('change', () => {
+      colourByVote = colourCheckbox.checked;
+      if (options.onVotesChange) options.onVotesChange();
+    });
+    const colourLabel = document.createElement('label');
+    colourLabel.style.display = 'block';
+    colourLabel.style.marginTop = '5px';
+    colourLabel.appendChild(colourCheckbox);
+    colourLabel.appendChild(document.createTextNode(' Colour chamber by vote'));
+    element.appendChild(colourLabel);
+
+    document.body.appendChild(element);
+    return { element, question, tally: tallyLine, status, stopButton: buttonElements[3] };
+  }
+
+  /**
+   * Creates the banner for the call of the division and the Speaker's announcement
+   * @returns {HTMLElement} Banner element
+   */
+  function createBanner() {
+    const element = document.createElement('div');
+    element.id = 'division-banner';
+    Object.assign(element.style, {
+      position: 'fixed',
+      bottom: '20px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      backgroundColor: 'rgba(0, 0, 0, 0.8)',
+      color: 'white',
+      padding: '10px 20px',
+      borderRadius: '5px',
+      maxWidth: '50%',
+      textAlign: 'center',
+      fontSize: '15px',
+      zIndex: '1000',
+      display: 'none'
+    });
+    document.body.appendChild(element);
+    return element;
+  }
+
+  /**
+   * Refreshes the question, tally and buttons on the panel
+   */
+  function updatePanel() {
+    panel.question.textContent = division
+      ? [division.title, division.date, division.question].filter(Boolean).join(' - ')
+      : 'Load a division to watch the House divide.';
+    panel.tally.textContent = division
+      ? `Ayes ${tally.aye}  Noes ${tally.no}` + (phase === 'idle' || phase === 'dividing' ? '' : `  (result ${result.aye}-${result.no})`)
+      : '';
+    panel.stopButton.disabled = phase === 'idle';
+  }
+
+  /**
+   * Shows a message on the panel's status line
+   * @param {string} message - Message
+   * @param {boolean} [isError] - Whether the message reports an error
+   */
+  function setStatus(message, isError = false) {
+    panel.status.textContent = message;
+    panel.status.style.color = isError ? '#ff8080' : 'white';
+  }
+
+  const simulation = {
+    open() {
+      open = true;
+      panel.element.style.display = 'block';
+      updatePanel();
+    },
+
+    close() {
+      stop();
+      open = false;
+      panel.element.style.display = 'none';
+    },
+
+    isOpen() {
+      return open;
+    },
+
+    start,
+    stop,
+    update,
+
+    isRunning() {
+      return phase !== 'idle';
+    },
+
+    /**
+     * Returns how an MP voted in the loaded division
+     * @param {number|string} mpId - MP id
+     * @returns {Object|null|undefined} { vote, teller }, null if the MP has no
+     *   recorded vote, or undefined if no votes are loaded
+     */
+    getVote(mpId) {
+      if (!votes) return undefined;
+      return votes.get(mpId) || null;
+    },
+
+    hasVotes() {
+      return votes !== null;
+    },
+
+    isColouringByVote() {
+      return colourByVote && votes !== null;
+    }
+  };
+
+  updatePanel();
+  return simulation;
+}
+
+/**
+ * Returns the route from an MP's place to the door of a lobby and into it:
+ * onto the walkway in front of their bench, along it to the cross passage,
+ * across to the lobby door and into the lobby
+ * @param {Object} mp - MP object
+ * @param {Object} lobby - Lobby from createHouseOfCommons
+ * @returns {Array<Object>} Waypoints ({ point })
+ */
+function getRouteToLobby(mp, lobby) {
+  const start = mp.placement.position;
+  const route = [];
+
+  if (mp.seat && mp.seat.side !== 'chair') {
+    const side = Math.sign(start.x);
+    const walkwayX = start.x - side * WALKWAY_OFFSET;
+    const floorY = start.y - TIER_FLOOR_OFFSET;
+    route.push(
+      { point: new THREE.Vector3(walkwayX, floorY, start.z) },
+      { point: new THREE.Vector3(walkwayX, floorY, TIER_END_Z) },
+      { point: new THREE.Vector3(walkwayX, 0, lobby.passageZ) }
+    );
+  } else {
+    // MPs standing at the Bar (or in the chair) walk straight down the aisle
+    route.push({ point: new THREE.Vector3(start.x, 0, lobby.passageZ) });
+  }
+
+  route.push({ point: lobby.door }, { point: lobby.entry });
+  return route;
+}
+
+/**
+ * Returns the length of a route from an MP's place
+ * @param {Object} mp - MP object
+ * @param {Array<Object>} route - Waypoints
+ * @returns {number} Length in metres
+ */
+function getRouteLength(mp, route) {
+  let length = 0;
+  let previous = mp.placement.position;
+  route.forEach(({ point }) => {
+    length += Math.hypot(point.x - previous.x, point.y - previous.y, point.z - previous.z);
+    previous = point;
+  });
+  return length;
+}
+
+/**
+ * Creates a walker that moves an MP's figure along waypoints
+ * @param {Object} mp - MP object
+ * @param {Array<Object>} waypoints - Waypoints ({ point, facing?, event?, pause? })
+ * @param {number} delay - Seconds to wait before setting off
+ * @returns {Object} Walker
+ */
+function createWalker(mp, waypoints, delay) {
+  return { mp, waypoints, index: 0, delay, wait: 0, done: waypoints.length === 0, counted: false };
+}
+
+/**
+ * Sends a walker along a new route from where it stands
+ * @param {Object} walker - Walker
+ * @param {Array<Object>} waypoints - Waypoints
+ */
+function setRoute(walker, waypoints) {
+  walker.waypoints = waypoints;
+  walker.index = 0;
+  walker.wait = 0;
+  walker.done = waypoints.length === 0;
+}
+
+/**
+ * Moves a walker's figure along its route at walking speed, turning it to
+ * face the way it walks
+ * @param {Object} walker - Walker
+ * @param {number} dt - Simulated seconds to advance
+ * @param {Function} onEvent - Called with (walker, event) at waypoints with an event
+ */
+function advanceWalker(walker, dt, onEvent) {
+  if (walker.done) return;
+
+  let time = dt;
+  if (walker.delay > 0) {
+    walker.delay -= time;
+    if (walker.delay > 0) return;
+    time = -walker.delay;
+  }
+
+  const position = walker.mp.mesh.position;
+  while (time > 0 && walker.index < walker.waypoints.length) {
+    if (walker.wait > 0) {
+      const waited = Math.min(walker.wait, time);
+      walker.wait -= waited;
+      time -= waited;
+      continue;
+    }
+
+    const waypoint = walker.waypoints[walker.index];
+    const dx = waypoint.point.x - position.x;
+    const dy = waypoint.point.y - position.y;
+    const dz = waypoint.point.z - position.z;
+    const distance = Math.hypot(dx, dy, dz);
+    const step = WALK_SPEED * time;
+
+    if (dx !== 0 || dz !== 0) {
+      walker.mp.mesh.rotation.y = Math.atan2(dx, dz);
+    }
+
+    if (distance <= step) {
+      position.copy(waypoint.point);
+      time -= distance / WALK_SPEED;
+      walker.index++;
+
+      if (waypoint.facing !== undefined) walker.mp.mesh.rotation.y = waypoint.facing;
+      if (waypoint.event) onEvent(walker, waypoint.event);
+      if (waypoint.pause) walker.wait = waypoint.pause;
+    } else {
+      position.x += dx / distance * step;
+      position.y += dy / distance * step;
+      position.z += dz / distance * step;
+      time = 0;
+    }
+  }
+
+  if (walker.index >= walker.waypoints.length && walker.wait <= 0) {
+    walker.done = true;
+  }
+}
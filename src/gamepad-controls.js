@@ -0,0 +1,149 @@
+import { GAMEPAD_BUTTONS } from './input-actions.js';
+
+/**
+ * Gamepad controls through the Gamepad API, for kiosks with a controller. The
+ * gamepad's buttons and sticks are fed to the input actions (see
+ * input-actions.js) as Gamepad/A, Gamepad/LeftStick and so on, named after
+ * the standard mapping (an Xbox layout; cross, circle, square and triangle on
+ * PlayStation). By default:
+ *
+ * - Left stick or d-pad: walk; in overview mode, push up and down to zoom
+ * - Right stick: look around; in overview mode, orbit
+ * - A: select the MP under the crosshair
+ * - B: jump
+ * - Y: toggle overview mode
+ * - LB / RB: previous / next viewpoint
+ *
+ * Gamepads can be plugged in and out at any time; the first one connected is
+ * used until it is unplugged. Browsers only report a gamepad once one of its
+ * buttons has been pressed.
+ */
+
+// Axes, in the standard mapping
+const LEFT_STICK_X = 0;
+const LEFT_STICK_Y = 1;
+const RIGHT_STICK_X = 2;
+const RIGHT_STICK_Y = 3;
+
+// Stick travel below which a stick counts as centred; worn sticks rest off centre
+const DEADZONE = 0.15;
+
+/**
+ * Reads a stick, with a radial deadzone. Past the deadzone the travel is
+ * rescaled to start from 0, so small pushes still move slowly.
+ * @param {Gamepad} gamepad - Gamepad to read
+ * @param {number} xAxis - Index of the stick's horizontal axis
+ * @param {number} yAxis - Index of the stick's vertical axis
+ * @param {Object} out - Receives { x, y }, each -1 to 1; y is down
+ * @returns {Object} out
+ */
+function readStick(gamepad, xAxis, yAxis, out) {
+  const x = gamepad.axes[xAxis] || 0;
+  const y = gamepad.axes[yAxis] || 0;
+  const length = Math.hypot(x, y);
+
+  if (length < DEADZONE) {
+    out.x = 0;
+    out.y = 0;
+  } else {
+    const scale = Math.min(1, (length - DEADZONE) / (1 - DEADZONE)) / length;
+    out.x = x * scale;
+    out.y = y * scale;
+  }
+  return out;
+}
+
+/**
+ * Creates the gamepad controls
+ * @param {Object} options - Gamepad options
+ * @param {Object} options.input - Input actions to feed
+ * @param {Function} options.isOverview - Returns whether overview mode is on
+ * @param {Function} [options.onConnect] - Called with the gamepad when one is plugged in
+ * @param {Function} [options.onDisconnect] - Called when the gamepad in use is unplugged
+ * @returns {Object} Controls with update(), isConnected() and isWalking()
+ */
+export function createGamepadControls(options) {
+  const { input } = options;
+  const stick = { x: 0, y: 0 };
+
+  // Index of the gamepad in use, and its buttons held last frame
+  let gamepadIndex = null;
+  let held = [];
+
+  /**
+   * Lets go of everything the gamepad was holding
+   */
+  function reset() {
+    held.forEach((pressed, index) => {
+      if (pressed) input.release(`Gamepad/${GAMEPAD_BUTTONS[index]}`);
+    });
+    held = [];
+    input.setStick('Gamepad/LeftStick', 0, 0);
+    input.setStick('Gamepad/RightStick', 0, 0);
+  }
+
+  window.addEventListener('gamepadconnected', (event) => {
+    if (gamepadIndex !== null) return;
+    gamepadIndex = event.gamepad.index;
+    reset();
+    if (options.onConnect) options.onConnect(event.gamepad);
+  });
+
+  window.addEventListener('gamepaddisconnected', (event) => {
+    if (event.gamepad.index !== gamepadIndex) return;
+
+    // Carry on with another gamepad, if one is still plugged in
+    const next = getGamepads().find(gamepad => gamepad && gamepad.connected && gamepad.index !== gamepadIndex);
+    gamepadIndex = next ? next.index : null;
+    reset();
+    if (!next && options.onDisconnect) options.onDisconnect();
+  });
+
+  /**
+   * @returns {Array} The browser's gamepads (some entries may be null)
+   */
+  function getGamepads() {
+    return navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+  }
+
+  const controls = {
+    /**
+     * @returns {boolean} Whether a gamepad is in use
+     */
+    isConnected() {
+      return gamepadIndex !== null;
+    },
+
+    /**
+     * @returns {boolean} Whether the gamepad is walking the player in first person
+     */
+    isWalking() {
+      return gamepadIndex !== null && !options.isOverview();
+    },
+
+    /**
+     * Polls the gamepad and feeds its buttons and sticks to the input actions;
+     * call every frame
+     */
+    update() {
+      if (gamepadIndex === null) return;
+      const gamepad = getGamepads()[gamepadIndex];
+      if (!gamepad) return;
+
+      GAMEPAD_BUTTONS.forEach((name, index) => {
+        const pressed = Boolean(gamepad.buttons[index] && gamepad.buttons[index].pressed);
+        if (pressed && !held[index]) input.press(`Gamepad/${name}`);
+        if (!pressed && held[index]) input.release(`Gamepad/${name}`);
+        held[index] = pressed;
+      });
+
+      // Up the stick is up
+      readStick(gamepad, LEFT_STICK_X, LEFT_STICK_Y, stick);
+      input.setStick('Gamepad/LeftStick', stick.x, -stick.y);
+      readStick(gamepad, RIGHT_STICK_X, RIGHT_STICK_Y, stick);
+      input.setStick('Gamepad/RightStick', stick.x, -stick.y);
+    }
+  };
+
+  return controls;
+}
@@ -0,0 +1,621 @@
+import * as THREE from 'three';
+import { createHighlight } from './mp-highlight.js';
+
+/**
+ * Guided tours: a narrated sequence of stops around the chamber. The camera
+ * flies between stops, the landmarks a stop is about (the Mace, the red
+ * lines, ...) are outlined, and an MP can be pointed out. Between flights
+ * the orbit controls are free, so visitors can look around each stop.
+ *
+ * Tour format:
+ * {
+ *   "title": "Introduction to the Commons",
+ *   "stops": [
+ *     {
+ *       "title": "The Mace",                                  (optional)
+ *       "viewpoint": "Speaker's Chair",
+ *       "narration": "...",
+ *       "highlight": ["mace", "table"],                       (optional)
+ *       "mp": 467,                                            (optional)
+ *       "duration": 12                                        (optional)
+ *     },
+ *     ...
+ *   ]
+ * }
+ * viewpoint is the name of one of the predefined viewpoints, or an explicit
+ * { "position": [x, y, z], "target": [x, y, z] }. A stop with an MP but no
+ * viewpoint frames the MP. highlight names landmarks of the chamber model:
+ * mace, table, red-lines, speakers-chair, government-benches,
+ * opposition-benches, aye-lobby and no-lobby. duration is how long
+ * auto-advance stays at the stop; by default it allows time to read the
+ * narration.
+ */
+
+// Tour offered when the panel first opens
+const DEFAULT_TOUR = '/data/tours/introduction.json';
+
+// Flight times between stops, scaled by distance
+const FLIGHT_SPEED = 6;
+const MIN_FLIGHT_DURATION = 1.5;
+const MAX_FLIGHT_DURATION = 4;
+
+// Flights arc upwards, over the benches, by up to this much
+const MAX_FLIGHT_LIFT = 2;
+
+// Reading pace used to time stops without a duration
+const WORDS_PER_SECOND = 2.5;
+const MIN_STOP_DURATION = 6;
+
+// Framing of an MP pointed out by a stop without a viewpoint
+const HEAD_HEIGHT = 1.65;
+const MP_SHOT_DISTANCE = 3;
+const MP_SHOT_RISE = 0.8;
+
+const HIGHLIGHT_COLOR = 0xFFD700;
+
+/**
+ * Parses and checks a tour
+ * @param {Object} data - Tour, as in the format above
+ * @param {Array} [viewpoints] - Named viewpoints ({ name, position, target })
+ *   the stops may refer to
+ * @returns {Object} Tour with title and stops, each as { title, narration,
+ *   view ({ position, target } or null), mpId, highlight, duration }
+ * @throws {Error} If the tour cannot be followed
+ */
+export function parseTour(data, viewpoints = []) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.stops) || data.stops.length === 0) {
+    throw new Error('Tour needs a list of stops');
+  }
+
+  const stops = data.stops.map((stop, index) => {
+    const label = `Stop ${index + 1}`;
+    if (!stop || typeof stop !== 'object') {
+      throw new Error(`${label} is not an object`);
+    }
+    if (typeof stop.narration !== 'string' || stop.narration.trim() === '') {
+      throw new Error(`${label} has no narration`);
+    }
+
+    const view = readView(stop.viewpoint, viewpoints, label);
+    const mpId = stop.mp ?? null;
+    if (!view && mpId === null) {
+      throw new Error(`${label} needs a viewpoint or an MP to show`);
+    }
+
+    const highlight = stop.highlight === undefined ? [] : [].concat(stop.highlight);
+    if (!highlight.every(name => typeof name === 'string')) {
+      throw new Error(`${label} has a highlight that is not a landmark name`);
+    }
+
+    return {
+      title: typeof stop.title === 'string' && stop.title.trim() ? stop.title.trim() : label,
+      narration: stop.narration.trim(),
+      view,
+      mpId,
+      highlight,
+      duration: Number.isFinite(stop.duration) && stop.duration > 0 ? stop.duration : null
+    };
+  });
+
+  return {
+    title: typeof data.title === 'string' && data.title.trim() ? data.title.trim() : 'Guided tour',
+    stops
+  };
+}
+
+/**
+ * Loads a tour from a URL under the public dir
+ * @param {string} path - Path of the tour, e.g. '/data/tours/introduction.json'
+ * @param {Array} [viewpoints] - Named viewpoints the stops may refer to
+ * @returns {Promise<Object>} Promise resolving to the parsed tour
+ */
+export function loadTour(path, viewpoints = []) {
+  const baseUrl = import.meta.env?.BASE_URL || '/';
+  const fullBaseUrl = baseUrl.startsWith('http') ? baseUrl : window.location.origin + baseUrl;
+
+  return fetch(new URL(path.replace(/^\//, ''), fullBaseUrl).pathname)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to load tour (${response.status})`);
+      }
+      return response.json();
+    })
+    .then(data => parseTour(data, viewpoints));
+}
+
+/**
+ * Creates the tour guide and its panel
+ * @param {Object} options - Tour options
+ * @param {THREE.Camera} options.camera - The main camera
+ * @param {OrbitControls} options.orbitControls - Overview controls, left free between flights
+ * @param {THREE.Scene} options.scene - The Three.js scene, for the highlights
+ * @param {Array} options.viewpoints - Named viewpoints ({ name, position, target })
+ * @param {Object} options.landmarks - Objects of the chamber by landmark name
+ * @param {Array} options.mps - Array of MP objects
+ * @param {Function} [options.onStart] - Called when a tour starts, to hand it the camera
+ * @param {Function} [options.onStopChange] - Called with (stop, mp) on arriving
+ *   at a stop; mp is the MP pointed out, or null
+ * @returns {Object} Tour guide with open(), close(), isOpen(), load(tour),
+ *   next(), previous(), goToStop(index), setAutoAdvance(enabled), isFlying()
+ *   and update(delta), to be called every frame
+ */
+export function createGuidedTour(options) {
+  const { camera, orbitControls, scene, viewpoints, landmarks, mps } = options;
+
+  const mpsById = new Map(mps.map(mp => [mp.data.id, mp]));
+
+  let open = false;
+  let tour = null;
+  let stopIndex = -1;
+  let stopTime = 0;
+  let autoAdvance = false;
+  let spotlight = null; // MP pointed out at the current stop
+
+  // Camera flight between stops
+  let flight = null;
+  const fromPosition = new THREE.Vector3();
+  const fromTarget = new THREE.Vector3();
+  const toPosition = new THREE.Vector3();
+  const toTarget = new THREE.Vector3();
+
+  // Landmark outlines, built when first needed
+  const outlines = new Map();
+  let outlineTime = 0;
+
+  const mpHighlight = createHighlight();
+  scene.add(mpHighlight);
+
+  const panel = createPanel();
+
+  /**
+   * Starts a tour from its first stop
+   * @param {Object} newTour - Parsed tour
+   */
+  function load(newTour) {
+    if (options.onStart) options.onStart();
+
+    tour = newTour;
+    newTour.stops.forEach(stop => {
+      stop.highlight
+        .filter(name => !landmarks[name])
+        .forEach(name => console.warn(`Tour stop "${stop.title}" highlights an unknown landmark "${name}"`));
+    });
+
+    setStatus('');
+    goToStop(0);
+  }
+
+  /**
+   * Moves to a stop: flies the camera there, outlines its landmarks and
+   * points out its MP
+   * @param {number} index - Stop index
+   */
+  function goToStop(index) {
+    if (!tour || index < 0 || index >= tour.stops.length) return;
+
+    stopIndex = index;
+    stopTime = 0;
+    const stop = tour.stops[index];
+
+    // Outline this stop's landmarks only
+    outlines.forEach(outline => {
+      outline.visible = false;
+    });
+    stop.highlight.forEach(name => {
+      const outline = getOutline(name);
+      if (outline) outline.visible = true;
+    });
+
+    spotlight = stop.mpId === null ? null : findMP(stop.mpId);
+    mpHighlight.visible = Boolean(spotlight);
+    if (stop.mpId !== null && !spotlight) {
+      console.warn(`Tour stop "${stop.title}" points out MP ${stop.mpId}, who is not in the chamber`);
+    }
+
+    if (stop.view) {
+      flyTo(stop.view.position, stop.view.target);
+    } else if (spotlight) {
+      frameMP(spotlight, toPosition, toTarget);
+      flyTo(toPosition, toTarget);
+    } else {
+      setStatus('This stop\'s MP is not in the chamber.', true);
+    }
+
+    updatePanel();
+
+    if (options.onStopChange) options.onStopChange(stop, spotlight);
+  }
+
+  /**
+   * Starts a flight from the current view
+   * @param {THREE.Vector3} position - Camera position to fly to
+   * @param {THREE.Vector3} target - Point to look at on arrival
+   */
+  function flyTo(position, target) {
+    // Start from where the camera looks, which is not the orbit target when
+    // coming from first-person mode
+    const lookDistance = camera.position.distanceTo(orbitControls.target) || 10;
+    fromPosition.copy(camera.position);
+    camera.getWorldDirection(fromTarget).multiplyScalar(lookDistance).add(camera.position);
+    toPosition.copy(position);
+    toTarget.copy(target);
+
+    const distance = Math.max(fromPosition.distanceTo(toPosition), fromTarget.distanceTo(toTarget));
+    flight = {
+      time: 0,
+      duration: THREE.MathUtils.clamp(distance / FLIGHT_SPEED, MIN_FLIGHT_DURATION, MAX_FLIGHT_DURATION),
+      lift: Math.min(distance * 0.1, MAX_FLIGHT_LIFT)
+    };
+
+    // The user can look around once the camera arrives
+    orbitControls.enabled = false;
+  }
+
+  /**
+   * Moves the camera along the current flight
+   * @param {number} delta - Seconds since the last frame
+   */
+  function advanceFlight(delta) {
+    flight.time = Math.min(flight.time + delta, flight.duration);
+    const progress = flight.time / flight.duration;
+    const t = easeInOut(progress);
+
+    camera.position.lerpVectors(fromPosition, toPosition, t);
+    camera.position.y += Math.sin(progress * Math.PI) * flight.lift;
+    orbitControls.target.lerpVectors(fromTarget, toTarget, t);
+    camera.lookAt(orbitControls.target);
+
+    if (flight.time >= flight.duration) {
+      endFlight();
+    }
+  }
+
+  /**
+   * Ends the current flight, handing the orbit controls back
+   */
+  function endFlight() {
+    if (!flight) return;
+    flight = null;
+    orbitControls.enabled = true;
+    orbitControls.update();
+  }
+
+  /**
+   * Builds (or returns) the outline around a landmark
+   * @param {string} name - Landmark name
+   * @returns {THREE.Box3Helper|null} Outline, or null for an unknown landmark
+   */
+  function getOutline(name) {
+    if (outlines.has(name)) return outlines.get(name);
+    if (!landmarks[name]) return null;
+
+    const box = new THREE.Box3();
+    landmarks[name].forEach(object => box.expandByObject(object));
+    box.expandByScalar(0.15);
+
+    const outline = new THREE.Box3Helper(box, HIGHLIGHT_COLOR);
+    outline.material.transparent = true;
+    outline.material.depthTest = false; // Visible through the benches
+    outline.renderOrder = 1;
+    outline.visible = false;
+    scene.add(outline);
+    outlines.set(name, outline);
+    return outline;
+  }
+
+  /**
+   * Finds an MP who is in the chamber
+   * @param {*} id - MP id
+   * @returns {Object|null} The MP object
+   */
+  function findMP(id) {
+    const mp = mpsById.get(id) || mpsById.get(Number(id));
+    return mp && mp.mesh.visible ? mp : null;
+  }
+
+  /**
+   * Hides the outlines and the MP highlight and stops any flight
+   */
+  function clear() {
+    endFlight();
+    outlines.forEach(outline => {
+      outline.visible = false;
+    });
+    spotlight = null;
+    mpHighlight.visible = false;
+  }
+
+  /**
+   * Advances flights, auto-advance and the highlights
+   * @param {number} delta - Seconds since the last frame
+   */
+  function update(delta) {
+    if (!open || !tour) return;
+
+    if (flight) {
+      advanceFlight(delta);
+    } else if (autoAdvance && stopIndex < tour.stops.length - 1) {
+      stopTime += delta;
+      if (stopTime >= getStopDuration(tour.stops[stopIndex])) {
+        goToStop(stopIndex + 1);
+      }
+    }
+
+    // Pulse the outlines
+    outlineTime += delta;
+    const opacity = 0.6 + 0.4 * Math.sin(outlineTime * 4);
+    outlines.forEach(outline => {
+      outline.material.opacity = opacity;
+    });
+
+    if (spotlight) {
+      mpHighlight.position.copy(spotlight.mesh.position);
+    }
+  }
+
+  /**
+   * Chooses and loads a tour file from disk
+   * @param {File} file - The chosen file
+   */
+  function loadFile(file) {
+    file.text()
+      .then(text => load(parseTour(JSON.parse(text), viewpoints)))
+      .catch(error => {
+        console.error('Error loading tour:', error);
+        setStatus(error.message, true);
+      });
+  }
+
+  /**
+   * Builds the tour panel
+   * @returns {Object} Panel elements
+   */
+  function createPanel() {
+    const element = document.createElement('div');
+    element.id = 'tour-panel';
+    Object.assign(element.style, {
+      position: 'fixed',
+      bottom: '160px',
+      right: '20px',
+      backgroundColor: 'rgba(0, 0, 0, 0.8)',
+      color: 'white',
+      padding: '10px',
+      borderRadius: '5px',
+      width: '300px',
+      fontSize: '13px',
+      zIndex: '1000',
+      display: 'none'
+    });
+
+    const title = document.createElement('strong');
+    title.textContent = 'Guided tour';
+    element.appendChild(title);
+
+    const heading = document.createElement('p');
+    heading.style.margin = '5px 0';
+    heading.style.color = '#FFD700';
+    element.appendChild(heading);
+
+    const narration = document.createElement('p');
+    narration.style.margin = '5px 0';
+    narration.style.lineHeight = '1.4';
+    element.appendChild(narration);
+
+    const status = document.createElement('p');
+    status.style.margin = '5px 0';
+    status.style.minHeight = '1em';
+    element.appendChild(status);
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) loadFile(fileInput.files[0]);
+      fileInput.value = '';
+    });
+    element.appendChild(fileInput);
+
+    const buttons = [
+      { label: 'Previous', action: () => guide.previous() },
+      { label: 'Next', action: () => guide.next() },
+      { label: 'Load tour', action: () => fileInput.click() },
+      { label: 'Close', action: () => guide.close() }
+    ];
+
+    const buttonElements = buttons.map(({ label, action }) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      Object.assign(button.style, {
+        margin: '3px',
+        padding: '5px 8px',
+        backgroundColor: '#333',
+        color: 'white',
+        border: 'none',
+        borderRadius: '3px',
+        cursor: 'pointer'
+      });
+      button.addEventListener('click', action);
+      element.appendChild(button);
+      return button;
+    });
+
+    const autoCheckbox = document.createElement('input');
+    autoCheckbox.type = 'checkbox';
+    autoCheckbox.addEventListener('change', () => guide.setAutoAdvance(autoCheckbox.checked));
+
+    const autoLabel = document.createElement('label');
+    autoLabel.style.display = 'block';
+    autoLabel.style.marginTop = '5px';
+    autoLabel.appendChild(autoCheckbox);
+    autoLabel.appendChild(document.createTextNode(' Auto-advance'));
+    element.appendChild(autoLabel);
+
+    document.body.appendChild(element);
+    return {
+      element,
+      heading,
+      narration,
+      status,
+      previousButton: buttonElements[0],
+      nextButton: buttonElements[1],
+      autoCheckbox
+    };
+  }
+
+  /**
+   * Refreshes the panel from the tour state
+   */
+  function updatePanel() {
+    const stop = tour && stopIndex >= 0 ? tour.stops[stopIndex] : null;
+
+    panel.heading.textContent = stop
+      ? `${tour.title} - ${stopIndex + 1} of ${tour.stops.length}: ${stop.title}`
+      : 'Loading tour...';
+    panel.narration.textContent = stop ? stop.narration : '';
+    panel.previousButton.disabled = !stop || stopIndex === 0;
+    panel.nextButton.disabled = !stop || stopIndex === tour.stops.length - 1;
+  }
+
+  /**
+   * Shows a message on the panel's status line
+   * @param {string} message - Message
+   * @param {boolean} [isError] - Whether the message reports an error
+   */
+  function setStatus(message, isError = false) {
+    panel.status.textContent = message;
+    panel.status.style.color = isError ? '#ff8080' : 'white';
+  }
+
+  const guide = {
+    /**
+     * Opens the panel, starting the default tour the first time
+     */
+    open() {
+      open = true;
+      panel.element.style.display = 'block';
+      updatePanel();
+
+      if (tour) {
+        if (options.onStart) options.onStart();
+        goToStop(Math.max(stopIndex, 0));
+      } else {
+        loadTour(DEFAULT_TOUR, viewpoints)
+          .then(loaded => {
+            if (open && !tour) load(loaded);
+          })
+          .catch(error => {
+            console.error('Error loading tour:', error);
+            setStatus(error.message, true);
+          });
+      }
+    },
+
+    close() {
+      clear();
+      open = false;
+      panel.element.style.display = 'none';
+    },
+
+    isOpen() {
+      return open;
+    },
+
+    load,
+    goToStop,
+    update,
+
+    next() {
+      if (tour) goToStop(stopIndex + 1);
+    },
+
+    previous() {
+      if (tour) goToStop(stopIndex - 1);
+    },
+
+    setAutoAdvance(enabled) {
+      autoAdvance = enabled;
+      stopTime = 0;
+      panel.autoCheckbox.checked = enabled;
+    },
+
+    isFlying() {
+      return Boolean(flight);
+    }
+  };
+
+  return guide;
+}
+
+/**
+ * Reads a stop's viewpoint
+ * @param {*} value - Viewpoint name or { position, target }
+ * @param {Array} viewpoints - Named viewpoints
+ * @param {string} label - Stop label for error messages
+ * @returns {Object|null} View ({ position, target }), or null if the stop has none
+ */
+function readView(value, viewpoints, label) {
+  if (value === undefined || value === null) return null;
+
+  if (typeof value === 'string') {
+    const viewpoint = viewpoints.find(candidate => candidate.name === value);
+    if (!viewpoint) {
+      throw new Error(`${label} names an unknown viewpoint "${value}"`);
+    }
+    return { position: viewpoint.position.clone(), target: viewpoint.target.clone() };
+  }
+
+  const position = readVector(value.position);
+  const target = readVector(value.target);
+  if (!position || !target) {
+    throw new Error(`${label} needs a viewpoint name or a position and target`);
+  }
+  return { position, target };
+}
+
+/**
+ * Reads an [x, y, z] array
+ * @param {*} value - Array of three numbers
+ * @returns {THREE.Vector3|null} Vector, or null if the value is not one
+ */
+function readVector(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+    ? new THREE.Vector3(...value)
+    : null;
+}
+
+/**
+ * Frames an MP from in front, at head height
+ * @param {Object} mp - MP object
+ * @param {THREE.Vector3} outPosition - Receives the camera position
+ * @param {THREE.Vector3} outTarget - Receives the point to look at
+ */
+export function frameMP(mp, outPosition, outTarget) {
+  const anchor = mp.mesh;
+  outTarget.copy(anchor.position).setY(anchor.position.y + HEAD_HEIGHT);
+  outPosition.set(
+    outTarget.x + Math.sin(anchor.rotation.y) * MP_SHOT_DISTANCE,
+    outTarget.y + MP_SHOT_RISE,
+    outTarget.z + Math.cos(anchor.rotation.y) * MP_SHOT_DISTANCE
+  );
+}
+
+/**
+ * Returns how long auto-advance stays at a stop
+ * @param {Object} stop - Parsed stop
+ * @returns {number} Seconds
+ */
+function getStopDuration(stop) {
+  if (stop.duration) return stop.duration;
+  const words = stop.narration.split(/\s+/).length;
+  return Math.max(words / WORDS_PER_SECOND, MIN_STOP_DURATION);
+}
+
+/**
+ * Smoothstep easing
+ * @param {number} t - Progress from 0 to 1
+ * @returns {number} Eased progress
+ */
+function easeInOut(t) {
+  return t * t * (3 - 2 * t);
+}
@@ -0,0 +1,586 @@
+/**
+ * Input actions: what the user can do (walk, look, jump, select an MP, toggle
+ * the view, move between viewpoints...) bound to the keys, mouse buttons,
+ * touch gestures and gamepad controls that do it. The app listens for actions
+ * rather than devices, so any action can be rebound; bindings are kept in
+ * localStorage and can be saved to and loaded from a JSON file.
+ *
+ * Input sources are named "Device/Control":
+ * - Keyboard/<code>, e.g. Keyboard/KeyW: the KeyboardEvent code, which names
+ *   the physical key, so the default WASD keys sit under the same fingers on
+ *   any layout (ZQSD on AZERTY). Keys are labelled with the user's layout where
+ *   the browser reports it.
+ * - Mouse/Left, Mouse/Middle, Mouse/Right (only while the pointer is locked,
+ *   so that clicks on the page are left alone) and Mouse/Move
+ * - Touch/Tap, Touch/Drag and Touch/Joystick, fed by touch-controls.js
+ * - Gamepad/A ... Gamepad/Home (see GAMEPAD_BUTTONS), Gamepad/LeftStick and
+ *   Gamepad/RightStick, fed by gamepad-controls.js
+ *
+ * Buttons (keys, mouse buttons, taps, gamepad buttons) drive button actions;
+ * sticks and pointer movement drive the two axis actions, move and look.
+ *
+ * Bindings file format (version 1):
+ * {
+ *   "format": "inside-parliament/input-bindings",
+ *   "version": 1,
+ *   "bindings": {
+ *     "moveForward": ["Keyboard/KeyW", "Keyboard/ArrowUp", "Gamepad/DpadUp"],
+ *     "look": ["Mouse/Move", "Touch/Drag", "Gamepad/RightStick"],
+ *     ...
+ *   }
+ * }
+ * Actions the file leaves out keep their default bindings.
+ */
+
+export const BINDINGS_FORMAT = 'inside-parliament/input-bindings';
+export const BINDINGS_VERSION = 1;
+
+const STORAGE_KEY = 'inside-parliament.input-bindings';
+
+// Kinds of input source
+const BUTTON = 'button';
+const STICK = 'stick';
+const POINTER = 'pointer';
+
+// Gamepad buttons in the standard mapping, by index
+export const GAMEPAD_BUTTONS = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+  'LeftStickPress', 'RightStickPress', 'DpadUp', 'DpadDown', 'DpadLeft', 'DpadRight', 'Home'
+];
+
+const MOUSE_BUTTONS = ['Left', 'Middle', 'Right'];
+
+// Radians turned per pixel of pointer movement
+const POINTER_SPEEDS = {
+  'Mouse/Move': 0.002,
+  'Touch/Drag': 0.004
+};
+
+// Radians turned per second with a stick pushed all the way
+const STICK_LOOK_SPEED = 2.5;
+
+/**
+ * The actions. Button actions fire on a press and are held while any of
+ * their buttons is; axis actions are read every frame.
+ */
+export const INPUT_ACTIONS = [
+  { name: 'moveForward', label: 'Move forward', type: BUTTON },
+  { name: 'moveBackward', label: 'Move backward', type: BUTTON },
+  { name: 'moveLeft', label: 'Move left', type: BUTTON },
+  { name: 'moveRight', label: 'Move right', type: BUTTON },
+  { name: 'move', label: 'Move (stick)', type: 'axis', sources: [STICK] },
+  { name: 'look', label: 'Look around', type: 'axis', sources: [STICK, POINTER], stickSpeed: STICK_LOOK_SPEED },
+  { name: 'jump', label: 'Jump', type: BUTTON },
+  { name: 'select', label: 'Select MP', type: BUTTON },
+  { name: 'toggleView', label: 'Toggle view', type: BUTTON },
+  { name: 'previousViewpoint', label: 'Previous viewpoint', type: BUTTON },
+  { name: 'nextViewpoint', label: 'Next viewpoint', type: BUTTON },
+  { name: 'nearby', label: 'List nearby MPs', type: BUTTON }
+];
+
+export const DEFAULT_BINDINGS = {
+  moveForward: ['Keyboard/KeyW', 'Keyboard/ArrowUp', 'Gamepad/DpadUp'],
+  moveBackward: ['Keyboard/KeyS', 'Keyboard/ArrowDown', 'Gamepad/DpadDown'],
+  moveLeft: ['Keyboard/KeyA', 'Keyboard/ArrowLeft', 'Gamepad/DpadLeft'],
+  moveRight: ['Keyboard/KeyD', 'Keyboard/ArrowRight', 'Gamepad/DpadRight'],
+  move: ['Touch/Joystick', 'Gamepad/LeftStick'],
+  look: ['Mouse/Move', 'Touch/Drag', 'Gamepad/RightStick'],
+  jump: ['Keyboard/Space', 'Gamepad/B'],
+  select: ['Mouse/Left', 'Touch/Tap', 'Gamepad/A'],
+  toggleView: ['Gamepad/Y'],
+  previousViewpoint: ['Gamepad/LB'],
+  nextViewpoint: ['Gamepad/RB'],
+  nearby: ['Keyboard/KeyN']
+};
+
+// Axis sources, for the rebinding panel to offer
+export const AXIS_SOURCES = ['Mouse/Move', 'Touch/Drag', 'Touch/Joystick', 'Gamepad/LeftStick', 'Gamepad/RightStick'];
+
+const KEY_LABELS = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Space: 'Space',
+  Enter: 'Enter',
+  ShiftLeft: 'Left Shift',
+  ShiftRight: 'Right Shift',
+  ControlLeft: 'Left Ctrl',
+  ControlRight: 'Right Ctrl',
+  AltLeft: 'Left Alt',
+  AltRight: 'Right Alt',
+  Tab: 'Tab',
+  Backspace: 'Backspace'
+};
+
+const SOURCE_LABELS = {
+  'Mouse/Left': 'Left click',
+  'Mouse/Middle': 'Middle click',
+  'Mouse/Right': 'Right click',
+  'Mouse/Move': 'Mouse',
+  'Touch/Tap': 'Tap',
+  'Touch/Drag': 'Touch drag',
+  'Touch/Joystick': 'Touch joystick',
+  'Gamepad/LeftStick': 'Gamepad left stick',
+  'Gamepad/RightStick': 'Gamepad right stick'
+};
+
+/**
+ * Finds the kind of an input source
+ * @param {string} source - Source name, e.g. "Keyboard/KeyW"
+ * @returns {string|null} 'button', 'stick' or 'pointer'; null for an unknown source
+ */
+export function getSourceKind(source) {
+  if (typeof source !== 'string') return null;
+  const [device, control, extra] = source.split('/');
+  if (!control || extra !== undefined) return null;
+
+  switch (device) {
+    case 'Keyboard':
+      return BUTTON;
+    case 'Mouse':
+      if (control === 'Move') return POINTER;
+      return MOUSE_BUTTONS.includes(control) ? BUTTON : null;
+    case 'Touch':
+      return { Tap: BUTTON, Drag: POINTER, Joystick: STICK }[control] || null;
+    case 'Gamepad':
+      if (control === 'LeftStick' || control === 'RightStick') return STICK;
+      return GAMEPAD_BUTTONS.includes(control) ? BUTTON : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks whether a source can drive an action
+ * @param {Object} action - One of INPUT_ACTIONS
+ * @param {string} source - Source name
+ * @returns {boolean} Whether it can
+ */
+function canBind(action, source) {
+  const kind = getSourceKind(source);
+  return action.type === BUTTON ? kind === BUTTON : Boolean(kind && action.sources.includes(kind));
+}
+
+/**
+ * Builds a full set of bindings from stored or loaded ones: unknown actions
+ * and sources that cannot drive their action are dropped, and actions left
+ * out get their defaults
+ * @param {Object} bindings - Bindings by action name
+ * @returns {Object} Bindings for every action
+ */
+function normalizeBindings(bindings) {
+  const result = {};
+  for (const action of INPUT_ACTIONS) {
+    const sources = bindings[action.name];
+    if (!Array.isArray(sources)) {
+      result[action.name] = [...DEFAULT_BINDINGS[action.name]];
+      continue;
+    }
+
+    result[action.name] = [...new Set(sources)].filter(source => {
+      const valid = canBind(action, source);
+      if (!valid) console.warn(`Ignoring binding of ${source} to ${action.name}`);
+      return valid;
+    });
+  }
+  return result;
+}
+
+/**
+ * Parses a bindings file
+ * @param {string} text - JSON text
+ * @returns {Object} Bindings for every action
+ * @throws {Error} If the file is not a bindings file this version can read
+ */
+export function parseBindings(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Bindings are not valid JSON: ${error.message}`);
+  }
+
+  if (!data || data.format !== BINDINGS_FORMAT) {
+    throw new Error('File is not a set of control bindings');
+  }
+
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('Bindings have no valid version');
+  }
+
+  if (data.version > BINDINGS_VERSION) {
+    throw new Error(`Bindings version ${data.version} is newer than this app supports (${BINDINGS_VERSION})`);
+  }
+
+  if (!data.bindings || typeof data.bindings !== 'object') {
+    throw new Error('File has no bindings');
+  }
+
+  return normalizeBindings(data.bindings);
+}
+
+/**
+ * Checks whether a key event is typing into a form field
+ * @param {KeyboardEvent} event - Key event
+ * @returns {boolean} Whether it is
+ */
+function isTyping(event) {
+  const target = event.target;
+  return Boolean(target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)));
+}
+
+/**
+ * Creates the input actions, listening to the keyboard and mouse. Touch and
+ * gamepad input is fed in by their own modules through press(), release(),
+ * tap(), setStick() and addPointerDelta().
+ * @returns {Object} Input with on(action, handler), isPressed(action),
+ *   readAxis(action, out, delta) and endFrame() for the app; press(source),
+ *   release(source), tap(source), setStick(source, x, y) and
+ *   addPointerDelta(source, dx, dy) for input modules; and getBindings(),
+ *   addBinding(action, source), removeBinding(action, source),
+ *   resetBindings(), exportBindings(), importBindings(text),
+ *   describeSource(source), captureNext(callback) and cancelCapture() for the
+ *   rebinding panel
+ */
+export function createInputActions() {
+  const actionsByName = new Map(INPUT_ACTIONS.map(action => [action.name, action]));
+  const handlers = new Map();
+  const pressed = new Set();
+  const sticks = new Map();
+  const pointerDeltas = new Map();
+
+  let bindings = loadBindings();
+  let capture = null;
+  let captureIgnore = null;
+  let swallowClick = false;
+
+  // The keyboard layout, for labelling keys, where the browser reports it
+  let layoutMap = null;
+  if (navigator.keyboard && navigator.keyboard.getLayoutMap) {
+    navigator.keyboard.getLayoutMap()
+      .then(map => {
+        layoutMap = map;
+      })
+      .catch(() => {});
+  }
+
+  /**
+   * Reads the bindings saved in localStorage
+   * @returns {Object} Bindings for every action; the defaults if none are saved
+   */
+  function loadBindings() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved) return parseBindings(saved);
+    } catch (error) {
+      console.warn('Ignoring saved control bindings:', error.message);
+    }
+    return normalizeBindings({});
+  }
+
+  function saveBindings() {
+    try {
+      localStorage.setItem(STORAGE_KEY, input.exportBindings());
+    } catch (error) {
+      console.warn('Could not save control bindings:', error.message);
+    }
+  }
+
+  /**
+   * Ends a capture with the source pressed, or null if it was cancelled
+   * @param {string|null} source - Source name
+   */
+  function finishCapture(source) {
+    const callback = capture;
+    capture = null;
+    captureIgnore = null;
+    callback(source);
+  }
+
+  // Keyboard
+  document.addEventListener('keydown', (event) => {
+    if (!event.code || isTyping(event)) return;
+
+    if (capture) {
+      event.preventDefault();
+      finishCapture(event.code === 'Escape' ? null : `Keyboard/${event.code}`);
+      return;
+    }
+    input.press(`Keyboard/${event.code}`);
+  });
+
+  document.addEventListener('keyup', (event) => {
+    input.release(`Keyboard/${event.code}`);
+  });
+
+  // Mouse buttons and movement, while the pointer is locked
+  document.addEventListener('mousedown', (event) => {
+    if (event.button >= MOUSE_BUTTONS.length) return;
+    const source = `Mouse/${MOUSE_BUTTONS[event.button]}`;
+
+    if (capture && !(captureIgnore && captureIgnore.contains(event.target))) {
+      // The click that follows is part of the capture, not a click on the page
+      swallowClick = true;
+      finishCapture(source);
+      return;
+    }
+    if (document.pointerLockElement) {
+      input.press(source);
+    }
+  });
+
+  document.addEventListener('mouseup', (event) => {
+    if (event.button < MOUSE_BUTTONS.length) {
+      input.release(`Mouse/${MOUSE_BUTTONS[event.button]}`);
+    }
+  });
+
+  window.addEventListener('click', (event) => {
+    if (!swallowClick) return;
+    swallowClick = false;
+    event.stopPropagation();
+    event.preventDefault();
+  }, true);
+
+  document.addEventListener('mousemove', (event) => {
+    if (document.pointerLockElement) {
+      input.addPointerDelta('Mouse/Move', event.movementX, -event.movementY);
+    }
+  });
+
+  // Keys held when the window loses focus are never released
+  window.addEventListener('blur', () => {
+    for (const source of [...pressed]) {
+      input.release(source);
+    }
+  });
+
+  const input = {
+    /**
+     * Calls a handler each time a button action is pressed
+     * @param {string} action - Action name
+     * @param {Function} handler - Called with the press's details (a tap's
+     *   { clientX, clientY }), or undefined
+     */
+    on(action, handler) {
+      if (!handlers.has(action)) handlers.set(action, []);
+      handlers.get(action).push(handler);
+    },
+
+    /**
+     * @param {string} action - Button action name
+     * @returns {boolean} Whether any of its buttons is held
+     */
+    isPressed(action) {
+      return bindings[action].some(source => pressed.has(source));
+    },
+
+    /**
+     * Reads an axis action for this frame, adding up its sources
+     * @param {string} action - Axis action name ('move' or 'look')
+     * @param {Object} out - Receives { x, y }: right and up (or forward). For
+     *   move, each -1 to 1; for look, radians to turn this frame.
+     * @param {number} delta - Seconds since the last frame
+     * @returns {Object} out
+     */
+    readAxis(action, out, delta) {
+      const { stickSpeed } = actionsByName.get(action);
+      out.x = 0;
+      out.y = 0;
+
+      for (const source of bindings[action]) {
+        const stick = sticks.get(source);
+        if (stick) {
+          const scale = stickSpeed ? stickSpeed * delta : 1;
+          out.x += stick.x * scale;
+          out.y += stick.y * scale;
+        }
+
+        const pointer = pointerDeltas.get(source);
+        if (pointer) {
+          out.x += pointer.x * POINTER_SPEEDS[source];
+          out.y += pointer.y * POINTER_SPEEDS[source];
+        }
+      }
+      return out;
+    },
+
+    /**
+     * Forgets this frame's pointer movement; call at the end of every frame
+     */
+    endFrame() {
+      pointerDeltas.clear();
+    },
+
+    /**
+     * Presses a button, firing the actions bound to it
+     * @param {string} source - Source name
+     * @param {Object} [detail] - Details passed to the handlers
+     */
+    press(source, detail) {
+      if (pressed.has(source)) return;
+      pressed.add(source);
+
+      if (capture) {
+        finishCapture(source);
+        return;
+      }
+
+      for (const action of INPUT_ACTIONS) {
+        if (!bindings[action.name].includes(source)) continue;
+        for (const handler of handlers.get(action.name) || []) {
+          handler(detail);
+        }
+      }
+    },
+
+    release(source) {
+      pressed.delete(source);
+    },
+
+    /**
+     * Presses and releases a button at once, as a tap does
+     * @param {string} source - Source name
+     * @param {Object} [detail] - Details passed to the handlers
+     */
+    tap(source, detail) {
+      input.press(source, detail);
+      input.release(source);
+    },
+
+    /**
+     * Sets where a stick is
+     * @param {string} source - Source name
+     * @param {number} x - Right, -1 to 1
+     * @param {number} y - Up, -1 to 1
+     */
+    setStick(source, x, y) {
+      if (!sticks.has(source)) sticks.set(source, { x: 0, y: 0 });
+      const stick = sticks.get(source);
+      stick.x = x;
+      stick.y = y;
+    },
+
+    /**
+     * Adds pointer movement for this frame
+     * @param {string} source - Source name
+     * @param {number} dx - Pixels right
+     * @param {number} dy - Pixels up
+     */
+    addPointerDelta(source, dx, dy) {
+      if (!pointerDeltas.has(source)) pointerDeltas.set(source, { x: 0, y: 0 });
+      const pointer = pointerDeltas.get(source);
+      pointer.x += dx;
+      pointer.y += dy;
+    },
+
+    /**
+     * @returns {Object} A copy of the bindings, by action name
+     */
+    getBindings() {
+      return normalizeBindings(bindings);
+    },
+
+    /**
+     * Binds a source to an action. A button can only drive one action, so it
+     * is unbound from any other.
+     * @param {string} action - Action name
+     * @param {string} source - Source name
+     * @returns {Array} Names of the actions the source was taken from
+     */
+    addBinding(action, source) {
+      if (!canBind(actionsByName.get(action), source)) {
+        throw new Error(`${input.describeSource(source)} cannot be used to ${actionsByName.get(action).label.toLowerCase()}`);
+      }
+
+      const takenFrom = [];
+      if (getSourceKind(source) === BUTTON) {
+        for (const other of INPUT_ACTIONS) {
+          if (other.name !== action && bindings[other.name].includes(source)) {
+            bindings[other.name] = bindings[other.name].filter(bound => bound !== source);
+            takenFrom.push(other.name);
+          }
+        }
+      }
+      if (!bindings[action].includes(source)) {
+        bindings[action] = [...bindings[action], source];
+      }
+      saveBindings();
+      return takenFrom;
+    },
+
+    removeBinding(action, source) {
+      bindings[action] = bindings[action].filter(bound => bound !== source);
+      saveBindings();
+    },
+
+    resetBindings() {
+      bindings = normalizeBindings({});
+      saveBindings();
+    },
+
+    /**
+     * @returns {string} The bindings as a bindings file
+     */
+    exportBindings() {
+      return JSON.stringify({
+        format: BINDINGS_FORMAT,
+        version: BINDINGS_VERSION,
+        bindings
+      }, null, 2);
+    },
+
+    /**
+     * Replaces the bindings with those in a bindings file
+     * @param {string} text - JSON text
+     * @throws {Error} If the file cannot be read
+     */
+    importBindings(text) {
+      bindings = parseBindings(text);
+      saveBindings();
+    },
+
+    /**
+     * Names a source for people, e.g. "Z" for Keyboard/KeyW on AZERTY
+     * @param {string} source - Source name
+     * @returns {string} Label
+     */
+    describeSource(source) {
+      if (SOURCE_LABELS[source]) return SOURCE_LABELS[source];
+
+      const [device, control] = source.split('/');
+      if (device === 'Keyboard') {
+        const key = layoutMap && layoutMap.get(control);
+        if (key && key.trim()) return key.toUpperCase();
+        return KEY_LABELS[control] || control.replace(/^(Key|Digit)/, '');
+      }
+      if (device === 'Gamepad') {
+        return `Gamepad ${control.replace(/([a-z])([A-Z])/g, '$1 $2')}`;
+      }
+      return source;
+    },
+
+    /**
+     * Hands the next button pressed to a callback instead of its actions
+     * @param {Function} callback - Called with the source name, or null if
+     *   Escape was pressed or the capture was cancelled
+     * @param {HTMLElement} [ignore] - Element whose mouse clicks are not captured
+     */
+    captureNext(callback, ignore = null) {
+      input.cancelCapture();
+      capture = callback;
+      captureIgnore = ignore;
+    },
+
+    cancelCapture() {
+      if (capture) finishCapture(null);
+    },
+
+    isCapturing() {
+      return capture !== null;
+    }
+  };
+
+  return input;
+}
@@ -3,11 +3,31 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { PointerLockControls } from 'three/examples/jsm/controls/PointerLockControls.js';
 import Stats from 'stats.js';
-import { drawCommonsLayout, initializeMinimapInteractions, drawMPs } from './minimap.js';
 
-import { loadMPs } from './mp-loader.js';
-import { createMinimap } from './minimap.js';
-import { createHouseOfCommons } from './commons-model.js';
+import { loadMPs, createMPFigures, updateMPFigures, updateMPPositions, setMPFigureColors, redrawMPLabels } from './mp-loader.js';
+import { createMPIndex } from './mp-index.js';
+import { createCollisionWorld } from './collision.js';
+import { createPlayerSimulation, PLAYER_HEIGHT } from './player-physics.js';
+import { createInputActions } from './input-actions.js';
+import { createTouchControls } from './touch-controls.js';
+import { createGamepadControls } from './gamepad-controls.js';
+import { createControlsPanel } from './controls-panel.js';
+import { createPalettePanel } from './palette-panel.js';
+import { createVRMode } from './vr-mode.js';
+import { createAnnouncer } from './announcer.js';
+import { createMPListPanel, describeMPLocation } from './mp-list-panel.js';
+import { createMinimap, buildMinimapPlan } from './minimap.js';
+import { createHouseOfCommons, updatePartyColors } from './commons-model.js';
+import { showDataReport } from './data-report.js';
+import { getPartyCss, getPartySymbol, arePartySymbolsShown } from './party-registry.js';
+import { createSeatingEditor } from './seating-editor.js';
+import { createDivisionSimulation, getVoteColor, getVoteCss, describeVote } from './division.js';
+import { createDebatePlayback } from './debate-playback.js';
+import { createGuidedTour, frameMP } from './guided-tour.js';
+import { createTeleporter } from './teleport.js';
+import { createCameraDirector } from './camera-director.js';
+import { createSessionRecorder } from './session-recorder.js';
+import { parseDeepLink, createDeepLinkUpdater, getLookAngles } from './deep-link.js';
 
 // Scene setup
 const scene = new THREE.Scene();
@@ -36,92 +56,62 @@ directionalLight.shadow.mapSize.width = 2048;
 directionalLight.shadow.mapSize.height = 2048;
 scene.add(directionalLight);
 
-// Controls for first-person navigation
+// Input actions: keys, mouse, touch and gamepad, rebindable on the Controls panel
+const input = createInputActions();
+
+// Controls for first-person navigation. They lock the pointer; looking around
+// is done through the input actions, so the mouse can be rebound
 const controls = new PointerLockControls(camera, document.body);
+controls.pointerSpeed = 0;
+
+// Touch controls for phones and tablets, in place of pointer lock
+const touchControls = createTouchControls({
+  domElement: renderer.domElement,
+  input,
+  isOverview: () => overviewMode,
+  onEnable: showTouchInstructions
+});
 
 // Add click event to lock controls
-document.addEventListener('click', () => {
-  if (!controls.isLocked && !overviewMode) {
+document.addEventListener('click', (event) => {
+  if (touchControls.isEnabled()) return;
+  
+  // The MP list is worked from the keyboard, which pointer lock would take over
+  if (event.target.closest && event.target.closest('#mp-list-panel, #mp-list-button')) return;
+  
+  if (!controls.isLocked && !overviewMode && !sessionRecorder.isReplaying()) {
     controls.lock();
   }
 });
 
-// Physics variables
-const velocity = new THREE.Vector3();
-const direction = new THREE.Vector3();
-let moveForward = false;
-let moveBackward = false;
-let moveLeft = false;
-let moveRight = false;
-let canJump = true;
-let isJumping = false;
-let jumpVelocity = 0;
-const gravity = 30.0; // Gravity strength
-const jumpHeight = 2.0; // Maximum jump height
-const playerHeight = 1.6; // Player height (camera height)
-const playerRadius = 0.3; // Player collision radius
+const playerHeight = PLAYER_HEIGHT; // Player height (camera height)
 
 // Collision objects array
 let collisionObjects = [];
 
-// Add a floor collision box to prevent falling through
-const floorCollisionBox = new THREE.Box3(
-  new THREE.Vector3(-20, -0.1, -20),
-  new THREE.Vector3(20, 0.1, 20)
-);
-
-// Key event listeners
-document.addEventListener('keydown', (event) => {
-  switch (event.code) {
-    case 'ArrowUp':
-    case 'KeyW':
-      moveForward = true;
-      hideInstructionsOnMovement();
-      break;
-    case 'ArrowLeft':
-    case 'KeyA':
-      moveLeft = true;
-      hideInstructionsOnMovement();
-      break;
-    case 'ArrowDown':
-    case 'KeyS':
-      moveBackward = true;
-      hideInstructionsOnMovement();
-      break;
-    case 'ArrowRight':
-    case 'KeyD':
-      moveRight = true;
-      hideInstructionsOnMovement();
-      break;
-    case 'Space':
-      if (canJump) {
-        jumpVelocity = Math.sqrt(2 * gravity * jumpHeight);
-        isJumping = true;
-        canJump = false;
-      }
-      break;
-  }
-});
+// Collision world over the collision objects, built once the chamber has loaded
+let collisionWorld = null;
 
-document.addEventListener('keyup', (event) => {
-  switch (event.code) {
-    case 'ArrowUp':
-    case 'KeyW':
-      moveForward = false;
-      break;
-    case 'ArrowLeft':
-    case 'KeyA':
-      moveLeft = false;
-      break;
-    case 'ArrowDown':
-    case 'KeyS':
-      moveBackward = false;
-      break;
-    case 'ArrowRight':
-    case 'KeyD':
-      moveRight = false;
-      break;
-  }
+// First-person physics, run in fixed steps (see player-physics.js)
+const playerSimulation = createPlayerSimulation();
+const playerInput = { forward: false, backward: false, left: false, right: false, jump: false, yaw: 0 };
+const lookEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+// Steepest the first-person view looks up or down
+const MAX_PITCH = Math.PI / 2 - 0.01;
+
+// Overview mode: share of the distance zoomed per second with a stick pushed all the way
+const ZOOM_SPEED = 1.5;
+const orbitOffset = new THREE.Vector3();
+const orbitSpherical = new THREE.Spherical();
+
+// Movement and looking read from the input actions each frame
+const moveAxis = { x: 0, y: 0 };
+const lookAxis = { x: 0, y: 0 };
+
+input.on('jump', () => {
+  // Taken by the next physics step, if the player is walking and on the ground
+  playerInput.jump = true;
 });
 
 // Stats for performance monitoring
@@ -133,45 +123,211 @@ document.body.appendChild(stats.dom);
 const raycaster = new THREE.Raycaster();
 const mouse = new THREE.Vector2();
 
+// Spatial index of the MPs' positions, for picking and proximity queries
+const mpIndex = createMPIndex();
+
+// Furthest an MP can be picked with the crosshair, in metres
+const PICK_DISTANCE = 50;
+
+// Radius of the nearby MPs readout, in metres
+const NEARBY_RADIUS = 3;
+const NEARBY_LIMIT = 8;
+
 // Store MP meshes for interaction
 let mpMeshes = [];
+let mpFigures = null;
+let seatingEditor = null;
+let divisionSimulation = null;
+let debatePlayback = null;
+let cameraDirector = null;
+let guidedTour = null;
+let teleporter = null;
+let minimap = null;
+let mpListPanel = null;
+
+// Tells screen-reader users what is selected and where the camera goes
+const announcer = createAnnouncer();
+
+// MP whose info panel is open, and one named by a link before the MPs have loaded
+let selectedMPId = null;
+let linkedMPId = null;
 
 // Load House of Commons model
-createHouseOfCommons(scene).then((objects) => {
+const houseLoaded = createHouseOfCommons(scene).then((house) => {
   console.log('House of Commons loaded');
   
   // Store collision objects
-  collisionObjects = objects.filter(obj => obj.userData.collidable);
+  collisionObjects = house.collidableObjects.filter(obj => obj.userData.collidable);
   console.log(`Loaded ${collisionObjects.length} collision objects`);
+  collisionWorld = createCollisionWorld(collisionObjects);
+  playerSimulation.setWorld(collisionWorld);
+  
+  // Glides to points picked on the minimap go where the player could walk
+  teleporter = createTeleporter({
+    camera,
+    orbitControls,
+    world: collisionWorld,
+    playerHeight,
+    isOverview: () => overviewMode
+  });
+  
+  // Draw the minimap from the chamber's own objects
+  const minimapCanvas = document.getElementById('minimap-canvas');
+  if (minimapCanvas) {
+    minimap = createMinimap({
+      canvas: minimapCanvas,
+      camera,
+      plan: buildMinimapPlan(scene),
+      mpIndex,
+      onMPClick: mp => showMPInfo(mp.data),
+      onFloorClick: glideToPoint
+    });
+  }
+  
+  return house;
 });
 
-// Load MPs and set up their positions
-loadMPs().then(mps => {
+// Load MPs and seat them once the chamber (and its seats) exists
+Promise.all([houseLoaded, loadMPs({ mode: 'roster', onDataErrors: showDataReport })]).then(([house, mps]) => {
   mpMeshes = mps;
+  updateMPPositions(mps, house.seatRegistry);
+  mpIndex.setMPs(mps);
   
-  // Add MP meshes to the scene
-  mps.forEach(mp => {
-    // Position MPs based on their roles
-    const position = mp.mesh.position;
-    
-    // Add MP mesh to scene
-    scene.add(mp.mesh);
-    
-    // Make MPs interactable
-    mp.mesh.traverse(child => {
-      if (child.isMesh) {
-        child.userData.mpData = mp.data; // Store MP data for interaction
-        child.userData.isInteractable = true;
+  // Add the instanced MP figures to the scene
+  mpFigures = createMPFigures(mps);
+  scene.add(mpFigures.group);
+  
+  // Set up the seating-plan editor now that there are MPs and seats
+  seatingEditor = createSeatingEditor({
+    camera,
+    domElement: renderer.domElement,
+    scene,
+    orbitControls,
+    mps,
+    figures: mpFigures,
+    seatRegistry: house.seatRegistry,
+    onEnable: () => {
+      if (!overviewMode) {
+        overviewMode = true;
+        controls.unlock();
+        camera.position.set(0, 15, 0);
+        camera.lookAt(0, 0, 0);
       }
-    });
+      orbitControls.enabled = true;
+      
+      const instructions = document.getElementById('instructions');
+      if (instructions) {
+        instructions.classList.add('hidden');
+      }
+    }
   });
+  seatingButton.style.display = 'block';
   
-  // Create and initialize minimap
-  const minimapCanvas = document.getElementById('minimap-canvas');
-  if (minimapCanvas) {
-    createMinimap(mps, camera);
-    initializeMinimapInteractions(minimapCanvas, showMPInfo);
-  }
+  // Set up the camera director; when the user moves, the orbit controls
+  // carry on from the director's last shot
+  cameraDirector = createCameraDirector({
+    camera,
+    viewpoints,
+    mps,
+    domElement: renderer.domElement,
+    onRelease: (target) => {
+      orbitControls.enabled = true;
+      orbitControls.target.copy(target);
+      orbitControls.update();
+    }
+  });
+  
+  // The Speaker, for close-ups of announcements
+  const speaker = mps.find(mp => mp.seat && mp.seat.id === 'speaker-chair') || null;
+  
+  // Set up the division simulation with the chamber's lobbies
+  divisionSimulation = createDivisionSimulation({
+    mps,
+    lobbies: house.lobbies,
+    onStart: () => {
+      closeOtherTools(divisionSimulation);
+      startCameraDirector(null);
+    },
+    onPhaseChange: (phase) => {
+      cameraDirector.setSubject(phase === 'announcing' ? speaker : null);
+    },
+    onVotesChange: colourMPFigures
+  });
+  divisionButton.style.display = 'block';
+  
+  // Set up debate playback; the info panel follows whoever is speaking
+  debatePlayback = createDebatePlayback({
+    mps,
+    scene,
+    onStart: () => {
+      closeOtherTools(debatePlayback);
+      startCameraDirector(null);
+    },
+    onSpeakerChange: (mp) => {
+      cameraDirector.setSubject(mp);
+      if (mp) {
+        showMPInfo(mp.data);
+      }
+    }
+  });
+  debateButton.style.display = 'block';
+  
+  // Set up guided tours of the chamber's landmarks
+  guidedTour = createGuidedTour({
+    camera,
+    orbitControls,
+    scene,
+    viewpoints,
+    landmarks: house.landmarks,
+    mps,
+    onStart: () => {
+      closeOtherTools(guidedTour);
+      if (cameraDirector) {
+        cameraDirector.stop();
+      }
+      if (teleporter) {
+        teleporter.cancel();
+      }
+      
+      // Tours fly the camera in overview mode, with the orbit controls free at each stop
+      overviewMode = true;
+      controls.unlock();
+      
+      const instructions = document.getElementById('instructions');
+      if (instructions) {
+        instructions.classList.add('hidden');
+      }
+    },
+    onStopChange: (stop, mp) => {
+      if (mp) {
+        showMPInfo(mp.data);
+      }
+    }
+  });
+  tourButton.style.display = 'block';
+  
+  // List the MPs for keyboard and screen-reader users; focusing one frames them
+  mpListPanel = createMPListPanel({
+    mps,
+    scene,
+    onFocusMP: (mp) => {
+      if (mp.mesh.visible && !vrMode.isPresenting()) {
+        frameMP(mp, framePosition, frameTarget);
+        viewFrom(framePosition, frameTarget);
+      }
+    },
+    onSelectMP: mp => showMPInfo(mp.data),
+    announce: announcer.announce,
+    onClose: () => {
+      mpListButton.setAttribute('aria-expanded', 'false');
+      mpListButton.focus();
+    }
+  });
+  mpListPanel.setSelected(selectedMPId);
+  mpListButton.style.display = 'block';
+  
+  // Open the MP named by the page's link, if any
+  showLinkedMP();
   
   console.log(`Loaded ${mps.length} MPs into the scene`);
 }).catch(error => {
@@ -185,34 +341,115 @@ window.addEventListener('resize', () => {
   renderer.setSize(window.innerWidth, window.innerHeight);
 });
 
-// Update MP interaction handler
-document.addEventListener('click', (event) => {
-  if (controls.isLocked) {
-    raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
-    
-    // Get all meshes from MP groups
-    const allMpMeshes = [];
-    mpMeshes.forEach(mp => {
-      mp.mesh.traverse(child => {
-        if (child.isMesh && child.userData.isInteractable) {
-          allMpMeshes.push(child);
-        }
-      });
-    });
-    
-    const intersects = raycaster.intersectObjects(allMpMeshes);
-    
-    if (intersects.length > 0) {
-      const mpData = intersects[0].object.userData.mpData;
-      if (mpData) {
-        showMPInfo(mpData);
-      }
-    }
+// Select the MP tapped, or the one under the crosshair
+input.on('select', (tap) => {
+  if (tap) {
+    selectMPAt(tap.clientX, tap.clientY);
+  } else {
+    selectMPAtCrosshair();
+  }
+});
+
+/**
+ * Shows the MP under the crosshair, if there is one
+ */
+function selectMPAtCrosshair() {
+  // Pick the MP under the crosshair from the spatial index
+  raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
+  const hit = mpIndex.raycast(raycaster.ray, PICK_DISTANCE);
+  
+  if (hit) {
+    showMPInfo(hit.mp.data);
+  }
+}
+
+/**
+ * Shows the MP at a point on the screen, if there is one
+ * @param {number} clientX - Client x of the point
+ * @param {number} clientY - Client y of the point
+ */
+function selectMPAt(clientX, clientY) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  mouse.set(
+    ((clientX - rect.left) / rect.width) * 2 - 1,
+    -((clientY - rect.top) / rect.height) * 2 + 1
+  );
+  raycaster.setFromCamera(mouse, camera);
+  
+  const hit = mpIndex.raycast(raycaster.ray, PICK_DISTANCE);
+  if (hit) {
+    showMPInfo(hit.mp.data);
   }
+}
+
+// Readout of the MPs standing near the player, toggled with N
+const nearbyPanel = document.createElement('div');
+nearbyPanel.id = 'nearby-mps';
+Object.assign(nearbyPanel.style, {
+  position: 'fixed',
+  top: '20px',
+  left: '50%',
+  transform: 'translateX(-50%)',
+  maxWidth: '60%',
+  backgroundColor: 'rgba(0, 0, 0, 0.7)',
+  color: 'white',
+  padding: '6px 12px',
+  borderRadius: '5px',
+  fontSize: '13px',
+  zIndex: '1000',
+  pointerEvents: 'none',
+  display: 'none'
+});
+document.body.appendChild(nearbyPanel);
+
+input.on('nearby', () => {
+  nearbyPanel.style.display = nearbyPanel.style.display === 'none' ? 'block' : 'none';
 });
 
-// Update showMPInfo function to include party colors
+/**
+ * Lists the MPs within NEARBY_RADIUS of the player, nearest first
+ */
+function updateNearbyMPs() {
+  if (nearbyPanel.style.display === 'none') return;
+  
+  const nearby = mpIndex.queryRadius(camera.position.x, camera.position.z, NEARBY_RADIUS);
+  let text = `No MPs within ${NEARBY_RADIUS} m`;
+  if (nearby.length > 0) {
+    const names = nearby.slice(0, NEARBY_LIMIT).map(({ mp, distance }) => `${mp.data.name} (${distance.toFixed(1)} m)`);
+    if (nearby.length > NEARBY_LIMIT) {
+      names.push(`${nearby.length - NEARBY_LIMIT} more`);
+    }
+    text = `Within ${NEARBY_RADIUS} m: ${names.join(', ')}`;
+  }
+  
+  if (nearbyPanel.textContent !== text) {
+    nearbyPanel.textContent = text;
+  }
+}
+
+/**
+ * Shows an MP's info panel and makes them the selected MP
+ * @param {Object} mpData - MP data
+ */
 function showMPInfo(mpData) {
+  renderMPInfo(mpData);
+  selectedMPId = mpData.id;
+  sessionRecorder.recordMPInfo(mpData.id);
+  
+  // Say who was selected, and where they sit, for screen-reader users
+  const mp = mpMeshes.find(candidate => candidate.data.id === mpData.id);
+  announcer.announce(`Selected ${mpData.name}, ${mpData.party}, ${mpData.constituency}` +
+    (mp ? `. ${describeMPLocation(mp)}` : ''));
+  if (mpListPanel) {
+    mpListPanel.setSelected(mpData.id);
+  }
+}
+
+/**
+ * Fills in and shows the info panel, with party colors
+ * @param {Object} mpData - MP data
+ */
+function renderMPInfo(mpData) {
   let mpInfoElement = document.getElementById('mp-info');
   if (!mpInfoElement) {
     mpInfoElement = document.createElement('div');
@@ -234,8 +471,14 @@ function showMPInfo(mpData) {
     });
   }
   
-  // Get party color
-  const partyColor = '#' + new THREE.Color(getPartyColor(mpData.party)).getHexString();
+  // Get party color, and symbol if shown
+  const partyColor = getPartyCss(mpData.party);
+  const partySymbol = arePartySymbolsShown() ? `<span aria-hidden="true">${getPartySymbol(mpData.party).glyph}</span> ` : '';
+  
+  // How the MP voted, if a division is loaded
+  const vote = divisionSimulation && divisionSimulation.hasVotes()
+    ? divisionSimulation.getVote(mpData.id)
+    : undefined;
   
   // Create info panel content
   mpInfoElement.innerHTML = `
@@ -245,9 +488,11 @@ function showMPInfo(mpData) {
     <h3 style="margin-top: 0; border-left: 5px solid ${partyColor}; padding-left: 10px;">
       ${mpData.name}
     </h3>
-    <p><strong>Party:</strong> <span style="color: ${partyColor}">${mpData.party}</span></p>
+    <p><strong>Party:</strong> <span style="color: ${partyColor}">${partySymbol}${mpData.party}</span></p>
     <p><strong>Constituency:</strong> ${mpData.constituency}</p>
     <p><strong>Position:</strong> ${mpData.position || 'Backbencher'}</p>
+    ${vote !== undefined ?
+      `<p><strong>Vote:</strong> <span style="color: ${getVoteCss(vote)}">${describeVote(vote)}</span></p>` : ''}
     <p>${mpData.bio}</p>
     <button id="close-mp-info" style="background: #333; color: white; border: none; 
      padding: 5px 10px; cursor: pointer; float: right;">Close</button>
@@ -258,31 +503,69 @@ function showMPInfo(mpData) {
   // Add close button handler
   document.getElementById('close-mp-info').addEventListener('click', () => {
     mpInfoElement.style.display = 'none';
+    selectedMPId = null;
+    sessionRecorder.recordMPInfo(null);
+    if (mpListPanel) {
+      mpListPanel.setSelected(null);
+    }
   });
 }
 
-// Helper function to get party color
-function getPartyColor(party) {
-  switch (party.toLowerCase()) {
-    case 'labour':
-      return 0xE4003B; // Labour red
-    case 'conservative':
-      return 0x0087DC; // Conservative blue
-    case 'liberal democrats':
-      return 0xFAA61A; // Lib Dem orange
-    case 'green':
-      return 0x6AB023; // Green
-    case 'scottish national party':
-    case 'snp':
-      return 0xFFF95D; // SNP yellow
-    case 'plaid cymru':
-      return 0x005B54; // Plaid Cymru green
-    case 'non-partisan':
-      return 0x777777; // Grey for non-partisan (like the Speaker)
-    default:
-      return 0xCCCCCC; // Default grey
+// Session recorder for walkthroughs; replays drive the camera, mode and MP panels
+const sessionRecorder = createSessionRecorder({
+  camera,
+  // The Session button shows that a recording runs on with the panel closed
+  onRecordingChange: (recording) => {
+    sessionButton.textContent = recording ? 'Session (recording)' : 'Session';
+    sessionButton.style.backgroundColor = recording ? '#a00' : '#333';
+  },
+  getMode: () => ({ locked: controls.isLocked, overview: overviewMode }),
+  onReplayStart: () => {
+    if (cameraDirector) {
+      cameraDirector.stop();
+    }
+    if (guidedTour) {
+      guidedTour.close();
+    }
+    if (teleporter) {
+      teleporter.cancel();
+    }
+    controls.unlock();
+    orbitControls.enabled = false;
+  },
+  onReplayMode: ({ overview }) => {
+    // The pointer cannot be locked without a click, so a locked first-person
+    // stretch replays as first-person with the mouse free
+    overviewMode = overview;
+    const instructions = document.getElementById('instructions');
+    if (instructions) {
+      instructions.classList.add('hidden');
+    }
+  },
+  onReplayMP: (id) => {
+    const mp = id === null ? null : mpMeshes.find(candidate => candidate.data.id === id);
+    if (mp) {
+      showMPInfo(mp.data);
+    } else {
+      const mpInfoElement = document.getElementById('mp-info');
+      if (mpInfoElement) {
+        mpInfoElement.style.display = 'none';
+      }
+      selectedMPId = null;
+      if (mpListPanel) {
+        mpListPanel.setSelected(null);
+      }
+    }
+  },
+  onReplayEnd: () => {
+    if (overviewMode) {
+      // Orbit from where the replay left the camera
+      orbitControls.target.copy(camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(10).add(camera.position));
+      orbitControls.update();
+    }
+    orbitControls.enabled = overviewMode;
   }
-}
+});
 
 // Add a button to toggle between first-person and overview modes
 const viewModeButton = document.createElement('button');
@@ -299,6 +582,335 @@ viewModeButton.style.cursor = 'pointer';
 viewModeButton.style.zIndex = '1000';
 document.body.appendChild(viewModeButton);
 
+// Add a button to open the seating-plan editor (shown once MPs are seated)
+const seatingButton = document.createElement('button');
+seatingButton.textContent = 'Edit Seating';
+seatingButton.style.position = 'fixed';
+seatingButton.style.bottom = '20px';
+seatingButton.style.right = '140px';
+seatingButton.style.padding = '10px';
+seatingButton.style.backgroundColor = '#333';
+seatingButton.style.color = 'white';
+seatingButton.style.border = 'none';
+seatingButton.style.borderRadius = '5px';
+seatingButton.style.cursor = 'pointer';
+seatingButton.style.zIndex = '1000';
+seatingButton.style.display = 'none';
+document.body.appendChild(seatingButton);
+
+seatingButton.addEventListener('click', () => {
+  if (!seatingEditor) return;
+  
+  if (seatingEditor.isActive()) {
+    seatingEditor.disable();
+  } else {
+    // Moving MPs mid-division would strand them in the lobbies
+    closeOtherTools(seatingEditor);
+    seatingEditor.enable();
+  }
+});
+
+// Add a button to open the division simulation (shown once MPs are seated)
+const divisionButton = document.createElement('button');
+divisionButton.textContent = 'Division';
+divisionButton.style.position = 'fixed';
+divisionButton.style.bottom = '20px';
+divisionButton.style.right = '270px';
+divisionButton.style.padding = '10px';
+divisionButton.style.backgroundColor = '#333';
+divisionButton.style.color = 'white';
+divisionButton.style.border = 'none';
+divisionButton.style.borderRadius = '5px';
+divisionButton.style.cursor = 'pointer';
+divisionButton.style.zIndex = '1000';
+divisionButton.style.display = 'none';
+document.body.appendChild(divisionButton);
+
+divisionButton.addEventListener('click', () => {
+  if (!divisionSimulation) return;
+  
+  if (divisionSimulation.isOpen()) {
+    divisionSimulation.close();
+  } else {
+    closeOtherTools(divisionSimulation);
+    divisionSimulation.open();
+  }
+});
+
+// Add a button to open debate playback (shown once MPs are seated)
+const debateButton = document.createElement('button');
+debateButton.textContent = 'Debate';
+debateButton.style.position = 'fixed';
+debateButton.style.bottom = '20px';
+debateButton.style.right = '360px';
+debateButton.style.padding = '10px';
+debateButton.style.backgroundColor = '#333';
+debateButton.style.color = 'white';
+debateButton.style.border = 'none';
+debateButton.style.borderRadius = '5px';
+debateButton.style.cursor = 'pointer';
+debateButton.style.zIndex = '1000';
+debateButton.style.display = 'none';
+document.body.appendChild(debateButton);
+
+debateButton.addEventListener('click', () => {
+  if (!debatePlayback) return;
+  
+  if (debatePlayback.isOpen()) {
+    debatePlayback.close();
+  } else {
+    closeOtherTools(debatePlayback);
+    debatePlayback.open();
+  }
+});
+
+// Add a button to open the session recorder
+const sessionButton = document.createElement('button');
+sessionButton.textContent = 'Session';
+sessionButton.style.position = 'fixed';
+sessionButton.style.bottom = '20px';
+sessionButton.style.right = '450px';
+sessionButton.style.padding = '10px';
+sessionButton.style.backgroundColor = '#333';
+sessionButton.style.color = 'white';
+sessionButton.style.border = 'none';
+sessionButton.style.borderRadius = '5px';
+sessionButton.style.cursor = 'pointer';
+sessionButton.style.zIndex = '1000';
+document.body.appendChild(sessionButton);
+
+sessionButton.addEventListener('click', () => {
+  if (sessionRecorder.isOpen()) {
+    sessionRecorder.close();
+  } else {
+    closeOtherTools(sessionRecorder);
+    sessionRecorder.open();
+  }
+});
+
+// Add a button to open the guided tour (shown once MPs are seated)
+const tourButton = document.createElement('button');
+tourButton.textContent = 'Tour';
+tourButton.style.position = 'fixed';
+tourButton.style.bottom = '20px';
+tourButton.style.right = '545px';
+tourButton.style.padding = '10px';
+tourButton.style.backgroundColor = '#333';
+tourButton.style.color = 'white';
+tourButton.style.border = 'none';
+tourButton.style.borderRadius = '5px';
+tourButton.style.cursor = 'pointer';
+tourButton.style.zIndex = '1000';
+tourButton.style.display = 'none';
+document.body.appendChild(tourButton);
+
+tourButton.addEventListener('click', () => {
+  if (!guidedTour) return;
+  
+  if (guidedTour.isOpen()) {
+    guidedTour.close();
+  } else {
+    closeOtherTools(guidedTour);
+    guidedTour.open();
+  }
+});
+
+// Add a button to open the controls panel, where keys and buttons are rebound
+const controlsPanel = createControlsPanel({ input });
+const controlsButton = document.createElement('button');
+controlsButton.textContent = 'Controls';
+controlsButton.style.position = 'fixed';
+controlsButton.style.bottom = '20px';
+controlsButton.style.right = '610px';
+controlsButton.style.padding = '10px';
+controlsButton.style.backgroundColor = '#333';
+controlsButton.style.color = 'white';
+controlsButton.style.border = 'none';
+controlsButton.style.borderRadius = '5px';
+controlsButton.style.cursor = 'pointer';
+controlsButton.style.zIndex = '1000';
+document.body.appendChild(controlsButton);
+
+controlsButton.addEventListener('click', () => {
+  if (controlsPanel.isOpen()) {
+    controlsPanel.close();
+  } else {
+    closeOtherTools(controlsPanel);
+    controlsPanel.open();
+  }
+});
+
+// Add a button to open the MP list (shown once MPs are seated). It comes
+// first on the page, so that it is the first thing Tab reaches
+const mpListButton = document.createElement('button');
+mpListButton.id = 'mp-list-button';
+mpListButton.textContent = 'MP List';
+mpListButton.setAttribute('aria-controls', 'mp-list-panel');
+mpListButton.setAttribute('aria-expanded', 'false');
+mpListButton.style.position = 'fixed';
+mpListButton.style.bottom = '20px';
+mpListButton.style.right = '705px';
+mpListButton.style.padding = '10px';
+mpListButton.style.backgroundColor = '#333';
+mpListButton.style.color = 'white';
+mpListButton.style.border = 'none';
+mpListButton.style.borderRadius = '5px';
+mpListButton.style.cursor = 'pointer';
+mpListButton.style.zIndex = '1000';
+mpListButton.style.display = 'none';
+document.body.insertBefore(mpListButton, document.body.firstChild);
+
+mpListButton.addEventListener('click', () => {
+  if (!mpListPanel) return;
+  
+  if (mpListPanel.isOpen()) {
+    mpListPanel.close();
+  } else {
+    mpListPanel.open();
+    mpListButton.setAttribute('aria-expanded', 'true');
+  }
+});
+
+// Add a button to open the colours panel, for colour-blind safe and
+// high-contrast party colours. Saved colours are restored straight away.
+const palettePanel = createPalettePanel({ onChange: applyPartyPalette });
+const paletteButton = document.createElement('button');
+paletteButton.textContent = 'Colours';
+paletteButton.style.position = 'fixed';
+paletteButton.style.bottom = '20px';
+paletteButton.style.right = '790px';
+paletteButton.style.padding = '10px';
+paletteButton.style.backgroundColor = '#333';
+paletteButton.style.color = 'white';
+paletteButton.style.border = 'none';
+paletteButton.style.borderRadius = '5px';
+paletteButton.style.cursor = 'pointer';
+paletteButton.style.zIndex = '1000';
+document.body.appendChild(paletteButton);
+
+paletteButton.addEventListener('click', () => {
+  if (palettePanel.isOpen()) {
+    palettePanel.close();
+  } else {
+    closeOtherTools(palettePanel);
+    palettePanel.open();
+  }
+});
+
+/**
+ * Redraws everything drawn in party colours after the palette or the party
+ * symbols change. The minimap draws its MPs afresh every frame.
+ */
+function applyPartyPalette() {
+  updatePartyColors(scene);
+  if (minimap) {
+    minimap.setPlan(buildMinimapPlan(scene));
+  }
+  
+  if (mpFigures) {
+    colourMPFigures();
+  }
+  redrawMPLabels(mpMeshes);
+  
+  if (mpListPanel) {
+    mpListPanel.refresh();
+  }
+  const mpInfoElement = document.getElementById('mp-info');
+  if (selectedMPId !== null && mpInfoElement && mpInfoElement.style.display !== 'none') {
+    const mp = mpMeshes.find(candidate => candidate.data.id === selectedMPId);
+    if (mp) {
+      renderMPInfo(mp.data);
+    }
+  }
+}
+
+/**
+ * Colours the MP figures by vote while a division is coloured that way, and
+ * otherwise in party colours
+ */
+function colourMPFigures() {
+  setMPFigureColors(mpFigures, divisionSimulation && divisionSimulation.isColouringByVote()
+    ? mp => getVoteColor(divisionSimulation.getVote(mp.data.id))
+    : null);
+}
+
+/**
+ * Hands the camera to the director, in overview mode so that the pointer is free
+ * @param {Object|null} subject - The MP to follow, or null for wide shots
+ */
+function startCameraDirector(subject) {
+  if (!cameraDirector) return;
+  
+  if (guidedTour) {
+    guidedTour.close();
+  }
+  if (teleporter) {
+    teleporter.cancel();
+  }
+  
+  overviewMode = true;
+  controls.unlock();
+  orbitControls.enabled = false;
+  
+  const instructions = document.getElementById('instructions');
+  if (instructions) {
+    instructions.classList.add('hidden');
+  }
+  
+  cameraDirector.setSubject(subject);
+  cameraDirector.start();
+}
+
+/**
+ * Glides the player (or the view, in overview mode) to a point picked on the minimap
+ * @param {number} x - World x
+ * @param {number} z - World z
+ */
+function glideToPoint(x, z) {
+  if (!teleporter || sessionRecorder.isReplaying()) return;
+  
+  if (cameraDirector && cameraDirector.isActive()) {
+    cameraDirector.stop();
+    orbitControls.enabled = overviewMode;
+  }
+  if (guidedTour) {
+    guidedTour.close();
+  }
+  
+  // The player simulation restarts, standing still, wherever the glide ends
+  teleporter.glideTo(x, z);
+}
+
+/**
+ * Closes all but one of the tools with a panel (seating editor, division
+ * simulation, debate playback, guided tour, session recorder, controls), so
+ * they never fight over a figure or the camera
+ * @param {Object} keep - The tool to leave open
+ */
+function closeOtherTools(keep) {
+  if (seatingEditor && keep !== seatingEditor) {
+    seatingEditor.disable();
+  }
+  if (divisionSimulation && keep !== divisionSimulation) {
+    divisionSimulation.close();
+  }
+  if (debatePlayback && keep !== debatePlayback) {
+    debatePlayback.close();
+  }
+  if (guidedTour && keep !== guidedTour) {
+    guidedTour.close();
+  }
+  if (keep !== sessionRecorder) {
+    sessionRecorder.close();
+  }
+  if (keep !== controlsPanel) {
+    controlsPanel.close();
+  }
+  if (keep !== palettePanel) {
+    palettePanel.close();
+  }
+}
+
 // Add overview camera controls
 const orbitControls = new OrbitControls(camera, renderer.domElement);
 orbitControls.enableDamping = true;
@@ -311,7 +923,22 @@ orbitControls.enabled = false; // Start with first-person controls
 
 // Toggle between first-person and overview modes
 let overviewMode = false;
-viewModeButton.addEventListener('click', () => {
+viewModeButton.addEventListener('click', toggleOverview);
+input.on('toggleView', toggleOverview);
+
+/**
+ * Switches between first-person and overview modes
+ */
+function toggleOverview() {
+  if (cameraDirector) {
+    cameraDirector.stop();
+  }
+  if (guidedTour) {
+    guidedTour.close();
+  }
+  if (teleporter) {
+    teleporter.cancel();
+  }
   overviewMode = !overviewMode;
   
   if (overviewMode) {
@@ -323,10 +950,13 @@ viewModeButton.addEventListener('click', () => {
     instructions.classList.add('hidden');
   } else {
     // Switch to first-person mode
+    if (seatingEditor) {
+      seatingEditor.disable();
+    }
     orbitControls.enabled = false;
     instructions.classList.remove('hidden');
   }
-});
+}
 
 // Instructions panel
 const instructions = document.getElementById('instructions');
@@ -340,7 +970,10 @@ if (!instructions) {
     <p>SPACE to jump</p>
     <p>Mouse to look around</p>
     <p>Click on MPs to view their information</p>
-    <p>Click on the minimap to see locations</p>
+    <p>Click on the minimap to move there</p>
+    <p>N to list MPs near you</p>
+    <p>Or plug in a gamepad</p>
+    <p>Change the keys under Controls</p>
   `;
   instructionsDiv.style.position = 'fixed';
   instructionsDiv.style.top = '50%';
@@ -357,6 +990,9 @@ if (!instructions) {
 
 // Show instructions when controls are unlocked
 controls.addEventListener('unlock', () => {
+  // Replays and the camera director unlock the pointer to take the camera
+  if (sessionRecorder.isReplaying() || (cameraDirector && cameraDirector.isActive())) return;
+  
   const instructions = document.getElementById('instructions');
   if (instructions) {
     instructions.classList.remove('hidden');
@@ -392,25 +1028,134 @@ viewpoints.forEach(viewpoint => {
   button.style.borderRadius = '5px';
   button.style.cursor = 'pointer';
   
-  button.addEventListener('click', () => {
-    // Switch to overview mode
-    overviewMode = true;
+  button.addEventListener('click', () => goToViewpoint(viewpoint));
+  
+  viewpointContainer.appendChild(button);
+});
+
+// Viewpoint last gone to, for cycling through them with a gamepad
+let viewpointIndex = -1;
+
+/**
+ * Moves the camera to a viewpoint, in overview mode
+ * @param {Object} viewpoint - One of the viewpoints
+ */
+function goToViewpoint(viewpoint) {
+  viewpointIndex = viewpoints.indexOf(viewpoint);
+  viewFrom(viewpoint.position, viewpoint.target);
+  announcer.announce(`Viewing from ${viewpoint.name}`);
+}
+
+// Scratch for framing MPs picked from the MP list
+const framePosition = new THREE.Vector3();
+const frameTarget = new THREE.Vector3();
+
+/**
+ * Moves the camera to look at a point, in overview mode
+ * @param {THREE.Vector3} position - Camera position
+ * @param {THREE.Vector3} target - Point to look at and orbit
+ */
+function viewFrom(position, target) {
+  if (cameraDirector) {
+    cameraDirector.stop();
+  }
+  if (guidedTour) {
+    guidedTour.close();
+  }
+  if (teleporter) {
+    teleporter.cancel();
+  }
+  
+  // Switch to overview mode
+  overviewMode = true;
+  controls.unlock();
+  orbitControls.enabled = true;
+  
+  camera.position.copy(position);
+  orbitControls.target.copy(target);
+  orbitControls.update();
+  
+  const instructions = document.getElementById('instructions');
+  if (instructions) {
+    instructions.classList.add('hidden');
+  }
+}
+
+/**
+ * Moves the camera to the next or previous viewpoint, wrapping round
+ * @param {number} step - 1 for the next viewpoint, -1 for the previous one
+ */
+function cycleViewpoint(step) {
+  const count = viewpoints.length;
+  const start = viewpointIndex < 0 && step < 0 ? 0 : viewpointIndex;
+  goToViewpoint(viewpoints[(start + step + count) % count]);
+}
+
+input.on('previousViewpoint', () => cycleViewpoint(-1));
+input.on('nextViewpoint', () => cycleViewpoint(1));
+
+// Gamepad controls, for kiosks with a controller; used as soon as one is plugged in
+const gamepadControls = createGamepadControls({
+  input,
+  isOverview: () => overviewMode,
+  onConnect: hideInstructionsOnMovement
+});
+
+// VR through WebXR, where the browser supports it: teleport round the chamber
+// and point at MPs to see who they are
+const vrMode = createVRMode({
+  renderer,
+  camera,
+  scene,
+  getWorld: () => collisionWorld,
+  pickMP: (ray, maxDistance) => mpIndex.raycast(ray, maxDistance),
+  onSelectMP: mp => showMPInfo(mp.data),
+  getDetails: (mpData) => {
+    if (!divisionSimulation || !divisionSimulation.hasVotes()) return [];
+    const vote = divisionSimulation.getVote(mpData.id);
+    return [{ label: 'Vote', value: describeVote(vote), color: getVoteCss(vote) }];
+  },
+  onSessionStart: () => {
+    if (cameraDirector) {
+      cameraDirector.stop();
+    }
+    if (guidedTour) {
+      guidedTour.close();
+    }
+    if (teleporter) {
+      teleporter.cancel();
+    }
     controls.unlock();
-    orbitControls.enabled = true;
-    
-    // Move camera to viewpoint
-    camera.position.copy(viewpoint.position);
-    orbitControls.target.copy(viewpoint.target);
-    orbitControls.update();
     
-    const instructions = document.getElementById('instructions');
-    if (instructions) {
-      instructions.classList.add('hidden');
+    // VR is always first person
+    if (overviewMode) {
+      toggleOverview();
     }
-  });
-  
-  viewpointContainer.appendChild(button);
+    hideInstructionsOnMovement();
+  },
+  onSessionEnd: () => {
+    // Stand the camera back up, facing where the headset last faced
+    const { yaw } = getLookAngles(camera);
+    camera.quaternion.setFromEuler(new THREE.Euler(0, yaw, 0, 'YXZ'));
+  }
+});
+
+// Add a button to hand the camera to the director (TV-style shots)
+const directorButton = document.createElement('button');
+directorButton.textContent = 'TV Camera';
+directorButton.style.display = 'block';
+directorButton.style.margin = '5px';
+directorButton.style.padding = '8px';
+directorButton.style.backgroundColor = '#333';
+directorButton.style.color = 'white';
+directorButton.style.border = 'none';
+directorButton.style.borderRadius = '5px';
+directorButton.style.cursor = 'pointer';
+directorButton.addEventListener('click', () => {
+  // Follow whoever is speaking, if a debate is playing
+  startCameraDirector(debatePlayback ? debatePlayback.getCurrentSpeaker() : null);
 });
+viewpointContainer.appendChild(directorButton);
 
 // Add debug info for collision detection
 const debugInfo = document.createElement('div');
@@ -453,292 +1198,195 @@ infoButton.addEventListener('click', () => {
   }
 });
 
-// Modify the existing movement handlers to hide instructions after first movement
-function hideInstructionsOnMovement() {
+/**
+ * Swaps the instructions for touch ones; a tap on them puts them away
+ */
+function showTouchInstructions() {
   const instructions = document.getElementById('instructions');
-  if (instructions && instructions.style.display !== 'none') {
+  if (!instructions) return;
+  
+  instructions.innerHTML = `
+    <h2>UK House of Commons Explorer</h2>
+    <p>Tap to start</p>
+    <p>Use the joystick to move</p>
+    <p>Drag to look around</p>
+    <p>Tap on MPs to view their information</p>
+    <p>Tap on the minimap to move there</p>
+    <p>Pinch to zoom in overview</p>
+  `;
+  instructions.addEventListener('pointerdown', () => {
     instructions.style.display = 'none';
-    infoButton.style.display = 'block'; // Show the info button
-  }
+  });
 }
 
 /**
- * Check for collisions with objects in the scene
- * @param {THREE.Vector3} position - The position to check
- * @param {number} radius - The radius of the player
- * @returns {Object} Collision information
+ * Turns the first-person camera
+ * @param {Object} look - Radians to turn right (x) and up (y)
  */
-function checkCollisions(position, radius) {
-  // Default result with no collision
-  const result = {
-    colliding: false,
-    normal: new THREE.Vector3(),
-    distance: Infinity
-  };
-  
-  // Check floor collision box first
-  const playerPosition = position.clone();
-  const playerBottom = playerPosition.y - playerHeight / 2;
-  
-  if (playerBottom <= floorCollisionBox.max.y) {
-    result.colliding = true;
-    result.normal = new THREE.Vector3(0, 1, 0);
-    result.distance = floorCollisionBox.max.y - playerBottom;
-    return result;
-  }
-  
-  // No collision objects yet
-  if (!collisionObjects.length) return result;
-  
-  // Check each collision object
-  for (const object of collisionObjects) {
-    // Skip objects that are too far away (optimization)
-    if (object.position && object.position.distanceTo(position) > 5) continue;
-    
-    // Get the object's world position and size
-    const objectWorldPosition = new THREE.Vector3();
-    if (object.getWorldPosition) {
-      object.getWorldPosition(objectWorldPosition);
-    } else {
-      // If the object doesn't have getWorldPosition, use its position directly
-      if (object.position) {
-        objectWorldPosition.copy(object.position);
-      } else {
-        continue; // Skip objects without position
-      }
-    }
-    
-    // Get the object's bounding box
-    let boundingBox;
-    if (object.geometry) {
-      if (!object.geometry.boundingBox) {
-        object.geometry.computeBoundingBox();
-      }
-      boundingBox = object.geometry.boundingBox.clone();
-      
-      // Transform bounding box to world space
-      boundingBox.min.add(objectWorldPosition);
-      boundingBox.max.add(objectWorldPosition);
-      
-      // Expand bounding box by player radius
-      boundingBox.expandByScalar(radius);
-      
-      // Check if position is inside the expanded bounding box
-      if (boundingBox.containsPoint(position)) {
-        // Calculate penetration depth and normal
-        const center = new THREE.Vector3();
-        boundingBox.getCenter(center);
-        
-        const size = new THREE.Vector3();
-        boundingBox.getSize(size);
-        
-        const dx = (position.x - center.x) / size.x;
-        const dy = (position.y - center.y) / size.y;
-        const dz = (position.z - center.z) / size.z;
-        
-        // Find the axis with the smallest penetration
-        const absDx = Math.abs(dx);
-        const absDy = Math.abs(dy);
-        const absDz = Math.abs(dz);
-        
-        let normal = new THREE.Vector3();
-        let distance = 0;
-        
-        if (absDx <= absDy && absDx <= absDz) {
-          // X-axis has smallest penetration
-          normal.set(Math.sign(dx), 0, 0);
-          distance = (size.x / 2) - (absDx * size.x / 2);
-        } else if (absDy <= absDx && absDy <= absDz) {
-          // Y-axis has smallest penetration
-          normal.set(0, Math.sign(dy), 0);
-          distance = (size.y / 2) - (absDy * size.y / 2);
-        } else {
-          // Z-axis has smallest penetration
-          normal.set(0, 0, Math.sign(dz));
-          distance = (size.z / 2) - (absDz * size.z / 2);
-        }
-        
-        // Update result if this collision is closer
-        if (distance < result.distance) {
-          result.colliding = true;
-          result.normal = normal;
-          result.distance = distance;
-          result.object = object;
-        }
-      }
-    }
-  }
-  
-  return result;
+function turnCamera(look) {
+  lookEuler.setFromQuaternion(camera.quaternion);
+  lookEuler.y -= look.x;
+  lookEuler.x = THREE.MathUtils.clamp(lookEuler.x + look.y, -MAX_PITCH, MAX_PITCH);
+  camera.quaternion.setFromEuler(lookEuler);
 }
 
 /**
- * Check if the player is on the ground
- * @param {THREE.Vector3} position - The player's position
- * @returns {Object} Ground information
+ * Orbits and zooms the overview camera about the orbit target
+ * @param {Object} look - Radians to orbit right (x) and up (y)
+ * @param {number} zoom - How far in to zoom, -1 to 1
+ * @param {number} delta - Seconds since the last frame
  */
-function checkGround(position) {
-  const result = {
-    onGround: false,
-    groundY: 0
-  };
-  
-  // Cast a ray downward from the player's position
-  raycaster.set(
-    new THREE.Vector3(position.x, position.y, position.z),
-    new THREE.Vector3(0, -1, 0)
-  );
-  
-  const intersects = raycaster.intersectObjects(collisionObjects, true);
+function orbitCamera(look, zoom, delta) {
+  orbitOffset.subVectors(camera.position, orbitControls.target);
+  orbitSpherical.setFromVector3(orbitOffset);
   
-  if (intersects.length > 0 && intersects[0].distance < playerHeight * 0.5 + 0.1) {
-    result.onGround = true;
-    result.groundY = intersects[0].point.y;
-    return result;
-  }
+  orbitSpherical.theta -= look.x;
+  orbitSpherical.phi = THREE.MathUtils.clamp(
+    orbitSpherical.phi + look.y,
+    Math.max(orbitControls.minPolarAngle, 0.01),
+    Math.min(orbitControls.maxPolarAngle, Math.PI - 0.01)
+  );
+  orbitSpherical.radius = THREE.MathUtils.clamp(
+    orbitSpherical.radius * (1 - zoom * ZOOM_SPEED * delta),
+    orbitControls.minDistance,
+    orbitControls.maxDistance
+  );
   
-  // Fallback: check if we're at or below floor level (y=0)
-  if (position.y <= playerHeight) {
-    result.onGround = true;
-    result.groundY = 0;
+  orbitOffset.setFromSpherical(orbitSpherical);
+  camera.position.copy(orbitControls.target).add(orbitOffset);
+  camera.lookAt(orbitControls.target);
+}
+
+// Modify the existing movement handlers to hide instructions after first movement
+function hideInstructionsOnMovement() {
+  const instructions = document.getElementById('instructions');
+  if (instructions && instructions.style.display !== 'none') {
+    instructions.style.display = 'none';
+    infoButton.style.display = 'block'; // Show the info button
   }
-  
-  return result;
 }
 
 // Animation loop
 const clock = new THREE.Clock();
 function animate() {
-  requestAnimationFrame(animate);
-  
   stats.begin();
   
   const delta = clock.getDelta();
   
+  // Show the joystick while walking by touch, and poll the gamepad
+  touchControls.update();
+  gamepadControls.update();
+  
+  // Read movement and looking from the input actions
+  input.readAxis('move', moveAxis, delta);
+  input.readAxis('look', lookAxis, delta);
+  input.endFrame();
+  const moving = input.isPressed('moveForward') || input.isPressed('moveBackward') ||
+    input.isPressed('moveLeft') || input.isPressed('moveRight') ||
+    moveAxis.x !== 0 || moveAxis.y !== 0;
+  const looking = lookAxis.x !== 0 || lookAxis.y !== 0;
+  if (moving) {
+    hideInstructionsOnMovement();
+  }
+  
+  // Moving, jumping or looking takes the camera back from the director
+  if ((moving || looking || input.isPressed('jump')) && cameraDirector) {
+    cameraDirector.release();
+  }
+  
+  // Moving by hand ends a glide
+  if (teleporter && teleporter.isGliding() && moving) {
+    teleporter.cancel();
+  }
+  
+  // Look around, or orbit and zoom in overview mode; in VR the headset looks
+  if (!vrMode.isPresenting() && !sessionRecorder.isReplaying() && !(cameraDirector && cameraDirector.isActive())) {
+    if (!overviewMode && looking) {
+      turnCamera(lookAxis);
+    } else if (overviewMode && orbitControls.enabled && (looking || moveAxis.y !== 0)) {
+      orbitCamera(lookAxis, moveAxis.y, delta);
+    }
+  }
+  
   // Update controls based on mode
-  if (overviewMode) {
+  let walking = false;
+  if (vrMode.isPresenting()) {
+    vrMode.update();
+  } else if (sessionRecorder.isReplaying()) {
+    sessionRecorder.replayFrame(delta);
+  } else if (cameraDirector && cameraDirector.isActive()) {
+    cameraDirector.update(delta);
+  } else if (teleporter && teleporter.isGliding()) {
+    teleporter.update(delta);
+  } else if (overviewMode) {
     orbitControls.update();
-  } else if (controls.isLocked) {
-    // Store original position for collision detection
-    const originalPosition = camera.position.clone();
-    
-    // Apply gravity and jumping
-    if (isJumping) {
-      // Apply jump velocity
-      camera.position.y += jumpVelocity * delta;
-      
-      // Apply gravity to jump velocity
-      jumpVelocity -= gravity * delta;
-    }
-    
-    // Check if we're on the ground
-    const groundCheck = checkGround(camera.position);
+  } else if (controls.isLocked || touchControls.isWalking() || gamepadControls.isWalking()) {
+    // Walk, jump and fall in fixed steps, with the camera placed between the last two
+    walking = true;
+    playerInput.forward = input.isPressed('moveForward');
+    playerInput.backward = input.isPressed('moveBackward');
+    playerInput.left = input.isPressed('moveLeft');
+    playerInput.right = input.isPressed('moveRight');
+    playerInput.moveX = moveAxis.x;
+    playerInput.moveY = moveAxis.y;
+    playerInput.yaw = lookEuler.setFromQuaternion(camera.quaternion).y;
+    playerSimulation.update(delta, playerInput, camera.position);
     
     // Update debug info
+    const player = playerSimulation.getState();
     debugInfo.innerHTML = `
       Position: ${camera.position.x.toFixed(2)}, ${camera.position.y.toFixed(2)}, ${camera.position.z.toFixed(2)}<br>
-      Velocity: ${velocity.x.toFixed(2)}, ${jumpVelocity.toFixed(2)}, ${velocity.z.toFixed(2)}<br>
-      On Ground: ${groundCheck.onGround}<br>
-      Jumping: ${isJumping}<br>
-      Can Jump: ${canJump}<br>
+      Velocity: ${player.velocity.x.toFixed(2)}, ${player.velocity.y.toFixed(2)}, ${player.velocity.z.toFixed(2)}<br>
+      On Ground: ${player.onGround}<br>
       Collision Objects: ${collisionObjects.length}
     `;
-    
-    // If we hit the ground while jumping
-    if (isJumping && groundCheck.onGround && jumpVelocity <= 0) {
-      isJumping = false;
-      jumpVelocity = 0;
-      camera.position.y = groundCheck.groundY + playerHeight;
-      canJump = true;
-    }
-    
-    // If we're not jumping but not on ground, start falling
-    if (!isJumping && !groundCheck.onGround) {
-      isJumping = true;
-      jumpVelocity = 0; // Start with zero velocity (just falling)
-      canJump = false;
-    }
-    
-    // Enforce minimum height (emergency floor collision)
-    if (camera.position.y < playerHeight) {
-      camera.position.y = playerHeight;
-      isJumping = false;
-      jumpVelocity = 0;
-      canJump = true;
-    }
-    
-    // First-person movement code
-    velocity.x -= velocity.x * 10.0 * delta;
-    velocity.z -= velocity.z * 10.0 * delta;
-    
-    direction.z = Number(moveForward) - Number(moveBackward);
-    direction.x = Number(moveRight) - Number(moveLeft);
-    direction.normalize();
-    
-    if (moveForward || moveBackward) velocity.z -= direction.z * 20.0 * delta;
-    if (moveLeft || moveRight) velocity.x -= direction.x * 20.0 * delta;
-    
-    // Move the player
-    controls.moveRight(-velocity.x * delta);
-    controls.moveForward(-velocity.z * delta);
-    
-    // Check for collisions after movement
-    const collision = checkCollisions(camera.position, playerRadius);
-    
-    // If colliding, move the player back along the collision normal
-    if (collision.colliding) {
-      // Calculate the correction vector
-      const correction = collision.normal.multiplyScalar(collision.distance + 0.01);
-      
-      // Apply the correction
-      camera.position.add(correction);
-      
-      // If we hit a wall, zero out the velocity in that direction
-      if (collision.normal.x !== 0) velocity.x = 0;
-      if (collision.normal.z !== 0) velocity.z = 0;
-    }
   }
   
+  // A jump pressed while not walking is dropped, not kept for when walking resumes
+  if (!walking) {
+    playerInput.jump = false;
+  }
+  
+  // Fly the guided tour between stops
+  if (guidedTour) {
+    guidedTour.update(delta);
+  }
+  
+  // Record the camera pose while a session is being recorded
+  sessionRecorder.captureFrame(delta);
+  
+  // Walk MPs through the lobbies during a division
+  if (divisionSimulation) {
+    divisionSimulation.update(delta);
+  }
+  
+  // Advance debate playback
+  if (debatePlayback) {
+    debatePlayback.update(delta);
+  }
+  
+  // Keep the shareable link in step with the view
+  deepLinkUpdater.update();
+  
+  // Sync the instanced MP figures with their anchors
+  if (mpFigures) {
+    updateMPFigures(mpFigures);
+  }
+  
+  // Keep the spatial index in step with MPs that have moved
+  mpIndex.update();
+  if (mpListPanel) {
+    mpListPanel.update();
+  }
+  updateNearbyMPs();
+  
   // Update minimap
-  const minimapCanvas = document.getElementById('minimap-canvas');
-  if (minimapCanvas) {
-    const ctx = minimapCanvas.getContext('2d');
-    ctx.clearRect(0, 0, minimapCanvas.width, minimapCanvas.height);
-    
-    // Redraw the Commons layout
-    drawCommonsLayout(ctx, minimapCanvas.width, minimapCanvas.height);
-    
-    // Draw MP positions
-    if (mpMeshes.length > 0) {
-      drawMPs(ctx, mpMeshes, minimapCanvas.width, minimapCanvas.height);
-    }
-    
-    // Draw player position
-    ctx.fillStyle = 'blue';
-    ctx.beginPath();
-    ctx.arc(
-      (camera.position.x + 20) * (minimapCanvas.width / 40),
-      (camera.position.z + 20) * (minimapCanvas.height / 40),
-      5, 0, Math.PI * 2
-    );
-    ctx.fill();
-    
-    // Draw view direction
-    const direction = new THREE.Vector3(0, 0, -1);
-    direction.applyQuaternion(camera.quaternion);
-    
-    ctx.strokeStyle = 'white';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(
-      (camera.position.x + 20) * (minimapCanvas.width / 40),
-      (camera.position.z + 20) * (minimapCanvas.height / 40)
-    );
-    ctx.lineTo(
-      (camera.position.x + 20 + direction.x * 3) * (minimapCanvas.width / 40),
-      (camera.position.z + 20 + direction.z * 3) * (minimapCanvas.height / 40)
-    );
-    ctx.stroke();
+  if (minimap) {
+    const colourByVote = divisionSimulation && divisionSimulation.isColouringByVote();
+    minimap.draw({
+      getColor: colourByVote ? mp => getVoteCss(divisionSimulation.getVote(mp.data.id)) : undefined,
+      route: teleporter ? teleporter.getPreview() : null
+    });
   }
   
   renderer.render(scene, camera);
@@ -746,4 +1394,76 @@ function animate() {
   stats.end();
 }
 
-animate();
\ No newline at end of file
+/**
+ * Restores a view from a deep link: camera, mode, orbit target and selected MP.
+ * Missing or invalid parts of the link leave that part of the view as it is.
+ * @param {Object|null} link - View from parseDeepLink
+ */
+function applyDeepLink(link) {
+  if (!link) return;
+  
+  if (cameraDirector) {
+    cameraDirector.stop();
+  }
+  
+  if (link.position) {
+    camera.position.copy(link.position);
+  }
+  
+  if (link.mode === 'overview') {
+    overviewMode = true;
+    controls.unlock();
+    orbitControls.enabled = true;
+    orbitControls.target.copy(link.target || new THREE.Vector3(0, 0, 0));
+    orbitControls.update();
+    
+    const instructions = document.getElementById('instructions');
+    if (instructions) {
+      instructions.classList.add('hidden');
+    }
+  } else {
+    overviewMode = false;
+    orbitControls.enabled = false;
+    if (link.yaw !== null) {
+      camera.quaternion.setFromEuler(new THREE.Euler(link.pitch, link.yaw, 0, 'YXZ'));
+    }
+  }
+  
+  linkedMPId = link.mpId;
+  if (mpMeshes.length > 0) {
+    showLinkedMP();
+  }
+}
+
+/**
+ * Opens the info panel of the MP named by a link, if they are in the chamber
+ */
+function showLinkedMP() {
+  if (linkedMPId === null) return;
+  
+  const mp = mpMeshes.find(candidate => candidate.data.id === linkedMPId);
+  if (mp && mp.mesh.visible) {
+    showMPInfo(mp.data);
+  } else {
+    console.warn(`MP ${linkedMPId} from the link is not in the chamber`);
+  }
+  linkedMPId = null;
+}
+
+// Shareable links: restore the view from the URL hash, and keep the hash
+// updated as the view changes
+applyDeepLink(parseDeepLink(window.location.hash));
+window.addEventListener('hashchange', () => {
+  applyDeepLink(parseDeepLink(window.location.hash));
+});
+
+const deepLinkUpdater = createDeepLinkUpdater(() => ({
+  mode: overviewMode ? 'overview' : 'first-person',
+  position: camera.position,
+  ...getLookAngles(camera),
+  target: orbitControls.target,
+  mpId: selectedMPId
+}));
+
+// The renderer drives the loop so that it carries on in VR
+renderer.setAnimationLoop(animate);
\ No newline at end of file
@@ -1,424 +1,758 @@
 import * as THREE from 'three';
+import { getPartyCss, getPartySymbol, arePartySymbolsShown } from './party-registry.js';
 
-// Add this at the module level (top of file)
-const mpPositions = new Map();
+/**
+ * Minimap: a plan of the chamber drawn from the objects of the 3D model
+ * (tagged with userData.mapFeature by createHouseOfCommons), with the MPs,
+ * the player and any glide route on top. Everything is placed through one
+ * world-to-map transform, which the mouse wheel zooms about the cursor and
+ * dragging pans. Layers can be switched on and off below the map.
+ */
+
+// Order the features of the plan are painted in, bottom first
+const FEATURE_ORDER = ['floor', 'party-area', 'lobby', 'tier', 'bench', 'table', 'speaker', 'desk', 'red-line', 'wall'];
+
+// Layers that can be toggled, with their button labels
+export const MINIMAP_LAYERS = [
+  { id: 'mps', label: 'MPs' },
+  { id: 'party-areas', label: 'Parties' },
+  { id: 'seats', label: 'Seats' },
+  { id: 'view-cone', label: 'View' },
+  { id: 'annotations', label: 'Labels' }
+];
+
+// Layers shown when the minimap is created
+const DEFAULT_LAYERS = ['mps', 'party-areas', 'view-cone', 'annotations'];
+
+// Labels written over landmarks of the model
+const ANNOTATIONS = {
+  'government-benches': 'Government',
+  'opposition-benches': 'Opposition',
+  'speakers-chair': 'Speaker',
+  'table': 'Table',
+  'aye-lobby': 'Aye Lobby',
+  'no-lobby': 'No Lobby'
+};
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 8;
+const WHEEL_ZOOM_STEP = 1.15;
+
+// Length of the player's view cone, in metres
+const VIEW_CONE_LENGTH = 4;
+
+// Pointer distances, in map pixels
+const HOVER_RADIUS = 5;
+const DRAG_THRESHOLD = 3;
 
 /**
- * Creates and initializes the minimap
- * @param {Array} mps - Array of MP objects
- * @param {THREE.Camera} camera - The main camera
+ * Builds the plan of the chamber from the tagged objects of the model
+ * @param {THREE.Scene} scene - The scene holding the chamber
+ * @returns {Object} Plan with bounds, features ({ kind, minX, minZ, maxX,
+ *   maxZ, color, alpha }), seats (rectangles) and annotations ({ text, x, z })
  */
-export function createMinimap(mps, camera) {
-  const minimapCanvas = document.getElementById('minimap-canvas');
-  if (!minimapCanvas) return;
-  
-  const ctx = minimapCanvas.getContext('2d');
-  minimapCanvas.width = 200;
-  minimapCanvas.height = 150;
-  
-  // Modified click handler
-  minimapCanvas.addEventListener('click', (event) => {
-    const rect = minimapCanvas.getBoundingClientRect();
-    const scale = minimapContainer.style.transform === 'scale(1.5)' ? 1.5 : 1;
-    
-    // Adjust click coordinates based on scale
-    const x = (event.clientX - rect.left) / scale;
-    const y = (event.clientY - rect.top) / scale;
-    
-    // Check if click is near any MP
-    for (const [mp, pos] of mpPositions) {
-      const dx = x - pos.x;
-      const dy = y - pos.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      
-      if (distance < 5) { // Click radius of 5 pixels
-        showMPInfo(mp.data);
-        return;
-      }
+export function buildMinimapPlan(scene) {
+  const features = [];
+  const seats = [];
+  const landmarks = {};
+  const box = new THREE.Box3();
+
+  scene.updateMatrixWorld();
+  scene.traverse(object => {
+    const { mapFeature, isSeat, landmark } = object.userData;
+    if (!mapFeature && !isSeat && !ANNOTATIONS[landmark]) return;
+
+    // From the vertices: the floor's bounding box is stored in world space
+    box.setFromObject(object, true);
+    if (box.isEmpty()) return;
+    const rect = { minX: box.min.x, minZ: box.min.z, maxX: box.max.x, maxZ: box.max.z };
+
+    if (mapFeature) {
+      features.push({ kind: mapFeature, ...rect, ...getFill(object.material) });
+    }
+    if (isSeat) {
+      seats.push(rect);
+    }
+    if (ANNOTATIONS[landmark]) {
+      landmarks[landmark] = landmarks[landmark] ? unionRect(landmarks[landmark], rect) : rect;
     }
-    
-    // If no MP clicked, handle regular minimap navigation
-    const worldX = (x / minimapCanvas.width * 40) - 20;
-    const worldZ = (y / minimapCanvas.height * 40) - 20;
-    console.log(`Clicked on minimap at world position: (${worldX.toFixed(2)}, ${worldZ.toFixed(2)})`);
-    drawClickMarker(ctx, x, y);
   });
-  
-  // Modify the drawMPs function to store positions
-  function drawMPs(ctx, mps, width, height) {
-    mpPositions.clear();
-    
-    mps.forEach(mp => {
-      const position = mp.mesh.position;
-      const x = (position.x + 20) * (width / 40);
-      const y = (position.z + 20) * (height / 40);
-      
-      // Store MP position for click detection
-      mpPositions.set(mp, { x, y });
-      
-      // Draw MP dot with party color
-      let color = '#000000';
-      if (mp.mesh.material && mp.mesh.material.color) {
-        color = '#' + mp.mesh.material.color.getHexString();
-      }
-      ctx.fillStyle = color;
-      ctx.beginPath();
-      ctx.arc(x, y, 3, 0, Math.PI * 2);
-      ctx.fill();
-      
-      // Add hover effect
-      minimapCanvas.addEventListener('mousemove', (event) => {
-        const rect = minimapCanvas.getBoundingClientRect();
-        const scale = minimapContainer.style.transform === 'scale(1.5)' ? 1.5 : 1;
-        const mouseX = (event.clientX - rect.left) / scale;
-        const mouseY = (event.clientY - rect.top) / scale;
-        
-        const dx = mouseX - x;
-        const dy = mouseY - y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        if (distance < 5) {
-          minimapCanvas.style.cursor = 'pointer';
-          // Show MP name tooltip
-          const tooltip = document.createElement('div');
-          tooltip.textContent = mp.data.name;
-          tooltip.style.position = 'absolute';
-          tooltip.style.left = `${event.clientX + 10}px`;
-          tooltip.style.top = `${event.clientY + 10}px`;
-          tooltip.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
-          tooltip.style.color = 'white';
-          tooltip.style.padding = '5px';
-          tooltip.style.borderRadius = '3px';
-          tooltip.style.zIndex = '1001';
-          document.body.appendChild(tooltip);
-          
-          // Remove tooltip when mouse moves away
-          minimapCanvas.addEventListener('mouseout', () => {
-            tooltip.remove();
-            minimapCanvas.style.cursor = 'default';
-          }, { once: true });
-        }
+
+  features.sort((a, b) => FEATURE_ORDER.indexOf(a.kind) - FEATURE_ORDER.indexOf(b.kind));
+
+  // Frame the walls (the chamber and its lobbies), or everything if there are none
+  const framed = features.filter(feature => feature.kind === 'wall');
+  const bounds = (framed.length > 0 ? framed : features).reduce(unionRect, {
+    minX: Infinity, minZ: Infinity, maxX: -Infinity, maxZ: -Infinity
+  });
+
+  return {
+    bounds: {
+      minX: bounds.minX - 0.5,
+      minZ: bounds.minZ - 0.5,
+      maxX: bounds.maxX + 0.5,
+      maxZ: bounds.maxZ + 0.5
+    },
+    features,
+    seats,
+    annotations: Object.entries(landmarks).map(([name, rect]) => ({
+      text: ANNOTATIONS[name],
+      x: (rect.minX + rect.maxX) / 2,
+      z: (rect.minZ + rect.maxZ) / 2
+    }))
+  };
+}
+
+/**
+ * Creates the world-to-map transform: x to the right and z down the map,
+ * with the same scale on both axes, fitting the bounds at zoom 1
+ * @param {Object} bounds - World rectangle to fit ({ minX, minZ, maxX, maxZ })
+ * @param {number} width - Map width in pixels
+ * @param {number} height - Map height in pixels
+ * @returns {Object} Transform with toMapX(x), toMapY(z), toWorldX(mapX),
+ *   toWorldZ(mapY), scale (pixels per metre), zoomAt(mapX, mapY, factor),
+ *   panBy(dx, dy), reset() and a version that changes on every zoom or pan
+ */
+export function createMapTransform(bounds, width, height) {
+  const fit = Math.min(width / (bounds.maxX - bounds.minX), height / (bounds.maxZ - bounds.minZ));
+  let zoom = 1;
+  let centreX = 0;
+  let centreZ = 0;
+
+  /**
+   * Keeps the view over the bounds
+   */
+  function clampCentre() {
+    const scale = fit * zoom;
+    const halfWidth = width / 2 / scale;
+    const halfHeight = height / 2 / scale;
+    centreX = clampToSpan(centreX, bounds.minX, bounds.maxX, halfWidth);
+    centreZ = clampToSpan(centreZ, bounds.minZ, bounds.maxZ, halfHeight);
+  }
+
+  const transform = {
+    version: 0,
+
+    get scale() {
+      return fit * zoom;
+    },
+
+    toMapX(x) {
+      return width / 2 + (x - centreX) * fit * zoom;
+    },
+
+    toMapY(z) {
+      return height / 2 + (z - centreZ) * fit * zoom;
+    },
+
+    toWorldX(mapX) {
+      return centreX + (mapX - width / 2) / (fit * zoom);
+    },
+
+    toWorldZ(mapY) {
+      return centreZ + (mapY - height / 2) / (fit * zoom);
+    },
+
+    /**
+     * Zooms, keeping the world point under a map point where it is
+     * @param {number} mapX - Map x to zoom about
+     * @param {number} mapY - Map y to zoom about
+     * @param {number} factor - Zoom factor (above 1 zooms in)
+     */
+    zoomAt(mapX, mapY, factor) {
+      const worldX = transform.toWorldX(mapX);
+      const worldZ = transform.toWorldZ(mapY);
+      zoom = THREE.MathUtils.clamp(zoom * factor, MIN_ZOOM, MAX_ZOOM);
+      centreX = worldX - (mapX - width / 2) / (fit * zoom);
+      centreZ = worldZ - (mapY - height / 2) / (fit * zoom);
+      clampCentre();
+      transform.version++;
+    },
+
+    /**
+     * Pans the map
+     * @param {number} dx - Pixels to move the map right
+     * @param {number} dy - Pixels to move the map down
+     */
+    panBy(dx, dy) {
+      centreX -= dx / (fit * zoom);
+      centreZ -= dy / (fit * zoom);
+      clampCentre();
+      transform.version++;
+    },
+
+    reset() {
+      zoom = 1;
+      centreX = (bounds.minX + bounds.maxX) / 2;
+      centreZ = (bounds.minZ + bounds.maxZ) / 2;
+      transform.version++;
+    }
+  };
+
+  transform.reset();
+  return transform;
+}
+
+/**
+ * Creates the minimap on a canvas, with its layer toggles and mouse handling
+ * @param {Object} options - Minimap options
+ * @param {HTMLCanvasElement} options.canvas - The minimap canvas
+ * @param {THREE.Camera} options.camera - The main camera, drawn as the player
+ * @param {Object} options.plan - Plan of the chamber, from buildMinimapPlan
+ * @param {Object} options.mpIndex - Spatial index of the MPs to draw and pick (see mp-index.js)
+ * @param {Function} [options.onMPClick] - Called with an MP object when their dot is clicked
+ * @param {Function} [options.onFloorClick] - Called with world (x, z) when
+ *   anywhere else is clicked, e.g. to move the player there
+ * @returns {Object} Minimap with draw(state), setPlan(plan),
+ *   setLayerVisible(id, visible), isLayerVisible(id) and its transform
+ */
+export function createMinimap(options) {
+  const { canvas, camera, mpIndex } = options;
+  let { plan } = options;
+  const ctx = canvas.getContext('2d');
+  const transform = createMapTransform(plan.bounds, canvas.width, canvas.height);
+  const layers = new Set(DEFAULT_LAYERS);
+
+  // The plan is drawn to its own canvas, redrawn only when the view or layers change
+  const planCanvas = document.createElement('canvas');
+  planCanvas.width = canvas.width;
+  planCanvas.height = canvas.height;
+  let planKey = null;
+
+  const toggles = createLayerToggles();
+
+  /**
+   * Reads a pointer event's position on the map, allowing for CSS scaling
+   * @param {MouseEvent} event - Pointer event
+   * @returns {Object} Map { x, y }
+   */
+  function getMapPoint(event) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * canvas.width / rect.width,
+      y: (event.clientY - rect.top) * canvas.height / rect.height
+    };
+  }
+
+  /**
+   * Finds the MP whose dot is under a map point
+   * @param {Object} point - Map { x, y }
+   * @returns {Object|null} The MP object
+   */
+  function findMPAt(point) {
+    if (!layers.has('mps')) return null;
+    return mpIndex.nearest(transform.toWorldX(point.x), transform.toWorldZ(point.y), HOVER_RADIUS / transform.scale);
+  }
+
+  /**
+   * Builds the row of layer toggles under the map
+   * @returns {Map} Toggle buttons by layer id
+   */
+  function createLayerToggles() {
+    const buttons = new Map();
+    const row = document.createElement('div');
+    Object.assign(row.style, {
+      display: 'flex',
+      gap: '2px',
+      marginTop: '3px'
+    });
+
+    const addButton = (label, title, action) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.title = title;
+      Object.assign(button.style, {
+        flex: '1',
+        padding: '1px 2px',
+        fontSize: '9px',
+        color: 'white',
+        border: 'none',
+        borderRadius: '2px',
+        cursor: 'pointer'
+      });
+      button.addEventListener('click', action);
+      row.appendChild(button);
+      return button;
+    };
+
+    MINIMAP_LAYERS.forEach(({ id, label }) => {
+      buttons.set(id, addButton(label, `Show or hide ${label.toLowerCase()}`, () => {
+        minimap.setLayerVisible(id, !layers.has(id));
+      }));
+    });
+    addButton('Fit', 'Zoom out to the whole chamber', () => transform.reset()).style.backgroundColor = '#333';
+
+    if (canvas.parentElement) {
+      canvas.parentElement.appendChild(row);
+    }
+    return buttons;
+  }
+
+  /**
+   * Shows which layers are on
+   */
+  function updateToggles() {
+    toggles.forEach((button, id) => {
+      button.style.backgroundColor = layers.has(id) ? '#2a5d8f' : '#333';
+    });
+  }
+
+  // Wheel zooms about the cursor; sideways scrolling pans
+  canvas.addEventListener('wheel', (event) => {
+    event.preventDefault();
+    const point = getMapPoint(event);
+    if (event.deltaY !== 0) {
+      transform.zoomAt(point.x, point.y, event.deltaY < 0 ? WHEEL_ZOOM_STEP : 1 / WHEEL_ZOOM_STEP);
+    }
+    if (event.deltaX !== 0) {
+      transform.panBy(-event.deltaX / 4, 0);
+    }
+  }, { passive: false });
+
+  // Dragging pans; a press that does not move is a click
+  let drag = null;
+  canvas.addEventListener('mousedown', (event) => {
+    const point = getMapPoint(event);
+    drag = { start: point, last: point, moved: false };
+  });
+
+  window.addEventListener('mousemove', (event) => {
+    if (!drag) return;
+    const point = getMapPoint(event);
+    if (!drag.moved && Math.hypot(point.x - drag.start.x, point.y - drag.start.y) > DRAG_THRESHOLD) {
+      drag.moved = true;
+    }
+    if (drag.moved) {
+      transform.panBy(point.x - drag.last.x, point.y - drag.last.y);
+    }
+    drag.last = point;
+  });
+
+  window.addEventListener('mouseup', () => {
+    // Let the click handler see whether this was a drag first
+    setTimeout(() => {
+      drag = null;
+    }, 0);
+  });
+
+  canvas.addEventListener('click', (event) => {
+    if (drag && drag.moved) return;
+
+    const point = getMapPoint(event);
+    const mp = findMPAt(point);
+    if (mp) {
+      if (options.onMPClick) options.onMPClick(mp);
+      return;
+    }
+
+    // Anywhere else: move to the point on the floor
+    if (options.onFloorClick) {
+      options.onFloorClick(transform.toWorldX(point.x), transform.toWorldZ(point.y));
+    }
+  });
+
+  // Name the MP under the cursor
+  canvas.addEventListener('mousemove', (event) => {
+    const mp = drag && drag.moved ? null : findMPAt(getMapPoint(event));
+    let tooltip = document.getElementById('mp-tooltip');
+
+    if (!mp) {
+      canvas.style.cursor = drag && drag.moved ? 'grabbing' : 'default';
+      if (tooltip) tooltip.remove();
+      return;
+    }
+
+    canvas.style.cursor = 'pointer';
+    if (!tooltip) {
+      tooltip = document.createElement('div');
+      tooltip.id = 'mp-tooltip';
+      Object.assign(tooltip.style, {
+        position: 'absolute',
+        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+        color: 'white',
+        padding: '5px',
+        borderRadius: '3px',
+        zIndex: '1001',
+        pointerEvents: 'none'
       });
+      document.body.appendChild(tooltip);
+    }
+    tooltip.textContent = mp.data.name;
+    tooltip.style.left = `${event.clientX + 10}px`;
+    tooltip.style.top = `${event.clientY + 10}px`;
+  });
+
+  // Remove tooltip when mouse leaves minimap
+  canvas.addEventListener('mouseleave', () => {
+    const tooltip = document.getElementById('mp-tooltip');
+    if (tooltip) tooltip.remove();
+    canvas.style.cursor = 'default';
+  });
+
+  // Enlarge the minimap while the mouse is over it
+  const minimapContainer = canvas.parentElement;
+  if (minimapContainer) {
+    minimapContainer.style.transition = 'transform 0.3s ease';
+    minimapContainer.style.transformOrigin = 'bottom left';
+    minimapContainer.addEventListener('mouseenter', () => {
+      minimapContainer.style.transform = 'scale(1.5)';
+    });
+    minimapContainer.addEventListener('mouseleave', () => {
+      minimapContainer.style.transform = 'scale(1)';
     });
   }
-  
-  // Initial draw
-  drawCommonsLayout(ctx, minimapCanvas.width, minimapCanvas.height);
-  drawMPs(ctx, mps, minimapCanvas.width, minimapCanvas.height);
-  drawPlayer(ctx, camera, minimapCanvas.width, minimapCanvas.height);
+
+  const minimap = {
+    transform,
+
+    /**
+     * Draws the map
+     * @param {Object} [state] - What to draw besides the plan
+     * @param {Function} [state.getColor] - Returns the CSS colour of an MP's
+     *   dot; defaults to the party colour
+     * @param {Object|null} [state.route] - Glide route to preview, as from the teleporter
+     */
+    draw(state = {}) {
+      const key = `${transform.version}|${layers.has('party-areas')}|${layers.has('seats')}`;
+      if (key !== planKey) {
+        drawCommonsLayout(planCanvas.getContext('2d'), plan, transform, {
+          partyAreas: layers.has('party-areas'),
+          seats: layers.has('seats')
+        });
+        planKey = key;
+      }
+
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(planCanvas, 0, 0);
+
+      if (layers.has('mps')) {
+        drawMPs(ctx, mpIndex.getMPs(), transform, state.getColor);
+      }
+      if (layers.has('annotations')) {
+        drawAnnotations(ctx, plan, transform);
+      }
+      drawRoute(ctx, state.route, transform);
+      drawPlayer(ctx, camera, transform, layers.has('view-cone'));
+    },
+
+    /**
+     * Replaces the plan, e.g. once the chamber has been recoloured; the
+     * chamber's outline must not have changed
+     * @param {Object} newPlan - Plan, from buildMinimapPlan
+     */
+    setPlan(newPlan) {
+      plan = newPlan;
+      planKey = null;
+    },
+
+    setLayerVisible(id, visible) {
+      if (visible) {
+        layers.add(id);
+      } else {
+        layers.delete(id);
+      }
+      updateToggles();
+    },
+
+    isLayerVisible(id) {
+      return layers.has(id);
+    }
+  };
+
+  updateToggles();
+  return minimap;
 }
 
 /**
- * Draws the House of Commons layout on the minimap
+ * Draws the plan of the chamber
  * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {number} width - Canvas width
- * @param {number} height - Canvas height
+ * @param {Object} plan - Plan, from buildMinimapPlan
+ * @param {Object} transform - World-to-map transform
+ * @param {Object} [options] - Optional layers ({ partyAreas, seats })
  */
-export function drawCommonsLayout(ctx, width, height) {
+export function drawCommonsLayout(ctx, plan, transform, options = {}) {
+  const { width, height } = ctx.canvas;
+
   // Clear canvas
   ctx.fillStyle = '#333';
   ctx.fillRect(0, 0, width, height);
-  
-  // Draw the main chamber outline
-  ctx.strokeStyle = '#666';
+
+  plan.features.forEach(feature => {
+    if (feature.kind === 'party-area' && !options.partyAreas) return;
+
+    // At least a pixel across, so the red lines and walls always show
+    const x = transform.toMapX(feature.minX);
+    const y = transform.toMapY(feature.minZ);
+    const w = Math.max(1, transform.toMapX(feature.maxX) - x);
+    const h = Math.max(1, transform.toMapY(feature.maxZ) - y);
+
+    ctx.globalAlpha = feature.alpha;
+    ctx.fillStyle = feature.color;
+    ctx.fillRect(x, y, w, h);
+  });
+  ctx.globalAlpha = 1;
+
+  if (options.seats) {
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = 0.5;
+    plan.seats.forEach(seat => {
+      const x = transform.toMapX(seat.minX);
+      const y = transform.toMapY(seat.minZ);
+      ctx.strokeRect(x, y, transform.toMapX(seat.maxX) - x, transform.toMapY(seat.maxZ) - y);
+    });
+  }
+}
+
+/**
+ * Draws MP positions on the minimap. With party symbols shown, each MP is
+ * drawn as their party's symbol, outlined so that it stands out from the
+ * plan, whatever colour it is.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array} mps - Array of MP objects
+ * @param {Object} transform - World-to-map transform
+ * @param {Function} [getColor] - Returns the CSS colour for an MP's dot;
+ *   defaults to the party colour
+ */
+export function drawMPs(ctx, mps, transform, getColor = mp => getPartyCss(mp.data.party)) {
+  const symbols = arePartySymbolsShown();
+
+  // Dots grow with the zoom, up to the size of a seat; symbols need a little more
+  const radius = THREE.MathUtils.clamp(transform.scale * 0.15, symbols ? 2.5 : 1.5, 5);
+  ctx.save();
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+  ctx.lineWidth = 0.75;
+
+  mps.forEach(mp => {
+    if (!mp.mesh.visible) return;
+
+    const x = transform.toMapX(mp.mesh.position.x);
+    const y = transform.toMapY(mp.mesh.position.z);
+
+    // Draw MP dot with party (or vote) color
+    ctx.fillStyle = getColor(mp);
+    ctx.beginPath();
+    if (symbols) {
+      traceSymbol(ctx, getPartySymbol(mp.data.party).shape, x, y, radius);
+      ctx.fill();
+      ctx.stroke();
+    } else {
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  });
+  ctx.restore();
+}
+
+/**
+ * Adds the outline of a party symbol to the current path
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {string} shape - Symbol shape (see PARTY_SYMBOLS)
+ * @param {number} x - Map x of the centre
+ * @param {number} y - Map y of the centre
+ * @param {number} radius - Radius of the circle the symbol fills
+ */
+function traceSymbol(ctx, shape, x, y, radius) {
+  const polygon = (points) => {
+    points.forEach(([px, py], i) => {
+      if (i === 0) ctx.moveTo(x + px * radius, y + py * radius);
+      else ctx.lineTo(x + px * radius, y + py * radius);
+    });
+    ctx.closePath();
+  };
+  const around = (count, offset, inner = null) => {
+    const points = [];
+    const steps = inner === null ? count : count * 2;
+    for (let i = 0; i < steps; i++) {
+      const angle = offset + (i / steps) * Math.PI * 2;
+      const r = inner !== null && i % 2 === 1 ? inner : 1;
+      points.push([Math.cos(angle) * r, Math.sin(angle) * r]);
+    }
+    return points;
+  };
+
+  switch (shape) {
+    case 'square':
+      polygon([[-0.8, -0.8], [0.8, -0.8], [0.8, 0.8], [-0.8, 0.8]]);
+      break;
+    case 'triangle':
+      polygon(around(3, -Math.PI / 2));
+      break;
+    case 'triangle-down':
+      polygon(around(3, Math.PI / 2));
+      break;
+    case 'diamond':
+      polygon(around(4, -Math.PI / 2));
+      break;
+    case 'star':
+      polygon(around(5, -Math.PI / 2, 0.45));
+      break;
+    case 'hexagon':
+      polygon(around(6, 0));
+      break;
+    case 'cross':
+      polygon([[-0.3, -1], [0.3, -1], [0.3, -0.3], [1, -0.3], [1, 0.3], [0.3, 0.3],
+        [0.3, 1], [-0.3, 1], [-0.3, 0.3], [-1, 0.3], [-1, -0.3], [-0.3, -0.3]]);
+      break;
+    default:
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+  }
+}
+
+/**
+ * Writes the annotations of the plan
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} plan - Plan, from buildMinimapPlan
+ * @param {Object} transform - World-to-map transform
+ */
+function drawAnnotations(ctx, plan, transform) {
+  ctx.save();
+  ctx.font = `${Math.round(THREE.MathUtils.clamp(transform.scale * 1.6, 7, 14))}px Arial`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
   ctx.lineWidth = 2;
-  ctx.beginPath();
-  
-  // Main rectangular chamber
-  const chamberWidth = width * 0.8;
-  const chamberHeight = height * 0.7;
-  const chamberX = (width - chamberWidth) / 2;
-  const chamberY = (height - chamberHeight) / 2;
-  
-  ctx.rect(chamberX, chamberY, chamberWidth, chamberHeight);
-  ctx.stroke();
-  
-  // Draw the central aisle
-  ctx.strokeStyle = '#1b4d3e';
-  ctx.lineWidth = 4;
-  ctx.beginPath();
-  ctx.moveTo(width / 2, chamberY);
-  ctx.lineTo(width / 2, chamberY + chamberHeight);
-  ctx.stroke();
-  
-  // Draw the red lines
-  ctx.strokeStyle = '#cc0000';
-  ctx.lineWidth = 1;
-  ctx.beginPath();
-  ctx.moveTo(width / 2 - 10, chamberY);
-  ctx.lineTo(width / 2 - 10, chamberY + chamberHeight);
-  ctx.moveTo(width / 2 + 10, chamberY);
-  ctx.lineTo(width / 2 + 10, chamberY + chamberHeight);
-  ctx.stroke();
-  
-  // Draw the government benches (right side)
-  ctx.fillStyle = 'rgba(228, 0, 59, 0.2)'; // Labour red with transparency
-  ctx.beginPath();
-  ctx.rect(width / 2 + 10, chamberY + 5, chamberWidth / 2 - 15, chamberHeight - 10);
-  ctx.fill();
-  
-  // Draw the opposition benches (left side)
-  ctx.fillStyle = 'rgba(0, 135, 220, 0.2)'; // Conservative blue with transparency
-  ctx.beginPath();
-  ctx.rect(chamberX + 5, chamberY + 5, chamberWidth / 2 - 15, chamberHeight - 10);
-  ctx.fill();
-  
-  // Draw the Speaker's area
-  ctx.fillStyle = '#777';
-  ctx.beginPath();
-  ctx.rect(width / 2 - 15, chamberY + chamberHeight - 20, 30, 15);
-  ctx.fill();
-  
-  // Draw the Table of the House
-  ctx.fillStyle = '#006400';
-  ctx.beginPath();
-  ctx.rect(width / 2 - 10, chamberY + chamberHeight / 2 - 15, 20, 30);
-  ctx.fill();
-  
-  // Draw the Dispatch Boxes
-  ctx.fillStyle = '#8B0000';
-  ctx.beginPath();
-  ctx.rect(width / 2 - 8, chamberY + chamberHeight / 2 + 20, 7, 5);
-  ctx.rect(width / 2 + 1, chamberY + chamberHeight / 2 + 20, 7, 5);
-  ctx.fill();
-  
-  // Draw the Clerks' table
-  ctx.fillStyle = '#006400';
-  ctx.beginPath();
-  ctx.rect(width / 2 - 12, chamberY + chamberHeight - 35, 24, 10);
-  ctx.fill();
-  
-  // Add labels
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
   ctx.fillStyle = 'white';
-  ctx.font = '8px Arial';
-  ctx.textAlign = 'center';
-  
-  // Party labels
-  ctx.fillText('Government', width / 2 + chamberWidth / 4, chamberY - 2);
-  ctx.fillText('Opposition', width / 2 - chamberWidth / 4, chamberY - 2);
-  
-  // Frontbench/Backbench labels
-  ctx.font = '6px Arial';
-  ctx.fillText('Frontbench', width / 2 + 20, chamberY + chamberHeight / 2);
-  ctx.fillText('Backbench', width / 2 + chamberWidth / 4 + 10, chamberY + chamberHeight / 2);
-  ctx.fillText('Frontbench', width / 2 - 20, chamberY + chamberHeight / 2);
-  ctx.fillText('Backbench', width / 2 - chamberWidth / 4 - 10, chamberY + chamberHeight / 2);
-  
-  // Speaker label
-  ctx.font = '7px Arial';
-  ctx.fillText('Speaker', width / 2, chamberY + chamberHeight - 5);
+
+  plan.annotations.forEach(annotation => {
+    const x = transform.toMapX(annotation.x);
+    const y = transform.toMapY(annotation.z);
+    ctx.strokeText(annotation.text, x, y);
+    ctx.fillText(annotation.text, x, y);
+  });
+
+  ctx.restore();
 }
 
 /**
  * Draws the player position on the minimap
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  * @param {THREE.Camera} camera - The main camera
- * @param {number} width - Canvas width
- * @param {number} height - Canvas height
+ * @param {Object} transform - World-to-map transform
+ * @param {boolean} showViewCone - Whether to draw the field of view
  */
-function drawPlayer(ctx, camera, width, height) {
-  // Convert 3D world coordinates to minimap coordinates
-  const x = (camera.position.x + 20) * (width / 40);
-  const y = (camera.position.z + 20) * (height / 40);
-  
+function drawPlayer(ctx, camera, transform, showViewCone) {
+  const x = transform.toMapX(camera.position.x);
+  const y = transform.toMapY(camera.position.z);
+
+  // Direction the camera faces across the floor
+  const direction = camera.getWorldDirection(new THREE.Vector3());
+  const heading = Math.atan2(direction.z, direction.x);
+  const level = Math.hypot(direction.x, direction.z);
+
+  if (showViewCone && level > 0.1) {
+    // Horizontal field of view
+    const halfAngle = Math.atan(Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * camera.aspect);
+    ctx.fillStyle = 'rgba(120, 170, 255, 0.35)';
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.arc(x, y, VIEW_CONE_LENGTH * transform.scale, heading - halfAngle, heading + halfAngle);
+    ctx.closePath();
+    ctx.fill();
+  }
+
   // Draw player position
   ctx.fillStyle = 'blue';
-  ctx.beginPath();
-  ctx.arc(x, y, 5, 0, Math.PI * 2);
-  ctx.fill();
-  
-  // Draw direction indicator
-  const direction = new THREE.Vector3(0, 0, -1);
-  direction.applyQuaternion(camera.quaternion);
-  
   ctx.strokeStyle = 'white';
-  ctx.lineWidth = 2;
+  ctx.lineWidth = 1;
   ctx.beginPath();
-  ctx.moveTo(x, y);
-  ctx.lineTo(x + direction.x * 10, y + direction.z * 10);
+  ctx.arc(x, y, 4, 0, Math.PI * 2);
+  ctx.fill();
   ctx.stroke();
+
+  // Draw direction indicator
+  if (level > 0.1) {
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + Math.cos(heading) * 8, y + Math.sin(heading) * 8);
+    ctx.stroke();
+  }
 }
 
 /**
- * Draws a marker at the clicked position on the minimap
+ * Draws the route of a glide across the floor: a dashed line from the
+ * player to the destination, or a cross on a destination that cannot be reached
  * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {number} x - X coordinate
- * @param {number} y - Y coordinate
+ * @param {Object|null} preview - Route ({ points, blocked }), as from the teleporter
+ * @param {Object} transform - World-to-map transform
  */
-function drawClickMarker(ctx, x, y) {
-  // Draw a temporary marker
+export function drawRoute(ctx, preview, transform) {
+  if (!preview || preview.points.length === 0) return;
+
+  const points = preview.points.map(point => ({
+    x: transform.toMapX(point.x),
+    y: transform.toMapY(point.z)
+  }));
+  const end = points[points.length - 1];
+
+  ctx.save();
+
+  if (preview.blocked) {
+    ctx.strokeStyle = '#ff5050';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(end.x - 4, end.y - 4);
+    ctx.lineTo(end.x + 4, end.y + 4);
+    ctx.moveTo(end.x + 4, end.y - 4);
+    ctx.lineTo(end.x - 4, end.y + 4);
+    ctx.stroke();
+    ctx.restore();
+    return;
+  }
+
+  ctx.strokeStyle = 'rgba(255, 255, 0, 0.9)';
+  ctx.lineWidth = 1.5;
+  ctx.setLineDash([3, 2]);
+  ctx.beginPath();
+  ctx.moveTo(points[0].x, points[0].y);
+  points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+  ctx.stroke();
+
+  // Destination marker
+  ctx.setLineDash([]);
   ctx.fillStyle = 'rgba(255, 255, 0, 0.5)';
   ctx.beginPath();
-  ctx.arc(x, y, 8, 0, Math.PI * 2);
+  ctx.arc(end.x, end.y, 4, 0, Math.PI * 2);
   ctx.fill();
-  
-  // Fade out after 1 second
-  setTimeout(() => {
-    // Redraw the minimap (this will be handled by the animation loop)
-  }, 1000);
-}
 
-// Add minimap styling
-const minimapContainer = document.getElementById('minimap-container');
-if (minimapContainer) {
-  minimapContainer.style.transition = 'transform 0.3s ease';
-  minimapContainer.addEventListener('mouseenter', () => {
-    minimapContainer.style.transform = 'scale(1.5)';
-    minimapContainer.style.transformOrigin = 'bottom left';
-  });
-  
-  minimapContainer.addEventListener('mouseleave', () => {
-    minimapContainer.style.transform = 'scale(1)';
-  });
+  ctx.restore();
 }
 
 /**
- * Draws MP positions on the minimap
- * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {Array} mps - Array of MP objects
- * @param {number} width - Canvas width
- * @param {number} height - Canvas height
+ * Reads the fill of a feature from its material
+ * @param {THREE.Material} material - The object's material
+ * @returns {Object} { color, alpha }; faint floor markings are strengthened
  */
-export function drawMPs(ctx, mps, width, height) {
-  mpPositions.clear();
-  
-  mps.forEach(mp => {
-    const position = mp.mesh.position;
-    const x = (position.x + 20) * (width / 40);
-    const y = (position.z + 20) * (height / 40);
-    
-    // Store MP position for click detection
-    mpPositions.set(mp, { x, y });
-    
-    // Draw MP dot with party color
-    let color = '#000000';
-    if (mp.mesh.material && mp.mesh.material.color) {
-      color = '#' + mp.mesh.material.color.getHexString();
-    }
-    ctx.fillStyle = color;
-    ctx.beginPath();
-    ctx.arc(x, y, 3, 0, Math.PI * 2);
-    ctx.fill();
-  });
+function getFill(material) {
+  const color = material && material.color ? `#${material.color.getHexString()}` : '#888';
+  const alpha = material && material.transparent ? THREE.MathUtils.clamp(material.opacity * 4, 0.25, 1) : 1;
+  return { color, alpha };
 }
 
-// Add this new function to handle minimap interactions
-export function initializeMinimapInteractions(minimapCanvas, showMPInfo) {
-  if (!minimapCanvas) return;
-  
-  const minimapContainer = minimapCanvas.parentElement;
-  
-  // Add hover expansion
-  if (minimapContainer) {
-    minimapContainer.style.transition = 'transform 0.3s ease';
-    minimapContainer.addEventListener('mouseenter', () => {
-      minimapContainer.style.transform = 'scale(1.5)';
-      minimapContainer.style.transformOrigin = 'bottom left';
-    });
-    
-    minimapContainer.addEventListener('mouseleave', () => {
-      minimapContainer.style.transform = 'scale(1)';
-    });
-  }
-  
-  // Handle clicks on MPs
-  minimapCanvas.addEventListener('click', (event) => {
-    const rect = minimapCanvas.getBoundingClientRect();
-    const scale = minimapContainer.style.transform === 'scale(1.5)' ? 1.5 : 1;
-    
-    // Adjust click coordinates based on scale
-    const x = (event.clientX - rect.left) / scale;
-    const y = (event.clientY - rect.top) / scale;
-    
-    // Check if click is near any MP
-    for (const [mp, pos] of mpPositions) {
-      const dx = x - pos.x;
-      const dy = y - pos.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      
-      if (distance < 5) { // Click radius of 5 pixels
-        showMPInfo(mp.data);
-        return;
-      }
-    }
-    
-    // If no MP clicked, handle regular minimap navigation
-    const worldX = (x / minimapCanvas.width * 40) - 20;
-    const worldZ = (y / minimapCanvas.height * 40) - 20;
-    console.log(`Clicked on minimap at world position: (${worldX.toFixed(2)}, ${worldZ.toFixed(2)})`);
-    drawClickMarker(ctx, x, y);
-  });
-  
-  // Add MP hover effects
-  minimapCanvas.addEventListener('mousemove', (event) => {
-    const rect = minimapCanvas.getBoundingClientRect();
-    const scale = minimapContainer.style.transform === 'scale(1.5)' ? 1.5 : 1;
-    const mouseX = (event.clientX - rect.left) / scale;
-    const mouseY = (event.clientY - rect.top) / scale;
-    
-    let foundMP = false;
-    
-    for (const [mp, pos] of mpPositions) {
-      const dx = mouseX - pos.x;
-      const dy = mouseY - pos.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      
-      if (distance < 5) {
-        minimapCanvas.style.cursor = 'pointer';
-        foundMP = true;
-        
-        // Remove any existing tooltip
-        const existingTooltip = document.getElementById('mp-tooltip');
-        if (existingTooltip) existingTooltip.remove();
-        
-        // Show MP name tooltip
-        const tooltip = document.createElement('div');
-        tooltip.id = 'mp-tooltip';
-        tooltip.textContent = mp.data.name;
-        tooltip.style.position = 'absolute';
-        tooltip.style.left = `${event.clientX + 10}px`;
-        tooltip.style.top = `${event.clientY + 10}px`;
-        tooltip.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
-        tooltip.style.color = 'white';
-        tooltip.style.padding = '5px';
-        tooltip.style.borderRadius = '3px';
-        tooltip.style.zIndex = '1001';
-        document.body.appendChild(tooltip);
-        break;
-      }
-    }
-    
-    if (!foundMP) {
-      minimapCanvas.style.cursor = 'default';
-      const tooltip = document.getElementById('mp-tooltip');
-      if (tooltip) tooltip.remove();
-    }
-  });
-  
-  // Remove tooltip when mouse leaves minimap
-  minimapCanvas.addEventListener('mouseleave', () => {
-    const tooltip = document.getElementById('mp-tooltip');
-    if (tooltip) tooltip.remove();
-    minimapCanvas.style.cursor = 'default';
-  });
+/**
+ * Combines two rectangles
+ * @param {Object} a - Rectangle ({ minX, minZ, maxX, maxZ })
+ * @param {Object} b - Rectangle
+ * @returns {Object} Smallest rectangle holding both
+ */
+function unionRect(a, b) {
+  return {
+    minX: Math.min(a.minX, b.minX),
+    minZ: Math.min(a.minZ, b.minZ),
+    maxX: Math.max(a.maxX, b.maxX),
+    maxZ: Math.max(a.maxZ, b.maxZ)
+  };
 }
 
 /**
- * Updates the minimap display
- * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {Array} mps - Array of MP objects
- * @param {THREE.Camera} camera - The main camera
+ * Keeps a view centre within a span, or centres it if the view is wider
+ * @param {number} centre - View centre
+ * @param {number} min - Start of the span
+ * @param {number} max - End of the span
+ * @param {number} halfView - Half the view's extent
+ * @returns {number} Clamped centre
  */
-export function updateMinimap(ctx, mps, camera) {
-  const width = ctx.canvas.width;
-  const height = ctx.canvas.height;
-
-  // Clear and redraw base layout
-  drawCommonsLayout(ctx, width, height);
-  
-  // Draw MPs
-  drawMPs(ctx, mps, width, height);
-  
-  // Draw player position
-  drawPlayer(ctx, camera, width, height);
-} 
\ No newline at end of file
+function clampToSpan(centre, min, max, halfView) {
+  if (max - min <= halfView * 2) return (min + max) / 2;
+  return THREE.MathUtils.clamp(centre, min + halfView, max - halfView);
+}
@@ -0,0 +1,29 @@
+import * as THREE from 'three';
+
+/**
+ * MP highlight: a gold ring at an MP's feet and a marker above their head,
+ * used wherever one MP is pointed out in the chamber (the speaker in debate
+ * playback, a guided tour's stop, the MP focused in the MP list).
+ */
+
+/**
+ * Creates the highlight
+ * @returns {THREE.Group} Highlight, hidden until placed
+ */
+export function createHighlight() {
+  const group = new THREE.Group();
+  const material = new THREE.MeshBasicMaterial({ color: 0xFFD700, transparent: true, opacity: 0.8 });
+
+  const ring = new THREE.Mesh(new THREE.TorusGeometry(0.45, 0.04, 8, 32), material);
+  ring.rotation.x = Math.PI / 2;
+  ring.position.y = 0.05;
+  group.add(ring);
+
+  const marker = new THREE.Mesh(new THREE.ConeGeometry(0.15, 0.3, 16), material);
+  marker.rotation.x = Math.PI; // Pointing down at the MP
+  marker.position.y = 2.7; // Above the name labels of featured MPs
+  group.add(marker);
+
+  group.visible = false;
+  return group;
+}
@@ -0,0 +1,315 @@
+/**
+ * Spatial index of MP positions: a uniform grid over the floor, bucketing
+ * each visible MP in every cell their figure overlaps. It answers picking
+ * (a ray against the figures, as for the crosshair; a point on the floor, as
+ * for the minimap) and proximity queries without visiting every MP.
+ * update() re-buckets only MPs that have moved to other cells, so it can be
+ * called every frame while MPs are reseated or walk to the lobbies.
+ */
+
+// Grid cell size, in metres
+const CELL_SIZE = 2;
+
+// Figures are picked as upright cylinders over their anchor
+const FIGURE_RADIUS = 0.25;
+const FIGURE_HEIGHT = 1.9;
+
+// Cell coordinates are packed into one number; the grid spans ±1024 cells
+const GRID_OFFSET = 1024;
+const GRID_SPAN = 2048;
+
+/**
+ * Creates the index
+ * @param {Array} [mps] - Array of MP objects to index
+ * @returns {Object} Index with setMPs(mps), getMPs(), update(),
+ *   queryRadius(x, z, radius), nearest(x, z, maxDistance) and raycast(ray, maxDistance)
+ */
+export function createMPIndex(mps = []) {
+  // MPs by cell key
+  const cells = new Map();
+  // Cell range each MP is bucketed in, and whether they are (hidden MPs are not)
+  const entries = new Map();
+  let indexed = [];
+
+  function addToCells(mp, range) {
+    for (let cellX = range.minX; cellX <= range.maxX; cellX++) {
+      for (let cellZ = range.minZ; cellZ <= range.maxZ; cellZ++) {
+        const key = keyOf(cellX, cellZ);
+        let bucket = cells.get(key);
+        if (!bucket) {
+          bucket = [];
+          cells.set(key, bucket);
+        }
+        bucket.push(mp);
+      }
+    }
+  }
+
+  function removeFromCells(mp, range) {
+    for (let cellX = range.minX; cellX <= range.maxX; cellX++) {
+      for (let cellZ = range.minZ; cellZ <= range.maxZ; cellZ++) {
+        const bucket = cells.get(keyOf(cellX, cellZ));
+        const position = bucket ? bucket.indexOf(mp) : -1;
+        if (position !== -1) {
+          // Order within a cell does not matter
+          bucket[position] = bucket[bucket.length - 1];
+          bucket.pop();
+        }
+      }
+    }
+  }
+
+  /**
+   * Brings one MP's buckets up to date
+   * @param {Object} mp - MP object
+   */
+  function refresh(mp) {
+    const entry = entries.get(mp);
+    const visible = mp.mesh.visible;
+
+    if (!visible) {
+      if (entry.indexed) {
+        removeFromCells(mp, entry);
+        entry.indexed = false;
+      }
+      return;
+    }
+
+    const { x, z } = mp.mesh.position;
+    const minX = cellOf(x - FIGURE_RADIUS);
+    const maxX = cellOf(x + FIGURE_RADIUS);
+    const minZ = cellOf(z - FIGURE_RADIUS);
+    const maxZ = cellOf(z + FIGURE_RADIUS);
+    if (entry.indexed && entry.minX === minX && entry.maxX === maxX &&
+        entry.minZ === minZ && entry.maxZ === maxZ) {
+      return;
+    }
+
+    if (entry.indexed) {
+      removeFromCells(mp, entry);
+    }
+    Object.assign(entry, { minX, maxX, minZ, maxZ });
+    addToCells(mp, entry);
+    entry.indexed = true;
+  }
+
+  const index = {
+    /**
+     * Replaces the MPs in the index
+     * @param {Array} newMPs - Array of MP objects
+     */
+    setMPs(newMPs) {
+      cells.clear();
+      entries.clear();
+      indexed = newMPs;
+      indexed.forEach(mp => {
+        entries.set(mp, { indexed: false, minX: 0, maxX: 0, minZ: 0, maxZ: 0 });
+        refresh(mp);
+      });
+    },
+
+    /**
+     * @returns {Array} The MPs in the index, visible or not
+     */
+    getMPs() {
+      return indexed;
+    },
+
+    /**
+     * Picks up MPs that have moved, been seated or been hidden since the last update
+     */
+    update() {
+      indexed.forEach(refresh);
+    },
+
+    /**
+     * Finds the MPs standing within a distance of a point on the floor
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @param {number} radius - Distance across the floor, in metres
+     * @returns {Array} Matches ({ mp, distance }), nearest first
+     */
+    queryRadius(x, z, radius) {
+      const matches = [];
+      const seen = new Set();
+
+      forEachCell(x - radius, z - radius, x + radius, z + radius, bucket => {
+        bucket.forEach(mp => {
+          if (seen.has(mp)) return;
+          seen.add(mp);
+          const distance = Math.hypot(mp.mesh.position.x - x, mp.mesh.position.z - z);
+          if (distance <= radius) {
+            matches.push({ mp, distance });
+          }
+        });
+      });
+
+      return matches.sort((a, b) => a.distance - b.distance);
+    },
+
+    /**
+     * Finds the MP standing nearest a point on the floor
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @param {number} maxDistance - Furthest to look, in metres
+     * @returns {Object|null} The MP object
+     */
+    nearest(x, z, maxDistance) {
+      let best = null;
+      let bestDistance = maxDistance;
+
+      forEachCell(x - maxDistance, z - maxDistance, x + maxDistance, z + maxDistance, bucket => {
+        bucket.forEach(mp => {
+          const distance = Math.hypot(mp.mesh.position.x - x, mp.mesh.position.z - z);
+          if (distance <= bestDistance) {
+            best = mp;
+            bestDistance = distance;
+          }
+        });
+      });
+
+      return best;
+    },
+
+    /**
+     * Finds the first MP figure along a ray, walking the grid cells the ray
+     * crosses in order and stopping at the first cell holding a hit
+     * @param {THREE.Ray} ray - Ray, with a normalized direction
+     * @param {number} maxDistance - Furthest to look, in metres
+     * @returns {Object|null} Hit ({ mp, distance }) or null
+     */
+    raycast(ray, maxDistance) {
+      const { origin, direction } = ray;
+      let cellX = cellOf(origin.x);
+      let cellZ = cellOf(origin.z);
+
+      // Steps through the grid (Amanatides and Woo), as distances along the ray
+      const stepX = direction.x > 0 ? 1 : -1;
+      const stepZ = direction.z > 0 ? 1 : -1;
+      const deltaX = direction.x !== 0 ? Math.abs(CELL_SIZE / direction.x) : Infinity;
+      const deltaZ = direction.z !== 0 ? Math.abs(CELL_SIZE / direction.z) : Infinity;
+      let nextX = direction.x !== 0
+        ? ((cellX + (stepX > 0 ? 1 : 0)) * CELL_SIZE - origin.x) / direction.x
+        : Infinity;
+      let nextZ = direction.z !== 0
+        ? ((cellZ + (stepZ > 0 ? 1 : 0)) * CELL_SIZE - origin.z) / direction.z
+        : Infinity;
+
+      let best = null;
+      let bestDistance = maxDistance;
+      let cellStart = 0;
+
+      while (cellStart <= bestDistance) {
+        const bucket = cells.get(keyOf(cellX, cellZ));
+        if (bucket) {
+          bucket.forEach(mp => {
+            const distance = intersectFigure(ray, mp.mesh.position, bestDistance);
+            if (distance !== null && distance <= bestDistance) {
+              best = mp;
+              bestDistance = distance;
+            }
+          });
+        }
+
+        // Hits in later cells are further along the ray than this cell ends
+        const cellEnd = Math.min(nextX, nextZ);
+        if (best && bestDistance <= cellEnd) break;
+        if (cellEnd === Infinity) break;
+
+        if (nextX < nextZ) {
+          cellX += stepX;
+          nextX += deltaX;
+        } else {
+          cellZ += stepZ;
+          nextZ += deltaZ;
+        }
+        cellStart = cellEnd;
+      }
+
+      return best ? { mp: best, distance: bestDistance } : null;
+    }
+  };
+
+  /**
+   * Visits the buckets of the cells overlapping a rectangle of the floor
+   * @param {number} minX - Rectangle's least x
+   * @param {number} minZ - Rectangle's least z
+   * @param {number} maxX - Rectangle's greatest x
+   * @param {number} maxZ - Rectangle's greatest z
+   * @param {Function} visit - Called with each non-empty bucket
+   */
+  function forEachCell(minX, minZ, maxX, maxZ, visit) {
+    const lastX = cellOf(maxX);
+    const lastZ = cellOf(maxZ);
+    for (let cellX = cellOf(minX); cellX <= lastX; cellX++) {
+      for (let cellZ = cellOf(minZ); cellZ <= lastZ; cellZ++) {
+        const bucket = cells.get(keyOf(cellX, cellZ));
+        if (bucket && bucket.length > 0) {
+          visit(bucket);
+        }
+      }
+    }
+  }
+
+  index.setMPs(mps);
+  return index;
+}
+
+/**
+ * Intersects a ray with an MP figure's picking cylinder
+ * @param {THREE.Ray} ray - Ray, with a normalized direction
+ * @param {THREE.Vector3} position - The figure's anchor, at its feet
+ * @param {number} maxDistance - Furthest to look
+ * @returns {number|null} Distance along the ray to the hit, or null
+ */
+function intersectFigure(ray, position, maxDistance) {
+  const { origin, direction } = ray;
+  let near = 0;
+  let far = maxDistance;
+
+  // Between the feet and the top of the head
+  const offsetY = origin.y - position.y;
+  if (direction.y === 0) {
+    if (offsetY < 0 || offsetY > FIGURE_HEIGHT) return null;
+  } else {
+    const t1 = -offsetY / direction.y;
+    const t2 = (FIGURE_HEIGHT - offsetY) / direction.y;
+    near = Math.max(near, Math.min(t1, t2));
+    far = Math.min(far, Math.max(t1, t2));
+  }
+
+  // Within the radius, across the floor
+  const offsetX = origin.x - position.x;
+  const offsetZ = origin.z - position.z;
+  const a = direction.x * direction.x + direction.z * direction.z;
+  const c = offsetX * offsetX + offsetZ * offsetZ - FIGURE_RADIUS * FIGURE_RADIUS;
+  if (a === 0) {
+    if (c > 0) return null;
+  } else {
+    const b = offsetX * direction.x + offsetZ * direction.z;
+    const discriminant = b * b - a * c;
+    if (discriminant < 0) return null;
+    const root = Math.sqrt(discriminant);
+    near = Math.max(near, (-b - root) / a);
+    far = Math.min(far, (-b + root) / a);
+  }
+
+  return near <= far ? near : null;
+}
+
+/**
+ * @param {number} value - World x or z
+ * @returns {number} Grid cell coordinate
+ */
+function cellOf(value) {
+  return Math.floor(value / CELL_SIZE);
+}
+
+/**
+ * @param {number} cellX - Grid cell x
+ * @param {number} cellZ - Grid cell z
+ * @returns {number} Key of the cell in the grid
+ */
+function keyOf(cellX, cellZ) {
+  return (cellX + GRID_OFFSET) * GRID_SPAN + (cellZ + GRID_OFFSET);
+}
@@ -0,0 +1,401 @@
+import { getParty, getParties, getPartyCss, getPartySymbol, arePartySymbolsShown } from './party-registry.js';
+import { createHighlight } from './mp-highlight.js';
+
+/**
+ * MP list: a side panel listing every MP, grouped by bench and then by party
+ * as they sit in the chamber, for finding MPs by keyboard or screen reader.
+ * Focusing an MP (Tab, or the arrow keys) highlights them in the chamber and
+ * hands them to the app to frame; Enter or a click selects them.
+ *
+ * Keys, while the list has focus:
+ * - Up / Down: previous / next MP
+ * - Page Up / Page Down: first MP of the previous / next party
+ * - Home / End: first / last MP
+ * - Escape: close the list
+ */
+
+// Benches in the order they are listed, with their headings
+const BENCHES = [
+  { id: 'government', label: 'Government benches' },
+  { id: 'opposition', label: 'Opposition benches' },
+  { id: 'chair', label: 'Speaker\'s chair' },
+  { id: 'bar', label: 'Standing at the Bar' },
+  { id: 'absent', label: 'Not in the chamber' }
+];
+
+// Keys that move focus through the list
+const NAVIGATION_KEYS = ['ArrowDown', 'ArrowUp', 'PageDown', 'PageUp', 'Home', 'End'];
+
+/**
+ * Returns the bench an MP is listed under: where they sit, not where their
+ * party sits, so MPs who overflowed are listed on the other side
+ * @param {Object} mp - MP object
+ * @returns {string} One of the BENCHES ids
+ */
+function getBench(mp) {
+  if (mp.seat) return mp.seat.side;
+  return mp.placement && mp.placement.status === 'standing' ? 'bar' : 'absent';
+}
+
+/**
+ * Describes where an MP is in the chamber, e.g. "Government benches, front
+ * row, bench 3 from the Speaker"
+ * @param {Object} mp - MP object
+ * @returns {string} Description
+ */
+export function describeMPLocation(mp) {
+  const bench = getBench(mp);
+  if (bench === 'chair') return 'In the Speaker\'s chair';
+  if (!mp.seat) return BENCHES.find(entry => entry.id === bench).label;
+
+  const row = mp.seat.tier === 0 ? 'front row' : `row ${mp.seat.tier + 1}`;
+  return `${BENCHES.find(entry => entry.id === bench).label}, ${row}, bench ${mp.seat.row + 1} from the Speaker`;
+}
+
+/**
+ * Orders MPs by seat, front row first and from the Speaker's end, and those
+ * without a seat by name
+ * @param {Object} a - MP object
+ * @param {Object} b - MP object
+ * @returns {number} Sort order
+ */
+function compareSeats(a, b) {
+  if (a.seat && b.seat) {
+    return a.seat.tier - b.seat.tier || a.seat.row - b.seat.row || a.seat.seat - b.seat.seat;
+  }
+  return a.data.name.localeCompare(b.data.name);
+}
+
+/**
+ * Creates the MP list panel
+ * @param {Object} options - Panel options
+ * @param {Array} options.mps - Array of MP objects
+ * @param {THREE.Scene} options.scene - Scene the focus highlight is added to
+ * @param {Function} [options.onFocusMP] - Called with an MP given focus in the list
+ * @param {Function} [options.onSelectMP] - Called with an MP chosen from the list
+ * @param {Function} [options.announce] - Called with messages for screen readers
+ * @param {Function} [options.onClose] - Called when the list closes
+ * @returns {Object} Panel with open(), close(), isOpen(), setSelected(id),
+ *   refresh() and update(), to be called every frame
+ */
+export function createMPListPanel(options) {
+  const { mps, scene } = options;
+  const partyOrder = getParties();
+  let open = false;
+
+  // MP whose button has focus, and the MP whose info panel is open
+  let focusedMP = null;
+  let selectedId = null;
+
+  // Buttons of the current list, in list order, and the first of each party
+  let buttons = [];
+  let partyStarts = [];
+  const buttonsByMP = new Map();
+
+  const highlight = createHighlight();
+  scene.add(highlight);
+
+  const element = document.createElement('nav');
+  element.id = 'mp-list-panel';
+  element.setAttribute('aria-label', 'MPs in the chamber');
+  Object.assign(element.style, {
+    position: 'fixed',
+    top: '20px',
+    left: '20px',
+    backgroundColor: 'rgba(0, 0, 0, 0.85)',
+    color: 'white',
+    padding: '10px',
+    borderRadius: '5px',
+    width: '280px',
+    maxHeight: 'calc(100vh - 280px)',
+    overflowY: 'auto',
+    fontSize: '13px',
+    zIndex: '1001',
+    display: 'none'
+  });
+
+  const title = document.createElement('h2');
+  title.textContent = 'MPs';
+  title.tabIndex = -1;
+  Object.assign(title.style, { margin: '0 0 5px', fontSize: '16px' });
+  element.appendChild(title);
+
+  const help = document.createElement('p');
+  help.style.margin = '0 0 5px';
+  help.textContent = 'Tab or the arrow keys move between MPs and show them in the chamber; Enter shows who they are. Page Up and Page Down jump between parties, Escape closes the list.';
+  element.appendChild(help);
+
+  const list = document.createElement('div');
+  element.appendChild(list);
+
+  element.addEventListener('keydown', onKeyDown);
+  document.body.appendChild(element);
+
+  /**
+   * Rebuilds the list from where the MPs sit now
+   */
+  function render() {
+    list.innerHTML = '';
+    buttons = [];
+    partyStarts = [];
+    buttonsByMP.clear();
+
+    BENCHES.forEach(bench => {
+      const members = mps.filter(mp => getBench(mp) === bench.id);
+      if (members.length === 0) return;
+
+      const section = document.createElement('section');
+      const heading = document.createElement('h3');
+      heading.id = `mp-list-${bench.id}`;
+      heading.textContent = `${bench.label} (${members.length})`;
+      Object.assign(heading.style, { margin: '10px 0 2px', fontSize: '14px' });
+      section.setAttribute('aria-labelledby', heading.id);
+      section.appendChild(heading);
+
+      groupByParty(members).forEach(([party, partyMembers]) => {
+        section.appendChild(createPartyGroup(bench, party, partyMembers));
+      });
+      list.appendChild(section);
+    });
+  }
+
+  /**
+   * Groups MPs by party, in party registry order, each sorted by seat
+   * @param {Array} members - MP objects
+   * @returns {Array} [party, MPs] pairs
+   */
+  function groupByParty(members) {
+    const groups = new Map();
+    members.forEach(mp => {
+      const party = getParty(mp.data.party);
+      if (!groups.has(party)) groups.set(party, []);
+      groups.get(party).push(mp);
+    });
+
+    // Unregistered parties (the fallback) go last
+    const rank = party => (partyOrder.includes(party) ? partyOrder.indexOf(party) : partyOrder.length);
+    return [...groups.entries()]
+      .sort(([a], [b]) => rank(a) - rank(b))
+      .map(([party, partyMembers]) => [party, partyMembers.sort(compareSeats)]);
+  }
+
+  /**
+   * Builds the list of one party's MPs on a bench
+   * @param {Object} bench - One of BENCHES
+   * @param {Object} party - Party from the registry
+   * @param {Array} members - The party's MPs on the bench, in order
+   * @returns {HTMLElement} Group
+   */
+  function createPartyGroup(bench, party, members) {
+    const group = document.createElement('div');
+    const heading = document.createElement('h4');
+    heading.id = `mp-list-${bench.id}-${party.id}`;
+    heading.textContent = `${party.name} (${members.length})`;
+    if (arePartySymbolsShown()) {
+      const symbol = document.createElement('span');
+      symbol.textContent = `${getPartySymbol(party.name).glyph} `;
+      symbol.style.color = getPartyCss(party.name);
+      symbol.setAttribute('aria-hidden', 'true');
+      heading.prepend(symbol);
+    }
+    Object.assign(heading.style, {
+      margin: '6px 0 2px',
+      paddingLeft: '6px',
+      borderLeft: `5px solid ${getPartyCss(party.name)}`,
+      fontSize: '13px'
+    });
+    group.appendChild(heading);
+
+    const items = document.createElement('ul');
+    items.setAttribute('aria-labelledby', heading.id);
+    Object.assign(items.style, { listStyle: 'none', margin: '0', padding: '0' });
+
+    partyStarts.push(buttons.length);
+    members.forEach(mp => {
+      const item = document.createElement('li');
+      item.appendChild(createMPButton(mp));
+      items.appendChild(item);
+    });
+
+    group.appendChild(items);
+    return group;
+  }
+
+  /**
+   * Builds the button for one MP
+   * @param {Object} mp - MP object
+   * @returns {HTMLElement} Button
+   */
+  function createMPButton(mp) {
+    const button = document.createElement('button');
+    button.textContent = mp.data.position ? `${mp.data.name}, ${mp.data.position}` : mp.data.name;
+    Object.assign(button.style, {
+      display: 'block',
+      width: '100%',
+      margin: '1px 0',
+      padding: '3px 6px',
+      textAlign: 'left',
+      backgroundColor: 'transparent',
+      color: 'white',
+      border: '1px solid transparent',
+      borderRadius: '3px',
+      cursor: 'pointer'
+    });
+
+    button.addEventListener('focus', () => focusMP(mp));
+    button.addEventListener('click', () => {
+      if (options.onSelectMP) options.onSelectMP(mp);
+    });
+
+    buttons.push(button);
+    buttonsByMP.set(mp, button);
+    styleButton(mp);
+    return button;
+  }
+
+  /**
+   * Shows an MP's button as focused, selected or neither
+   * @param {Object} mp - MP object
+   */
+  function styleButton(mp) {
+    const button = buttonsByMP.get(mp);
+    if (!button) return;
+
+    const selected = mp.data.id === selectedId;
+    if (selected) {
+      button.setAttribute('aria-current', 'true');
+    } else {
+      button.removeAttribute('aria-current');
+    }
+    button.style.backgroundColor = mp === focusedMP ? '#555' : 'transparent';
+    button.style.borderColor = selected ? '#FFD700' : 'transparent';
+  }
+
+  /**
+   * Highlights the MP given focus and says where they are
+   * @param {Object} mp - MP object
+   */
+  function focusMP(mp) {
+    const previous = focusedMP;
+    focusedMP = mp;
+    if (previous) styleButton(previous);
+    styleButton(mp);
+
+    if (options.announce) options.announce(describeMPLocation(mp));
+    if (options.onFocusMP) options.onFocusMP(mp);
+  }
+
+  /**
+   * Moves focus through the list with the arrow, page, Home and End keys
+   * @param {KeyboardEvent} event - Key event on the panel
+   */
+  function onKeyDown(event) {
+    if (event.key === 'Enter' || event.key === ' ') {
+      // The focused button clicks itself; the app should not also jump
+      event.stopPropagation();
+      return;
+    }
+
+    if (event.key === 'Escape') {
+      panel.close();
+    } else if (NAVIGATION_KEYS.includes(event.key)) {
+      if (buttons.length > 0) buttons[getNextIndex(event.key)].focus();
+    } else {
+      return;
+    }
+
+    // Keys used by the list do not also walk the player
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  /**
+   * Works out which button a key moves focus to
+   * @param {string} key - Key pressed
+   * @returns {number} Index of the button
+   */
+  function getNextIndex(key) {
+    const current = buttons.indexOf(document.activeElement);
+    const last = buttons.length - 1;
+
+    switch (key) {
+      case 'ArrowDown':
+        return current === -1 || current === last ? 0 : current + 1;
+      case 'ArrowUp':
+        return current <= 0 ? last : current - 1;
+      case 'Home':
+        return 0;
+      case 'End':
+        return last;
+      case 'PageDown': {
+        const next = partyStarts.find(start => start > current);
+        return next === undefined ? partyStarts[0] : next;
+      }
+      case 'PageUp': {
+        // The start of this party, or of the one before if already there
+        const starts = partyStarts.filter(start => start < current);
+        return starts.length > 0 ? starts[starts.length - 1] : partyStarts[partyStarts.length - 1];
+      }
+      default:
+        return Math.max(current, 0);
+    }
+  }
+
+  const panel = {
+    /**
+     * Opens the list, built from where the MPs sit now, and moves focus to it
+     */
+    open() {
+      open = true;
+      focusedMP = null;
+      element.style.display = 'block';
+      render();
+      title.focus();
+    },
+
+    close() {
+      if (!open) return;
+      open = false;
+      focusedMP = null;
+      highlight.visible = false;
+      element.style.display = 'none';
+      if (options.onClose) options.onClose();
+    },
+
+    isOpen() {
+      return open;
+    },
+
+    /**
+     * Rebuilds the list if it is open, e.g. after the party palette changes
+     */
+    refresh() {
+      if (open) render();
+    },
+
+    /**
+     * Marks the MP whose info panel is open
+     * @param {*} id - MP id, or null when the info panel closes
+     */
+    setSelected(id) {
+      const previous = mps.find(mp => mp.data.id === selectedId);
+      selectedId = id;
+      if (previous) styleButton(previous);
+      const selected = mps.find(mp => mp.data.id === id);
+      if (selected) styleButton(selected);
+    },
+
+    /**
+     * Keeps the highlight on the focused MP, who may be walking to a lobby;
+     * call every frame
+     */
+    update() {
+      highlight.visible = Boolean(open && focusedMP && focusedMP.mesh.visible);
+      if (highlight.visible) {
+        highlight.position.copy(focusedMP.mesh.position);
+      }
+    }
+  };
+
+  return panel;
+}
@@ -1,128 +1,327 @@
 import * as THREE from 'three';
-import { TextureLoader } from 'three';
+import { createDataProvider } from './data-providers.js';
+import { validateMPRecords } from './mp-schema.js';
+import { getPartyColor, getPartyCss, getPartySymbol, arePartySymbolsShown } from './party-registry.js';
+import { allocateSeats } from './seat-allocation.js';
+
+// Shared figure geometry, used by every instance
+const BODY_GEOMETRY = new THREE.CylinderGeometry(0.2, 0.2, 1.4, 8);
+const HEAD_GEOMETRY = new THREE.SphereGeometry(0.25, 16, 16);
+
+// Offsets of the body and head relative to an MP's anchor (feet on the seat)
+const BODY_OFFSET = new THREE.Matrix4().makeTranslation(0, 0.7, 0);
+const HEAD_OFFSET = new THREE.Matrix4().makeTranslation(0, 1.65, 0);
+const HEAD_HEIGHT = 1.65;
+const HIDDEN_MATRIX = new THREE.Matrix4().makeScale(0, 0, 0);
 
 /**
- * Creates meshes for MPs
- * @param {Array} mpData - Array of MP data from JSON
- * @returns {Array} Array of MP objects with meshes
+ * Creates anchors for MPs. Each MP is represented by a lightweight
+ * Object3D holding its position and rotation; the visible figures are drawn
+ * by the instanced meshes built in createMPFigures.
+ * @param {Array} mpData - Array of normalized MP records
+ * @returns {Array} Array of MP objects with anchors
  */
 function createMPMeshes(mpData) {
   return mpData.map(mp => {
-    // Create a group to hold the MP's body parts
-    const group = new THREE.Group();
-
-    // Create body (cylinder)
-    const bodyGeometry = new THREE.CylinderGeometry(0.2, 0.2, 1.4, 8);
-    const bodyMaterial = new THREE.MeshStandardMaterial({
-      color: getMPColor(mp.party),
-      roughness: 0.7,
-      metalness: 0.3
-    });
-    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-    body.position.y = 0.7; // Half height to stand on ground
-    group.add(body);
-
-    // Create head (sphere)
-    const headGeometry = new THREE.SphereGeometry(0.25, 16, 16);
-    const headMaterial = new THREE.MeshStandardMaterial({
-      color: 0xFFE0BD, // Neutral skin tone
-      roughness: 0.8,
-      metalness: 0.1
-    });
-    const head = new THREE.Mesh(headGeometry, headMaterial);
-    head.position.y = 1.65; // Position on top of body
-    head.userData.isHead = true; // Mark for portrait texture
-    group.add(head);
-
-    // Load portrait texture if available
-    if (mp.portrait_URL) {
-      const textureLoader = new THREE.TextureLoader();
-      loadTexture(textureLoader, mp.portrait_URL)
-        .then(texture => {
-          applyPortraitTexture(group, texture);
-        })
-        .catch(() => {
-          // Fallback to default texture with name
-          applyDefaultTexture(group, mp.name, mp.party);
-        });
-    } else {
-      applyDefaultTexture(group, mp.name, mp.party);
-    }
+    const anchor = new THREE.Object3D();
+    anchor.name = mp.name;
+    anchor.userData.mpData = mp;
 
-    // Create name label
-    const label = createTextLabel(`${mp.name}\n${mp.position || ''}`);
-    label.position.y = 2.2;
-    group.add(label);
-
-    group.castShadow = true;
-    group.receiveShadow = true;
+    // Only MPs with a named role get a portrait and floating label;
+    // decorating all 650 would cost a texture and a sprite each
+    if (mp.position) {
+      decorateFigure(anchor, mp);
+    }
 
     return {
       data: mp,
-      mesh: group
+      mesh: anchor
     };
   });
 }
 
 /**
- * Gets color for MP based on party
- * @param {string} party - MP's party
- * @returns {number} Color as hex number
+ * Adds a portrait and name label to a featured MP's anchor
+ * @param {THREE.Object3D} anchor - The MP's anchor
+ * @param {Object} mp - MP data
  */
-function getMPColor(party) {
-  switch (party) {
-    case 'Labour':
-      return 0xE4003B;
-    case 'Conservative':
-      return 0x0087DC;
-    case 'Liberal Democrats':
-      return 0xFAA61A;
-    case 'Non-partisan':
-      return 0x777777;
-    default:
-      return 0xCCCCCC;
+function decorateFigure(anchor, mp) {
+  // Load portrait texture if available
+  if (mp.portrait_URL) {
+    const textureLoader = new THREE.TextureLoader();
+    loadTexture(textureLoader, mp.portrait_URL)
+      .then(texture => {
+        applyPortraitTexture(anchor, texture);
+      })
+      .catch(() => {
+        // Fallback to default texture with name
+        applyDefaultTexture(anchor, mp.name, mp.party);
+      });
+  } else {
+    applyDefaultTexture(anchor, mp.name, mp.party);
   }
+
+  // Create name label
+  const label = createTextLabel(mp);
+  label.position.y = 2.25;
+  label.userData.mpData = mp;
+  label.userData.isInteractable = true;
+  anchor.add(label);
 }
 
 /**
- * Loads and creates MP objects
- * @returns {Promise<Array>} Promise resolving to array of MP objects
+ * Creates the instanced figures for all MPs: one draw call for the bodies
+ * and one for the heads, however many MPs are seated.
+ * @param {Array} mps - Array of MP objects from loadMPs
+ * @returns {Object} Figures with the scene group, pickable meshes and MP lookup
  */
-export function loadMPs() {
-  // Get the base URL for the current environment
-  const baseUrl = import.meta.env?.BASE_URL || '/';
-  
-  // Ensure baseUrl starts with http/https for URL constructor
-  const fullBaseUrl = baseUrl.startsWith('http') ? baseUrl : window.location.origin + baseUrl;
-  
-  // Construct the full path to mps.json
-  const dataPath = new URL('/data/mps.json', fullBaseUrl).pathname;
+export function createMPFigures(mps) {
+  const group = new THREE.Group();
+  group.name = 'MPs';
+
+  const bodyMaterial = new THREE.MeshStandardMaterial({
+    color: 0xFFFFFF, // Tinted per instance with the party colour
+    roughness: 0.7,
+    metalness: 0.3
+  });
+  const headMaterial = new THREE.MeshStandardMaterial({
+    color: 0xFFE0BD, // Neutral skin tone
+    roughness: 0.8,
+    metalness: 0.1
+  });
+
+  const bodies = new THREE.InstancedMesh(BODY_GEOMETRY, bodyMaterial, mps.length);
+  const heads = new THREE.InstancedMesh(HEAD_GEOMETRY, headMaterial, mps.length);
+
+  [bodies, heads].forEach(mesh => {
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    // Instances move around the chamber, so the geometry bounds are meaningless
+    mesh.frustumCulled = false;
+    mesh.userData.isMPFigure = true;
+    group.add(mesh);
+  });
+
+  mps.forEach((mp, index) => {
+    mp.mesh.userData.instanceId = index;
+    group.add(mp.mesh);
+  });
+
+  const figures = {
+    group,
+    bodies,
+    heads,
+    mps,
+    meshes: [bodies, heads]
+  };
+
+  setMPFigureColors(figures);
+  updateMPFigures(figures);
+
+  return figures;
+}
+
+/**
+ * Tints the MP figures, e.g. to colour the chamber by vote
+ * @param {Object} figures - Figures returned by createMPFigures
+ * @param {Function} [getColor] - Returns the colour (hex number) for an MP;
+ *   without it figures take their party colour
+ */
+export function setMPFigureColors(figures, getColor = null) {
+  const color = new THREE.Color();
+
+  figures.mps.forEach((mp, index) => {
+    const value = getColor ? getColor(mp) : getPartyColor(mp.data.party);
+    figures.bodies.setColorAt(index, color.setHex(value));
+  });
+
+  // Without any MPs setColorAt never ran, so there are no colours to upload
+  if (figures.bodies.instanceColor) {
+    figures.bodies.instanceColor.needsUpdate = true;
+  }
+}
+
+/**
+ * Copies each MP anchor's transform onto its instances. Called every frame so
+ * anything that moves an anchor (seating, animations) is reflected on screen.
+ * @param {Object} figures - Figures returned by createMPFigures
+ */
+export function updateMPFigures(figures) {
+  const matrix = new THREE.Matrix4();
+
+  figures.mps.forEach((mp, index) => {
+    if (!mp.mesh.visible) {
+      // Collapse hidden MPs' instances so they are neither drawn nor picked
+      figures.bodies.setMatrixAt(index, HIDDEN_MATRIX);
+      figures.heads.setMatrixAt(index, HIDDEN_MATRIX);
+      return;
+    }
+    
+    mp.mesh.updateMatrix();
+    figures.bodies.setMatrixAt(index, matrix.multiplyMatrices(mp.mesh.matrix, BODY_OFFSET));
+    figures.heads.setMatrixAt(index, matrix.multiplyMatrices(mp.mesh.matrix, HEAD_OFFSET));
+  });
+
+  figures.bodies.instanceMatrix.needsUpdate = true;
+  figures.heads.instanceMatrix.needsUpdate = true;
+
+  // Force the raycast bounds to be recomputed from the new positions
+  figures.bodies.boundingSphere = null;
+  figures.heads.boundingSphere = null;
+}
+
+/**
+ * Resolves a raycast intersection against the figures back to its MP
+ * @param {Object} figures - Figures returned by createMPFigures
+ * @param {Object} intersection - A THREE.Raycaster intersection
+ * @returns {Object|null} The MP object, or null if the hit was not an MP
+ */
+export function getMPFromIntersection(figures, intersection) {
+  let mp = null;
   
-  return fetch(dataPath)
-    .then(response => {
-      if (!response.ok) {
-        // Try fallback path if first attempt fails
-        const fallbackPath = '/data/mps.json';
-        return fetch(fallbackPath).then(fallbackResponse => {
-          if (!fallbackResponse.ok) {
-            throw new Error('Failed to load MP data');
-          }
-          return fallbackResponse.json();
-        });
-      }
-      return response.json();
-    })
+  if (intersection.instanceId !== undefined && intersection.object.userData.isMPFigure) {
+    mp = figures.mps[intersection.instanceId] || null;
+  } else if (intersection.object.userData.mpData) {
+    mp = figures.mps.find(candidate => candidate.data === intersection.object.userData.mpData) || null;
+  }
+
+  return mp && mp.mesh.visible ? mp : null;
+}
+
+/**
+ * Normalizes an entry of mp_portraits.json into the MP record shape used
+ * throughout the app. The Public Whip person number doubles as the
+ * members-api.parliament.uk member id, so it is used as the MP's id.
+ * @param {Object} entry - Roster entry
+ * @returns {Object} Normalized MP record
+ */
+export function normalizeRosterEntry(entry) {
+  // Leave malformed entries for validation to report
+  if (!isRecord(entry)) return entry;
+
+  return {
+    id: typeof entry.person_id === 'string' ? Number(entry.person_id.split('/').pop()) : undefined,
+    person_id: entry.person_id,
+    name: entry.name,
+    party: entry.party_affiliation,
+    constituency: entry.constituency,
+    position: '',
+    bio: '',
+    portrait_URL: entry.portrait_URL
+  };
+}
+
+/**
+ * Checks whether a value can be read as an MP record
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isRecord(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Extracts the members-api id from a portrait URL
+ * @param {string} url - Portrait URL
+ * @returns {number|null} The member id, or null if the URL has none
+ */
+function getMemberIdFromPortrait(url) {
+  const match = typeof url === 'string' && url.match(/\/members\/(\d+)\//);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Builds the whole House from the roster, merging the positions and
+ * biographies of any featured MPs from mps.json into their roster entries.
+ * Featured MPs are matched by member id (taken from their portrait URL),
+ * falling back to constituency; any that are not on the roster are appended.
+ * @param {Array} roster - Entries of mp_portraits.json
+ * @param {Array} featured - Records from mps.json
+ * @returns {Array} Normalized MP records
+ */
+export function buildRoster(roster, featured = []) {
+  if (!Array.isArray(roster)) {
+    throw new Error('MP roster must be an array of records');
+  }
+
+  const members = roster.map(normalizeRosterEntry);
+  const byId = new Map(members.filter(isRecord).map(mp => [mp.id, mp]));
+  const byConstituency = new Map(members.filter(isRecord).map(mp => [mp.constituency, mp]));
+
+  (Array.isArray(featured) ? featured : []).forEach(record => {
+    if (!isRecord(record)) return;
+
+    const match = byId.get(getMemberIdFromPortrait(record.portrait_URL)) ||
+      byConstituency.get(record.constituency);
+
+    if (match) {
+      match.position = record.position || match.position;
+      match.bio = record.bio || match.bio;
+    } else {
+      members.push({ position: '', bio: '', ...record });
+    }
+  });
+
+  return members;
+}
+
+/**
+ * Loads and creates MP objects. Records are validated against the MP schema;
+ * invalid ones are left out of the chamber and reported through onDataErrors.
+ * @param {Object} [options] - Loader options
+ * @param {string} [options.mode='featured'] - 'featured' loads only mps.json;
+ *   'roster' builds all 650 seats from the provider's roster
+ * @param {Object} [options.provider] - Data provider (see data-providers.js);
+ *   defaults to the one described by the data source configuration
+ * @param {Function} [options.onDataErrors] - Called with the validation report
+ *   (see validateMPRecords) when records are invalid, or with { error } when
+ *   the data could not be loaded at all
+ * @returns {Promise<Array>} Promise resolving to array of MP objects
+ */
+export function loadMPs(options = {}) {
+  const mode = options.mode || 'featured';
+  const provider = options.provider || createDataProvider();
+  const onDataErrors = options.onDataErrors || logDataErrors;
+
+  const featuredMPs = provider.getFeaturedMPs();
+  const mpData = mode === 'roster'
+    ? Promise.all([
+      provider.getRoster(),
+      featuredMPs.catch(error => {
+        // The roster stands on its own, so missing featured data is not fatal
+        console.warn('Featured MP data unavailable, using roster only:', error);
+        return [];
+      })
+    ]).then(([roster, featured]) => buildRoster(roster, featured))
+    : featuredMPs;
+
+  return mpData
     .then(mpData => {
-      const mps = createMPMeshes(mpData);
-      updateMPPositions(mps);
-      return mps;
+      const report = validateMPRecords(mpData);
+      if (report.invalid.length > 0) {
+        onDataErrors(report);
+      }
+
+      return createMPMeshes(report.valid);
     })
     .catch(error => {
       console.error('Error loading MP data:', error);
+      onDataErrors({ total: 0, valid: [], invalid: [], error });
       return [];
     });
 }
 
+/**
+ * Default handler for MP data problems: logs them to the console
+ * @param {Object} report - Validation report
+ */
+function logDataErrors(report) {
+  report.invalid.forEach(entry => {
+    console.warn(`Skipping invalid MP data (${entry.label}): ${entry.problems.join('; ')}`);
+  });
+}
+
 /**
  * Loads a texture from a URL
  * @param {THREE.TextureLoader} loader - The texture loader
@@ -142,54 +341,73 @@ function loadTexture(loader, url) {
 
 /**
  * Applies a portrait texture to the MP's head
- * @param {THREE.Group} figure - The MP figure
+ * @param {THREE.Object3D} anchor - The MP's anchor
  * @param {THREE.Texture} texture - The portrait texture
  */
-function applyPortraitTexture(figure, texture) {
-  // Find the head mesh
-  const head = figure.children.find(child => child.userData.isHead);
-  if (!head) return;
-  
+function applyPortraitTexture(anchor, texture) {
   // Create a material with the portrait texture
   const material = new THREE.MeshBasicMaterial({
     map: texture
   });
   
+  addFacePlanes(anchor, material);
+}
+
+/**
+ * Adds front and back planes showing a face texture over the instanced head
+ * @param {THREE.Object3D} anchor - The MP's anchor
+ * @param {THREE.Material} material - Material carrying the face texture
+ */
+function addFacePlanes(anchor, material) {
   // Create a plane slightly larger than the head to display the portrait
   const portraitGeometry = new THREE.PlaneGeometry(0.5, 0.5);
   const portrait = new THREE.Mesh(portraitGeometry, material);
   
   // Position the portrait in front of the head
-  portrait.position.set(0, 0, 0.26);
-  
-  // Add the portrait to the head
-  head.add(portrait);
+  portrait.position.set(0, HEAD_HEIGHT, 0.26);
+  portrait.userData.mpData = anchor.userData.mpData;
+  portrait.userData.isInteractable = true;
+  anchor.add(portrait);
   
   // Create a back side of the portrait (so it's visible from behind)
   const backPortrait = portrait.clone();
   backPortrait.rotation.y = Math.PI;
   backPortrait.position.z = -0.26;
-  head.add(backPortrait);
+  anchor.add(backPortrait);
 }
 
 /**
  * Creates a default texture with the MP's name when portrait is unavailable
- * @param {THREE.Group} figure - The MP figure
+ * @param {THREE.Object3D} anchor - The MP's anchor
  * @param {string} name - The MP's name
  * @param {string} party - The MP's party
  */
-function applyDefaultTexture(figure, name, party) {
-  const head = figure.children.find(child => child.userData.isHead);
-  if (!head) return;
-  
+function applyDefaultTexture(anchor, name, party) {
   // Create a canvas to draw the name
   const canvas = document.createElement('canvas');
   canvas.width = 256;
   canvas.height = 256;
+  drawDefaultTexture(canvas, name, party);
+  
+  // Create texture from canvas
+  const texture = new THREE.CanvasTexture(canvas);
+  anchor.userData.defaultTexture = texture;
+  
+  // Apply the texture over the head
+  addFacePlanes(anchor, new THREE.MeshLambertMaterial({ map: texture }));
+}
+
+/**
+ * Draws an MP's name on their party colour, for the default texture
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on
+ * @param {string} name - The MP's name
+ * @param {string} party - The MP's party
+ */
+function drawDefaultTexture(canvas, name, party) {
   const context = canvas.getContext('2d');
   
   // Fill with party color
-  context.fillStyle = '#' + new THREE.Color(getPartyColor(party)).getHexString();
+  context.fillStyle = getPartyCss(party);
   context.fillRect(0, 0, canvas.width, canvas.height);
   
   // Add a lighter center area for the face
@@ -212,275 +430,107 @@ function applyDefaultTexture(figure, name, party) {
   } else {
     context.fillText(name, canvas.width / 2, canvas.height / 2);
   }
-  
-  // Create texture from canvas
-  const texture = new THREE.CanvasTexture(canvas);
-  
-  // Apply the texture to the head
-  head.material = new THREE.MeshLambertMaterial({ map: texture });
 }
 
 /**
- * Creates a text label for an MP
- * @param {string} text - The text to display
+ * Creates the floating label of an MP
+ * @param {Object} mp - MP data
  * @returns {THREE.Object3D} The text label object
  */
-function createTextLabel(text) {
+function createTextLabel(mp) {
   const canvas = document.createElement('canvas');
-  const context = canvas.getContext('2d');
   canvas.width = 256;
-  canvas.height = 64;
-  
-  context.font = 'bold 24px Arial';
-  context.fillStyle = 'white';
-  context.textAlign = 'center';
-  context.fillText(text, canvas.width / 2, canvas.height / 2);
-  
-  // Add a background for better visibility
-  context.globalCompositeOperation = 'destination-over';
-  context.fillStyle = 'rgba(0, 0, 0, 0.5)';
-  context.fillRect(0, 0, canvas.width, canvas.height);
+  canvas.height = 80;
+  drawTextLabel(canvas, mp);
   
   const texture = new THREE.CanvasTexture(canvas);
   const material = new THREE.SpriteMaterial({ map: texture });
   const sprite = new THREE.Sprite(material);
-  sprite.scale.set(2, 0.5, 1);
+  sprite.scale.set(2, 0.625, 1);
+  sprite.userData.isMPLabel = true;
   
   return sprite;
 }
 
 /**
- * Returns a color based on the MP's party
- * @param {string} party - The political party
- * @returns {number} The color as a hex value
- */
-function getPartyColor(party) {
-  switch (party.toLowerCase()) {
-    case 'labour':
-      return 0xE4003B; // Labour red
-    case 'conservative':
-      return 0x0087DC; // Conservative blue
-    case 'liberal democrats':
-      return 0xFAA61A; // Lib Dem orange
-    case 'green':
-      return 0x6AB023; // Green
-    case 'scottish national party':
-    case 'snp':
-      return 0xFFF95D; // SNP yellow
-    case 'plaid cymru':
-      return 0x005B54; // Plaid Cymru green
-    case 'non-partisan':
-      return 0x777777; // Grey for non-partisan (like the Speaker)
-    default:
-      return 0xCCCCCC; // Default grey
-  }
-}
-
-/**
- * Calculates seat positions for all MPs
- * @param {Array} mps - Array of MP data from mps.json
- * @returns {Object} Map of MP IDs to their calculated seat positions
- */
-function calculateMPSeats(mps) {
-  const seatMap = new Map();
-  const occupiedSeats = new Set();
-  
-  // Sort MPs by importance for seating priority
-  const sortedMPs = [...mps].sort((a, b) => {
-    // Speaker gets highest priority
-    if (a.position === 'Speaker of the House of Commons') return -1;
-    if (b.position === 'Speaker of the House of Commons') return 1;
-    
-    // Prime Minister and Leader of Opposition next
-    if (a.position === 'Prime Minister') return -1;
-    if (b.position === 'Prime Minister') return 1;
-    if (a.position === 'Leader of the Opposition') return -1;
-    if (b.position === 'Leader of the Opposition') return 1;
-    
-    // Then other frontbench positions
-    const aFront = Boolean(a.position);
-    const bFront = Boolean(b.position);
-    if (aFront && !bFront) return -1;
-    if (!aFront && bFront) return 1;
-    
-    return 0;
-  });
-
-  sortedMPs.forEach(mp => {
-    let seatPosition;
-    
-    // Special handling for Speaker
-    if (mp.position === 'Speaker of the House of Commons') {
-      seatPosition = { x: 0, y: 0.5, z: -13 };
-      seatMap.set(mp.id, seatPosition);
-      return;
-    }
-
-    // Handle specific positions
-    switch (mp.position) {
-      case 'Prime Minister':
-        seatPosition = { x: 2, y: 0.5, z: -1 };
-        break;
-      case 'Leader of the Opposition':
-        seatPosition = { x: -2, y: 0.5, z: -1 };
-        break;
-      case 'Deputy Prime Minister':
-        seatPosition = { x: 2, y: 0.5, z: 1 };
-        break;
-      case 'Chancellor of the Exchequer':
-        seatPosition = { x: 2, y: 0.5, z: -2 };
-        break;
-      case 'Shadow Chancellor':
-        seatPosition = { x: -2, y: 0.5, z: -2 };
-        break;
-      case 'Leader of the Liberal Democrats':
-        seatPosition = findMinorPartySeat(-1, 8, occupiedSeats);
-        break;
-      default:
-        // Handle regular MPs based on party
-        seatPosition = findRegularSeat(mp, occupiedSeats);
-    }
-
-    if (seatPosition) {
-      const seatKey = `${seatPosition.x},${seatPosition.y},${seatPosition.z}`;
-      if (!occupiedSeats.has(seatKey)) {
-        seatMap.set(mp.id, seatPosition);
-        occupiedSeats.add(seatKey);
-      } else {
-        // Find nearest available seat if preferred position is occupied
-        seatPosition = findNearestAvailableSeat(seatPosition, mp.party, occupiedSeats);
-        seatMap.set(mp.id, seatPosition);
-        occupiedSeats.add(`${seatPosition.x},${seatPosition.y},${seatPosition.z}`);
-      }
-    }
-  });
-
-  return seatMap;
-}
-
-/**
- * Finds a seat for regular MPs based on their party
+ * Draws an MP's label: their name and role, and their party in its colour,
+ * after its symbol when party symbols are shown
+ * @param {HTMLCanvasElement} canvas - The label's canvas
  * @param {Object} mp - MP data
- * @param {Set} occupiedSeats - Set of occupied seat positions
- * @returns {Object} Seat position {x, y, z}
  */
-function findRegularSeat(mp, occupiedSeats) {
-  const isFrontbench = Boolean(mp.position);
-  
-  switch (mp.party) {
-    case 'Labour':
-      return findPartyBenchSeat(1, isFrontbench, occupiedSeats); // Right side
-    case 'Conservative':
-      return findPartyBenchSeat(-1, isFrontbench, occupiedSeats); // Left side
-    case 'Liberal Democrats':
-      return findMinorPartySeat(-1, 8, occupiedSeats); // Opposition side, back
-    default:
-      return findMinorPartySeat(-1, 0, occupiedSeats); // Opposition side, middle
-  }
-}
-
-/**
- * Finds a seat in the party benches
- * @param {number} side - Side of house (1 for government, -1 for opposition)
- * @param {boolean} isFrontbench - Whether MP is frontbench
- * @param {Set} occupiedSeats - Set of occupied seat positions
- * @returns {Object} Seat position {x, y, z}
- */
-function findPartyBenchSeat(side, isFrontbench, occupiedSeats) {
-  const startTier = isFrontbench ? 0 : 1;
-  const maxTier = isFrontbench ? 0 : 7;
+function drawTextLabel(canvas, mp) {
+  const context = canvas.getContext('2d');
+  context.clearRect(0, 0, canvas.width, canvas.height);
   
-  for (let tier = startTier; tier <= maxTier; tier++) {
-    const xBase = side * (3 + tier * 1.5);
-    const yBase = tier * 0.25 + 0.5;
-    
-    // Search for empty seat in this tier
-    for (let z = -10; z <= 10; z += 0.5) {
-      // Skip dispatch box area for frontbench
-      if (tier === 0 && z > -2 && z < 2) continue;
-      
-      const seatKey = `${xBase},${yBase},${z}`;
-      if (!occupiedSeats.has(seatKey)) {
-        return { x: xBase, y: yBase, z };
-      }
-    }
-  }
+  // Background for better visibility
+  context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  context.fillRect(0, 0, canvas.width, canvas.height);
   
-  // Fallback position
-  return { x: side * 10, y: 0.5, z: 0 };
-}
-
-/**
- * Finds nearest available seat to a preferred position
- * @param {Object} preferred - Preferred seat position
- * @param {string} party - MP's party
- * @param {Set} occupiedSeats - Set of occupied seat positions
- * @returns {Object} Available seat position
- */
-function findNearestAvailableSeat(preferred, party, occupiedSeats) {
-  const side = party === 'Labour' ? 1 : -1;
-  const radius = 0.5;
-  let attempts = 0;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.font = 'bold 22px Arial';
+  context.fillStyle = 'white';
+  context.fillText(mp.name, canvas.width / 2, 16, canvas.width - 8);
   
-  while (attempts < 20) {
-    const x = preferred.x + (Math.random() - 0.5) * radius * attempts;
-    const z = preferred.z + (Math.random() - 0.5) * radius * attempts;
-    const y = preferred.y;
-    
-    const seatKey = `${x},${y},${z}`;
-    if (!occupiedSeats.has(seatKey)) {
-      return { x, y, z };
-    }
-    attempts++;
-  }
+  context.font = '16px Arial';
+  context.fillText(mp.position || '', canvas.width / 2, 40, canvas.width - 8);
   
-  // Last resort fallback
-  return { x: side * (10 + Math.random() * 2), y: 0.5, z: Math.random() * 10 - 5 };
+  const party = arePartySymbolsShown() ? `${getPartySymbol(mp.party).glyph} ${mp.party}` : mp.party;
+  context.font = 'bold 16px Arial';
+  context.fillStyle = getPartyCss(mp.party);
+  context.fillText(party, canvas.width / 2, 63, canvas.width - 8);
 }
 
 /**
- * Finds a seat for minor party MPs
- * @param {number} side - Side of house (-1 for opposition side)
- * @param {number} zOffset - Position along length of chamber
- * @param {Set} occupiedSeats - Set of occupied seat positions
- * @returns {Object} Seat position {x, y, z}
+ * Redraws the party colours and symbols on the MPs' labels and default
+ * textures, e.g. after the party palette changes
+ * @param {Array} mps - Array of MP objects
  */
-function findMinorPartySeat(side, zOffset, occupiedSeats) {
-  const xBase = side * 12; // Further to the side
-  
-  // Try to find empty seat in the minor party area
-  for (let row = 0; row < 3; row++) {
-    for (let seat = 0; seat < 4; seat++) {
-      const x = xBase + (row * 0.5);
-      const y = row * 0.25 + 0.5;
-      const z = zOffset + (seat * 0.5);
-      
-      const seatKey = `${x},${y},${z}`;
-      if (!occupiedSeats.has(seatKey)) {
-        return { x, y, z };
-      }
+export function redrawMPLabels(mps) {
+  mps.forEach(mp => {
+    mp.mesh.children.forEach(child => {
+      if (!child.userData.isMPLabel) return;
+      drawTextLabel(child.material.map.image, mp.data);
+      child.material.map.needsUpdate = true;
+    });
+
+    const texture = mp.mesh.userData.defaultTexture;
+    if (texture) {
+      drawDefaultTexture(texture.image, mp.data.name, mp.data.party);
+      texture.needsUpdate = true;
     }
-  }
-  
-  // Fallback position
-  return { x: xBase, y: 0.5, z: zOffset };
+  });
 }
 
 /**
- * Updates MP positions in the scene
+ * Seats MPs in the chamber using the seat allocation engine. MPs who are not
+ * in the chamber (abstentionists) are hidden.
  * @param {Array} mps - Array of MP objects with meshes
+ * @param {Object} seatRegistry - Seat registry from createHouseOfCommons
+ * @param {Object} [plan] - Seating plan to apply (see seating-plan.js)
+ * @returns {Object} The allocation (see allocateSeats)
  */
-export function updateMPPositions(mps) {
-  const seatMap = calculateMPSeats(mps.map(mp => mp.data));
+export function updateMPPositions(mps, seatRegistry, plan = null) {
+  const allocation = allocateSeats(mps.map(mp => mp.data), seatRegistry, plan);
   
   mps.forEach(mp => {
-    const position = seatMap.get(mp.data.id);
-    if (position) {
-      mp.mesh.position.set(position.x, position.y, position.z);
-      
-      // Face toward center of chamber
-      const angle = Math.atan2(-position.x, -position.z);
-      mp.mesh.rotation.y = angle;
+    const placement = allocation.placements.get(mp.data.id);
+    mp.placement = placement;
+    mp.seat = placement ? placement.seat : null;
+    
+    if (placement && placement.position) {
+      mp.mesh.position.set(placement.position.x, placement.position.y, placement.position.z);
+      mp.mesh.rotation.y = placement.rotationY;
+      mp.mesh.visible = true;
+    } else {
+      mp.mesh.visible = false;
     }
   });
-} 
\ No newline at end of file
+  
+  if (allocation.overflow.length || allocation.standing.length) {
+    console.log(`Seating: ${allocation.overflow.length} MPs overflowed to the other side, ` +
+      `${allocation.standing.length} standing at the Bar`);
+  }
+  
+  return allocation;
+}
@@ -0,0 +1,171 @@
+import { isKnownParty } from './party-registry.js';
+
+/**
+ * Schema for MP records, checked at load time so that one bad record is
+ * reported and skipped instead of emptying the whole chamber.
+ */
+
+// Bench sides a seat hint may ask for
+export const SEAT_SIDES = ['government', 'opposition'];
+
+// Number of tiers built by createTieredSide
+const TIER_COUNT = 8;
+
+/**
+ * Field rules for an MP record. Each rule may declare:
+ * - required: the field must be present
+ * - type: typeof the value (or a list of accepted types)
+ * - nonEmpty: strings must not be blank
+ * - oneOf: list of accepted values
+ * - pattern: regular expression strings must match
+ * - check: function returning a list of problems with the value
+ */
+export const MP_SCHEMA = {
+  id: { required: true, type: ['number', 'string'], nonEmpty: true },
+  name: { required: true, type: 'string', nonEmpty: true },
+  party: { required: true, type: 'string', check: checkParty },
+  constituency: { required: true, type: 'string', nonEmpty: true },
+  position: { type: 'string' },
+  bio: { type: 'string' },
+  portrait_URL: { type: 'string', pattern: /^https?:\/\// },
+  person_id: { type: 'string', pattern: /^uk\.org\.publicwhip\/person\/\d+$/ },
+  seat: { type: 'object', check: checkSeatHint }
+};
+
+/**
+ * Validates a list of MP records against MP_SCHEMA, also checking that ids
+ * are unique
+ * @param {Array} records - MP records
+ * @returns {Object} Report with the valid records and a list of invalid ones,
+ *   each as { index, label, record, problems }
+ */
+export function validateMPRecords(records) {
+  if (!Array.isArray(records)) {
+    throw new Error('MP data must be an array of records');
+  }
+
+  const valid = [];
+  const invalid = [];
+  const seenIds = new Map();
+
+  records.forEach((record, index) => {
+    const problems = validateMPRecord(record);
+
+    if (problems.length === 0) {
+      if (seenIds.has(record.id)) {
+        problems.push(`duplicate id ${record.id} (also used by record ${seenIds.get(record.id) + 1})`);
+      } else {
+        seenIds.set(record.id, index);
+      }
+    }
+
+    if (problems.length > 0) {
+      invalid.push({ index, label: describeRecord(record, index), record, problems });
+    } else {
+      valid.push(record);
+    }
+  });
+
+  return { total: records.length, valid, invalid };
+}
+
+/**
+ * Validates a single MP record against MP_SCHEMA
+ * @param {Object} record - MP record
+ * @returns {Array<string>} Problems found, empty if the record is valid
+ */
+export function validateMPRecord(record) {
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+    return ['record is not an object'];
+  }
+
+  const problems = [];
+
+  Object.entries(MP_SCHEMA).forEach(([field, rule]) => {
+    const value = record[field];
+
+    if (value === undefined || value === null) {
+      if (rule.required) problems.push(`missing required field "${field}"`);
+      return;
+    }
+
+    const types = [].concat(rule.type);
+    if (!types.includes(typeof value) || (typeof value === 'object' && Array.isArray(value))) {
+      problems.push(`"${field}" should be a ${types.join(' or ')}`);
+      return;
+    }
+
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      problems.push(`"${field}" is not a finite number`);
+    }
+
+    if (rule.nonEmpty && typeof value === 'string' && value.trim() === '') {
+      problems.push(`"${field}" is empty`);
+    }
+
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+      problems.push(`unknown ${field} "${value}"`);
+    }
+
+    if (rule.pattern && !rule.pattern.test(value)) {
+      problems.push(`"${field}" has an invalid format: "${value}"`);
+    }
+
+    if (rule.check) {
+      problems.push(...rule.check(value));
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Checks that a party name or alias is in the party registry
+ * @param {string} party - Party name
+ * @returns {Array<string>} Problems found
+ */
+function checkParty(party) {
+  return isKnownParty(party) ? [] : [`unknown party "${party}"`];
+}
+
+/**
+ * Checks a seat hint: { side, tier, row, seat }, all optional
+ * @param {Object} hint - Seat hint
+ * @returns {Array<string>} Problems found
+ */
+function checkSeatHint(hint) {
+  const problems = [];
+
+  if (hint.side !== undefined && !SEAT_SIDES.includes(hint.side)) {
+    problems.push(`seat side should be one of ${SEAT_SIDES.join(', ')}`);
+  }
+
+  if (hint.tier !== undefined && !(Number.isInteger(hint.tier) && hint.tier >= 0 && hint.tier < TIER_COUNT)) {
+    problems.push(`seat tier should be an integer from 0 to ${TIER_COUNT - 1}`);
+  }
+
+  ['row', 'seat'].forEach(key => {
+    if (hint[key] !== undefined && !(Number.isInteger(hint[key]) && hint[key] >= 0)) {
+      problems.push(`seat ${key} should be a non-negative integer`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Describes a record for error reports, using whatever identifies it best
+ * @param {*} record - MP record
+ * @param {number} index - Position of the record in its source
+ * @returns {string} Description
+ */
+function describeRecord(record, index) {
+  const parts = [`Record ${index + 1}`];
+
+  if (record && typeof record === 'object') {
+    if (typeof record.name === 'string' && record.name.trim()) parts.push(record.name);
+    if (record.id !== undefined) parts.push(`id ${record.id}`);
+  }
+
+  return parts.join(' - ');
+}
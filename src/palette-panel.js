@@ -0,0 +1,170 @@
+import {
+  PARTY_PALETTES,
+  getPartyPalette,
+  setPartyPalette,
+  arePartySymbolsShown,
+  setPartySymbolsShown
+} from './party-registry.js';
+
+/**
+ * Colours panel: picks the palette party colours are drawn in (see
+ * party-registry.js) and whether party symbols are shown beside them.
+ * Choosing a palette other than the parties' own switches symbols on, as
+ * parties share colours there; they can be switched off again. The choice is
+ * kept in the browser's localStorage.
+ */
+
+const STORAGE_KEY = 'inside-parliament.party-palette';
+
+// The parties' own colours, the only palette in which no two parties match
+const DEFAULT_PALETTE = PARTY_PALETTES[0].id;
+
+/**
+ * Creates the colours panel, restoring the saved choice
+ * @param {Object} options - Panel options
+ * @param {Function} options.onChange - Called when the palette or symbols
+ *   change, to redraw everything in party colours; also called on creation
+ *   if a saved choice is restored
+ * @returns {Object} Panel with open(), close() and isOpen()
+ */
+export function createPalettePanel(options) {
+  let open = false;
+
+  const element = document.createElement('div');
+  element.id = 'palette-panel';
+  Object.assign(element.style, {
+    position: 'fixed',
+    bottom: '160px',
+    right: '20px',
+    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+    color: 'white',
+    padding: '10px',
+    borderRadius: '5px',
+    width: '260px',
+    fontSize: '13px',
+    zIndex: '1000',
+    display: 'none'
+  });
+
+  const fieldset = document.createElement('fieldset');
+  Object.assign(fieldset.style, { margin: '0', padding: '0', border: 'none' });
+  const legend = document.createElement('legend');
+  legend.style.fontWeight = 'bold';
+  legend.style.padding = '0';
+  legend.textContent = 'Party colours';
+  fieldset.appendChild(legend);
+
+  const radios = PARTY_PALETTES.map(palette => {
+    const label = document.createElement('label');
+    Object.assign(label.style, { display: 'block', margin: '4px 0', cursor: 'pointer' });
+
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'party-palette';
+    radio.value = palette.id;
+    radio.style.marginRight = '6px';
+    radio.addEventListener('change', () => {
+      // Parties share colours in the other palettes, so symbols come on with them
+      if (radio.checked) apply(palette.id, palette.id !== DEFAULT_PALETTE || arePartySymbolsShown());
+    });
+
+    label.appendChild(radio);
+    label.appendChild(document.createTextNode(palette.label));
+    fieldset.appendChild(label);
+    return radio;
+  });
+  element.appendChild(fieldset);
+
+  const symbolsLabel = document.createElement('label');
+  Object.assign(symbolsLabel.style, { display: 'block', margin: '8px 0 4px', cursor: 'pointer' });
+  const symbolsBox = document.createElement('input');
+  symbolsBox.type = 'checkbox';
+  symbolsBox.style.marginRight = '6px';
+  symbolsBox.addEventListener('change', () => apply(getPartyPalette(), symbolsBox.checked));
+  symbolsLabel.appendChild(symbolsBox);
+  symbolsLabel.appendChild(document.createTextNode('Show party symbols on the minimap and labels'));
+  element.appendChild(symbolsLabel);
+
+  const closeButton = document.createElement('button');
+  closeButton.textContent = 'Close';
+  Object.assign(closeButton.style, {
+    margin: '3px 0 0',
+    padding: '5px 8px',
+    backgroundColor: '#333',
+    color: 'white',
+    border: 'none',
+    borderRadius: '3px',
+    cursor: 'pointer'
+  });
+  closeButton.addEventListener('click', () => panel.close());
+  element.appendChild(closeButton);
+
+  document.body.appendChild(element);
+
+  /**
+   * Switches the palette and symbols, saves the choice and has it redrawn
+   * @param {string} paletteId - One of the PARTY_PALETTES ids
+   * @param {boolean} symbols - Whether to show party symbols
+   */
+  function apply(paletteId, symbols) {
+    setPartyPalette(paletteId);
+    setPartySymbolsShown(symbols);
+    updateInputs();
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ palette: paletteId, symbols }));
+    } catch (error) {
+      console.warn('Could not save the party colours:', error.message);
+    }
+
+    options.onChange();
+  }
+
+  /**
+   * Shows the current choice on the radio buttons and checkbox
+   */
+  function updateInputs() {
+    radios.forEach(radio => {
+      radio.checked = radio.value === getPartyPalette();
+    });
+    symbolsBox.checked = arePartySymbolsShown();
+  }
+
+  /**
+   * Restores the saved choice, ignoring one that is missing or no longer valid
+   */
+  function restore() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+      console.warn('Ignoring the saved party colours:', error.message);
+    }
+    if (!saved || !PARTY_PALETTES.some(palette => palette.id === saved.palette)) return;
+
+    if (saved.palette !== getPartyPalette() || Boolean(saved.symbols) !== arePartySymbolsShown()) {
+      apply(saved.palette, Boolean(saved.symbols));
+    }
+  }
+
+  const panel = {
+    open() {
+      open = true;
+      updateInputs();
+      element.style.display = 'block';
+    },
+
+    close() {
+      open = false;
+      element.style.display = 'none';
+    },
+
+    isOpen() {
+      return open;
+    }
+  };
+
+  updateInputs();
+  restore();
+  return panel;
+}
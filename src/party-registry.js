@@ -0,0 +1,200 @@
+import partyConfig from './data/parties.json';
+
+/**
+ * Party registry: the single source of party names, aliases, colours and
+ * bench placement, loaded from src/data/parties.json.
+ *
+ * Each party has:
+ * - id, name, shortName, aliases
+ * - color: the party colour as a number (e.g. 0xE4003B) and css: as a CSS string
+ * - colors: the colour in each of the other palettes (see PARTY_PALETTES)
+ * - symbol: the shape drawn for the party where colour alone is not enough
+ * - bench: where its MPs sit ('government', 'opposition', 'chair' or 'none')
+ * - status: 'government', 'official-opposition', 'opposition' or 'neutral'
+ * - abstentionist: true for parties whose MPs do not take their seats
+ *
+ * Colours are read through getPartyColor and getPartyCss, which follow the
+ * palette chosen with setPartyPalette: the parties' own colours, colours
+ * told apart with red-green colour blindness, or high contrast. Palettes
+ * have fewer colours than there are parties, so smaller parties share them
+ * and are told apart by their symbols, which the colours panel switches on
+ * with those palettes.
+ */
+
+// Palettes, in the order they are offered; the first is the parties' own colours
+export const PARTY_PALETTES = Object.freeze(partyConfig.palettes.map(palette => Object.freeze({ ...palette })));
+
+// Glyphs of the party symbols, for text
+export const PARTY_SYMBOLS = Object.freeze({
+  'circle': '●',
+  'square': '■',
+  'triangle': '▲',
+  'triangle-down': '▼',
+  'diamond': '◆',
+  'star': '★',
+  'hexagon': '⬢',
+  'cross': '✚'
+});
+
+let paletteId = PARTY_PALETTES[0].id;
+let symbolsShown = false;
+
+const parties = partyConfig.parties.map(createParty);
+const fallbackParty = createParty(partyConfig.fallback);
+
+// Lookup of every normalized name and alias to its party
+const partiesByName = new Map();
+parties.forEach(party => {
+  [party.name, party.shortName, party.id, ...party.aliases].forEach(name => {
+    partiesByName.set(normalizePartyName(name), party);
+  });
+});
+
+/**
+ * Builds a registry entry from its configuration
+ * @param {Object} config - Party configuration
+ * @returns {Object} Party
+ */
+function createParty(config) {
+  // Each palette's colour, falling back to the party's own
+  const palettes = {};
+  PARTY_PALETTES.forEach(({ id }) => {
+    const css = (config.colors && config.colors[id]) || config.color;
+    palettes[id] = Object.freeze({ color: parseInt(css.replace('#', ''), 16), css });
+  });
+
+  return Object.freeze({
+    ...config,
+    aliases: Object.freeze([...(config.aliases || [])]),
+    color: parseInt(config.color.replace('#', ''), 16),
+    css: config.color,
+    palettes: Object.freeze(palettes),
+    symbol: PARTY_SYMBOLS[config.symbol] ? config.symbol : 'circle'
+  });
+}
+
+/**
+ * Normalizes a party name for lookup: case, accents and spacing are ignored,
+ * so "Sinn Fein" and "sinn  féin" both find Sinn Féin
+ * @param {string} name - Party name
+ * @returns {string} Lookup key
+ */
+function normalizePartyName(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Finds a party by name or alias
+ * @param {string} name - Party name as it appears in MP data
+ * @returns {Object} The party, or the fallback party if the name is unknown
+ */
+export function getParty(name) {
+  if (typeof name !== 'string') return fallbackParty;
+  return partiesByName.get(normalizePartyName(name)) || fallbackParty;
+}
+
+/**
+ * Checks whether a name or alias belongs to a registered party
+ * @param {string} name - Party name
+ * @returns {boolean} True if the party is registered
+ */
+export function isKnownParty(name) {
+  return typeof name === 'string' && partiesByName.has(normalizePartyName(name));
+}
+
+/**
+ * Returns the colour of a party in the current palette
+ * @param {string} name - Party name
+ * @returns {number} The colour as a hex value
+ */
+export function getPartyColor(name) {
+  return getParty(name).palettes[paletteId].color;
+}
+
+/**
+ * Returns the colour of a party in the current palette as a CSS colour
+ * @param {string} name - Party name
+ * @param {number} [alpha] - Optional opacity from 0 to 1
+ * @returns {string} CSS colour
+ */
+export function getPartyCss(name, alpha) {
+  const { color, css } = getParty(name).palettes[paletteId];
+  if (alpha === undefined) return css;
+
+  return `rgba(${(color >> 16) & 255}, ${(color >> 8) & 255}, ${color & 255}, ${alpha})`;
+}
+
+/**
+ * Returns the symbol of a party
+ * @param {string} name - Party name
+ * @returns {Object} Symbol ({ shape, glyph }), shape being one of the
+ *   PARTY_SYMBOLS names
+ */
+export function getPartySymbol(name) {
+  const { symbol } = getParty(name);
+  return { shape: symbol, glyph: PARTY_SYMBOLS[symbol] };
+}
+
+/**
+ * Returns the palette party colours are read from
+ * @returns {string} Palette id
+ */
+export function getPartyPalette() {
+  return paletteId;
+}
+
+/**
+ * Switches the palette party colours are read from. Anything already drawn
+ * in party colours has to be redrawn.
+ * @param {string} id - One of the PARTY_PALETTES ids
+ */
+export function setPartyPalette(id) {
+  if (!PARTY_PALETTES.some(palette => palette.id === id)) {
+    throw new Error(`Unknown party palette: ${id}`);
+  }
+  paletteId = id;
+}
+
+/**
+ * @returns {boolean} Whether party symbols are shown beside party colours
+ */
+export function arePartySymbolsShown() {
+  return symbolsShown;
+}
+
+/**
+ * Shows or hides party symbols on the minimap and the MPs' labels
+ * @param {boolean} shown - Whether to show them
+ */
+export function setPartySymbolsShown(shown) {
+  symbolsShown = Boolean(shown);
+}
+
+/**
+ * Returns all registered parties, in configuration order
+ * @returns {Array<Object>} Parties
+ */
+export function getParties() {
+  return parties;
+}
+
+/**
+ * Returns the party of government
+ * @returns {Object} The first party with status 'government'
+ */
+export function getGovernmentParty() {
+  return parties.find(party => party.status === 'government') || fallbackParty;
+}
+
+/**
+ * Returns the official opposition
+ * @returns {Object} The party with status 'official-opposition'
+ */
+export function getOfficialOpposition() {
+  return parties.find(party => party.status === 'official-opposition') || fallbackParty;
+}
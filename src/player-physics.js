@@ -0,0 +1,256 @@
+import { createCapsule, createCollisionResult } from './collision.js';
+
+/**
+ * First-person player physics: walking, jumping, gravity, collisions and
+ * footing on steps, advanced in fixed time steps. step() is a pure function
+ * of the player's state, their input and the time step (plus the collision
+ * world, if any), so it runs the same in the browser and headless in Node.
+ * createPlayerSimulation() feeds it variable frame times through an
+ * accumulator and interpolates between the last two states for rendering.
+ *
+ * State: { position: { x, y, z } (eye position), velocity: { x, y, z }
+ * (world space), onGround }
+ * Input: { forward, backward, left, right, jump (booleans), moveX, moveY
+ * (optional analog movement, -1 to 1: right and forward, as from a joystick),
+ * yaw (radians, the way the player faces; 0 looks along -z) }
+ */
+
+// Eye height above the feet, and radius, of the player
+export const PLAYER_HEIGHT = 1.6;
+export const PLAYER_RADIUS = 0.3;
+
+// Length of a physics step, in seconds
+export const FIXED_STEP = 1 / 120;
+
+// Most time simulated in one frame; longer frames (a hidden tab) are cut short
+const MAX_FRAME_TIME = 0.25;
+
+// Walking: acceleration while a key is held, and damping of the speed
+const WALK_ACCELERATION = 20;
+const WALK_DAMPING = 10;
+
+const GRAVITY = 30;
+const JUMP_HEIGHT = 2;
+
+// The player steps up and down rises up to STEP_HEIGHT (the tiers, the
+// Speaker's steps), so their capsule runs from there to the top of their
+// head, STANDING_HEIGHT above their feet. Anything else that moves the player
+// (the teleporter, VR) reads these, so it agrees with walking on where they can go.
+export const STEP_HEIGHT = 0.35;
+const HEAD_CLEARANCE = 0.15;
+export const STANDING_HEIGHT = PLAYER_HEIGHT + HEAD_CLEARANCE;
+
+// How quickly the view follows a step up or down (per second)
+const STEP_SMOOTHING = 12;
+
+// The player stands on a surface if it reaches this close to their centre
+export const FOOTING_RADIUS = PLAYER_RADIUS * 0.5;
+
+// Lowest surface looked for underfoot
+const GROUND_BOTTOM = -1;
+
+// Scratch for collisions
+const capsule = createCapsule(PLAYER_RADIUS);
+const collision = createCollisionResult();
+
+/**
+ * Creates a player state, standing still
+ * @param {Object} position - Eye position ({ x, y, z })
+ * @returns {Object} State
+ */
+export function createPlayerState(position) {
+  return {
+    position: { x: position.x, y: position.y, z: position.z },
+    velocity: { x: 0, y: 0, z: 0 },
+    onGround: true
+  };
+}
+
+/**
+ * Advances the player by one time step
+ * @param {Object} state - Player state; left unchanged
+ * @param {Object} input - Player input
+ * @param {number} dt - Time step, in seconds
+ * @param {Object} [world] - Collision world (see collision.js); without one
+ *   the floor is flat at y = 0 and nothing is in the way
+ * @returns {Object} The next state
+ */
+export function step(state, input, dt, world = null) {
+  const position = { x: state.position.x, y: state.position.y, z: state.position.z };
+  const velocity = { x: state.velocity.x, y: state.velocity.y, z: state.velocity.z };
+  let onGround = state.onGround;
+
+  // Walk relative to the way the player faces
+  velocity.x -= velocity.x * WALK_DAMPING * dt;
+  velocity.z -= velocity.z * WALK_DAMPING * dt;
+
+  // Keys walk at full speed; an analog stick part way walks slower
+  const across = (input.right ? 1 : 0) - (input.left ? 1 : 0) + (input.moveX || 0);
+  const along = (input.forward ? 1 : 0) - (input.backward ? 1 : 0) + (input.moveY || 0);
+  const length = Math.hypot(across, along);
+  if (length > 0) {
+    const sin = Math.sin(input.yaw);
+    const cos = Math.cos(input.yaw);
+    const acceleration = WALK_ACCELERATION * dt / Math.max(length, 1);
+    velocity.x += (across * cos - along * sin) * acceleration;
+    velocity.z += (-across * sin - along * cos) * acceleration;
+  }
+
+  // Jump from the ground; fall under gravity
+  if (input.jump && onGround) {
+    velocity.y = Math.sqrt(2 * GRAVITY * JUMP_HEIGHT);
+    onGround = false;
+  }
+  if (!onGround) {
+    position.y += velocity.y * dt;
+    velocity.y -= GRAVITY * dt;
+  }
+
+  position.x += velocity.x * dt;
+  position.z += velocity.z * dt;
+
+  // Slide along anything walked into, removing the velocity into it
+  if (world) {
+    checkStandingRoom(world, position.x, position.y - PLAYER_HEIGHT, position.z, collision);
+
+    if (collision.hit) {
+      position.x += collision.offset.x;
+      position.z += collision.offset.z;
+
+      const into = velocity.x * collision.normal.x + velocity.z * collision.normal.z;
+      if (into < 0) {
+        velocity.x -= collision.normal.x * into;
+        velocity.z -= collision.normal.z * into;
+      }
+    }
+  }
+
+  // Stand on what is underfoot
+  const feetY = position.y - PLAYER_HEIGHT;
+  const groundY = findGround(world, position.x, position.z, feetY + STEP_HEIGHT);
+
+  if (!onGround) {
+    // Land from a jump or fall
+    if (velocity.y <= 0 && feetY <= groundY) {
+      position.y = groundY + PLAYER_HEIGHT;
+      velocity.y = 0;
+      onGround = true;
+    }
+  } else if (feetY - groundY > STEP_HEIGHT) {
+    // Walked off an edge higher than a step
+    velocity.y = 0;
+    onGround = false;
+  } else {
+    // Ease onto the surface, so steps up and down are smooth
+    position.y += (groundY - feetY) * Math.min(1, dt * STEP_SMOOTHING);
+  }
+
+  return { position, velocity, onGround };
+}
+
+/**
+ * Pushes the player's capsule, standing with their feet at a height, clear of
+ * walls and benches (not of what is underfoot)
+ * @param {Object} world - Collision world
+ * @param {number} x - World x
+ * @param {number} feetY - Height of the player's feet
+ * @param {number} z - World z
+ * @param {Object} result - Receives the outcome (see createCollisionResult):
+ *   hit if anything is in the way, and the push that clears it
+ * @returns {Object} result
+ */
+export function checkStandingRoom(world, x, feetY, z, result) {
+  capsule.start.set(x, feetY + STEP_HEIGHT + PLAYER_RADIUS, z);
+  capsule.end.set(x, feetY + STANDING_HEIGHT - PLAYER_RADIUS, z);
+  return world.resolveCapsule(capsule, result, { horizontal: true });
+}
+
+/**
+ * Finds the height of the walkable surface the player would stand on at a
+ * point, no higher than given
+ * @param {Object|null} world - Collision world
+ * @param {number} x - World x
+ * @param {number} z - World z
+ * @param {number} top - Highest surface to consider
+ * @returns {number} Height of the surface; the floor (0) if there is none
+ */
+export function findGround(world, x, z, top) {
+  if (!world) return 0;
+  const ground = world.findGround(x, z, FOOTING_RADIUS, top, GROUND_BOTTOM);
+  return ground === null ? 0 : ground;
+}
+
+/**
+ * Creates the simulation that runs step() at a fixed rate however long the
+ * frames are, and places the camera between the last two steps
+ * @param {Object} [options] - Simulation options
+ * @param {Object} [options.world] - Collision world
+ * @returns {Object} Simulation with update(delta, input, target), reset(position),
+ *   setWorld(world) and getState()
+ */
+export function createPlayerSimulation(options = {}) {
+  let world = options.world || null;
+  let previous = null;
+  let current = null;
+  let accumulator = 0;
+
+  // Where the simulation last put the target, to notice when something else moves it
+  const placed = { x: NaN, y: NaN, z: NaN };
+
+  const simulation = {
+    /**
+     * Restarts the simulation from a position, standing still
+     * @param {Object} position - Eye position ({ x, y, z })
+     */
+    reset(position) {
+      current = createPlayerState(position);
+      previous = current;
+      accumulator = 0;
+    },
+
+    setWorld(newWorld) {
+      world = newWorld;
+    },
+
+    /**
+     * @returns {Object|null} The latest state
+     */
+    getState() {
+      return current;
+    },
+
+    /**
+     * Runs the steps due for a frame and places the target between the last two
+     * @param {number} delta - Seconds since the last frame
+     * @param {Object} input - Player input; jump is cleared once a step has used it
+     * @param {THREE.Vector3} target - Receives the interpolated eye position,
+     *   e.g. the camera's position. If anything else has moved it since the
+     *   last frame (a glide, a viewpoint), the simulation restarts from there.
+     */
+    update(delta, input, target) {
+      if (!current || target.x !== placed.x || target.y !== placed.y || target.z !== placed.z) {
+        simulation.reset(target);
+      }
+
+      accumulator += Math.min(delta, MAX_FRAME_TIME);
+      while (accumulator >= FIXED_STEP) {
+        previous = current;
+        current = step(current, input, FIXED_STEP, world);
+        input.jump = false;
+        accumulator -= FIXED_STEP;
+      }
+
+      const alpha = accumulator / FIXED_STEP;
+      target.set(
+        previous.position.x + (current.position.x - previous.position.x) * alpha,
+        previous.position.y + (current.position.y - previous.position.y) * alpha,
+        previous.position.z + (current.position.z - previous.position.z) * alpha
+      );
+      placed.x = target.x;
+      placed.y = target.y;
+      placed.z = target.z;
+    }
+  };
+
+  return simulation;
+}
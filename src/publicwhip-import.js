@@ -0,0 +1,266 @@
+/**
+ * Importer for Public Whip style division exports. Votes are keyed by
+ * Public Whip person id (uk.org.publicwhip/person/NNN), the same id the
+ * roster carries, and mapped onto the loaded MPs.
+ *
+ * Accepted formats:
+ * - CSV with a header row naming a person_id (or person) column and a vote
+ *   column, and optionally name and teller columns:
+ *     person_id,name,vote
+ *     uk.org.publicwhip/person/10001,Diane Abbott,aye
+ *     uk.org.publicwhip/person/10002,Keir Starmer,tellaye
+ * - XML as in the parlparse debate files, with one mpname element per vote:
+ *     <division divdate="2025-01-15" divnumber="45">
+ *       <mplist vote="aye">
+ *         <mpname person_id="uk.org.publicwhip/person/10001" vote="aye">Diane Abbott</mpname>
+ *         <mpname person_id="uk.org.publicwhip/person/10002" vote="aye" teller="yes">Keir Starmer</mpname>
+ *       </mplist>
+ *     </division>
+ *   A <motion> element, if present, gives the question.
+ *
+ * Vote values follow Public Whip: aye, no, tellaye, tellno, both (a
+ * deliberate abstention, voting in both lobbies) and absent.
+ */
+
+const PERSON_ID_PREFIX = 'uk.org.publicwhip/person/';
+
+const VOTE_VALUES = {
+  aye: { vote: 'aye', teller: false },
+  no: { vote: 'no', teller: false },
+  tellaye: { vote: 'aye', teller: true },
+  tellno: { vote: 'no', teller: true },
+  both: { vote: 'abstain', teller: false },
+  absent: { vote: 'absent', teller: false }
+};
+
+/**
+ * Parses a Public Whip division export
+ * @param {string} text - File contents
+ * @param {string} [fileName] - File name, used to tell CSV from XML and as a fallback title
+ * @returns {Object} Parsed division ({ question, date, votes: [{ personId, name, vote, teller }] })
+ * @throws {Error} If the file cannot be read as a division
+ */
+export function parsePublicWhipDivision(text, fileName = '') {
+  const isXml = /\.xml$/i.test(fileName) || text.trimStart().startsWith('<');
+  const parsed = isXml ? parseXmlDivision(text) : parseCsvDivision(text);
+
+  if (parsed.votes.length === 0) {
+    throw new Error('Division file contains no votes');
+  }
+
+  if (!parsed.question) {
+    parsed.question = fileName ? `Division from ${fileName}` : 'Imported division';
+  }
+
+  return parsed;
+}
+
+/**
+ * Imports a Public Whip division export and maps its votes onto MPs
+ * @param {string} text - File contents
+ * @param {Array} mps - Array of MP objects
+ * @param {string} [fileName] - File name
+ * @returns {Object} Import with a division record (as read by parseDivision),
+ *   votes (a Map of MP id to { vote, teller }) and the unmatched votes
+ */
+export function importPublicWhipDivision(text, mps, fileName = '') {
+  const parsed = parsePublicWhipDivision(text, fileName);
+
+  const mpsByPersonId = new Map();
+  mps.forEach(mp => {
+    const personId = normalizePersonId(mp.data.person_id);
+    if (personId) mpsByPersonId.set(personId, mp);
+  });
+
+  const division = {
+    question: parsed.question,
+    date: parsed.date,
+    aye: [],
+    no: [],
+    notVoting: [],
+    tellers: { aye: [], no: [] }
+  };
+  const votes = new Map();
+  const unmatched = [];
+
+  parsed.votes.forEach(entry => {
+    const mp = mpsByPersonId.get(entry.personId);
+    if (!mp) {
+      unmatched.push(entry);
+      return;
+    }
+
+    const id = mp.data.id;
+    votes.set(id, { vote: entry.vote, teller: entry.teller });
+
+    if (entry.vote === 'aye' || entry.vote === 'no') {
+      (entry.teller ? division.tellers[entry.vote] : division[entry.vote]).push(id);
+    } else {
+      division.notVoting.push(id);
+    }
+  });
+
+  return { division, votes, unmatched };
+}
+
+/**
+ * Normalizes a Public Whip person id to its full form
+ * @param {*} value - Person id, full (uk.org.publicwhip/person/NNN) or bare (NNN)
+ * @returns {string|null} Full person id, or null if the value is not one
+ */
+export function normalizePersonId(value) {
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return PERSON_ID_PREFIX + value;
+  }
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(?:uk\.org\.publicwhip\/person\/)?(\d+)$/);
+  return match ? PERSON_ID_PREFIX + match[1] : null;
+}
+
+/**
+ * Reads a vote value
+ * @param {string} value - Public Whip vote value
+ * @param {boolean} teller - Whether the file marks the MP as a teller separately
+ * @returns {Object|null} { vote, teller }, or null for an unknown value
+ */
+function readVote(value, teller) {
+  const known = VOTE_VALUES[String(value || '').trim().toLowerCase()];
+  return known ? { vote: known.vote, teller: known.teller || teller } : null;
+}
+
+/**
+ * Reads a yes/no flag as written in the exports
+ * @param {string} value - Flag value
+ * @returns {boolean} True for yes, true or 1
+ */
+function readFlag(value) {
+  return /^(yes|true|1)$/i.test(String(value || '').trim());
+}
+
+/**
+ * Parses a CSV division export
+ * @param {string} text - CSV text
+ * @returns {Object} Parsed division
+ */
+function parseCsvDivision(text) {
+  const rows = parseCsv(text).filter(row => row.some(cell => cell.trim() !== ''));
+  if (rows.length === 0) {
+    throw new Error('Division file is empty');
+  }
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const column = names => header.findIndex(cell => names.includes(cell));
+  const personColumn = column(['person_id', 'person', 'personid']);
+  const voteColumn = column(['vote']);
+  const nameColumn = column(['name', 'mp']);
+  const tellerColumn = column(['teller']);
+
+  if (personColumn === -1 || voteColumn === -1) {
+    throw new Error('Division CSV needs person_id and vote columns');
+  }
+
+  const votes = rows.slice(1).map((row, index) => {
+    const personId = normalizePersonId(row[personColumn]);
+    const vote = readVote(row[voteColumn], tellerColumn !== -1 && readFlag(row[tellerColumn]));
+
+    if (!personId) {
+      throw new Error(`Row ${index + 2} has no valid person_id`);
+    }
+    if (!vote) {
+      throw new Error(`Row ${index + 2} has an unknown vote "${row[voteColumn]}"`);
+    }
+
+    return { personId, name: nameColumn === -1 ? '' : (row[nameColumn] || '').trim(), ...vote };
+  });
+
+  return { question: '', date: '', votes };
+}
+
+/**
+ * Splits CSV text into rows of cells, handling quoted cells
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Parses an XML division export
+ * @param {string} text - XML text
+ * @returns {Object} Parsed division
+ */
+function parseXmlDivision(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Division file is not valid XML');
+  }
+
+  const division = doc.getElementsByTagName('division')[0] || doc.documentElement;
+  const motion = doc.getElementsByTagName('motion')[0];
+  const number = division.getAttribute('divnumber');
+  const date = division.getAttribute('divdate') || '';
+
+  const votes = [...doc.getElementsByTagName('mpname')].map((element, index) => {
+    const idAttribute = element.getAttribute('person_id') || element.getAttribute('id');
+    const personId = normalizePersonId(idAttribute);
+    const listVote = element.parentNode && element.parentNode.getAttribute
+      ? element.parentNode.getAttribute('vote')
+      : null;
+    const vote = readVote(element.getAttribute('vote') || listVote, readFlag(element.getAttribute('teller')));
+
+    if (!personId) {
+      throw new Error(`Vote ${index + 1} has no valid person_id`);
+    }
+    if (!vote) {
+      throw new Error(`Vote ${index + 1} has an unknown vote "${element.getAttribute('vote') || listVote}"`);
+    }
+
+    return { personId, name: element.textContent.trim(), ...vote };
+  });
+
+  const question = motion
+    ? motion.textContent.trim()
+    : (number ? `Division ${number}${date ? ` on ${date}` : ''}` : '');
+
+  return { question, date, votes };
+}
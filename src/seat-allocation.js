@@ -0,0 +1,297 @@
+import { getParty, getParties } from './party-registry.js';
+import { getSeatId } from './seat-registry.js';
+
+/**
+ * Seat allocation engine: assigns every MP to a seat from the seat registry.
+ * The result depends only on the MP records and the registry, so the chamber
+ * looks the same on every load.
+ *
+ * Order of allocation:
+ * 0. If a seating plan is given, its MPs take their planned seats, or stand
+ *    at the Bar if the plan unseats them.
+ * 1. The Speaker takes the chair.
+ * 2. Members of abstentionist parties are left out of the chamber.
+ * 3. Valid, free seat hints ({ side, tier, row, seat } on a record) are honoured.
+ * 4. Frontbenchers (MPs with a position) take the front tier of their side,
+ *    ranked by role, nearest the dispatch box first.
+ * 5. Each side's parties take blocks of benches in party registry order,
+ *    starting from the Speaker's end; within a block, senior MPs sit nearest
+ *    the front.
+ * 6. MPs who do not fit on their side overflow onto the free seats of the
+ *    other side, from the entrance end.
+ * 7. Anyone left stands at the Bar of the House.
+ *
+ * Seniority is approximated by member id: ids are issued in order of first
+ * election, so a lower id means a longer-serving MP.
+ */
+
+// Roles in order of precedence for the seats nearest the dispatch box
+const ROLE_ORDER = [
+  'Prime Minister',
+  'Leader of the Opposition',
+  'Deputy Prime Minister',
+  'Chancellor of the Exchequer',
+  'Shadow Chancellor',
+  'Foreign Secretary',
+  'Shadow Foreign Secretary',
+  'Home Secretary',
+  'Shadow Home Secretary'
+];
+
+const SPEAKER_POSITION = 'Speaker of the House of Commons';
+
+// The dispatch boxes sit either side of the middle of the Table of the House
+const DISPATCH_BOX_Z = -5;
+
+// Standing room at the Bar of the House, in the aisle at the entrance end
+const BAR_COLUMNS = [-1.2, -0.6, 0, 0.6, 1.2];
+const BAR_FRONT_Z = 12;
+const BAR_SPACING = 0.6;
+
+/**
+ * Allocates seats to MPs
+ * @param {Array} mpRecords - MP records
+ * @param {Object} seatRegistry - Seat registry from createHouseOfCommons
+ * @param {Object} [plan] - Seating plan (see seating-plan.js)
+ * @returns {Object} Allocation with placements (a Map of MP id to
+ *   { status, seat, position, rotationY }) and lists of the MPs that
+ *   overflowed, had to stand, were unseated by the plan, were absent, or had
+ *   their seat hint or plan entry ignored
+ */
+export function allocateSeats(mpRecords, seatRegistry, plan = null) {
+  const allocation = {
+    placements: new Map(),
+    overflow: [],
+    standing: [],
+    unseated: [],
+    absent: [],
+    ignoredHints: [],
+    ignoredPlanEntries: []
+  };
+  const taken = new Set();
+
+  const place = (mp, seat, status) => {
+    taken.add(seat.id);
+    allocation.placements.set(mp.id, {
+      status,
+      seat,
+      position: seat.position,
+      rotationY: seat.rotationY
+    });
+  };
+
+  const stand = mp => {
+    allocation.placements.set(mp.id, {
+      status: 'standing',
+      seat: null,
+      position: getBarPosition(allocation.standing.length),
+      rotationY: Math.PI // Facing the Speaker
+    });
+    allocation.standing.push(mp);
+  };
+
+  // Planned seats first; entries for missing or already taken seats are ignored
+  const unplanned = [];
+  mpRecords.forEach(mp => {
+    if (!plan || !plan.assignments.has(mp.id)) {
+      unplanned.push(mp);
+      return;
+    }
+
+    const seatId = plan.assignments.get(mp.id);
+    const seat = seatId === null ? null : seatRegistry.get(seatId);
+
+    if (seatId === null) {
+      allocation.unseated.push(mp);
+      stand(mp);
+    } else if (seat && !taken.has(seat.id)) {
+      place(mp, seat, 'seated');
+    } else {
+      allocation.ignoredPlanEntries.push(mp);
+      unplanned.push(mp);
+    }
+  });
+
+  const remaining = [];
+
+  // The Speaker and abstentionists next
+  const chair = seatRegistry.get('speaker-chair');
+  unplanned.forEach(mp => {
+    const party = getParty(mp.party);
+
+    if (chair && !taken.has(chair.id) && (mp.position === SPEAKER_POSITION || party.bench === 'chair')) {
+      place(mp, chair, 'seated');
+    } else if (party.abstentionist || party.bench === 'none') {
+      allocation.absent.push(mp);
+      allocation.placements.set(mp.id, { status: 'absent', seat: null, position: null, rotationY: 0 });
+    } else {
+      remaining.push(mp);
+    }
+  });
+
+  // Seat hints
+  const unhinted = remaining.filter(mp => {
+    if (!mp.seat) return true;
+
+    const seat = seatRegistry.get(getSeatId(mp.seat));
+    if (seat && !taken.has(seat.id)) {
+      place(mp, seat, 'seated');
+      return false;
+    }
+
+    allocation.ignoredHints.push(mp);
+    return true;
+  });
+
+  // Frontbenchers, then party blocks, side by side
+  const overflow = [];
+  ['government', 'opposition'].forEach(side => {
+    const members = unhinted.filter(mp => getBenchSide(mp) === side);
+    const freeSeats = () => seatRegistry.getSide(side).filter(seat => !taken.has(seat.id));
+
+    const frontbenchers = members.filter(mp => mp.position).sort(compareRoles);
+    const frontSeats = freeSeats()
+      .filter(seat => seat.tier === 0)
+      .sort(compareDispatchDistance);
+
+    frontbenchers.forEach((mp, index) => {
+      if (frontSeats[index]) {
+        place(mp, frontSeats[index], 'seated');
+      } else {
+        overflow.push(mp);
+      }
+    });
+
+    const backbenchers = members.filter(mp => !mp.position);
+    const blockSeats = freeSeats().sort(compareColumns);
+
+    groupByParty(backbenchers).forEach(partyMembers => {
+      const block = blockSeats.splice(0, partyMembers.length).sort(compareFrontToBack);
+
+      partyMembers.forEach((mp, index) => {
+        if (block[index]) {
+          place(mp, block[index], 'seated');
+        } else {
+          overflow.push(mp);
+        }
+      });
+    });
+  });
+
+  // Overflow onto the other side, filling from the entrance end
+  overflow.forEach(mp => {
+    const otherSide = getBenchSide(mp) === 'government' ? 'opposition' : 'government';
+    const seat = seatRegistry.getSide(otherSide)
+      .filter(candidate => !taken.has(candidate.id))
+      .sort((a, b) => compareColumns(b, a))[0];
+
+    if (seat) {
+      place(mp, seat, 'overflow');
+      allocation.overflow.push(mp);
+    } else {
+      stand(mp);
+    }
+  });
+
+  return allocation;
+}
+
+/**
+ * Returns where the nth MP without a seat stands at the Bar of the House
+ * @param {number} index - Standing MP index
+ * @returns {Object} Position {x, y, z}
+ */
+function getBarPosition(index) {
+  const column = index % BAR_COLUMNS.length;
+  const row = Math.floor(index / BAR_COLUMNS.length);
+  return { x: BAR_COLUMNS[column], y: 0, z: BAR_FRONT_Z - row * BAR_SPACING };
+}
+
+/**
+ * Returns the side of the House an MP sits on
+ * @param {Object} mp - MP record
+ * @returns {string} 'government' or 'opposition'
+ */
+function getBenchSide(mp) {
+  return getParty(mp.party).bench === 'government' ? 'government' : 'opposition';
+}
+
+/**
+ * Groups MPs by party, in party registry order, each group sorted by seniority
+ * @param {Array} mps - MP records
+ * @returns {Array<Array>} Groups of MP records
+ */
+function groupByParty(mps) {
+  const order = getParties();
+  const groups = new Map();
+
+  mps.forEach(mp => {
+    const party = getParty(mp.party);
+    if (!groups.has(party)) groups.set(party, []);
+    groups.get(party).push(mp);
+  });
+
+  // Unregistered parties (the fallback) go last
+  const rank = party => (order.includes(party) ? order.indexOf(party) : order.length);
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => rank(a) - rank(b))
+    .map(([, members]) => members.sort(compareSeniority));
+}
+
+/**
+ * Orders MPs by seniority, longest-serving first
+ * @param {Object} a - MP record
+ * @param {Object} b - MP record
+ * @returns {number} Sort order
+ */
+function compareSeniority(a, b) {
+  const aId = Number(a.id);
+  const bId = Number(b.id);
+
+  if (Number.isFinite(aId) && Number.isFinite(bId)) return aId - bId;
+  return String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Orders frontbenchers by role precedence, then seniority
+ * @param {Object} a - MP record
+ * @param {Object} b - MP record
+ * @returns {number} Sort order
+ */
+function compareRoles(a, b) {
+  const rank = mp => (ROLE_ORDER.includes(mp.position) ? ROLE_ORDER.indexOf(mp.position) : ROLE_ORDER.length);
+  return rank(a) - rank(b) || compareSeniority(a, b);
+}
+
+/**
+ * Orders seats by distance from the dispatch box
+ * @param {Object} a - Seat
+ * @param {Object} b - Seat
+ * @returns {number} Sort order
+ */
+function compareDispatchDistance(a, b) {
+  return Math.abs(a.position.z - DISPATCH_BOX_Z) - Math.abs(b.position.z - DISPATCH_BOX_Z) ||
+    a.position.z - b.position.z;
+}
+
+/**
+ * Orders seats in columns of benches from the Speaker's end: bench row, then
+ * tier, then seat
+ * @param {Object} a - Seat
+ * @param {Object} b - Seat
+ * @returns {number} Sort order
+ */
+function compareColumns(a, b) {
+  return a.row - b.row || a.tier - b.tier || a.seat - b.seat;
+}
+
+/**
+ * Orders seats from the front tier back, nearest the dispatch box first
+ * @param {Object} a - Seat
+ * @param {Object} b - Seat
+ * @returns {number} Sort order
+ */
+function compareFrontToBack(a, b) {
+  return a.tier - b.tier || compareDispatchDistance(a, b);
+}
@@ -0,0 +1,74 @@
+/**
+ * Registry of the seats built into the chamber. Each seat records where it
+ * is (side, tier, row and seat index, as tagged by createTieredSide), where a
+ * seated MP's figure stands, which way it faces and the collider it came from.
+ */
+
+/**
+ * Builds the id of a seat from its seat info
+ * @param {Object} info - Seat info ({ side, tier, row, seat })
+ * @returns {string} Seat id, e.g. "government-0-3-2"
+ */
+export function getSeatId(info) {
+  return `${info.side}-${info.tier}-${info.row}-${info.seat}`;
+}
+
+/**
+ * Creates an empty seat registry
+ * @returns {Object} Seat registry
+ */
+export function createSeatRegistry() {
+  const seats = [];
+  const seatsById = new Map();
+  const seatsByCollider = new Map();
+
+  return {
+    seats,
+
+    /**
+     * Adds a seat to the registry
+     * @param {Object} seat - Seat with side, tier, row, seat, position and rotationY
+     * @returns {Object} The registered seat, with its id
+     */
+    add(seat) {
+      const entry = { ...seat, id: seat.id || getSeatId(seat) };
+      if (seatsById.has(entry.id)) {
+        throw new Error(`Duplicate seat id: ${entry.id}`);
+      }
+
+      seats.push(entry);
+      seatsById.set(entry.id, entry);
+      if (entry.collider) {
+        seatsByCollider.set(entry.collider, entry);
+      }
+      return entry;
+    },
+
+    /**
+     * Finds a seat by id
+     * @param {string} id - Seat id
+     * @returns {Object|undefined} The seat
+     */
+    get(id) {
+      return seatsById.get(id);
+    },
+
+    /**
+     * Finds the seat a collider belongs to
+     * @param {THREE.Object3D} collider - Seat collider
+     * @returns {Object|undefined} The seat
+     */
+    getByCollider(collider) {
+      return seatsByCollider.get(collider);
+    },
+
+    /**
+     * Returns the seats on one side of the House
+     * @param {string} side - 'government', 'opposition' or 'chair'
+     * @returns {Array<Object>} Seats in registration order
+     */
+    getSide(side) {
+      return seats.filter(seat => seat.side === side);
+    }
+  };
+}
@@ -0,0 +1,333 @@
+import * as THREE from 'three';
+import { getMPFromIntersection, updateMPPositions } from './mp-loader.js';
+import { captureSeatingPlan, serializeSeatingPlan, parseSeatingPlan } from './seating-plan.js';
+
+/**
+ * Creates the seating-plan editor. While it is active (in overview mode),
+ * MPs can be dragged onto seats: dropping on a free seat moves the MP,
+ * dropping on an occupied seat swaps the two MPs, and dropping anywhere else
+ * unseats the MP to the Bar of the House. Plans can be saved and loaded as
+ * seating-plan JSON files.
+ * @param {Object} options - Editor options
+ * @param {THREE.Camera} options.camera - The main camera
+ * @param {HTMLElement} options.domElement - The renderer's canvas
+ * @param {THREE.Scene} options.scene - The Three.js scene
+ * @param {OrbitControls} options.orbitControls - Overview camera controls,
+ *   disabled while an MP is being dragged
+ * @param {Array} options.mps - Array of MP objects
+ * @param {Object} options.figures - Figures from createMPFigures
+ * @param {Object} options.seatRegistry - Seat registry from createHouseOfCommons
+ * @param {Function} [options.onEnable] - Called when editing starts, to switch to overview mode
+ * @returns {Object} Editor with enable(), disable() and isActive()
+ */
+export function createSeatingEditor(options) {
+  const { camera, domElement, scene, orbitControls, mps, figures, seatRegistry } = options;
+
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  const dragPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+  const dragPoint = new THREE.Vector3();
+  const seatColliders = seatRegistry.seats.filter(seat => seat.collider).map(seat => seat.collider);
+
+  let active = false;
+  let dragging = null; // { mp, startPosition }
+  let hoveredSeat = null;
+  let planName = 'Untitled seating plan';
+
+  // Highlight for the seat under the pointer while dragging
+  const highlight = new THREE.Mesh(
+    new THREE.BoxGeometry(1, 1, 1),
+    new THREE.MeshBasicMaterial({ color: 0xFFFF00, transparent: true, opacity: 0.35, depthWrite: false })
+  );
+  highlight.visible = false;
+  scene.add(highlight);
+
+  const panel = createPanel();
+
+  /**
+   * Updates the pointer from a pointer event, in normalized device coordinates
+   * @param {PointerEvent} event - Pointer event
+   */
+  function updatePointer(event) {
+    const rect = domElement.getBoundingClientRect();
+    pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(pointer, camera);
+  }
+
+  /**
+   * Finds the MP under the pointer
+   * @returns {Object|null} The MP object
+   */
+  function pickMP() {
+    const intersects = raycaster.intersectObject(figures.group, true);
+    for (const intersection of intersects) {
+      const mp = getMPFromIntersection(figures, intersection);
+      if (mp) return mp;
+    }
+    return null;
+  }
+
+  /**
+   * Finds the seat under the pointer
+   * @returns {Object|null} The seat
+   */
+  function pickSeat() {
+    const intersects = raycaster.intersectObjects(seatColliders, false);
+    return intersects.length > 0 ? seatRegistry.getByCollider(intersects[0].object) || null : null;
+  }
+
+  function onPointerDown(event) {
+    if (!active || event.button !== 0) return;
+
+    updatePointer(event);
+    const mp = pickMP();
+    if (!mp) return;
+
+    // Stop the orbit controls from starting a rotation (this listener runs first, in capture)
+    orbitControls.enabled = false;
+    dragging = { mp, startPosition: mp.mesh.position.clone() };
+    dragPlane.constant = -mp.mesh.position.y;
+    domElement.setPointerCapture(event.pointerId);
+    setStatus(`Moving ${mp.data.name}`);
+  }
+
+  function onPointerMove(event) {
+    if (!active || !dragging) return;
+
+    updatePointer(event);
+    hoveredSeat = pickSeat();
+
+    if (hoveredSeat) {
+      // Snap to the seat
+      dragging.mp.mesh.position.copy(hoveredSeat.position);
+      highlight.position.copy(hoveredSeat.collider.position);
+      highlight.scale.copy(getColliderSize(hoveredSeat.collider));
+      highlight.visible = true;
+    } else {
+      highlight.visible = false;
+      if (raycaster.ray.intersectPlane(dragPlane, dragPoint)) {
+        dragging.mp.mesh.position.copy(dragPoint);
+      }
+    }
+  }
+
+  function onPointerUp(event) {
+    if (!dragging) return;
+
+    domElement.releasePointerCapture(event.pointerId);
+    const { mp } = dragging;
+    const targetSeat = hoveredSeat;
+    endDrag();
+
+    const plan = captureSeatingPlan(mps, planName);
+    const previousSeatId = mp.seat ? mp.seat.id : null;
+
+    if (targetSeat) {
+      if (targetSeat.id === previousSeatId) {
+        setStatus(`${mp.data.name} stays in place`);
+        updateMPPositions(mps, seatRegistry, plan);
+        return;
+      }
+
+      const occupant = mps.find(other => other !== mp && other.seat && other.seat.id === targetSeat.id);
+      plan.assignments.set(mp.data.id, targetSeat.id);
+
+      if (occupant) {
+        plan.assignments.set(occupant.data.id, previousSeatId);
+        setStatus(`Swapped ${mp.data.name} with ${occupant.data.name}`);
+      } else {
+        setStatus(`Moved ${mp.data.name} to ${targetSeat.id}`);
+      }
+    } else {
+      plan.assignments.set(mp.data.id, null);
+      setStatus(`Unseated ${mp.data.name}`);
+    }
+
+    updateMPPositions(mps, seatRegistry, plan);
+  }
+
+  function onKeyDown(event) {
+    if (dragging && event.code === 'Escape') {
+      dragging.mp.mesh.position.copy(dragging.startPosition);
+      endDrag();
+      setStatus('Move cancelled');
+    }
+  }
+
+  /**
+   * Clears drag state and gives the camera back to the orbit controls
+   */
+  function endDrag() {
+    dragging = null;
+    hoveredSeat = null;
+    highlight.visible = false;
+    orbitControls.enabled = active;
+  }
+
+  /**
+   * Downloads the current seating as a seating-plan file
+   */
+  function savePlan() {
+    const name = window.prompt('Name this seating plan', planName);
+    if (name === null) return;
+    planName = name || planName;
+
+    const json = serializeSeatingPlan(captureSeatingPlan(mps, planName), mps);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${planName.replace(/[^\w-]+/g, '-').toLowerCase()}.seating-plan.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    setStatus(`Saved "${planName}"`);
+  }
+
+  /**
+   * Loads and applies a seating-plan file
+   * @param {File} file - The chosen file
+   */
+  function loadPlan(file) {
+    file.text()
+      .then(text => {
+        const plan = parseSeatingPlan(text);
+        const allocation = updateMPPositions(mps, seatRegistry, plan);
+        planName = plan.name;
+
+        const ignored = allocation.ignoredPlanEntries.length;
+        setStatus(`Loaded "${plan.name}"` + (ignored ? ` (${ignored} entries with unknown or clashing seats ignored)` : ''));
+      })
+      .catch(error => {
+        console.error('Error loading seating plan:', error);
+        setStatus(error.message, true);
+      });
+  }
+
+  /**
+   * Builds the editor's control panel
+   * @returns {Object} Panel element and its status line
+   */
+  function createPanel() {
+    const element = document.createElement('div');
+    element.id = 'seating-editor';
+    Object.assign(element.style, {
+      position: 'fixed',
+      bottom: '160px',
+      right: '20px',
+      backgroundColor: 'rgba(0, 0, 0, 0.8)',
+      color: 'white',
+      padding: '10px',
+      borderRadius: '5px',
+      maxWidth: '260px',
+      fontSize: '13px',
+      zIndex: '1000',
+      display: 'none'
+    });
+    element.innerHTML = `
+      <strong>Seating editor</strong>
+      <p style="margin: 5px 0;">Drag an MP onto a seat to move them, onto another MP's seat to swap,
+      or off the benches to unseat them. Esc cancels a move.</p>
+    `;
+
+    const status = document.createElement('p');
+    status.style.margin = '5px 0';
+    status.style.minHeight = '1em';
+    element.appendChild(status);
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) loadPlan(fileInput.files[0]);
+      fileInput.value = '';
+    });
+    element.appendChild(fileInput);
+
+    const buttons = [
+      { label: 'Save plan', action: savePlan },
+      { label: 'Load plan', action: () => fileInput.click() },
+      {
+        label: 'Reset',
+        action: () => {
+          updateMPPositions(mps, seatRegistry);
+          setStatus('Seating reset to the default allocation');
+        }
+      },
+      { label: 'Done', action: () => editor.disable() }
+    ];
+
+    buttons.forEach(({ label, action }) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      Object.assign(button.style, {
+        margin: '3px',
+        padding: '5px 8px',
+        backgroundColor: '#333',
+        color: 'white',
+        border: 'none',
+        borderRadius: '3px',
+        cursor: 'pointer'
+      });
+      button.addEventListener('click', action);
+      element.appendChild(button);
+    });
+
+    document.body.appendChild(element);
+    return { element, status };
+  }
+
+  /**
+   * Shows a message on the panel's status line
+   * @param {string} message - Message
+   * @param {boolean} [isError] - Whether the message reports an error
+   */
+  function setStatus(message, isError = false) {
+    panel.status.textContent = message;
+    panel.status.style.color = isError ? '#ff8080' : 'white';
+  }
+
+  domElement.addEventListener('pointerdown', onPointerDown, { capture: true });
+  domElement.addEventListener('pointermove', onPointerMove);
+  domElement.addEventListener('pointerup', onPointerUp);
+  document.addEventListener('keydown', onKeyDown);
+
+  const editor = {
+    enable() {
+      if (active) return;
+      active = true;
+      if (options.onEnable) options.onEnable();
+      panel.element.style.display = 'block';
+      setStatus('');
+    },
+
+    disable() {
+      if (!active) return;
+      if (dragging) {
+        dragging.mp.mesh.position.copy(dragging.startPosition);
+      }
+      active = false;
+      endDrag();
+      orbitControls.enabled = true;
+      panel.element.style.display = 'none';
+    },
+
+    isActive() {
+      return active;
+    }
+  };
+
+  return editor;
+}
+
+/**
+ * Returns the size of a seat collider's box
+ * @param {THREE.Mesh} collider - Seat collider
+ * @returns {THREE.Vector3} Size
+ */
+function getColliderSize(collider) {
+  if (!collider.geometry.boundingBox) {
+    collider.geometry.computeBoundingBox();
+  }
+  return collider.geometry.boundingBox.getSize(new THREE.Vector3());
+}
@@ -0,0 +1,106 @@
+/**
+ * Seating plans: a saved arrangement of MPs in seats, as a versioned JSON
+ * file. Applying a plan with updateMPPositions puts each listed MP in their
+ * planned seat (or at the Bar, if unseated); anyone not in the plan is seated
+ * by the allocation engine as usual.
+ *
+ * File format (version 1):
+ * {
+ *   "format": "inside-parliament/seating-plan",
+ *   "version": 1,
+ *   "name": "PMQs 2024-10-30",
+ *   "savedAt": "2024-10-30T12:00:00.000Z",
+ *   "assignments": [
+ *     { "mpId": 4514, "name": "Sir Keir Starmer", "seat": "government-0-2-3" },
+ *     { "mpId": 172, "name": "Ms Diane Abbott", "seat": null }
+ *   ]
+ * }
+ * A null seat means the MP is unseated and stands at the Bar of the House.
+ */
+
+export const SEATING_PLAN_FORMAT = 'inside-parliament/seating-plan';
+export const SEATING_PLAN_VERSION = 1;
+
+/**
+ * Captures where MPs currently sit as a seating plan. MPs who are absent
+ * from the chamber are left out, so the engine keeps them absent.
+ * @param {Array} mps - Array of MP objects
+ * @param {string} [name] - Plan name
+ * @returns {Object} Seating plan ({ name, assignments: Map of MP id to seat id or null })
+ */
+export function captureSeatingPlan(mps, name = 'Untitled seating plan') {
+  const assignments = new Map();
+
+  mps.forEach(mp => {
+    if (!mp.placement || mp.placement.status === 'absent') return;
+    assignments.set(mp.data.id, mp.seat ? mp.seat.id : null);
+  });
+
+  return { name, assignments };
+}
+
+/**
+ * Serializes a seating plan to the JSON file format
+ * @param {Object} plan - Seating plan
+ * @param {Array} mps - Array of MP objects, used to add names for readability
+ * @returns {string} JSON text
+ */
+export function serializeSeatingPlan(plan, mps) {
+  const names = new Map(mps.map(mp => [mp.data.id, mp.data.name]));
+
+  return JSON.stringify({
+    format: SEATING_PLAN_FORMAT,
+    version: SEATING_PLAN_VERSION,
+    name: plan.name,
+    savedAt: new Date().toISOString(),
+    assignments: [...plan.assignments].map(([mpId, seat]) => ({
+      mpId,
+      name: names.get(mpId),
+      seat
+    }))
+  }, null, 2);
+}
+
+/**
+ * Parses a seating plan file
+ * @param {string} text - JSON text
+ * @returns {Object} Seating plan ({ name, assignments })
+ * @throws {Error} If the file is not a seating plan this version can read
+ */
+export function parseSeatingPlan(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Seating plan is not valid JSON: ${error.message}`);
+  }
+
+  if (!data || data.format !== SEATING_PLAN_FORMAT) {
+    throw new Error('File is not a seating plan');
+  }
+
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('Seating plan has no valid version');
+  }
+
+  if (data.version > SEATING_PLAN_VERSION) {
+    throw new Error(`Seating plan version ${data.version} is newer than this app supports (${SEATING_PLAN_VERSION})`);
+  }
+
+  if (!Array.isArray(data.assignments)) {
+    throw new Error('Seating plan has no assignments');
+  }
+
+  const assignments = new Map();
+  data.assignments.forEach((assignment, index) => {
+    if (!assignment || (typeof assignment.mpId !== 'number' && typeof assignment.mpId !== 'string')) {
+      throw new Error(`Seating plan assignment ${index + 1} has no MP id`);
+    }
+    if (assignment.seat !== null && typeof assignment.seat !== 'string') {
+      throw new Error(`Seating plan assignment ${index + 1} has an invalid seat`);
+    }
+    assignments.set(assignment.mpId, assignment.seat);
+  });
+
+  return { name: typeof data.name === 'string' ? data.name : 'Untitled seating plan', assignments };
+}
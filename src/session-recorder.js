@@ -0,0 +1,452 @@
+import * as THREE from 'three';
+
+/**
+ * Session recording: captures a navigation session (the camera pose every
+ * frame, pointer lock and overview mode changes, and the MP info panels
+ * opened and closed) and replays it frame for frame, so walkthroughs can be
+ * reviewed or reused.
+ *
+ * File format (version 1):
+ * {
+ *   "format": "inside-parliament/session",
+ *   "version": 1,
+ *   "recordedAt": "2025-01-15T12:00:00.000Z",
+ *   "duration": 12500,
+ *   "precision": { "position": 100, "rotation": 10000 },
+ *   "frames": {
+ *     "t": [0, 16, 33, ...],
+ *     "position": [0, 160, 1000, ...],
+ *     "rotation": [0, 0, 0, 10000, ...]
+ *   },
+ *   "events": [[0, "mode", 1, 0], [2400, "mp", 4514], [5100, "mp", null]]
+ * }
+ * Times are milliseconds from the start. Positions (x, y, z) and rotation
+ * quaternions (x, y, z, w) are stored as integers, scaled by the precision
+ * factors, and a frame is only stored when the pose changes. Events are
+ * [t, "mode", locked, overview] with 0/1 flags, or [t, "mp", id] for an MP
+ * panel opened (a null id closes it).
+ */
+
+export const SESSION_FORMAT = 'inside-parliament/session';
+export const SESSION_VERSION = 1;
+
+const POSITION_PRECISION = 100;
+const ROTATION_PRECISION = 10000;
+
+/**
+ * Parses a session file
+ * @param {string} text - JSON text
+ * @returns {Object} Session, as in the file format
+ * @throws {Error} If the file is not a session this version can replay
+ */
+export function parseSession(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Session is not valid JSON: ${error.message}`);
+  }
+
+  if (!data || data.format !== SESSION_FORMAT) {
+    throw new Error('File is not a recorded session');
+  }
+
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('Session has no valid version');
+  }
+
+  if (data.version > SESSION_VERSION) {
+    throw new Error(`Session version ${data.version} is newer than this app supports (${SESSION_VERSION})`);
+  }
+
+  const frames = data.frames || {};
+  const count = Array.isArray(frames.t) ? frames.t.length : -1;
+  if (count < 1 ||
+    !Array.isArray(frames.position) || frames.position.length !== count * 3 ||
+    !Array.isArray(frames.rotation) || frames.rotation.length !== count * 4) {
+    throw new Error('Session has no valid frames');
+  }
+
+  if (!Array.isArray(data.events)) {
+    throw new Error('Session has no events');
+  }
+
+  return {
+    ...data,
+    precision: {
+      position: (data.precision && data.precision.position) || POSITION_PRECISION,
+      rotation: (data.precision && data.precision.rotation) || ROTATION_PRECISION
+    }
+  };
+}
+
+/**
+ * Creates the session recorder and player, with its control panel
+ * @param {Object} options - Recorder options
+ * @param {THREE.Camera} options.camera - The main camera
+ * @param {Function} options.getMode - Returns the current { locked, overview } state
+ * @param {Function} [options.onReplayStart] - Called when a replay starts, to take the camera off the user
+ * @param {Function} [options.onReplayMode] - Called with { locked, overview } for each recorded mode change
+ * @param {Function} [options.onReplayMP] - Called with an MP id when a recorded
+ *   panel opens, or null when it closes
+ * @param {Function} [options.onReplayEnd] - Called when a replay finishes or is stopped
+ * @param {Function} [options.onRecordingChange] - Called with true when
+ *   recording starts and false when it stops, e.g. to show that a recording
+ *   is running while the panel is closed
+ * @returns {Object} Recorder with open(), close(), isOpen(), startRecording(),
+ *   stopRecording(), isRecording(), getSession(), recordMPInfo(id),
+ *   replay(session), stopReplay(), isReplaying(), and captureFrame(delta) and
+ *   replayFrame(delta), to be called every frame
+ */
+export function createSessionRecorder(options) {
+  const { camera } = options;
+
+  let open = false;
+  let recording = null; // Session being recorded
+  let lastSession = null;
+  let replaying = null; // { session, time, frame, event }
+  let time = 0;
+  let lastMode = null;
+  let currentMP = null;
+
+  const quaternion = new THREE.Quaternion();
+  const panel = createPanel();
+
+  function startRecording() {
+    stopReplay();
+    time = 0;
+    lastMode = null;
+    recording = {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      recordedAt: new Date().toISOString(),
+      duration: 0,
+      precision: { position: POSITION_PRECISION, rotation: ROTATION_PRECISION },
+      frames: { t: [], position: [], rotation: [] },
+      events: []
+    };
+
+    // Start from whatever panel is showing
+    if (currentMP !== null) {
+      recording.events.push([0, 'mp', currentMP]);
+    }
+    captureFrame(0);
+    updatePanel();
+    if (options.onRecordingChange) options.onRecordingChange(true);
+  }
+
+  function stopRecording() {
+    if (!recording) return;
+    recording.duration = Math.round(time * 1000);
+    lastSession = recording;
+    recording = null;
+    setStatus(`Recorded ${(lastSession.duration / 1000).toFixed(1)} s, ${lastSession.frames.t.length} frames`);
+    updatePanel();
+    if (options.onRecordingChange) options.onRecordingChange(false);
+  }
+
+  /**
+   * Records the camera pose and mode for this frame
+   * @param {number} delta - Seconds since the last frame
+   */
+  function captureFrame(delta) {
+    if (!recording) return;
+
+    time += delta;
+    const t = Math.round(time * 1000);
+
+    const mode = options.getMode();
+    if (!lastMode || mode.locked !== lastMode.locked || mode.overview !== lastMode.overview) {
+      recording.events.push([t, 'mode', mode.locked ? 1 : 0, mode.overview ? 1 : 0]);
+      lastMode = { ...mode };
+    }
+
+    const { frames } = recording;
+    const position = [camera.position.x, camera.position.y, camera.position.z]
+      .map(value => Math.round(value * POSITION_PRECISION));
+    const rotation = [camera.quaternion.x, camera.quaternion.y, camera.quaternion.z, camera.quaternion.w]
+      .map(value => Math.round(value * ROTATION_PRECISION));
+
+    // Only store frames where the pose changed
+    const count = frames.t.length;
+    if (count > 0 &&
+      position.every((value, i) => value === frames.position[(count - 1) * 3 + i]) &&
+      rotation.every((value, i) => value === frames.rotation[(count - 1) * 4 + i])) {
+      return;
+    }
+
+    frames.t.push(t);
+    frames.position.push(...position);
+    frames.rotation.push(...rotation);
+  }
+
+  /**
+   * Notes an MP panel being opened or closed
+   * @param {number|string|null} id - MP id, or null when the panel closes
+   */
+  function recordMPInfo(id) {
+    if (replaying) return;
+    currentMP = id;
+    if (recording) {
+      recording.events.push([Math.round(time * 1000), 'mp', id]);
+    }
+  }
+
+  /**
+   * Replays a session from the start
+   * @param {Object} session - Parsed session
+   */
+  function replay(session) {
+    stopRecording();
+    stopReplay();
+    replaying = { session, time: 0, frame: 0, event: 0 };
+    if (options.onReplayStart) options.onReplayStart();
+    replayFrame(0);
+    updatePanel();
+  }
+
+  function stopReplay() {
+    if (!replaying) return;
+    replaying = null;
+    if (options.onReplayEnd) options.onReplayEnd();
+    updatePanel();
+  }
+
+  /**
+   * Applies the recorded pose and events up to this frame's time
+   * @param {number} delta - Seconds since the last frame
+   */
+  function replayFrame(delta) {
+    if (!replaying) return;
+
+    const { session } = replaying;
+    replaying.time += delta;
+    // Rounded as when recording, so equal frame times replay the same frames
+    const t = Math.round(replaying.time * 1000);
+
+    // Events due by now, in order
+    while (replaying.event < session.events.length && session.events[replaying.event][0] <= t) {
+      const [, type, ...args] = session.events[replaying.event++];
+      if (type === 'mode' && options.onReplayMode) {
+        options.onReplayMode({ locked: Boolean(args[0]), overview: Boolean(args[1]) });
+      } else if (type === 'mp' && options.onReplayMP) {
+        options.onReplayMP(args[0]);
+      }
+    }
+
+    // The last frame recorded by now
+    const { frames, precision } = session;
+    while (replaying.frame < frames.t.length - 1 && frames.t[replaying.frame + 1] <= t) {
+      replaying.frame++;
+    }
+
+    const i = replaying.frame;
+    camera.position.set(
+      frames.position[i * 3] / precision.position,
+      frames.position[i * 3 + 1] / precision.position,
+      frames.position[i * 3 + 2] / precision.position
+    );
+    camera.quaternion.copy(quaternion.set(
+      frames.rotation[i * 4] / precision.rotation,
+      frames.rotation[i * 4 + 1] / precision.rotation,
+      frames.rotation[i * 4 + 2] / precision.rotation,
+      frames.rotation[i * 4 + 3] / precision.rotation
+    ).normalize());
+
+    panel.clock.textContent = `${(Math.min(t, session.duration) / 1000).toFixed(1)} / ${(session.duration / 1000).toFixed(1)} s`;
+
+    if (t >= session.duration) {
+      stopReplay();
+      setStatus('Replay finished');
+    }
+  }
+
+  /**
+   * Downloads the last recording as a session file
+   */
+  function saveSession() {
+    if (!lastSession) return;
+
+    const url = URL.createObjectURL(new Blob([JSON.stringify(lastSession)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `session-${lastSession.recordedAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Loads a session file and replays it
+   * @param {File} file - The chosen file
+   */
+  function loadSession(file) {
+    file.text()
+      .then(text => {
+        lastSession = parseSession(text);
+        setStatus(`Loaded ${file.name}`);
+        replay(lastSession);
+      })
+      .catch(error => {
+        console.error('Error loading session:', error);
+        setStatus(error.message, true);
+      });
+  }
+
+  /**
+   * Builds the recorder's control panel
+   * @returns {Object} Panel elements
+   */
+  function createPanel() {
+    const element = document.createElement('div');
+    element.id = 'session-panel';
+    Object.assign(element.style, {
+      position: 'fixed',
+      bottom: '160px',
+      right: '20px',
+      backgroundColor: 'rgba(0, 0, 0, 0.8)',
+      color: 'white',
+      padding: '10px',
+      borderRadius: '5px',
+      maxWidth: '260px',
+      fontSize: '13px',
+      zIndex: '1000',
+      display: 'none'
+    });
+
+    const title = document.createElement('strong');
+    title.textContent = 'Session recorder';
+    element.appendChild(title);
+
+    const help = document.createElement('p');
+    help.style.margin = '5px 0';
+    help.textContent = 'Record a walkthrough, save it as JSON and replay it later.';
+    element.appendChild(help);
+
+    const clock = document.createElement('p');
+    clock.style.margin = '5px 0';
+    clock.style.fontFamily = 'monospace';
+    element.appendChild(clock);
+
+    const status = document.createElement('p');
+    status.style.margin = '5px 0';
+    status.style.minHeight = '1em';
+    element.appendChild(status);
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) loadSession(fileInput.files[0]);
+      fileInput.value = '';
+    });
+    element.appendChild(fileInput);
+
+    const buttons = [
+      { label: 'Record', action: () => (recording ? stopRecording() : startRecording()) },
+      { label: 'Replay', action: () => (replaying ? stopReplay() : lastSession && replay(lastSession)) },
+      { label: 'Save session', action: saveSession },
+      { label: 'Load session', action: () => fileInput.click() },
+      { label: 'Close', action: () => recorder.close() }
+    ];
+
+    const buttonElements = buttons.map(({ label, action }) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      Object.assign(button.style, {
+        margin: '3px',
+        padding: '5px 8px',
+        backgroundColor: '#333',
+        color: 'white',
+        border: 'none',
+        borderRadius: '3px',
+        cursor: 'pointer'
+      });
+      button.addEventListener('click', action);
+      element.appendChild(button);
+      return button;
+    });
+
+    document.body.appendChild(element);
+    return {
+      element,
+      clock,
+      status,
+      recordButton: buttonElements[0],
+      replayButton: buttonElements[1],
+      saveButton: buttonElements[2]
+    };
+  }
+
+  /**
+   * Refreshes the panel's buttons from the recorder state
+   */
+  function updatePanel() {
+    panel.recordButton.textContent = recording ? 'Stop recording' : 'Record';
+    panel.recordButton.style.backgroundColor = recording ? '#a00' : '#333';
+    panel.replayButton.textContent = replaying ? 'Stop replay' : 'Replay';
+    panel.replayButton.disabled = !lastSession && !replaying;
+    panel.saveButton.disabled = !lastSession;
+    if (recording) {
+      setStatus('Recording... click in the chamber to walk around, Esc to release the mouse');
+    }
+  }
+
+  /**
+   * Shows a message on the panel's status line
+   * @param {string} message - Message
+   * @param {boolean} [isError] - Whether the message reports an error
+   */
+  function setStatus(message, isError = false) {
+    panel.status.textContent = message;
+    panel.status.style.color = isError ? '#ff8080' : 'white';
+  }
+
+  const recorder = {
+    open() {
+      open = true;
+      panel.element.style.display = 'block';
+      updatePanel();
+    },
+
+    // Closing the panel (or opening another tool) leaves a recording running,
+    // so walkthroughs can take in divisions, debates and tours; a replay,
+    // which holds the camera, is stopped
+    close() {
+      stopReplay();
+      open = false;
+      panel.element.style.display = 'none';
+    },
+
+    isOpen() {
+      return open;
+    },
+
+    startRecording,
+    stopRecording,
+    recordMPInfo,
+    captureFrame,
+    replay,
+    stopReplay,
+    replayFrame,
+
+    isRecording() {
+      return recording !== null;
+    },
+
+    /**
+     * Returns the last session recorded or loaded
+     * @returns {Object|null} Session, as in the file format
+     */
+    getSession() {
+      return lastSession;
+    },
+
+    isReplaying() {
+      return replaying !== null;
+    }
+  };
+
+  updatePanel();
+  return recorder;
+}
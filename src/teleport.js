@@ -0,0 +1,485 @@
+import * as THREE from 'three';
+import { createCollisionResult } from './collision.js';
+import { STEP_HEIGHT, checkStandingRoom, findGround } from './player-physics.js';
+
+/**
+ * Teleporter: moves the player to a point on the floor (chosen on the
+ * minimap) with a glide rather than a jump. Routes are planned on a grid of
+ * the floor built from the collision world with the player physics' own
+ * ground and standing room queries, so the player goes where they could walk:
+ * round benches, the Table and walls, and up the tiers and the Speaker's
+ * steps no more than a step at a time. A point inside an obstacle is moved to
+ * the nearest free spot. In overview mode the view glides there instead,
+ * straight over the benches.
+ */
+
+// Floor grid covering the model
+const GRID_MIN = -20;
+const GRID_EXTENT = 40;
+const CELL_SIZE = 0.25;
+const GRID_CELLS = Math.round(GRID_EXTENT / CELL_SIZE);
+
+// Highest surface looked for underfoot: above the back tier and the Speaker's
+// platform, below the tops of the walls
+const MAX_GROUND_HEIGHT = 2.5;
+
+// How far a blocked destination may be moved to free floor
+const MAX_NUDGE = 1.5;
+
+// Glide speed and limits on its length
+const GLIDE_SPEED = 6;
+const MIN_GLIDE_DURATION = 0.6;
+const MAX_GLIDE_DURATION = 3;
+
+// How long a destination that cannot be reached stays marked
+const REJECTED_MARKER_TIME = 1000;
+
+/**
+ * Creates the teleporter
+ * @param {Object} options - Teleporter options
+ * @param {THREE.Camera} options.camera - The main camera
+ * @param {OrbitControls} options.orbitControls - Overview controls, moved with the view
+ * @param {Object} options.world - The chamber's collision world (see collision.js)
+ * @param {number} options.playerHeight - Eye height above the floor
+ * @param {Function} options.isOverview - Returns true in overview mode
+ * @returns {Object} Teleporter with glideTo(x, z), cancel(), isGliding(),
+ *   getPreview() and update(delta), to be called every frame while gliding
+ */
+export function createTeleporter(options) {
+  const { camera, orbitControls, playerHeight } = options;
+
+  const grid = buildFloorGrid(options.world);
+
+  let glide = null;
+  let rejected = null;
+
+  /**
+   * Plans a glide to a point on the floor
+   * @param {number} x - World x of the destination
+   * @param {number} z - World z of the destination
+   * @returns {boolean} True if the glide started (or the player is already
+   *   there), false if the point cannot be reached
+   */
+  function glideTo(x, z) {
+    cancel();
+
+    const overview = options.isOverview();
+    const start = overview ? orbitControls.target : camera.position;
+    const goal = findFreeCell(grid, cellOf(x), cellOf(z));
+
+    // The view passes over obstacles, the player goes round them
+    let route = null;
+    if (goal && overview) {
+      route = [cellPoint(goal.i, goal.j)];
+    } else if (goal) {
+      const from = findFreeCell(grid, cellOf(start.x), cellOf(start.z));
+      route = from ? findRoute(grid, from, goal) : null;
+    }
+
+    if (!route) {
+      rejected = { point: new THREE.Vector3(x, 0, z), time: performance.now() };
+      return false;
+    }
+    rejected = null;
+
+    // Glide from where the player actually is, on to the free cell's centre
+    const points = overview
+      ? [start.clone(), route[route.length - 1]]
+      : [start.clone(), ...route.slice(1)];
+    points.forEach(point => point.setY(0));
+
+    // A route within the player's own cell has nowhere to go: already there
+    if (points.length < 2) return true;
+
+    const lengths = [0];
+    for (let i = 1; i < points.length; i++) {
+      lengths.push(lengths[i - 1] + points[i].distanceTo(points[i - 1]));
+    }
+    const length = lengths[lengths.length - 1];
+
+    glide = {
+      points,
+      lengths,
+      length,
+      time: 0,
+      duration: THREE.MathUtils.clamp(length / GLIDE_SPEED, MIN_GLIDE_DURATION, MAX_GLIDE_DURATION),
+      overview,
+      // The view keeps its offset from the orbit target in overview mode
+      offset: camera.position.clone().sub(orbitControls.target),
+      position: points[0].clone(),
+      segment: 0
+    };
+    return true;
+  }
+
+  /**
+   * Stops the glide where it is
+   */
+  function cancel() {
+    glide = null;
+  }
+
+  /**
+   * Moves the player along the glide
+   * @param {number} delta - Seconds since the last frame
+   */
+  function update(delta) {
+    if (!glide) return;
+
+    glide.time = Math.min(glide.time + delta, glide.duration);
+    const distance = easeInOut(glide.time / glide.duration) * glide.length;
+    pointAlong(glide, distance, glide.position);
+
+    if (glide.overview) {
+      orbitControls.target.x = glide.position.x;
+      orbitControls.target.z = glide.position.z;
+      camera.position.copy(orbitControls.target).add(glide.offset);
+      camera.lookAt(orbitControls.target);
+    } else {
+      // Ease onto the height of the floor underneath, up and down the tiers
+      const eyeY = floorHeightAt(grid, glide.position.x, glide.position.z) + playerHeight;
+      camera.position.x = glide.position.x;
+      camera.position.z = glide.position.z;
+      camera.position.y += (eyeY - camera.position.y) * Math.min(1, delta * 10);
+    }
+
+    if (glide.time >= glide.duration) {
+      if (!glide.overview) {
+        camera.position.y = floorHeightAt(grid, glide.position.x, glide.position.z) + playerHeight;
+      }
+      glide = null;
+    }
+  }
+
+  return {
+    glideTo,
+    cancel,
+    update,
+
+    isGliding() {
+      return Boolean(glide);
+    },
+
+    /**
+     * Returns what the minimap should show of the glide
+     * @returns {Object|null} { points, blocked }: the rest of the route from the
+     *   player, or a destination that cannot be reached; null for nothing
+     */
+    getPreview() {
+      if (glide) {
+        return { points: [glide.position.clone(), ...glide.points.slice(glide.segment + 1)], blocked: false };
+      }
+      if (rejected && performance.now() - rejected.time < REJECTED_MARKER_TIME) {
+        return { points: [rejected.point], blocked: true };
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Builds the floor grid: the height of the surface the player would stand on
+ * in each cell, and which cells they have no room to stand in
+ * @param {Object} world - Collision world
+ * @returns {Object} Grid with blocked (1 per blocked cell) and floor heights
+ */
+function buildFloorGrid(world) {
+  const blocked = new Uint8Array(GRID_CELLS * GRID_CELLS);
+  const floor = new Float32Array(GRID_CELLS * GRID_CELLS);
+  const collision = createCollisionResult();
+
+  for (let j = 0; j < GRID_CELLS; j++) {
+    for (let i = 0; i < GRID_CELLS; i++) {
+      const index = j * GRID_CELLS + i;
+      const x = cellCentre(i);
+      const z = cellCentre(j);
+      floor[index] = findGround(world, x, z, MAX_GROUND_HEIGHT);
+      blocked[index] = checkStandingRoom(world, x, floor[index], z, collision).hit ? 1 : 0;
+    }
+  }
+
+  return { blocked, floor };
+}
+
+/**
+ * Returns the grid column (or row) of a world coordinate
+ * @param {number} value - World x (or z)
+ * @returns {number} Cell index
+ */
+function cellOf(value) {
+  return Math.floor((value - GRID_MIN) / CELL_SIZE);
+}
+
+/**
+ * Returns the world coordinate of a cell's centre
+ * @param {number} cell - Cell index
+ * @returns {number} World x (or z)
+ */
+function cellCentre(cell) {
+  return GRID_MIN + (cell + 0.5) * CELL_SIZE;
+}
+
+/**
+ * Returns the centre of a cell on the floor
+ * @param {number} i - Column
+ * @param {number} j - Row
+ * @returns {THREE.Vector3} Point
+ */
+function cellPoint(i, j) {
+  return new THREE.Vector3(cellCentre(i), 0, cellCentre(j));
+}
+
+/**
+ * Checks whether a cell is on the grid and free
+ * @param {Object} grid - Floor grid
+ * @param {number} i - Column
+ * @param {number} j - Row
+ * @returns {boolean} True if the player can stand there
+ */
+function isFree(grid, i, j) {
+  return i >= 0 && j >= 0 && i < GRID_CELLS && j < GRID_CELLS && !grid.blocked[j * GRID_CELLS + i];
+}
+
+/**
+ * Checks whether the player can step between two cells, up or down
+ * @param {Object} grid - Floor grid
+ * @param {number} a - Index of the first cell
+ * @param {number} b - Index of the second cell
+ * @returns {boolean} True if the floors differ by no more than a step
+ */
+function canStep(grid, a, b) {
+  return Math.abs(grid.floor[a] - grid.floor[b]) <= STEP_HEIGHT;
+}
+
+/**
+ * Returns the floor height at a point
+ * @param {Object} grid - Floor grid
+ * @param {number} x - World x
+ * @param {number} z - World z
+ * @returns {number} Floor height
+ */
+function floorHeightAt(grid, x, z) {
+  const i = THREE.MathUtils.clamp(cellOf(x), 0, GRID_CELLS - 1);
+  const j = THREE.MathUtils.clamp(cellOf(z), 0, GRID_CELLS - 1);
+  return grid.floor[j * GRID_CELLS + i];
+}
+
+/**
+ * Finds the free cell nearest a cell, within MAX_NUDGE
+ * @param {Object} grid - Floor grid
+ * @param {number} i - Column
+ * @param {number} j - Row
+ * @returns {Object|null} { i, j }, or null if there is no free cell nearby
+ */
+function findFreeCell(grid, i, j) {
+  if (isFree(grid, i, j)) return { i, j };
+
+  const reach = Math.ceil(MAX_NUDGE / CELL_SIZE);
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (let di = -reach; di <= reach; di++) {
+    for (let dj = -reach; dj <= reach; dj++) {
+      const distance = di * di + dj * dj;
+      if (distance < bestDistance && distance <= reach * reach && isFree(grid, i + di, j + dj)) {
+        best = { i: i + di, j: j + dj };
+        bestDistance = distance;
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Plans a route between two free cells with A* over the grid, then drops
+ * the points that can be skipped in a straight line
+ * @param {Object} grid - Floor grid
+ * @param {Object} from - Start cell ({ i, j })
+ * @param {Object} to - Destination cell ({ i, j })
+ * @returns {Array<THREE.Vector3>|null} Route through cell centres, or null if there is none
+ */
+function findRoute(grid, from, to) {
+  const count = GRID_CELLS * GRID_CELLS;
+  const cost = new Float32Array(count).fill(Infinity);
+  const previous = new Int32Array(count).fill(-1);
+  const closed = new Uint8Array(count);
+  const open = createHeap();
+
+  const startIndex = from.j * GRID_CELLS + from.i;
+  const goalIndex = to.j * GRID_CELLS + to.i;
+  const estimate = index => Math.hypot(index % GRID_CELLS - to.i, Math.floor(index / GRID_CELLS) - to.j);
+
+  cost[startIndex] = 0;
+  open.push(startIndex, estimate(startIndex));
+
+  while (open.size() > 0) {
+    const index = open.pop();
+    if (index === goalIndex) break;
+    if (closed[index]) continue;
+    closed[index] = 1;
+
+    const i = index % GRID_CELLS;
+    const j = Math.floor(index / GRID_CELLS);
+
+    for (let di = -1; di <= 1; di++) {
+      for (let dj = -1; dj <= 1; dj++) {
+        if ((di === 0 && dj === 0) || !isFree(grid, i + di, j + dj)) continue;
+        const next = index + dj * GRID_CELLS + di;
+        if (!canStep(grid, index, next)) continue;
+
+        // No cutting corners past an obstacle or a drop
+        if (di !== 0 && dj !== 0) {
+          const across = index + di;
+          const along = index + dj * GRID_CELLS;
+          if (!isFree(grid, i + di, j) || !isFree(grid, i, j + dj) ||
+            !canStep(grid, index, across) || !canStep(grid, index, along)) continue;
+        }
+
+        const nextCost = cost[index] + (di !== 0 && dj !== 0 ? Math.SQRT2 : 1);
+        if (nextCost < cost[next]) {
+          cost[next] = nextCost;
+          previous[next] = index;
+          open.push(next, nextCost + estimate(next));
+        }
+      }
+    }
+  }
+
+  if (cost[goalIndex] === Infinity) return null;
+
+  const cells = [];
+  for (let index = goalIndex; index !== -1; index = previous[index]) {
+    cells.push(index);
+  }
+  cells.reverse();
+
+  // Keep only the turns that are needed
+  const route = [cells[0]];
+  let anchor = 0;
+  for (let k = 2; k < cells.length; k++) {
+    if (!hasLineOfSight(grid, cells[anchor], cells[k])) {
+      anchor = k - 1;
+      route.push(cells[anchor]);
+    }
+  }
+  if (cells.length > 1) route.push(cells[cells.length - 1]);
+
+  return route.map(index => cellPoint(index % GRID_CELLS, Math.floor(index / GRID_CELLS)));
+}
+
+/**
+ * Checks that the straight line between two cells crosses only free cells,
+ * no more than a step apart in height
+ * @param {Object} grid - Floor grid
+ * @param {number} a - Index of the first cell
+ * @param {number} b - Index of the second cell
+ * @returns {boolean} True if the line is clear
+ */
+function hasLineOfSight(grid, a, b) {
+  const ai = a % GRID_CELLS;
+  const aj = Math.floor(a / GRID_CELLS);
+  const bi = b % GRID_CELLS;
+  const bj = Math.floor(b / GRID_CELLS);
+  const steps = Math.ceil(Math.max(Math.abs(bi - ai), Math.abs(bj - aj)) * 2);
+
+  let last = a;
+  for (let step = 1; step <= steps; step++) {
+    const t = step / steps;
+    const i = Math.round(ai + (bi - ai) * t);
+    const j = Math.round(aj + (bj - aj) * t);
+    if (!isFree(grid, i, j)) return false;
+
+    const index = j * GRID_CELLS + i;
+    if (!canStep(grid, last, index)) return false;
+    last = index;
+  }
+  return true;
+}
+
+/**
+ * Finds the point a distance along a glide's route
+ * @param {Object} glide - Glide
+ * @param {number} distance - Distance from the start
+ * @param {THREE.Vector3} out - Receives the point
+ */
+function pointAlong(glide, distance, out) {
+  const { points, lengths } = glide;
+  if (points.length < 2) {
+    out.copy(points[points.length - 1]);
+    return;
+  }
+
+  while (glide.segment < points.length - 2 && lengths[glide.segment + 1] < distance) {
+    glide.segment++;
+  }
+
+  const start = lengths[glide.segment];
+  const span = lengths[glide.segment + 1] - start;
+  out.lerpVectors(points[glide.segment], points[glide.segment + 1], span > 0 ? (distance - start) / span : 1);
+}
+
+/**
+ * Creates a binary min-heap of indices keyed by priority
+ * @returns {Object} Heap with push(index, priority), pop() and size()
+ */
+function createHeap() {
+  const indices = [];
+  const priorities = [];
+
+  const swap = (a, b) => {
+    [indices[a], indices[b]] = [indices[b], indices[a]];
+    [priorities[a], priorities[b]] = [priorities[b], priorities[a]];
+  };
+
+  return {
+    push(index, priority) {
+      indices.push(index);
+      priorities.push(priority);
+      let child = indices.length - 1;
+      while (child > 0) {
+        const parent = (child - 1) >> 1;
+        if (priorities[parent] <= priorities[child]) break;
+        swap(parent, child);
+        child = parent;
+      }
+    },
+
+    pop() {
+      const top = indices[0];
+      const lastIndex = indices.pop();
+      const lastPriority = priorities.pop();
+
+      if (indices.length > 0) {
+        indices[0] = lastIndex;
+        priorities[0] = lastPriority;
+        let parent = 0;
+        for (;;) {
+          const left = parent * 2 + 1;
+          const right = left + 1;
+          let smallest = parent;
+          if (left < indices.length && priorities[left] < priorities[smallest]) smallest = left;
+          if (right < indices.length && priorities[right] < priorities[smallest]) smallest = right;
+          if (smallest === parent) break;
+          swap(parent, smallest);
+          parent = smallest;
+        }
+      }
+
+      return top;
+    },
+
+    size() {
+      return indices.length;
+    }
+  };
+}
+
+/**
+ * Smoothstep easing
+ * @param {number} t - Progress from 0 to 1
+ * @returns {number} Eased progress
+ */
+function easeInOut(t) {
+  return t * t * (3 - 2 * t);
+}
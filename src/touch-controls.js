@@ -0,0 +1,217 @@
+/**
+ * Touch controls for phones and tablets, in place of pointer lock: a virtual
+ * joystick (Touch/Joystick), dragging anywhere else (Touch/Drag) and tapping
+ * (Touch/Tap), fed to the input actions (see input-actions.js), which by
+ * default walk, look around and select. In overview mode dragging and pinching
+ * are left to OrbitControls, which orbits and zooms with them; taps still count.
+ * Touch mode is switched on for touch-first devices, and on any device as
+ * soon as the screen is touched.
+ */
+
+// Joystick size and placement, in pixels (above the minimap)
+const JOYSTICK_SIZE = 120;
+const KNOB_SIZE = 50;
+const JOYSTICK_LEFT = 30;
+const JOYSTICK_BOTTOM = 240;
+
+// Joystick travel below which the player stands still
+const JOYSTICK_DEADZONE = 0.1;
+
+// A touch that ends this soon and this close to where it started is a tap
+const TAP_TIME = 300;
+const TAP_DISTANCE = 10;
+
+/**
+ * Checks whether the device is touch-first (a phone or tablet)
+ * @returns {boolean} Whether it is
+ */
+export function isTouchDevice() {
+  return navigator.maxTouchPoints > 0 && window.matchMedia('(pointer: coarse)').matches;
+}
+
+/**
+ * Creates the touch controls
+ * @param {Object} options - Touch options
+ * @param {HTMLElement} options.domElement - Element to drag and tap on (the renderer's canvas)
+ * @param {Object} options.input - Input actions to feed
+ * @param {Function} options.isOverview - Returns whether overview mode is on
+ * @param {Function} [options.onEnable] - Called when touch mode is switched on
+ * @returns {Object} Controls with isEnabled(), isWalking(), update() and enable()
+ */
+export function createTouchControls(options) {
+  const { domElement, input } = options;
+
+  let enabled = false;
+  let joystickPointer = null;
+  let dragPointer = null;
+  const touches = new Map();
+
+  // Virtual joystick
+  const joystick = document.createElement('div');
+  joystick.id = 'touch-joystick';
+  Object.assign(joystick.style, {
+    position: 'fixed',
+    left: `${JOYSTICK_LEFT}px`,
+    bottom: `${JOYSTICK_BOTTOM}px`,
+    width: `${JOYSTICK_SIZE}px`,
+    height: `${JOYSTICK_SIZE}px`,
+    borderRadius: '50%',
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+    border: '2px solid rgba(255, 255, 255, 0.4)',
+    touchAction: 'none',
+    zIndex: '1000',
+    display: 'none'
+  });
+  const knob = document.createElement('div');
+  Object.assign(knob.style, {
+    position: 'absolute',
+    left: `${(JOYSTICK_SIZE - KNOB_SIZE) / 2}px`,
+    top: `${(JOYSTICK_SIZE - KNOB_SIZE) / 2}px`,
+    width: `${KNOB_SIZE}px`,
+    height: `${KNOB_SIZE}px`,
+    borderRadius: '50%',
+    backgroundColor: 'rgba(255, 255, 255, 0.6)',
+    pointerEvents: 'none'
+  });
+  joystick.appendChild(knob);
+  document.body.appendChild(joystick);
+
+  /**
+   * Moves the joystick's knob to a pointer and reads the walking direction
+   * @param {PointerEvent} event - Pointer event on the joystick
+   */
+  function updateJoystick(event) {
+    const rect = joystick.getBoundingClientRect();
+    const radius = rect.width / 2;
+    let x = (event.clientX - rect.left - radius) / radius;
+    let y = (event.clientY - rect.top - radius) / radius;
+    const length = Math.hypot(x, y);
+    if (length > 1) {
+      x /= length;
+      y /= length;
+    }
+
+    knob.style.transform = `translate(${x * (radius - KNOB_SIZE / 2)}px, ${y * (radius - KNOB_SIZE / 2)}px)`;
+
+    // Up the screen is up the stick
+    const live = Math.min(length, 1) > JOYSTICK_DEADZONE;
+    input.setStick('Touch/Joystick', live ? x : 0, live ? -y : 0);
+  }
+
+  function releaseJoystick() {
+    joystickPointer = null;
+    input.setStick('Touch/Joystick', 0, 0);
+    knob.style.transform = '';
+  }
+
+  joystick.addEventListener('pointerdown', (event) => {
+    if (joystickPointer !== null) return;
+    joystickPointer = event.pointerId;
+    joystick.setPointerCapture(event.pointerId);
+    updateJoystick(event);
+    event.stopPropagation();
+  });
+
+  joystick.addEventListener('pointermove', (event) => {
+    if (event.pointerId === joystickPointer) {
+      updateJoystick(event);
+    }
+  });
+
+  joystick.addEventListener('pointerup', (event) => {
+    if (event.pointerId === joystickPointer) releaseJoystick();
+  });
+  joystick.addEventListener('pointercancel', (event) => {
+    if (event.pointerId === joystickPointer) releaseJoystick();
+  });
+
+  // Dragging and tapping on the scene
+  domElement.addEventListener('pointerdown', (event) => {
+    if (event.pointerType !== 'touch') return;
+    if (!enabled) controls.enable();
+
+    touches.set(event.pointerId, {
+      startX: event.clientX,
+      startY: event.clientY,
+      lastX: event.clientX,
+      lastY: event.clientY,
+      time: performance.now()
+    });
+    if (dragPointer === null) {
+      dragPointer = event.pointerId;
+    }
+  });
+
+  domElement.addEventListener('pointermove', (event) => {
+    const touch = touches.get(event.pointerId);
+    if (!touch) return;
+
+    const dx = event.clientX - touch.lastX;
+    const dy = event.clientY - touch.lastY;
+    touch.lastX = event.clientX;
+    touch.lastY = event.clientY;
+
+    // One finger drags; overview mode leaves the drag to OrbitControls
+    if (event.pointerId !== dragPointer || options.isOverview()) return;
+    input.addPointerDelta('Touch/Drag', dx, -dy);
+  });
+
+  const endTouch = (event, cancelled) => {
+    const touch = touches.get(event.pointerId);
+    if (!touch) return;
+    touches.delete(event.pointerId);
+    if (event.pointerId === dragPointer) {
+      dragPointer = null;
+    }
+
+    const tapped = !cancelled &&
+      touches.size === 0 &&
+      performance.now() - touch.time < TAP_TIME &&
+      Math.hypot(event.clientX - touch.startX, event.clientY - touch.startY) < TAP_DISTANCE;
+    if (tapped) {
+      input.tap('Touch/Tap', { clientX: event.clientX, clientY: event.clientY });
+    }
+  };
+  domElement.addEventListener('pointerup', event => endTouch(event, false));
+  domElement.addEventListener('pointercancel', event => endTouch(event, true));
+
+  const controls = {
+    isEnabled() {
+      return enabled;
+    },
+
+    /**
+     * @returns {boolean} Whether touch mode is walking the player in first person
+     */
+    isWalking() {
+      return enabled && !options.isOverview();
+    },
+
+    /**
+     * Switches touch mode on
+     */
+    enable() {
+      if (enabled) return;
+      enabled = true;
+      domElement.style.touchAction = 'none';
+      if (options.onEnable) options.onEnable();
+    },
+
+    /**
+     * Shows the joystick only while walking; call every frame
+     */
+    update() {
+      const display = controls.isWalking() ? 'block' : 'none';
+      if (joystick.style.display !== display) {
+        joystick.style.display = display;
+        if (display === 'none') releaseJoystick();
+      }
+    }
+  };
+
+  if (isTouchDevice()) {
+    controls.enable();
+  }
+
+  return controls;
+}
@@ -0,0 +1,412 @@
+import * as THREE from 'three';
+import { VRButton } from 'three/examples/jsm/webxr/VRButton.js';
+import { createCollisionResult, createRaycastResult } from './collision.js';
+import { STEP_HEIGHT, FOOTING_RADIUS, checkStandingRoom } from './player-physics.js';
+import { getPartyCss, getPartySymbol, arePartySymbolsShown } from './party-registry.js';
+
+/**
+ * Immersive VR through WebXR. "Enter VR" puts the user in the chamber where
+ * the camera is, facing the same way. Each controller casts a ray: pulling the
+ * trigger on an MP shows who they are on a card floating above them, and
+ * pulling it anywhere else aims a teleport, marked by a ring where the user
+ * would stand; letting go goes there. Teleports only land on walkable
+ * surfaces of the collision world (the floor, the gangways, the Speaker's
+ * platform) with room to stand. The squeeze button puts the card away.
+ *
+ * Standing height uses the headset's own height above the floor; seated raises
+ * the user so that someone sitting down sees the chamber from standing height.
+ * The mode only appears where the browser supports immersive VR, which
+ * includes desktop browsers with a WebXR emulator extension.
+ */
+
+// How far seated users are raised, from seated to standing eye height
+const SEATED_RAISE = 0.45;
+
+// Furthest a controller ray reaches
+const MAX_RAY_DISTANCE = 30;
+
+// A teleport lands on a surface facing at least this far up
+const GROUND_NORMAL_Y = 0.7;
+
+// A landing this close to something is nudged clear
+const MAX_NUDGE = 0.3;
+
+// Floating card: size in metres, canvas size in pixels, and height above the MP
+const CARD_WIDTH = 0.9;
+const CARD_HEIGHT = 0.5;
+const CARD_PIXELS_WIDTH = 576;
+const CARD_PIXELS_HEIGHT = 320;
+const CARD_RAISE = 2.4;
+
+const RAY_COLOR = 0xffffff;
+const VALID_COLOR = 0x33cc66;
+const INVALID_COLOR = 0xcc3333;
+
+/**
+ * Creates the VR mode, adding its buttons to the page where VR is supported
+ * @param {Object} options - VR options
+ * @param {THREE.WebGLRenderer} options.renderer - Renderer; XR is enabled on it
+ * @param {THREE.Camera} options.camera - The main camera, posed by the headset in VR
+ * @param {THREE.Scene} options.scene - Scene the controllers, marker and card are added to
+ * @param {Function} options.getWorld - Returns the collision world, or null before the chamber loads
+ * @param {Function} options.pickMP - Called with a ray and a distance; returns
+ *   the first MP hit ({ mp, distance }) or null
+ * @param {Function} [options.onSelectMP] - Called with an MP selected in VR
+ * @param {Function} [options.getDetails] - Called with an MP's data; returns
+ *   extra lines for their card ([{ label, value, color }])
+ * @param {Function} [options.onSessionStart] - Called on entering VR
+ * @param {Function} [options.onSessionEnd] - Called on leaving VR
+ * @returns {Object} VR mode with isPresenting(), update(), getHeightMode() and
+ *   setHeightMode(mode)
+ */
+export function createVRMode(options) {
+  const { renderer, camera, scene } = options;
+  renderer.xr.enabled = true;
+
+  // Where the user's floor origin is in the chamber, and which way it faces
+  const origin = new THREE.Vector3();
+  let yaw = 0;
+  let heightMode = 'standing';
+  let baseReferenceSpace = null;
+
+  // Scratch
+  const ray = new THREE.Ray();
+  const rotation = new THREE.Matrix4();
+  const offset = new THREE.Matrix4();
+  const offsetPosition = new THREE.Vector3();
+  const offsetQuaternion = new THREE.Quaternion();
+  const offsetScale = new THREE.Vector3();
+  const yawQuaternion = new THREE.Quaternion();
+  const up = new THREE.Vector3(0, 1, 0);
+  const one = new THREE.Vector3(1, 1, 1);
+  const surfaceHit = createRaycastResult();
+  const collision = createCollisionResult();
+  const target = new THREE.Vector3();
+
+  // Teleport marker
+  const marker = new THREE.Mesh(
+    new THREE.RingGeometry(0.25, 0.32, 32).rotateX(-Math.PI / 2),
+    new THREE.MeshBasicMaterial({ color: VALID_COLOR, transparent: true, opacity: 0.8 })
+  );
+  marker.visible = false;
+  scene.add(marker);
+
+  // Floating card
+  const cardCanvas = document.createElement('canvas');
+  cardCanvas.width = CARD_PIXELS_WIDTH;
+  cardCanvas.height = CARD_PIXELS_HEIGHT;
+  const cardTexture = new THREE.CanvasTexture(cardCanvas);
+  cardTexture.colorSpace = THREE.SRGBColorSpace;
+  const card = new THREE.Mesh(
+    new THREE.PlaneGeometry(CARD_WIDTH, CARD_HEIGHT),
+    new THREE.MeshBasicMaterial({ map: cardTexture, transparent: true })
+  );
+  card.visible = false;
+  scene.add(card);
+  let cardMP = null;
+
+  // Controllers, each with a ray
+  const controllers = [0, 1].map(index => {
+    const controller = renderer.xr.getController(index);
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, -1)]),
+      new THREE.LineBasicMaterial({ color: RAY_COLOR })
+    );
+    line.scale.z = MAX_RAY_DISTANCE;
+    line.visible = false;
+    controller.add(line);
+    scene.add(controller);
+
+    const state = { controller, line, aiming: false, valid: false };
+
+    controller.addEventListener('connected', (event) => {
+      // Gaze and screen input has no ray to draw
+      line.visible = event.data.targetRayMode === 'tracked-pointer';
+    });
+    controller.addEventListener('disconnected', () => {
+      line.visible = false;
+      state.aiming = false;
+    });
+
+    controller.addEventListener('selectstart', () => {
+      const aim = castRay(state);
+      if (aim.mp) {
+        showCard(aim.mp);
+        if (options.onSelectMP) options.onSelectMP(aim.mp);
+      } else {
+        state.aiming = true;
+      }
+    });
+
+    controller.addEventListener('selectend', () => {
+      if (!state.aiming) return;
+      state.aiming = false;
+      const aim = castRay(state);
+      if (aim.valid) {
+        teleportTo(aim.target);
+      }
+    });
+
+    controller.addEventListener('squeeze', hideCard);
+
+    return state;
+  });
+
+  /**
+   * Casts a controller's ray into the chamber
+   * @param {Object} state - Controller state
+   * @returns {Object} { mp } if the ray hits an MP first, or { valid, target,
+   *   distance } for a teleport to where it hits the chamber
+   */
+  function castRay(state) {
+    // Controller poses arrive after the scene's matrices were last updated
+    state.controller.updateMatrixWorld();
+    rotation.extractRotation(state.controller.matrixWorld);
+    ray.origin.setFromMatrixPosition(state.controller.matrixWorld);
+    ray.direction.set(0, 0, -1).applyMatrix4(rotation);
+
+    const world = options.getWorld();
+    const surface = world ? world.raycast(ray, MAX_RAY_DISTANCE, surfaceHit) : null;
+    const mpHit = options.pickMP(ray, surface ? surface.distance : MAX_RAY_DISTANCE);
+    if (mpHit) {
+      return { mp: mpHit.mp, distance: mpHit.distance };
+    }
+
+    if (!surface) {
+      return { valid: false, target: null, distance: MAX_RAY_DISTANCE };
+    }
+    const valid = findStandingSpot(world, surface, target);
+    return { valid, target: valid ? target : surface.point, distance: surface.distance };
+  }
+
+  /**
+   * Checks that the user can stand where a ray hits the chamber, nudging the
+   * spot clear of anything close by
+   * @param {Object} world - Collision world
+   * @param {Object} hit - Ray hit
+   * @param {THREE.Vector3} out - Receives the spot, on the surface
+   * @returns {boolean} Whether the user can stand there
+   */
+  function findStandingSpot(world, hit, out) {
+    if (!hit.box.walkable || hit.normal.y < GROUND_NORMAL_Y) return false;
+
+    // Room to stand as the walking physics has it
+    const ground = hit.point.y;
+    checkStandingRoom(world, hit.point.x, ground, hit.point.z, collision);
+    if (collision.hit && collision.offset.length() > MAX_NUDGE) return false;
+
+    out.set(hit.point.x + collision.offset.x, ground, hit.point.z + collision.offset.z);
+    return world.findGround(out.x, out.z, FOOTING_RADIUS, ground + STEP_HEIGHT, ground - STEP_HEIGHT) !== null;
+  }
+
+  /**
+   * Moves the user so that they stand on a spot, keeping where they face
+   * @param {THREE.Vector3} spot - Point on the surface to stand on
+   */
+  function teleportTo(spot) {
+    // Move the floor origin by as much as the head needs to move
+    origin.x += spot.x - camera.position.x;
+    origin.z += spot.z - camera.position.z;
+    origin.y = spot.y + getRaise();
+    applyOrigin();
+  }
+
+  /**
+   * Offsets the XR reference space so the user's floor origin sits at origin, facing yaw
+   */
+  function applyOrigin() {
+    if (!baseReferenceSpace) return;
+
+    // The offset is the inverse of where the origin is placed in the chamber
+    yawQuaternion.setFromAxisAngle(up, yaw);
+    offset.compose(origin, yawQuaternion, one).invert();
+    offset.decompose(offsetPosition, offsetQuaternion, offsetScale);
+
+    const transform = new XRRigidTransform(
+      { x: offsetPosition.x, y: offsetPosition.y, z: offsetPosition.z, w: 1 },
+      { x: offsetQuaternion.x, y: offsetQuaternion.y, z: offsetQuaternion.z, w: offsetQuaternion.w }
+    );
+    renderer.xr.setReferenceSpace(baseReferenceSpace.getOffsetReferenceSpace(transform));
+  }
+
+  function getRaise() {
+    return heightMode === 'seated' ? SEATED_RAISE : 0;
+  }
+
+  /**
+   * Shows an MP's card above them
+   * @param {Object} mp - MP object
+   */
+  function showCard(mp) {
+    drawCard(mp.data);
+    cardTexture.needsUpdate = true;
+    cardMP = mp;
+    card.visible = true;
+  }
+
+  function hideCard() {
+    cardMP = null;
+    card.visible = false;
+  }
+
+  /**
+   * Draws an MP's details on the card, as on the info panel
+   * @param {Object} mpData - MP data
+   */
+  function drawCard(mpData) {
+    const ctx = cardCanvas.getContext('2d');
+    const partyColor = getPartyCss(mpData.party);
+    ctx.clearRect(0, 0, CARD_PIXELS_WIDTH, CARD_PIXELS_HEIGHT);
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+    ctx.fillRect(0, 0, CARD_PIXELS_WIDTH, CARD_PIXELS_HEIGHT);
+    ctx.fillStyle = partyColor;
+    ctx.fillRect(0, 0, 14, CARD_PIXELS_HEIGHT);
+
+    const left = 36;
+    const width = CARD_PIXELS_WIDTH - left - 20;
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = 'white';
+    ctx.font = 'bold 40px sans-serif';
+    ctx.fillText(mpData.name, left, 24, width);
+
+    ctx.font = '28px sans-serif';
+    ctx.fillStyle = partyColor;
+    const party = arePartySymbolsShown() ? `${getPartySymbol(mpData.party).glyph} ${mpData.party}` : mpData.party;
+    ctx.fillText(party, left, 84, width);
+
+    const lines = [
+      { label: 'Constituency', value: mpData.constituency },
+      { label: 'Position', value: mpData.position || 'Backbencher' },
+      ...(options.getDetails ? options.getDetails(mpData) : [])
+    ];
+    ctx.font = '26px sans-serif';
+    lines.forEach((line, i) => {
+      ctx.fillStyle = line.color || 'white';
+      ctx.fillText(`${line.label}: ${line.value}`, left, 140 + i * 40, width);
+    });
+  }
+
+  renderer.xr.addEventListener('sessionstart', () => {
+    baseReferenceSpace = renderer.xr.getReferenceSpace();
+
+    // Start where the camera is, on whatever is below it, facing the same way
+    const world = options.getWorld();
+    const ground = world ? world.findGround(camera.position.x, camera.position.z, FOOTING_RADIUS, camera.position.y, -1) : null;
+    yaw = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ').y;
+    origin.set(camera.position.x, (ground === null ? 0 : ground) + getRaise(), camera.position.z);
+    applyOrigin();
+
+    if (options.onSessionStart) options.onSessionStart();
+  });
+
+  renderer.xr.addEventListener('sessionend', () => {
+    baseReferenceSpace = null;
+    marker.visible = false;
+    hideCard();
+    controllers.forEach(state => {
+      state.aiming = false;
+    });
+
+    if (options.onSessionEnd) options.onSessionEnd();
+  });
+
+  // Enter VR, and seated or standing, only where immersive VR is supported
+  const heightButton = document.createElement('button');
+  Object.assign(heightButton.style, {
+    position: 'absolute',
+    bottom: '20px',
+    left: 'calc(50% + 60px)',
+    width: '100px',
+    padding: '12px 6px',
+    border: '1px solid #fff',
+    borderRadius: '4px',
+    background: 'rgba(0, 0, 0, 0.1)',
+    color: '#fff',
+    font: 'normal 13px sans-serif',
+    textAlign: 'center',
+    cursor: 'pointer',
+    zIndex: '999',
+    display: 'none'
+  });
+  heightButton.title = 'Seated raises you to standing eye height';
+  heightButton.addEventListener('click', () => {
+    vr.setHeightMode(heightMode === 'seated' ? 'standing' : 'seated');
+  });
+  document.body.appendChild(heightButton);
+
+  if (navigator.xr) {
+    navigator.xr.isSessionSupported('immersive-vr')
+      .then(supported => {
+        if (!supported) return;
+        const vrButton = VRButton.createButton(renderer);
+        vrButton.style.left = 'calc(50% - 60px)';
+        document.body.appendChild(vrButton);
+        heightButton.style.display = 'block';
+      })
+      .catch(error => {
+        console.warn('Could not check for VR support:', error);
+      });
+  }
+
+  const vr = {
+    /**
+     * @returns {boolean} Whether the user is in VR
+     */
+    isPresenting() {
+      return renderer.xr.isPresenting;
+    },
+
+    /**
+     * Aims the controllers' rays and the teleport marker, and turns the card
+     * to face the user; call every frame while presenting
+     */
+    update() {
+      marker.visible = false;
+      controllers.forEach(state => {
+        if (!state.line.visible) return;
+        const aim = castRay(state);
+        state.line.scale.z = aim.distance;
+
+        if (state.aiming && aim.target) {
+          marker.position.copy(aim.target);
+          marker.position.y += 0.02;
+          marker.material.color.setHex(aim.valid ? VALID_COLOR : INVALID_COLOR);
+          marker.visible = true;
+        }
+      });
+
+      if (cardMP) {
+        if (!cardMP.mesh.visible) {
+          hideCard();
+          return;
+        }
+        card.position.copy(cardMP.mesh.position);
+        card.position.y += CARD_RAISE;
+        card.lookAt(camera.position.x, card.position.y, camera.position.z);
+      }
+    },
+
+    /**
+     * @returns {string} 'standing' or 'seated'
+     */
+    getHeightMode() {
+      return heightMode;
+    },
+
+    /**
+     * Switches between standing and seated height, in VR or before entering
+     * @param {string} mode - 'standing' or 'seated'
+     */
+    setHeightMode(mode) {
+      origin.y -= getRaise();
+      heightMode = mode === 'seated' ? 'seated' : 'standing';
+      origin.y += getRaise();
+      heightButton.textContent = heightMode === 'seated' ? 'SEATED' : 'STANDING';
+      applyOrigin();
+    }
+  };
+
+  vr.setHeightMode(heightMode);
+  return vr;
+}